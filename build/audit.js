@@ -0,0 +1,156 @@
+// Audit log viewer (store only): every change made through /api, newest first
+// Entries come from /api/audit-log (see lib/api/audit.mjs); they are never changed or removed
+const AUDIT_ACTION_LABELS = {
+    'save-receipt': 'Receipt saved',
+    'update-receipt-payment': 'Payment',
+    'save-return': 'Return (credit note)',
+    'amend-receipt': 'Receipt edited',
+    'delete-receipt': 'Receipt deleted',
+    'delete-customer': 'Customer deleted',
+    'restore-deleted': 'Restored from recycle bin',
+    'save-order': 'Order placed',
+    'update-special-prices': 'Special prices',
+    'approve-order': 'Order approved / disapproved',
+    'update-order-status': 'Order status',
+    'customer-password': 'Portal password',
+    'customer-gstin': 'Customer GSTIN',
+    'save-purchase': 'Purchase received'
+};
+
+class AuditLogViewer {
+    constructor() {
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        document.getElementById('auditAction').innerHTML += Object.entries(AUDIT_ACTION_LABELS)
+            .map(([action, label]) => `<option value="${this.escapeHtml(action)}">${this.escapeHtml(label)}</option>`)
+            .join('');
+        await this.loadEntries();
+    }
+
+    setupEventListeners() {
+        document.getElementById('applyAuditFilterBtn').addEventListener('click', () => {
+            this.loadEntries();
+        });
+
+        document.getElementById('refreshAuditBtn').addEventListener('click', () => {
+            this.loadEntries();
+        });
+
+        document.getElementById('clearAuditFilterBtn').addEventListener('click', () => {
+            for (const id of ['auditCustomer', 'auditAction', 'auditFrom', 'auditTo']) {
+                document.getElementById(id).value = '';
+            }
+            this.loadEntries();
+        });
+
+        document.getElementById('auditCustomer').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.loadEntries();
+            }
+        });
+    }
+
+    // The date inputs are local days; the server compares ISO timestamps (`to` exclusive)
+    getDateRange() {
+        const from = document.getElementById('auditFrom').value;
+        const to = document.getElementById('auditTo').value;
+        const range = {};
+        if (from) {
+            range.from = new Date(`${from}T00:00:00`).toISOString();
+        }
+        if (to) {
+            const end = new Date(`${to}T00:00:00`);
+            end.setDate(end.getDate() + 1);
+            range.to = end.toISOString();
+        }
+        return range;
+    }
+
+    async loadEntries() {
+        const container = document.getElementById('auditEntries');
+
+        try {
+            const params = new URLSearchParams({ limit: '500', ...this.getDateRange() });
+            const customer = document.getElementById('auditCustomer').value.trim();
+            const action = document.getElementById('auditAction').value;
+            if (customer) {
+                params.set('customer', customer);
+            }
+            if (action) {
+                params.set('action', action);
+            }
+
+            const response = await authManager.apiFetch(`/api/audit-log?${params.toString()}`);
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load audit log: ${response.status}`);
+            }
+
+            this.displayEntries(container, result.entries || []);
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            container.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // before / after values as one "name: value" line each
+    formatValues(values) {
+        if (values === null || values === undefined) {
+            return '-';
+        }
+        const format = value => {
+            if (Array.isArray(value)) {
+                return value.map(format).join(', ');
+            }
+            if (value && typeof value === 'object') {
+                return Object.entries(value).map(([key, inner]) => `${key} ${format(inner)}`).join(', ');
+            }
+            return String(value);
+        };
+        const lines = Object.entries(values).map(([key, value]) => `${key}: ${format(value)}`);
+        return lines.length > 0
+            ? lines.map(line => `<div>${this.escapeHtml(line)}</div>`).join('')
+            : '-';
+    }
+
+    displayEntries(container, entries) {
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No changes recorded for this filter.</p></div>';
+            return;
+        }
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td>${this.escapeHtml(new Date(entry.at).toLocaleString('en-IN'))}</td>
+                <td>${this.escapeHtml(entry.actor)}${entry.role === 'customer' ? ' (customer)' : ''}</td>
+                <td>${this.escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</td>
+                <td>${this.escapeHtml(entry.customerName || '-')}</td>
+                <td title="${this.escapeHtml(entry.target)}">${this.escapeHtml(entry.target ? String(entry.target).slice(0, 20) : '-')}</td>
+                <td class="audit-values">${this.formatValues(entry.before)}</td>
+                <td class="audit-values">${this.formatValues(entry.after)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="login-events-table">
+                <thead>
+                    <tr><th>Time</th><th>By</th><th>Action</th><th>Customer</th><th>Target</th><th>Before</th><th>After</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+}
+
+// Initialize the audit log viewer
+const auditLogViewer = new AuditLogViewer();
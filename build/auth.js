@@ -15,8 +15,9 @@ class AuthManager {
             const stored = localStorage.getItem(AUTH_STORAGE_KEY);
             if (stored) {
                 const authData = JSON.parse(stored);
-                // Check if auth is still valid (not expired)
-                if (authData.expires && authData.expires > Date.now()) {
+                // Check if auth is still valid (not expired, and a server-signed token -
+                // tokens generated in the browser by older versions have no signature)
+                if (authData.expires && authData.expires > Date.now() && String(authData.token || '').includes('.')) {
                     this.authToken = authData.token;
                     this.authType = authData.type || 'store';
                     this.customerName = authData.customerName || null;
@@ -31,11 +32,8 @@ class AuthManager {
         }
     }
 
-    setAuthenticated(type = 'store', customerName = null) {
-        // Generate a simple token (in production, this could be a JWT from server)
-        const token = this.generateToken();
-        const expires = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-        
+    // Store the signed session token issued by /api/verify-password
+    setAuthenticated(type, customerName, token, expires) {
         const authData = {
             token: token,
             expires: expires,
@@ -82,6 +80,12 @@ class AuthManager {
                 if (response.status === 401) {
                     return { success: false }; // Wrong password
                 }
+                if (response.status === 429) {
+                    // Too many failed attempts - the server says how long to wait
+                    const result = await response.json().catch(() => ({}));
+                    const retryAfter = parseInt(result.retryAfter || response.headers.get('Retry-After'), 10) || 60;
+                    return { success: false, error: result.error || 'Too many login attempts. Please try again later.', retryAfter };
+                }
                 throw new Error(`Failed to verify password: ${response.status}`);
             }
 
@@ -93,6 +97,30 @@ class AuthManager {
         }
     }
 
+    // Headers to send the session token with API requests
+    getAuthHeaders() {
+        return this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {};
+    }
+
+    // fetch() wrapper for /api routes: adds the session token and sends the
+    // user back to the login page if the server rejects it (expired or invalid)
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...this.getAuthHeaders()
+            }
+        });
+
+        if (response.status === 401) {
+            this.clearAuth();
+            this.requireAuth();
+        }
+
+        return response;
+    }
+
     requireAuth() {
         if (!this.isAuthenticated()) {
             // Store the current page so we can redirect back after login
@@ -131,11 +159,6 @@ class AuthManager {
     isStoreOwner() {
         return this.isAuthenticated() && this.authType === 'store';
     }
-
-    generateToken() {
-        // Generate a simple token (in production, server should generate JWT)
-        return 'auth_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
 }
 
 // Create global auth manager instance
@@ -0,0 +1,275 @@
+// Barcode scanning for the billing page and the order page
+// Products get their codes from the optional BARCODE column (several codes can be separated
+// by commas). Codes come in three ways:
+// - A keyboard-wedge scanner (USB/Bluetooth) "types" the code very fast and presses Enter.
+//   While the search box or no input has focus, listen() tells that apart from a person typing
+//   and hands over the code; in the search box the page checks Enter with matchProduct().
+// - The camera button scans with the browser's BarcodeDetector, or with the ZXing decoder
+//   (loaded on first use) where the browser has none.
+// - Weighing-scale labels: EAN-13 codes starting with 2, see matchScaleBarcode().
+const BARCODE_ZXING_URL = 'https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/umd/zxing-browser.min.js';
+// Subresource Integrity hash of that exact file - update both together
+const BARCODE_ZXING_INTEGRITY = 'sha384-ylLhng89kD62+PVK1cjm4rAYg69zDlGrbbSfAE2Eb8Xqf8RoAQCMcRoUXZh7pAPC';
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39'];
+const BARCODE_MIN_LENGTH = 6;
+const WEDGE_MAX_KEY_GAP_MS = 50; // Scanners type much faster than people
+
+// Weighing-scale EAN-13: 2 P CCCCC VVVVV K
+// 2P = prefix, CCCCC = item code, VVVVV = value, K = check digit. The product's BARCODE is the
+// first 7 digits (2PCCCCC). Prefixes 20-24 carry the weight in grams (the product's RATE is
+// per kg); 25-29 carry the price in paise.
+const SCALE_WEIGHT_PREFIXES = ['20', '21', '22', '23', '24'];
+
+class BarcodeScanner {
+    constructor() {
+        this.onScan = null;
+        this.buffer = '';
+        this.lastKeyAt = 0;
+        this.panel = null;
+        this.stopCamera = null; // Stops the running camera scan, if any
+        this.cameraSession = 0; // Bumped on close, so a scan still starting up knows it was closed
+    }
+
+    // Call onScan(code) for every code from a keyboard-wedge scanner or the camera
+    listen(onScan) {
+        this.onScan = onScan;
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    handleKeydown(e) {
+        const target = e.target;
+        const isField = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+        // Typing in a field is left alone (the search box checks its own Enter)
+        if (isField) {
+            this.buffer = '';
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastKeyAt > WEDGE_MAX_KEY_GAP_MS) {
+            this.buffer = '';
+        }
+        this.lastKeyAt = now;
+
+        if (e.key === 'Enter') {
+            const code = this.buffer;
+            this.buffer = '';
+            if (code.length >= BARCODE_MIN_LENGTH && this.onScan) {
+                e.preventDefault();
+                this.onScan(code);
+            }
+        } else if (e.key.length === 1) {
+            this.buffer += e.key;
+        }
+    }
+
+    // Looks like a scanned code rather than a product name
+    isBarcode(text) {
+        return new RegExp(`^[0-9A-Za-z-]{${BARCODE_MIN_LENGTH},}$`).test(String(text || '').trim());
+    }
+
+    // The product for a scanned code and the quantity to add, or null when nothing matches
+    // products: [{ name, rate, barcode }]
+    matchProduct(products, code) {
+        const scanned = String(code || '').trim();
+        const product = products.find(p => this.productCodes(p).includes(scanned));
+        if (product) {
+            return { product, quantity: 1 };
+        }
+        return this.matchScaleBarcode(products, scanned);
+    }
+
+    productCodes(product) {
+        return String(product.barcode || '').split(',').map(code => code.trim()).filter(code => code);
+    }
+
+    // Weighing-scale label: the weight (kg) or price divided by the rate becomes the quantity
+    matchScaleBarcode(products, code) {
+        if (!/^2\d{12}$/.test(code) || !this.hasValidCheckDigit(code)) {
+            return null;
+        }
+
+        const product = products.find(p => this.productCodes(p).includes(code.slice(0, 7)));
+        if (!product) {
+            return null;
+        }
+
+        const value = parseInt(code.slice(7, 12), 10);
+        if (SCALE_WEIGHT_PREFIXES.includes(code.slice(0, 2))) {
+            return { product, quantity: value / 1000 };
+        }
+        if (!(product.rate > 0)) {
+            return null;
+        }
+        return { product, quantity: Math.round((value / 100 / product.rate) * 1000) / 1000 };
+    }
+
+    // EAN-13 check digit: digits weighted 1,3,1,3,... from the left
+    hasValidCheckDigit(code) {
+        const digits = code.split('').map(Number);
+        const sum = digits.slice(0, 12).reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 1 : 3), 0);
+        return (10 - (sum % 10)) % 10 === digits[12];
+    }
+
+    // ---- Camera ----
+
+    async openCamera() {
+        this.setupPanel();
+        const status = this.panel.querySelector('.barcode-status');
+        status.textContent = 'Point the camera at a barcode';
+        this.panel.classList.add('active');
+        const session = this.cameraSession;
+
+        try {
+            if ('BarcodeDetector' in window) {
+                await this.scanWithDetector(session);
+            } else {
+                await this.scanWithZxing(session);
+            }
+        } catch (error) {
+            console.error('Error starting camera scan:', error);
+            status.textContent = `Camera not available: ${error.message || error}`;
+        }
+    }
+
+    closeCamera() {
+        this.cameraSession++;
+        if (this.stopCamera) {
+            this.stopCamera();
+            this.stopCamera = null;
+        }
+        if (this.panel) {
+            this.panel.classList.remove('active');
+        }
+    }
+
+    handleCameraCode(code) {
+        this.closeCamera();
+        if (this.onScan) {
+            this.onScan(code);
+        }
+    }
+
+    // `session` is this.cameraSession when the panel opened
+    async scanWithDetector(session) {
+        const supported = await BarcodeDetector.getSupportedFormats();
+        const detector = new BarcodeDetector({ formats: BARCODE_FORMATS.filter(format => supported.includes(format)) });
+        const video = this.panel.querySelector('.barcode-video');
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+
+        // The panel may have been closed while the browser asked for camera permission
+        if (session !== this.cameraSession) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        let running = true;
+        this.stopCamera = () => {
+            running = false;
+            stream.getTracks().forEach(track => track.stop());
+            video.srcObject = null;
+        };
+        video.srcObject = stream;
+        await video.play();
+
+        const detect = async () => {
+            if (!running) {
+                return;
+            }
+            try {
+                const codes = await detector.detect(video);
+                if (codes.length > 0 && running) {
+                    this.handleCameraCode(codes[0].rawValue);
+                    return;
+                }
+            } catch (error) {
+                // The video may not have a frame yet - try again
+            }
+            requestAnimationFrame(detect);
+        };
+        detect();
+    }
+
+    async scanWithZxing(session) {
+        if (!window.ZXingBrowser) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = BARCODE_ZXING_URL;
+                script.integrity = BARCODE_ZXING_INTEGRITY;
+                script.crossOrigin = 'anonymous';
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load the barcode decoder'));
+                document.head.appendChild(script);
+            });
+        }
+
+        const reader = new ZXingBrowser.BrowserMultiFormatReader();
+        const video = this.panel.querySelector('.barcode-video');
+        const controls = await reader.decodeFromConstraints({ video: { facingMode: 'environment' } }, video, (result) => {
+            if (result && this.stopCamera) {
+                this.handleCameraCode(result.getText());
+            }
+        });
+
+        // Closed while the decoder loaded or the browser asked for camera permission
+        if (session !== this.cameraSession) {
+            controls.stop();
+            return;
+        }
+        this.stopCamera = () => controls.stop();
+    }
+
+    setupPanel() {
+        if (this.panel) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .barcode-panel {
+                display: none;
+                position: fixed;
+                inset: 0;
+                z-index: 2500;
+                background-color: rgba(0, 0, 0, 0.8);
+                align-items: center;
+                justify-content: center;
+            }
+            .barcode-panel.active { display: flex; }
+            .barcode-panel-content {
+                background: #ffffff;
+                border-radius: 12px;
+                padding: 16px;
+                width: calc(100% - 32px);
+                max-width: 480px;
+            }
+            .barcode-panel-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; }
+            .barcode-panel-header h2 { font-size: 18px; margin: 0; }
+            .barcode-panel-close { background: none; border: none; font-size: 28px; cursor: pointer; line-height: 1; }
+            .barcode-video { width: 100%; border-radius: 8px; background: #000000; aspect-ratio: 4 / 3; object-fit: cover; }
+            .barcode-status { margin-top: 8px; font-size: 14px; color: #666666; text-align: center; }
+        `;
+        document.head.appendChild(style);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'barcode-panel';
+        this.panel.innerHTML = `
+            <div class="barcode-panel-content">
+                <div class="barcode-panel-header">
+                    <h2>Scan Barcode</h2>
+                    <button type="button" class="barcode-panel-close" title="Close">&times;</button>
+                </div>
+                <video class="barcode-video" playsinline muted></video>
+                <p class="barcode-status"></p>
+            </div>
+        `;
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel || e.target.classList.contains('barcode-panel-close')) {
+                this.closeCamera();
+            }
+        });
+        document.body.appendChild(this.panel);
+    }
+}
+
+const barcodeScanner = new BarcodeScanner();
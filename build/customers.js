@@ -11,6 +11,33 @@ const PENDING_ORDERS_CACHE_TIMESTAMP_KEY = 'pendingOrdersCacheTimestamp';
 const SPECIAL_PRICES_CACHE_KEY = 'specialPricesCache';
 const SPECIAL_PRICES_CACHE_TIMESTAMP_KEY = 'specialPricesCacheTimestamp';
 const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
+const PAYMENT_RECORDED_BY_KEY = 'paymentRecordedBy'; // Name last typed in the payment modal on this device
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI',
+    card: 'Card',
+    bank: 'Bank transfer',
+    'credit-note': 'Credit note'
+};
+// Order statuses (see lib/storage/orders.mjs)
+const ORDER_STATUS_LABELS = {
+    'placed': 'New',
+    'accepted': 'Accepted',
+    'packed': 'Packed',
+    'ready': 'Ready for pickup',
+    'out-for-delivery': 'Out for delivery',
+    'completed': 'Completed',
+    'rejected': 'Declined',
+    'cancelled': 'Cancelled'
+};
+// The next stages the order queue offers for each status, with their button labels
+const ORDER_NEXT_STATUSES = {
+    'placed': { accepted: 'Accept', rejected: 'Decline' },
+    'accepted': { packed: 'Packed', ready: 'Ready', 'out-for-delivery': 'Out for delivery', completed: 'Completed' },
+    'packed': { ready: 'Ready', 'out-for-delivery': 'Out for delivery', completed: 'Completed' },
+    'ready': { completed: 'Completed' },
+    'out-for-delivery': { completed: 'Completed' }
+};
 
 class CustomersManager {
     constructor() {
@@ -19,14 +46,29 @@ class CustomersManager {
         this.receipts = [];
         this.currentCustomer = null;
         this.currentReceipt = null;
-        this.currentReceiptIndex = null;
+        this.currentReceiptId = null;
         this.cacheRefreshInterval = null;
         this.pendingDelete = null; // Store pending deletion info
         this.products = []; // Store products for profit margin calculation
-        this.pendingOrders = {}; // Map of customer name to order data
-        this.pendingOrderCustomer = null; // Customer name for pending order approval
+        this.orderQueue = []; // Orders still on their way (/api/orders?active=1), newest first
+        this.orderQueueCustomer = ''; // Customer the order queue modal is showing ('' for everyone)
+        this.approvalOrderId = null; // Order open in the order view modal
+        this.updatingOrderId = null; // Order whose status is being changed (ignores repeated taps)
         this.specialPrices = {}; // Map of customer name to special prices { productName: price }
+        this.specialPricesVersions = {}; // Map of customer name to special prices version (PRICES_VERSION)
+        this.advanceCredit = {}; // Map of customer name to advance credit { balance, entries } (ADVANCE)
+        this.pendingPaymentChange = null; // Payment or reversal kept aside after a version conflict
+        this.pendingSpecialPricesChange = null; // Special prices kept aside after a version conflict
         this.currentSpecialPricesCustomer = null; // Customer name for special prices modal
+        this.portalAccess = {}; // Map of customer name to true if they have a portal password
+        this.currentPasswordCustomer = null; // Customer name for portal password modal
+        this.customerGstins = {}; // Map of customer name to GSTIN (GSTIN), printed on their tax invoices
+        this.returnReceipt = null; // Receipt whose items are being returned in the return modal
+        this.returnId = null; // Id of the credit note being issued (kept for retries)
+        this.amendReceiptId = null; // Id of the receipt open in the edit receipt modal
+        this.amendItems = []; // Items being edited: copies of the receipt's items, changed as the user types
+        this.amendId = null; // Id of the amendment being saved (kept for retries)
+        this.restoringBinId = null; // Recycle bin entry being restored (ignores repeated taps)
         this.init();
     }
     
@@ -79,15 +121,19 @@ class CustomersManager {
                 }
             }
             
-            // Calculate profit margin for this item
+            // Calculate profit margin for this item (after its discount, if any)
             const itemRate = parseFloat(item.rate) || 0;
             const itemQuantity = parseFloat(item.quantity) || 0;
-            const profitPerUnit = itemRate - purchaseCost;
-            const profitMargin = profitPerUnit * itemQuantity;
+            const itemDiscount = (item.discount && parseFloat(item.discount.amount)) || 0;
+            const profitMargin = itemRate * itemQuantity - itemDiscount - purchaseCost * itemQuantity;
             totalProfitMargin += profitMargin;
         });
         
-        return totalProfitMargin;
+        // The bill discount comes off the profit of the whole receipt, and so does GST
+        // collected inside the prices
+        const billDiscount = (receipt.billDiscount && parseFloat(receipt.billDiscount.amount)) || 0;
+        const includedTax = (receipt.gst && receipt.gst.pricesIncludeTax && parseFloat(receipt.gst.totalTax)) || 0;
+        return totalProfitMargin - billDiscount - includedTax;
     }
 
     async init() {
@@ -126,6 +172,12 @@ class CustomersManager {
         // 2. Fresh data is fetched (when cache is missing or stale)
         // 3. Every 5 minutes (automatic flush and replace)
         this.setupPeriodicRefresh();
+        
+        // Open a customer's receipts directly (the aging report links to customers.html?customer=NAME)
+        const linkedCustomer = new URLSearchParams(window.location.search).get('customer');
+        if (linkedCustomer) {
+            await this.selectCustomer(linkedCustomer);
+        }
     }
     
     // Load pending orders from Customer Orders sheet
@@ -160,8 +212,12 @@ class CustomersManager {
             
             if (cachedData) {
                 const parsed = JSON.parse(cachedData);
-                this.pendingOrders = parsed.pendingOrders || {};
+                this.orderQueue = parsed.orderQueue || [];
                 this.specialPrices = parsed.specialPrices || {};
+                this.specialPricesVersions = parsed.specialPricesVersions || {};
+                this.advanceCredit = parsed.advanceCredit || {};
+                this.portalAccess = parsed.portalAccess || {};
+                this.customerGstins = parsed.customerGstins || {};
                 
                 // Also load special prices if available separately
                 if (cachedSpecialPrices) {
@@ -173,7 +229,7 @@ class CustomersManager {
                     }
                 }
                 
-                console.log(`Loaded ${Object.keys(this.pendingOrders).length} pending orders and ${Object.keys(this.specialPrices).length} special price sets from cache`);
+                console.log(`Loaded ${this.orderQueue.length} active orders and ${Object.keys(this.specialPrices).length} special price sets from cache`);
                 return true;
             }
             return false;
@@ -204,8 +260,12 @@ class CustomersManager {
     savePendingOrdersToCache() {
         try {
             const cacheData = {
-                pendingOrders: this.pendingOrders,
-                specialPrices: this.specialPrices
+                orderQueue: this.orderQueue,
+                specialPrices: this.specialPrices,
+                specialPricesVersions: this.specialPricesVersions,
+                advanceCredit: this.advanceCredit,
+                portalAccess: this.portalAccess,
+                customerGstins: this.customerGstins
             };
             localStorage.setItem(PENDING_ORDERS_CACHE_KEY, JSON.stringify(cacheData));
             localStorage.setItem(PENDING_ORDERS_CACHE_TIMESTAMP_KEY, Date.now().toString());
@@ -218,10 +278,27 @@ class CustomersManager {
         }
     }
     
+    // Orders still on their way, for the badges and the order queue
+    async fetchOrderQueue() {
+        const response = await authManager.apiFetch(`/api/orders?active=1&limit=500&t=${Date.now()}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `Failed to load orders: ${response.status}`);
+        }
+        this.orderQueue = result.orders || [];
+    }
+    
     // Load pending orders from server
     async loadPendingOrdersFromServer() {
         try {
-            const response = await fetch('/api/customer-orders');
+            await this.fetchOrderQueue();
+        } catch (error) {
+            // Keep the queue we already have
+            console.error('Error loading order queue:', error);
+        }
+        
+        try {
+            const response = await authManager.apiFetch('/api/customer-orders');
             if (!response.ok) {
                 console.warn('Failed to load customer orders');
                 // Try to use cache if fetch fails
@@ -230,8 +307,11 @@ class CustomersManager {
             }
             
             const csvText = await response.text();
-            this.pendingOrders = {};
             this.specialPrices = {};
+            this.specialPricesVersions = {};
+            this.advanceCredit = {};
+            this.portalAccess = {};
+            this.customerGstins = {};
             
             Papa.parse(csvText, {
                 header: false,
@@ -246,25 +326,19 @@ class CustomersManager {
                         const row = results.data[i];
                         if (row.length >= 3) {
                             // First column: customer name
-                            // Second column: password
-                            // Third column: order JSON
+                            // Second column: HAS_PASSWORD (YES if a portal password is set)
+                            // Third column: ORDER (no longer used - orders come from /api/orders)
                             // Fourth column: special prices JSON (optional)
+                            // Fifth column: special prices version (optional, empty means 0)
+                            // Sixth column: advance credit JSON { balance, entries } (optional)
+                            // Seventh column: GSTIN (optional)
                             const customerName = String(row[0] || '').trim();
-                            const orderJson = String(row[2] || '').trim();
+                            if (customerName && String(row[1] || '').trim() === 'YES') {
+                                this.portalAccess[customerName] = true;
+                            }
                             const specialPricesJson = String(row[3] || '').trim();
-                            
-                            if (customerName && orderJson) {
-                                try {
-                                    let orderData = orderJson;
-                                    if (orderData.startsWith('"') && orderData.endsWith('"')) {
-                                        orderData = orderData.slice(1, -1);
-                                    }
-                                    orderData = orderData.replace(/""/g, '"');
-                                    const order = JSON.parse(orderData);
-                                    this.pendingOrders[customerName] = order;
-                                } catch (e) {
-                                    console.error('Error parsing order JSON for', customerName, ':', e);
-                                }
+                            if (customerName) {
+                                this.specialPricesVersions[customerName] = parseInt(row[4], 10) || 0;
                             }
                             
                             // Load special prices (column 4)
@@ -284,6 +358,21 @@ class CustomersManager {
                             } else if (customerName) {
                                 this.specialPrices[customerName] = {};
                             }
+                            
+                            // Load advance credit (column 6)
+                            const advanceJson = String(row[5] || '').trim();
+                            if (customerName && advanceJson) {
+                                try {
+                                    this.advanceCredit[customerName] = JSON.parse(advanceJson);
+                                } catch (e) {
+                                    console.error('Error parsing advance credit JSON for', customerName, ':', e);
+                                }
+                            }
+                            
+                            const gstin = String(row[6] || '').trim();
+                            if (customerName && gstin) {
+                                this.customerGstins[customerName] = gstin;
+                            }
                         }
                     }
                     
@@ -491,8 +580,38 @@ class CustomersManager {
         }
     }
     
+    // Parse a receipt cell from the cached CSV (handles double-encoded JSON)
+    parseCachedReceipt(receiptJson) {
+        let receiptData = typeof receiptJson === 'string' ? JSON.parse(receiptJson) : receiptJson;
+        if (typeof receiptData === 'string') {
+            receiptData = JSON.parse(receiptData);
+        }
+        return receiptData;
+    }
+    
+    // Find the cached receipt column holding the receipt with this id
+    // Returns { field, receipt } or null
+    findCachedReceipt(customerRow, receiptColumns, receiptId) {
+        for (const field of receiptColumns) {
+            const receiptJson = customerRow[field];
+            if (!receiptJson || !receiptJson.trim() || !receiptJson.includes(receiptId)) {
+                continue;
+            }
+            try {
+                const receipt = this.parseCachedReceipt(receiptJson);
+                if (receipt && receipt.id === receiptId) {
+                    return { field, receipt };
+                }
+            } catch (e) {
+                console.error('Error parsing receipt JSON from cache:', e);
+            }
+        }
+        return null;
+    }
+    
     // Update customers cache with payment information
-    updateCustomersCacheWithPayment(customerName, receiptIndex, payments) {
+    // `ledger`: { paymentEntries, payments, remainingBalance, version } as returned by the server
+    updateCustomersCacheWithPayment(customerName, receiptId, ledger) {
         try {
             // Get cached CSV data
             const cachedCsv = localStorage.getItem(CUSTOMERS_CACHE_KEY);
@@ -530,46 +649,18 @@ class CustomersManager {
                         return;
                     }
                     
-                    // Get the receipt at the specified index (receiptIndex corresponds to column position)
-                    // Receipt columns are: RECEIPT (index 0), RECEIPT2 (index 1), etc.
-                    let receiptField = null;
-                    if (receiptIndex === 0) {
-                        receiptField = receiptColumns[0]; // First receipt column
-                    } else {
-                        // Find the receipt column at the specified index
-                        const receiptFieldName = receiptIndex === 1 ? 'RECEIPT' : `RECEIPT${receiptIndex}`;
-                        receiptField = receiptColumns.find(col => col.toUpperCase() === receiptFieldName.toUpperCase());
-                        if (!receiptField && receiptColumns[receiptIndex]) {
-                            receiptField = receiptColumns[receiptIndex];
-                        }
-                    }
-                    
-                    if (!receiptField || !customerRow[receiptField]) {
-                        console.warn('Receipt not found in cache at specified index');
+                    // Find the receipt by id (its column changes as receipts are added or deleted)
+                    const cached = this.findCachedReceipt(customerRow, receiptColumns, receiptId);
+                    if (!cached) {
+                        console.warn('Receipt not found in cache:', receiptId);
                         return;
                     }
                     
-                    // Parse existing receipt JSON
-                    let receiptData;
-                    try {
-                        const receiptJson = customerRow[receiptField];
-                        // Handle double-encoded JSON
-                        receiptData = typeof receiptJson === 'string' ? JSON.parse(receiptJson) : receiptJson;
-                        if (typeof receiptData === 'string') {
-                            receiptData = JSON.parse(receiptData);
-                        }
-                    } catch (e) {
-                        console.error('Error parsing receipt JSON from cache:', e);
-                        return;
-                    }
+                    const receiptField = cached.field;
+                    const receiptData = cached.receipt;
                     
                     // Update payment information
-                    receiptData.payments = {
-                        cash: payments.cash || 0,
-                        online: payments.online || 0
-                    };
-                    const totalPaid = receiptData.payments.cash + receiptData.payments.online;
-                    receiptData.remainingBalance = receiptData.grandTotal - totalPaid;
+                    Object.assign(receiptData, ledger);
                     
                     // Save back to cache
                     customerRow[receiptField] = JSON.stringify(receiptData);
@@ -690,6 +781,263 @@ class CustomersManager {
             });
         }
         
+        // Customer portal password modal event listeners
+        const closeCustomerPasswordModal = document.getElementById('closeCustomerPasswordModal');
+        const customerPasswordForm = document.getElementById('customerPasswordForm');
+        const resetCustomerPasswordBtn = document.getElementById('resetCustomerPasswordBtn');
+        const revokeCustomerPasswordBtn = document.getElementById('revokeCustomerPasswordBtn');
+        const customerPasswordModal = document.getElementById('customerPasswordModal');
+        
+        if (closeCustomerPasswordModal) {
+            closeCustomerPasswordModal.addEventListener('click', () => {
+                this.closeCustomerPasswordModal();
+            });
+        }
+        
+        if (customerPasswordForm) {
+            customerPasswordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.updateCustomerPassword('set');
+            });
+        }
+        
+        if (resetCustomerPasswordBtn) {
+            resetCustomerPasswordBtn.addEventListener('click', () => {
+                this.updateCustomerPassword('reset');
+            });
+        }
+        
+        if (revokeCustomerPasswordBtn) {
+            revokeCustomerPasswordBtn.addEventListener('click', () => {
+                this.updateCustomerPassword('revoke');
+            });
+        }
+        
+        if (customerPasswordModal) {
+            customerPasswordModal.addEventListener('click', (e) => {
+                if (e.target === customerPasswordModal) {
+                    this.closeCustomerPasswordModal();
+                }
+            });
+        }
+        
+        // Customer GSTIN modal event listeners
+        const closeCustomerGstinModal = document.getElementById('closeCustomerGstinModal');
+        const customerGstinForm = document.getElementById('customerGstinForm');
+        const clearCustomerGstinBtn = document.getElementById('clearCustomerGstinBtn');
+        const customerGstinModal = document.getElementById('customerGstinModal');
+        
+        if (closeCustomerGstinModal) {
+            closeCustomerGstinModal.addEventListener('click', () => {
+                this.closeCustomerGstinModal();
+            });
+        }
+        
+        if (customerGstinForm) {
+            customerGstinForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCustomerGstin(false);
+            });
+        }
+        
+        if (clearCustomerGstinBtn) {
+            clearCustomerGstinBtn.addEventListener('click', () => {
+                this.saveCustomerGstin(true);
+            });
+        }
+        
+        if (customerGstinModal) {
+            customerGstinModal.addEventListener('click', (e) => {
+                if (e.target === customerGstinModal) {
+                    this.closeCustomerGstinModal();
+                }
+            });
+        }
+        
+        // Return items modal event listeners
+        const closeReturnModal = document.getElementById('closeReturnModal');
+        const cancelReturnBtn = document.getElementById('cancelReturnBtn');
+        const returnForm = document.getElementById('returnForm');
+        const returnModal = document.getElementById('returnModal');
+        
+        if (closeReturnModal) {
+            closeReturnModal.addEventListener('click', () => {
+                this.closeReturnModal();
+            });
+        }
+        
+        if (cancelReturnBtn) {
+            cancelReturnBtn.addEventListener('click', () => {
+                this.closeReturnModal();
+            });
+        }
+        
+        if (returnForm) {
+            returnForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveReturn();
+            });
+        }
+        
+        if (returnModal) {
+            returnModal.addEventListener('click', (e) => {
+                if (e.target === returnModal) {
+                    this.closeReturnModal();
+                }
+            });
+        }
+        
+        // Edit receipt modal event listeners
+        const closeAmendModal = document.getElementById('closeAmendModal');
+        const cancelAmendBtn = document.getElementById('cancelAmendBtn');
+        const amendForm = document.getElementById('amendForm');
+        const amendAddItemBtn = document.getElementById('amendAddItemBtn');
+        const amendModal = document.getElementById('amendModal');
+        
+        if (closeAmendModal) {
+            closeAmendModal.addEventListener('click', () => {
+                this.closeAmendModal();
+            });
+        }
+        
+        if (cancelAmendBtn) {
+            cancelAmendBtn.addEventListener('click', () => {
+                this.closeAmendModal();
+            });
+        }
+        
+        if (amendForm) {
+            amendForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveAmendedReceipt();
+            });
+        }
+        
+        if (amendAddItemBtn) {
+            amendAddItemBtn.addEventListener('click', () => {
+                this.addAmendItem();
+            });
+        }
+        
+        if (amendModal) {
+            amendModal.addEventListener('click', (e) => {
+                if (e.target === amendModal) {
+                    this.closeAmendModal();
+                }
+            });
+        }
+        
+        // Receipt history modal event listeners
+        const closeReceiptHistoryModal = document.getElementById('closeReceiptHistoryModal');
+        const receiptHistoryModal = document.getElementById('receiptHistoryModal');
+        
+        if (closeReceiptHistoryModal) {
+            closeReceiptHistoryModal.addEventListener('click', () => {
+                this.closeReceiptHistoryModal();
+            });
+        }
+        
+        if (receiptHistoryModal) {
+            receiptHistoryModal.addEventListener('click', (e) => {
+                if (e.target === receiptHistoryModal) {
+                    this.closeReceiptHistoryModal();
+                }
+            });
+        }
+        
+        // Order queue modal event listeners
+        const orderQueueBtn = document.getElementById('orderQueueBtn');
+        const closeOrderQueueModal = document.getElementById('closeOrderQueueModal');
+        const orderQueueModal = document.getElementById('orderQueueModal');
+        
+        if (orderQueueBtn) {
+            orderQueueBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showOrderQueue();
+            });
+        }
+        
+        if (closeOrderQueueModal) {
+            closeOrderQueueModal.addEventListener('click', () => {
+                this.closeOrderQueueModal();
+            });
+        }
+        
+        if (orderQueueModal) {
+            orderQueueModal.addEventListener('click', (e) => {
+                if (e.target === orderQueueModal) {
+                    this.closeOrderQueueModal();
+                }
+            });
+        }
+        
+        // Recycle bin modal event listeners
+        const recycleBinBtn = document.getElementById('recycleBinBtn');
+        const closeRecycleBinModal = document.getElementById('closeRecycleBinModal');
+        const recycleBinModal = document.getElementById('recycleBinModal');
+        
+        if (recycleBinBtn) {
+            recycleBinBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showRecycleBin();
+            });
+        }
+        
+        if (closeRecycleBinModal) {
+            closeRecycleBinModal.addEventListener('click', () => {
+                this.closeRecycleBinModal();
+            });
+        }
+        
+        if (recycleBinModal) {
+            recycleBinModal.addEventListener('click', (e) => {
+                if (e.target === recycleBinModal) {
+                    this.closeRecycleBinModal();
+                }
+            });
+        }
+        
+        // Receive payment modal event listeners
+        const closeReceivePaymentModal = document.getElementById('closeReceivePaymentModal');
+        const cancelReceivePaymentBtn = document.getElementById('cancelReceivePaymentBtn');
+        const receivePaymentForm = document.getElementById('receivePaymentForm');
+        const receivePaymentAmount = document.getElementById('receivePaymentAmount');
+        const receivePaymentModal = document.getElementById('receivePaymentModal');
+        
+        if (closeReceivePaymentModal) {
+            closeReceivePaymentModal.addEventListener('click', () => {
+                this.closeReceivePaymentModal();
+            });
+        }
+        
+        if (cancelReceivePaymentBtn) {
+            cancelReceivePaymentBtn.addEventListener('click', () => {
+                this.closeReceivePaymentModal();
+            });
+        }
+        
+        if (receivePaymentForm) {
+            receivePaymentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveReceivedPayment();
+            });
+        }
+        
+        // Changing the amount splits it across the bills again
+        if (receivePaymentAmount) {
+            receivePaymentAmount.addEventListener('input', () => {
+                this.allocateReceivedPayment();
+            });
+        }
+        
+        if (receivePaymentModal) {
+            receivePaymentModal.addEventListener('click', (e) => {
+                if (e.target === receivePaymentModal) {
+                    this.closeReceivePaymentModal();
+                }
+            });
+        }
+        
         // Special prices modal event listeners
         const closeSpecialPricesModal = document.getElementById('closeSpecialPricesModal');
         const cancelSpecialPricesBtn = document.getElementById('cancelSpecialPricesBtn');
@@ -808,7 +1156,7 @@ class CustomersManager {
             this.showLoading();
         }
         try {
-            const response = await fetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
+            const response = await authManager.apiFetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
             if (!response.ok) {
                 throw new Error(`Failed to fetch customers: ${response.status}`);
             }
@@ -910,7 +1258,7 @@ class CustomersManager {
                 // No cache available - only fetch if cache is completely missing
                 // This should rarely happen as cache is created on page load
                 console.warn('No customers cache found, fetching from server...');
-                const response = await fetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
+                const response = await authManager.apiFetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
                 if (!response.ok) {
                     throw new Error(`Failed to fetch receipts: ${response.status}`);
                 }
@@ -1022,7 +1370,8 @@ class CustomersManager {
                                     receiptJson = receiptJson.replace(/""/g, '"');
                                     
                                     const receipt = JSON.parse(receiptJson);
-                                    // Store the original column index with the receipt
+                                    // Store the original column index with the receipt (display order only -
+                                    // payments and deletes address the receipt by its id)
                                     receipt._originalIndex = receiptColumnIndex;
                                     
                                     // Ensure profitMargin is a number (handle string conversions from CSV)
@@ -1081,6 +1430,7 @@ class CustomersManager {
 
     displayCustomers() {
         const customersList = document.getElementById('customersList');
+        this.updateOrderQueueButton();
         
         if (!this.customers || this.customers.length === 0) {
             customersList.innerHTML = `
@@ -1108,18 +1458,22 @@ class CustomersManager {
                 const customerName = String(customer.name || '').trim();
                 if (!customerName) return '';
                 const escapedCustomerName = this.escapeHtml(customerName).replace(/'/g, "\\'");
-                const hasPendingOrder = this.pendingOrders[customerName] !== undefined;
+                const newOrders = this.getNewOrders(customerName).length;
+                const hasPortalAccess = this.portalAccess[customerName] === true;
                 return `
                     <div class="customer-card">
                         <div class="customer-card-content" onclick="customersManager.selectCustomer('${escapedCustomerName}')">
                             <div class="customer-name">${this.escapeHtml(customerName)}</div>
                             <div class="customer-receipt-count">Click to view receipts</div>
-                            ${hasPendingOrder ? `
-                                <div class="pending-order-badge" onclick="event.stopPropagation(); customersManager.showOrderApproval('${escapedCustomerName}')">
-                                    New Order
+                            ${newOrders > 0 ? `
+                                <div class="pending-order-badge" onclick="event.stopPropagation(); customersManager.showOrderQueue('${escapedCustomerName}')">
+                                    ${newOrders} New Order${newOrders === 1 ? '' : 's'}
                                 </div>
                             ` : ''}
                         </div>
+                        <button class="password-customer-btn${hasPortalAccess ? ' has-password' : ''}" onclick="event.stopPropagation(); customersManager.showCustomerPasswordModal('${escapedCustomerName}')" title="Portal Password">
+                            🔑
+                        </button>
                         <button class="settings-customer-btn" onclick="event.stopPropagation(); customersManager.showSpecialPricesModal('${escapedCustomerName}')" title="Special Prices">
                             ₹
                         </button>
@@ -1133,14 +1487,88 @@ class CustomersManager {
             .join('');
     }
     
-    // Show order approval modal
-    showOrderApproval(customerName) {
-        const order = this.pendingOrders[customerName];
+    // Placed orders waiting for the store to accept or decline them
+    getNewOrders(customerName) {
+        const name = String(customerName || '').trim().toUpperCase();
+        return this.orderQueue.filter(order =>
+            order.status === 'placed' && String(order.customerName || '').trim().toUpperCase() === name);
+    }
+    
+    updateOrderQueueButton() {
+        const button = document.getElementById('orderQueueBtn');
+        if (button) {
+            const newOrders = this.orderQueue.filter(order => order.status === 'placed').length;
+            button.textContent = newOrders > 0 ? `Orders (${newOrders} new)` : 'Orders';
+        }
+    }
+    
+    // Order queue: every order still on their way (or one customer's), fetched fresh
+    async showOrderQueue(customerName = '') {
+        this.orderQueueCustomer = customerName;
+        const container = document.getElementById('orderQueueEntries');
+        container.innerHTML = '<div class="payment-entries-empty">Loading...</div>';
+        document.getElementById('orderQueueModal').classList.add('active');
+        
+        try {
+            await this.fetchOrderQueue();
+            this.savePendingOrdersToCache();
+            this.displayCustomers();
+            this.displayOrderQueue();
+        } catch (error) {
+            console.error('Error loading order queue:', error);
+            container.innerHTML = `<div class="payment-entries-empty">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    displayOrderQueue() {
+        const container = document.getElementById('orderQueueEntries');
+        const name = this.orderQueueCustomer.toUpperCase();
+        const orders = this.orderQueue.filter(order => !name || String(order.customerName || '').trim().toUpperCase() === name);
+        const showAll = name
+            ? `<button type="button" class="order-status-btn" onclick="customersManager.showOrderQueue()">Show all orders</button>`
+            : '';
+        
+        if (orders.length === 0) {
+            container.innerHTML = `<div class="payment-entries-empty">No orders waiting${name ? ` for ${this.escapeHtml(this.orderQueueCustomer)}` : ''}.</div>${showAll}`;
+            return;
+        }
+        
+        container.innerHTML = orders.map(order => {
+            const nextStatuses = ORDER_NEXT_STATUSES[order.status] || {};
+            const itemCount = (order.items || []).length;
+            const placedAt = order.placedAt ? new Date(order.placedAt).toLocaleString('en-IN') : `${order.date || ''} ${order.time || ''}`.trim();
+            const buttons = Object.entries(nextStatuses).map(([status, label]) =>
+                `<button type="button" class="order-status-btn" onclick="customersManager.updateOrderStatus('${this.escapeHtml(order.id)}', '${status}')">${this.escapeHtml(label)}</button>`
+            ).join('');
+            
+            return `
+                <div class="payment-entry order-queue-entry">
+                    <div>
+                        <div class="payment-entry-amount">₹${this.formatCurrency(order.grandTotal || 0)} · ${this.escapeHtml(order.customerName)}</div>
+                        <div class="payment-entry-meta">${itemCount} item${itemCount === 1 ? '' : 's'} · placed ${this.escapeHtml(placedAt)}</div>
+                        <div class="payment-entry-meta">Status: ${this.escapeHtml(ORDER_STATUS_LABELS[order.status] || order.status)}</div>
+                    </div>
+                    <div class="order-queue-actions">
+                        <button type="button" class="order-status-btn" onclick="customersManager.showOrderApproval('${this.escapeHtml(order.id)}')">View</button>
+                        ${buttons}
+                    </div>
+                </div>
+            `;
+        }).join('') + showAll;
+    }
+    
+    closeOrderQueueModal() {
+        document.getElementById('orderQueueModal').classList.remove('active');
+    }
+    
+    // Show an order in receipt format; a new order can be accepted or declined from here
+    showOrderApproval(orderId) {
+        const order = this.orderQueue.find(o => o.id === orderId);
         if (!order) {
             return;
         }
         
-        this.pendingOrderCustomer = customerName;
+        this.approvalOrderId = orderId;
         
         // Create or show approval modal
         let modal = document.getElementById('orderApprovalModal');
@@ -1167,10 +1595,10 @@ class CustomersManager {
                 this.closeOrderApprovalModal();
             });
             document.getElementById('approveOrderBtn').addEventListener('click', () => {
-                this.approveOrder(true);
+                this.updateOrderStatus(this.approvalOrderId, 'accepted');
             });
             document.getElementById('disapproveOrderBtn').addEventListener('click', () => {
-                this.approveOrder(false);
+                this.updateOrderStatus(this.approvalOrderId, 'rejected');
             });
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
@@ -1179,6 +1607,11 @@ class CustomersManager {
             });
         }
         
+        // Only new orders can still be accepted or declined
+        const isNew = order.status === 'placed';
+        document.getElementById('approveOrderBtn').style.display = isNew ? '' : 'none';
+        document.getElementById('disapproveOrderBtn').style.display = isNew ? '' : 'none';
+        
         // Display order as receipt format
         const content = document.getElementById('orderApprovalContent');
         if (content) {
@@ -1225,7 +1658,7 @@ class CustomersManager {
             
             const receiptLines = [
                 order.storeName || "SHREEJI'S STORE",
-                `Customer: ${customerName.toUpperCase()}`,
+                `Customer: ${String(order.customerName || '').toUpperCase()}`,
                 '',
                 `Date: ${order.date || 'N/A'}`,
                 `Time: ${order.time || 'N/A'}`,
@@ -1238,7 +1671,7 @@ class CustomersManager {
                 `${totalLabel}${totalValue}`,
                 '·'.repeat(separatorWidth),
                 '',
-                'Order Pending Approval'
+                `Order ${ORDER_STATUS_LABELS[order.status] || order.status}`
             ];
             
             // Set receipt content directly (content already has receipt-content class)
@@ -1253,60 +1686,62 @@ class CustomersManager {
         if (modal) {
             modal.style.display = 'none';
         }
-        this.pendingOrderCustomer = null;
+        this.approvalOrderId = null;
     }
     
-    async approveOrder(approved) {
-        if (!this.pendingOrderCustomer) {
+    // Move an order to its next stage; accepting it makes it a receipt, so customers are reloaded
+    async updateOrderStatus(orderId, status) {
+        const order = this.orderQueue.find(o => o.id === orderId);
+        if (!order || this.updatingOrderId) {
             return;
         }
+        this.updatingOrderId = orderId;
         
         this.showLoading();
         try {
-            const response = await fetch('/api/approve-order', {
+            const response = await authManager.apiFetch('/api/update-order-status', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    customerName: this.pendingOrderCustomer,
-                    approved: approved
+                    customerName: order.customerName,
+                    orderId,
+                    status
                 })
             });
+            const result = await response.json().catch(() => ({}));
             
-            if (!response.ok) {
-                throw new Error(`Failed to ${approved ? 'approve' : 'disapprove'} order: ${response.status}`);
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to update order: ${response.status}`);
             }
             
-            const result = await response.json();
-            if (result.success) {
-                // Remove from pending orders
-                delete this.pendingOrders[this.pendingOrderCustomer];
-                
-                // Update cache immediately so the page feels responsive
-                this.savePendingOrdersToCache();
-                
-                // Refresh display
-                this.displayCustomers();
-                
-                // Reload customers cache if order was approved
-                if (approved) {
-                    // Clear cache to force refresh
-                    localStorage.removeItem(CUSTOMERS_CACHE_KEY);
-                    localStorage.removeItem(CUSTOMERS_CACHE_KEY_PARSED);
-                    localStorage.removeItem(CUSTOMERS_CACHE_TIMESTAMP_KEY);
-                    await this.loadCustomers(true);
-                }
-                
+            // Finished orders leave the queue
+            this.orderQueue = this.orderQueue
+                .map(o => o.id === orderId ? result.order : o)
+                .filter(o => ORDER_NEXT_STATUSES[o.status]);
+            
+            // Update cache immediately so the page feels responsive
+            this.savePendingOrdersToCache();
+            this.displayCustomers();
+            this.displayOrderQueue();
+            if (this.approvalOrderId === orderId) {
                 this.closeOrderApprovalModal();
-            } else {
-                throw new Error(result.error || `Failed to ${approved ? 'approve' : 'disapprove'} order`);
+            }
+            
+            if (status === 'accepted') {
+                // Clear cache to force refresh
+                localStorage.removeItem(CUSTOMERS_CACHE_KEY);
+                localStorage.removeItem(CUSTOMERS_CACHE_KEY_PARSED);
+                localStorage.removeItem(CUSTOMERS_CACHE_TIMESTAMP_KEY);
+                await this.loadCustomers(true);
             }
         } catch (error) {
-            console.error('Error approving/disapproving order:', error);
-            alert(`Failed to ${approved ? 'approve' : 'disapprove'} order. Please try again.`);
+            console.error('Error updating order status:', error);
+            alert(error.message || 'Failed to update the order. Please try again.');
         } finally {
             this.hideLoading();
+            this.updatingOrderId = null;
         }
     }
 
@@ -1328,13 +1763,17 @@ class CustomersManager {
     }
     
     // Delete a receipt - show confirmation modal
-    deleteReceipt(customerName, receiptIndex, displayIndex) {
+    deleteReceipt(customerName, receiptId) {
+        if (!receiptId) {
+            this.alertMissingReceiptId();
+            return;
+        }
+        
         // Store deletion info for confirmation
         this.pendingDelete = {
             type: 'receipt',
             customerName: customerName,
-            receiptIndex: receiptIndex,
-            displayIndex: displayIndex
+            receiptId: receiptId
         };
         
         // Show confirmation modal
@@ -1350,10 +1789,10 @@ class CustomersManager {
         if (modal && this.pendingDelete) {
             if (this.pendingDelete.type === 'customer') {
                 modalTitle.textContent = 'Delete Customer';
-                modalBody.textContent = `Are you sure you want to delete customer "${this.pendingDelete.customerName}"? This will delete all their receipts. This action cannot be undone.`;
+                modalBody.textContent = `Are you sure you want to delete customer "${this.pendingDelete.customerName}"? This will delete all their receipts. You can restore them from the Recycle Bin.`;
             } else {
                 modalTitle.textContent = 'Delete Receipt';
-                modalBody.textContent = 'Are you sure you want to delete this receipt? This action cannot be undone.';
+                modalBody.textContent = 'Are you sure you want to delete this receipt? You can restore it from the Recycle Bin.';
             }
             modal.classList.add('active');
         }
@@ -1392,7 +1831,7 @@ class CustomersManager {
         
         this.showLoading();
         try {
-            const response = await fetch('/api/delete-customer', {
+            const response = await authManager.apiFetch('/api/delete-customer', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1450,62 +1889,25 @@ class CustomersManager {
             return;
         }
         
-        const { customerName, receiptIndex, displayIndex } = this.pendingDelete;
+        const { customerName, receiptId } = this.pendingDelete;
         this.closeDeleteConfirmModal();
         
         this.showLoading();
         try {
-            // First, get the sorted receipts to find the correct receipt by display index
-            const sortedReceipts = [...this.receipts].sort((a, b) => {
-                const dateA = this.parseDate(a.date);
-                const dateB = this.parseDate(b.date);
-                if (dateA !== dateB) {
-                    return dateB - dateA;
-                }
-                const timeA = this.parseTime(a.time || '');
-                const timeB = this.parseTime(b.time || '');
-                if (timeA !== timeB) {
-                    return timeB - timeA;
-                }
-                const indexA = a._originalIndex !== undefined ? a._originalIndex : 999;
-                const indexB = b._originalIndex !== undefined ? b._originalIndex : 999;
-                return indexA - indexB;
-            });
-            
-            // Log all receipts in sorted order for debugging
-            console.log('Sorted receipts before deletion:', sortedReceipts.map((r, idx) => ({
-                displayIndex: idx,
-                date: r.date,
-                time: r.time,
-                originalIndex: r._originalIndex
-            })));
-            
-            // Get the receipt at the display index (the one the user clicked)
-            const receiptToDelete = sortedReceipts[displayIndex];
+            // Receipts are addressed by their permanent id, never by position
+            const receiptToDelete = this.receipts.find(r => r.id === receiptId);
             if (!receiptToDelete) {
-                throw new Error('Receipt not found at display index');
+                throw new Error('Receipt not found');
             }
             
-            // Get the actual originalIndex from the receipt (for Google Sheets)
-            const actualReceiptIndex = receiptToDelete._originalIndex !== undefined 
-                ? receiptToDelete._originalIndex 
-                : receiptIndex;
-            
-            console.log('Receipt to delete:', {
-                displayIndex,
-                date: receiptToDelete.date,
-                time: receiptToDelete.time,
-                originalIndex: actualReceiptIndex
-            });
-            
-            const response = await fetch('/api/delete-receipt', {
+            const response = await authManager.apiFetch('/api/delete-receipt', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     customerName: customerName,
-                    receiptIndex: actualReceiptIndex
+                    receiptId: receiptId
                 })
             });
             
@@ -1517,50 +1919,17 @@ class CustomersManager {
             if (result.success) {
                 // Update local cache FIRST before modifying arrays
                 // This ensures cache is updated before any reload happens
-                // Update local cache by removing the receipt
-                // Pass receipt data (date, time) to help identify the correct receipt in cache
-                this.updateCustomersCacheAfterDelete(customerName, actualReceiptIndex, {
-                    date: receiptToDelete.date,
-                    time: receiptToDelete.time
-                });
+                this.updateCustomersCacheAfterDelete(customerName, receiptId);
                 
                 // Immediately remove the receipt from local arrays
-                // receiptToDelete is from sortedReceipts which is a spread of this.receipts
-                // So it should be the same object reference - use direct object comparison
-                console.log('Deleting receipt:', {
-                    displayIndex,
-                    actualReceiptIndex,
-                    receiptDate: receiptToDelete.date,
-                    receiptTime: receiptToDelete.time,
-                    receiptOriginalIndex: receiptToDelete._originalIndex
-                });
-                
-                // Remove the exact receipt object we found
-                const beforeCount = this.receipts.length;
-                this.receipts = this.receipts.filter(r => r !== receiptToDelete);
-                let afterCount = this.receipts.length;
+                this.receipts = this.receipts.filter(r => r.id !== receiptId);
                 
-                console.log(`Removed receipt: ${beforeCount} -> ${afterCount} receipts`);
-                
-                // If object reference didn't work, try by _originalIndex as fallback
-                if (beforeCount === afterCount) {
-                    console.warn('Object reference match failed, using _originalIndex fallback');
-                    this.receipts = this.receipts.filter(r => {
-                        const rIndex = r._originalIndex !== undefined ? r._originalIndex : -1;
-                        return rIndex !== actualReceiptIndex;
-                    });
-                    afterCount = this.receipts.length;
-                    console.log(`After fallback: ${afterCount} receipts`);
+                // Advance credit the receipt was paid with went back to the customer
+                if (result.advance) {
+                    this.advanceCredit[customerName] = result.advance;
+                    this.savePendingOrdersToCache();
                 }
                 
-                // Log remaining receipts after deletion
-                console.log('Remaining receipts after deletion:', this.receipts.map((r, idx) => ({
-                    index: idx,
-                    date: r.date,
-                    time: r.time,
-                    originalIndex: r._originalIndex
-                })));
-                
                 // Refresh the display immediately with updated receipts array
                 this.displayReceipts();
                 
@@ -1655,6 +2024,12 @@ class CustomersManager {
         // Render special prices list
         this.renderSpecialPricesList(pricesList, currentPrices);
         
+        const conflictBox = document.getElementById('specialPricesConflict');
+        if (conflictBox) {
+            conflictBox.style.display = 'none';
+        }
+        this.pendingSpecialPricesChange = null;
+        
         // Reset search input and hide results
         const searchInput = document.getElementById('specialPriceProductSearch');
         const searchResults = document.getElementById('specialPriceSearchResults');
@@ -1858,17 +2233,24 @@ class CustomersManager {
         this.showLoading();
         try {
             // Call the update endpoint
-            const updateResponse = await fetch('/api/update-special-prices', {
+            const updateResponse = await authManager.apiFetch('/api/update-special-prices', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     customerName: customerName,
-                    specialPrices: specialPrices
+                    specialPrices: specialPrices,
+                    expectedVersion: this.specialPricesVersions[customerName] || 0
                 })
             });
             
+            if (updateResponse.status === 409) {
+                const conflict = await updateResponse.json();
+                this.handleSpecialPricesConflict(customerName, conflict.current, specialPrices);
+                return;
+            }
+            
             if (!updateResponse.ok) {
                 const errorData = await updateResponse.json().catch(() => ({}));
                 throw new Error(errorData.error || `Failed to save special prices: ${updateResponse.status}`);
@@ -1879,6 +2261,7 @@ class CustomersManager {
             if (result.success !== false) {
                 // Update local cache immediately
                 this.specialPrices[customerName] = specialPrices;
+                this.specialPricesVersions[customerName] = result.version;
                 
                 // Save to cache immediately so it's available right away
                 this.savePendingOrdersToCache();
@@ -1899,6 +2282,37 @@ class CustomersManager {
         }
     }
     
+    // Another device saved special prices first: show the server's prices and keep ours aside
+    handleSpecialPricesConflict(customerName, current, attemptedPrices) {
+        this.specialPrices[customerName] = current.specialPrices || {};
+        this.specialPricesVersions[customerName] = current.version;
+        this.savePendingOrdersToCache();
+        
+        const pricesList = document.getElementById('specialPricesList');
+        this.renderSpecialPricesList(pricesList, this.specialPrices[customerName]);
+        this.pendingSpecialPricesChange = attemptedPrices;
+        
+        const conflictBox = document.getElementById('specialPricesConflict');
+        const count = Object.keys(attemptedPrices).length;
+        conflictBox.innerHTML = `
+            <p style="margin-bottom: 8px;"><strong>These prices were changed on another device.</strong> The latest prices are shown below.</p>
+            <p style="margin-bottom: 12px; color: #666;">Your change had ${count} special price${count === 1 ? '' : 's'}.</p>
+            <button type="button" class="btn btn-secondary" onclick="customersManager.reapplySpecialPricesChange()">Re-apply my change</button>
+        `;
+        conflictBox.style.display = 'block';
+    }
+    
+    // Put the prices kept aside after a conflict back into the list (the user saves again)
+    reapplySpecialPricesChange() {
+        if (!this.pendingSpecialPricesChange) {
+            return;
+        }
+        const pricesList = document.getElementById('specialPricesList');
+        this.renderSpecialPricesList(pricesList, this.pendingSpecialPricesChange);
+        document.getElementById('specialPricesConflict').style.display = 'none';
+        this.pendingSpecialPricesChange = null;
+    }
+    
     // Close special prices modal
     closeSpecialPricesModal() {
         const modal = document.getElementById('specialPricesModal');
@@ -1908,31 +2322,221 @@ class CustomersManager {
         this.currentSpecialPricesCustomer = null;
     }
     
-    // Update customers cache after deleting a receipt
-    // receiptToDeleteData should contain date and time to uniquely identify the receipt
-    updateCustomersCacheAfterDelete(customerName, receiptIndex, receiptToDeleteData = null) {
-        try {
-            // Get cached CSV data
-            const cachedCsv = localStorage.getItem(CUSTOMERS_CACHE_KEY);
-            if (!cachedCsv) {
-                console.warn('No customers cache found to update');
-                return;
-            }
-            
-            // Parse the CSV
-            Papa.parse(cachedCsv, {
-                header: true,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    // Find the customer row
-                    let customerRow = null;
-                    
-                    for (let i = 0; i < results.data.length; i++) {
-                        const row = results.data[i];
-                        const rowCustomerName = row.CUSTOMER || row.customer || row.Customer || '';
-                        if (rowCustomerName && rowCustomerName.trim().toUpperCase() === customerName.toUpperCase()) {
-                            customerRow = row;
-                            break;
+    // Show portal password modal for a customer
+    showCustomerPasswordModal(customerName) {
+        this.currentPasswordCustomer = customerName;
+        const modal = document.getElementById('customerPasswordModal');
+        const modalTitle = document.getElementById('customerPasswordModalTitle');
+        const passwordInput = document.getElementById('customerPasswordInput');
+        const result = document.getElementById('customerPasswordResult');
+        
+        if (!modal || !modalTitle || !passwordInput || !result) {
+            console.error('Customer password modal elements not found');
+            return;
+        }
+        
+        modalTitle.textContent = `Portal Password - ${customerName}`;
+        this.updateCustomerPasswordStatus();
+        passwordInput.value = '';
+        result.style.display = 'none';
+        result.innerHTML = '';
+        
+        modal.classList.add('active');
+        setTimeout(() => passwordInput.focus(), 100);
+    }
+    
+    updateCustomerPasswordStatus() {
+        const status = document.getElementById('customerPasswordStatus');
+        if (status) {
+            status.textContent = this.portalAccess[this.currentPasswordCustomer]
+                ? 'This customer can log in to the order page. Setting or resetting the password replaces the old one.'
+                : 'This customer has no portal password and cannot log in.';
+        }
+    }
+    
+    // Set, reset or revoke the current customer's portal password
+    async updateCustomerPassword(action) {
+        const customerName = this.currentPasswordCustomer;
+        if (!customerName) {
+            return;
+        }
+        
+        const passwordInput = document.getElementById('customerPasswordInput');
+        const password = passwordInput ? passwordInput.value.trim() : '';
+        
+        if (action === 'set' && password.length < 4) {
+            alert('Password must be at least 4 characters');
+            return;
+        }
+        
+        if (action === 'reset' && !confirm(`Generate a new password for ${customerName}? The old password will stop working.`)) {
+            return;
+        }
+        
+        if (action === 'revoke' && !confirm(`Revoke portal access for ${customerName}? They will no longer be able to log in.`)) {
+            return;
+        }
+        
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/customer-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    customerName: customerName,
+                    action: action,
+                    password: action === 'set' ? password : undefined
+                })
+            });
+            
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to update password: ${response.status}`);
+            }
+            
+            if (action === 'revoke') {
+                delete this.portalAccess[customerName];
+            } else {
+                this.portalAccess[customerName] = true;
+            }
+            this.savePendingOrdersToCache();
+            this.displayCustomers();
+            
+            if (passwordInput) {
+                passwordInput.value = '';
+            }
+            
+            if (action === 'reset') {
+                // The new password is only returned once - show it so the store can pass it on
+                const resultBox = document.getElementById('customerPasswordResult');
+                if (resultBox) {
+                    resultBox.innerHTML = `New password: <strong>${this.escapeHtml(result.password)}</strong><br><small>Share it with the customer now - it cannot be shown again.</small>`;
+                    resultBox.style.display = 'block';
+                }
+                this.updateCustomerPasswordStatus();
+            } else {
+                this.closeCustomerPasswordModal();
+            }
+        } catch (error) {
+            console.error('Error updating customer password:', error);
+            alert('Failed to update password: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    // Close portal password modal
+    closeCustomerPasswordModal() {
+        const modal = document.getElementById('customerPasswordModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+        const result = document.getElementById('customerPasswordResult');
+        if (result) {
+            result.style.display = 'none';
+            result.innerHTML = '';
+        }
+        this.currentPasswordCustomer = null;
+    }
+    
+    // Show the GSTIN modal for the current customer
+    showCustomerGstinModal() {
+        const modal = document.getElementById('customerGstinModal');
+        const modalTitle = document.getElementById('customerGstinModalTitle');
+        const gstinInput = document.getElementById('customerGstinInput');
+        
+        if (!modal || !modalTitle || !gstinInput || !this.currentCustomer) {
+            console.error('Customer GSTIN modal elements not found');
+            return;
+        }
+        
+        modalTitle.textContent = `GSTIN - ${this.currentCustomer}`;
+        gstinInput.value = this.customerGstins[this.currentCustomer] || '';
+        modal.classList.add('active');
+        setTimeout(() => gstinInput.focus(), 100);
+    }
+    
+    // Save (or clear) the current customer's GSTIN; later bills for them become tax invoices with it
+    async saveCustomerGstin(clear) {
+        const customerName = this.currentCustomer;
+        const gstinInput = document.getElementById('customerGstinInput');
+        if (!customerName || !gstinInput) {
+            return;
+        }
+        
+        const gstin = clear ? '' : gstCalculator.normalizeGstin(gstinInput.value);
+        if (!clear && !gstCalculator.isValidGstin(gstin)) {
+            alert('Please enter a valid 15-character GSTIN (e.g. 24ABCDE1234F1Z5)');
+            return;
+        }
+        
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/customer-gstin', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ customerName, gstin })
+            });
+            
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to save GSTIN: ${response.status}`);
+            }
+            
+            if (gstin) {
+                this.customerGstins[customerName] = gstin;
+            } else {
+                delete this.customerGstins[customerName];
+            }
+            this.savePendingOrdersToCache();
+            this.closeCustomerGstinModal();
+            this.displayReceipts();
+        } catch (error) {
+            console.error('Error saving customer GSTIN:', error);
+            alert('Failed to save GSTIN: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    closeCustomerGstinModal() {
+        const modal = document.getElementById('customerGstinModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+    }
+    
+    // Update customers cache after deleting a receipt
+    // receiptToDeleteData should contain date and time to uniquely identify the receipt
+    updateCustomersCacheAfterDelete(customerName, receiptId) {
+        try {
+            // Get cached CSV data
+            const cachedCsv = localStorage.getItem(CUSTOMERS_CACHE_KEY);
+            if (!cachedCsv) {
+                console.warn('No customers cache found to update');
+                return;
+            }
+            
+            // Parse the CSV
+            Papa.parse(cachedCsv, {
+                header: true,
+                skipEmptyLines: true,
+                complete: (results) => {
+                    // Find the customer row
+                    let customerRow = null;
+                    
+                    for (let i = 0; i < results.data.length; i++) {
+                        const row = results.data[i];
+                        const rowCustomerName = row.CUSTOMER || row.customer || row.Customer || '';
+                        if (rowCustomerName && rowCustomerName.trim().toUpperCase() === customerName.toUpperCase()) {
+                            customerRow = row;
+                            break;
                         }
                     }
                     
@@ -1948,66 +2552,15 @@ class CustomersManager {
                         return;
                     }
                     
-                    // Find the receipt to delete
-                    // First try by index, but also try to match by date/time if provided
-                    let receiptField = null;
-                    let receiptFieldIndex = -1;
-                    
-                    // Sort receipt columns to match the order used when loading
-                    const sortedReceiptColumns = receiptColumns.sort((a, b) => {
-                        // Keep CUSTOMER first, then RECEIPT columns in order
-                        if (a.toUpperCase() === 'CUSTOMER') return -1;
-                        if (b.toUpperCase() === 'CUSTOMER') return 1;
-                        return a.localeCompare(b);
-                    });
-                    
-                    // Count non-empty receipts to find the one at receiptIndex
-                    let receiptCount = 0;
-                    for (const col of sortedReceiptColumns) {
-                        const receiptValue = customerRow[col];
-                        if (receiptValue && receiptValue.trim() !== '') {
-                            // If we have receipt data to match, try to parse and match by date/time
-                            if (receiptToDeleteData && receiptToDeleteData.date && receiptToDeleteData.time) {
-                                try {
-                                    let receiptJson = receiptValue.trim();
-                                    if (receiptJson.startsWith('"') && receiptJson.endsWith('"')) {
-                                        receiptJson = receiptJson.slice(1, -1);
-                                    }
-                                    receiptJson = receiptJson.replace(/""/g, '"');
-                                    const receipt = JSON.parse(receiptJson);
-                                    
-                                    // Match by date and time
-                                    if (receipt.date === receiptToDeleteData.date && receipt.time === receiptToDeleteData.time) {
-                                        receiptField = col;
-                                        receiptFieldIndex = results.meta.fields.indexOf(col);
-                                        break;
-                                    }
-                                } catch (e) {
-                                    // If parsing fails, continue
-                                }
-                            }
-                            
-                            // If we haven't found a match yet and this is the receipt at receiptIndex
-                            if (!receiptField && receiptCount === receiptIndex) {
-                                receiptField = col;
-                                receiptFieldIndex = results.meta.fields.indexOf(col);
-                            }
-                            
-                            receiptCount++;
-                        }
-                    }
-                    
-                    if (!receiptField || receiptFieldIndex === -1) {
-                        console.warn('Receipt column not found at specified index or by date/time match');
+                    // Find the receipt to delete by id
+                    const cached = this.findCachedReceipt(customerRow, receiptColumns, receiptId);
+                    if (!cached) {
+                        console.warn('Receipt not found in cache:', receiptId);
                         return;
                     }
                     
-                    console.log('Deleting receipt from cache:', {
-                        receiptIndex,
-                        receiptField,
-                        date: receiptToDeleteData?.date,
-                        time: receiptToDeleteData?.time
-                    });
+                    let receiptField = cached.field;
+                    let receiptFieldIndex = results.meta.fields.indexOf(receiptField);
                     
                     // Clear the receipt cell
                     customerRow[receiptField] = '';
@@ -2065,19 +2618,32 @@ class CustomersManager {
             }
         });
 
+        const advanceCredit = this.advanceCredit[this.currentCustomer]?.balance || 0;
+        const customerGstin = this.customerGstins[this.currentCustomer] || '';
+
         // Display customer name with total unpaid
         customerHeader.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 12px;">
                 <span>Receipts for ${this.escapeHtml(this.currentCustomer)}</span>
-                ${totalUnpaid > 0 ? `
-                    <span style="font-size: 18px; font-weight: 700; color: #dc3545;">
-                        Total Unpaid: ₹${this.formatCurrency(totalUnpaid)}
-                    </span>
-                ` : `
-                    <span style="font-size: 18px; font-weight: 700; color: #28a745;">
-                        All Paid
-                    </span>
-                `}
+                <div style="display: flex; align-items: center; flex-wrap: wrap; gap: 12px;">
+                    ${totalUnpaid > 0 ? `
+                        <span style="font-size: 18px; font-weight: 700; color: #dc3545;">
+                            Total Unpaid: ₹${this.formatCurrency(totalUnpaid)}
+                        </span>
+                    ` : `
+                        <span style="font-size: 18px; font-weight: 700; color: #28a745;">
+                            All Paid
+                        </span>
+                    `}
+                    ${advanceCredit > 0 ? `
+                        <span style="font-size: 18px; font-weight: 700; color: #28a745;">
+                            Advance Credit: ₹${this.formatCurrency(advanceCredit)}
+                        </span>
+                    ` : ''}
+                    <button type="button" class="btn btn-secondary" style="flex: none;" onclick="customersManager.showCustomerGstinModal()">${customerGstin ? `GSTIN: ${this.escapeHtml(customerGstin)}` : 'Add GSTIN'}</button>
+                    <button type="button" class="btn btn-secondary" style="flex: none;" onclick="customersManager.showStatement()">Statement</button>
+                    <button type="button" class="btn btn-primary" style="flex: none;" onclick="customersManager.showReceivePaymentModal()">Receive Payment</button>
+                </div>
             </div>
         `;
 
@@ -2119,6 +2685,9 @@ class CustomersManager {
         });
 
         receiptsList.innerHTML = sortedReceipts.map((receipt, index) => {
+            if (receipt.type === 'creditNote') {
+                return this.renderCreditNoteCard(receipt, index);
+            }
             const totalPaid = (receipt.payments?.cash || 0) + (receipt.payments?.online || 0);
             const remainingBalance = receipt.grandTotal - totalPaid;
             const paymentStatus = this.getPaymentStatus(receipt.grandTotal, totalPaid);
@@ -2133,9 +2702,11 @@ class CustomersManager {
                 profitMargin = parseFloat(profitMargin) || 0;
             }
 
-            // Get the original receipt index for deletion
-            const originalIndex = receipt._originalIndex !== undefined ? receipt._originalIndex : index;
+            // Receipts are deleted by their permanent id
+            const escapedReceiptId = this.escapeHtml(receipt.id || '').replace(/'/g, "\\'");
             const escapedCustomerName = this.escapeHtml(this.currentCustomer).replace(/'/g, "\\'");
+            // A receipt with returned items stays, so its credit notes keep their original
+            const hasReturns = Boolean(receipt.id) && this.receipts.some(r => r.originalReceiptId === receipt.id);
             
             return `
                 <div class="receipt-card">
@@ -2147,9 +2718,11 @@ class CustomersManager {
                             </div>
                             <div class="receipt-header-right">
                                 <div class="receipt-total">₹${this.formatCurrency(receipt.grandTotal || 0)}</div>
-                                <button class="delete-receipt-btn" onclick="event.stopPropagation(); customersManager.deleteReceipt('${escapedCustomerName}', ${originalIndex}, ${index})" title="Delete receipt">
-                                    ×
-                                </button>
+                                ${hasReturns ? '' : `
+                                    <button class="delete-receipt-btn" onclick="event.stopPropagation(); customersManager.deleteReceipt('${escapedCustomerName}', '${escapedReceiptId}')" title="Delete receipt">
+                                        ×
+                                    </button>
+                                `}
                             </div>
                         </div>
                         <div class="receipt-payment-status payment-status-${paymentStatus}">
@@ -2170,14 +2743,739 @@ class CustomersManager {
                             ` : ''}
                         </div>
                     </div>
-                    <button class="view-receipt-btn" onclick="event.stopPropagation(); customersManager.viewReceipt(${index})" title="View receipt">
-                        View Receipt
-                    </button>
+                    <button class="view-receipt-btn" onclick="event.stopPropagation(); customersManager.viewReceipt(${index})" title="View receipt">
+                        View Receipt
+                    </button>
+                    <button class="view-receipt-btn return-items-btn" onclick="event.stopPropagation(); customersManager.showReturnModal('${escapedReceiptId}')" title="Return items from this receipt">
+                        Return Items
+                    </button>
+                    ${hasReturns ? '' : `
+                        <button class="view-receipt-btn return-items-btn" onclick="event.stopPropagation(); customersManager.showAmendModal('${escapedReceiptId}')" title="Change the items on this receipt">
+                            Edit Receipt
+                        </button>
+                    `}
+                    ${receipt.amendments && receipt.amendments.length > 0 ? `
+                        <button class="receipt-history-btn" onclick="event.stopPropagation(); customersManager.showReceiptHistory('${escapedReceiptId}')" title="What was changed on this receipt">
+                            Edited ${receipt.amendments.length} ${receipt.amendments.length === 1 ? 'time' : 'times'} · History
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // A credit note in the receipts list: what it was for and how it was refunded (no payments or delete)
+    renderCreditNoteCard(creditNote, index) {
+        const refund = creditNote.refund || {};
+        const refundText = [
+            refund.toBalance > 0 ? `₹${this.formatCurrency(refund.toBalance)} taken off the bill` : '',
+            refund.toAdvance > 0 ? `₹${this.formatCurrency(refund.toAdvance)} kept as advance credit` : '',
+            refund.cash > 0 ? `₹${this.formatCurrency(refund.cash)} refunded in cash` : ''
+        ].filter(Boolean).join(', ');
+
+        return `
+            <div class="receipt-card credit-note-card">
+                <div class="receipt-header">
+                    <div>
+                        <div class="receipt-date">${this.escapeHtml(creditNote.date || 'N/A')}</div>
+                        <div class="receipt-time">${this.escapeHtml(creditNote.time || '')}</div>
+                    </div>
+                    <div class="receipt-header-right">
+                        <div class="receipt-total">₹${this.formatCurrency(creditNote.grandTotal || 0)}</div>
+                    </div>
+                </div>
+                <div class="receipt-payment-status payment-status-credit-note">
+                    Credit Note · Return from bill of ${this.escapeHtml(creditNote.originalDate || 'N/A')}
+                </div>
+                ${refundText ? `<div class="payment-entry-meta" style="margin-top: 8px;">${this.escapeHtml(refundText)}</div>` : ''}
+                ${creditNote.reason ? `<div class="payment-entry-meta">Reason: ${this.escapeHtml(creditNote.reason)}</div>` : ''}
+                <button class="view-receipt-btn" onclick="customersManager.viewReceipt(${index})" title="View credit note">
+                    View Credit Note
+                </button>
+            </div>
+        `;
+    }
+
+    // How much of an item on a receipt can still be returned (sold minus earlier credit notes)
+    getReturnableQuantity(receipt, item) {
+        const name = String(item.name || '').trim().toUpperCase();
+        const returned = this.receipts
+            .filter(r => r.type === 'creditNote' && r.originalReceiptId === receipt.id)
+            .reduce((sum, creditNote) => sum + (creditNote.items || [])
+                .filter(i => String(i.name || '').trim().toUpperCase() === name)
+                .reduce((itemSum, i) => itemSum - (parseFloat(i.quantity) || 0), 0), 0);
+        return Math.max(0, Math.round(((parseFloat(item.quantity) || 0) - returned) * 1000) / 1000);
+    }
+
+    // What a return of `quantity` is worth - the price paid after discounts (and GST added on
+    // top), worked out the same way as the server (see lib/api/returns.mjs)
+    getReturnValue(receipt, item, quantity) {
+        const lineTotal = i => (i.total !== undefined ? parseFloat(i.total) : i.rate * i.quantity) || 0;
+        const itemsTotal = (receipt.items || []).reduce((sum, i) => sum + lineTotal(i), 0);
+        const factor = itemsTotal > 0 ? (receipt.grandTotal || 0) / itemsTotal : 0;
+        return Math.round(lineTotal(item) * (quantity / parseFloat(item.quantity)) * factor * 100) / 100;
+    }
+
+    // Return modal: one quantity input per item that can still be returned
+    showReturnModal(receiptId) {
+        const receipt = this.receipts.find(r => r.id === receiptId);
+        if (!receipt || !receiptId) {
+            this.alertMissingReceiptId();
+            return;
+        }
+
+        const items = (receipt.items || []).filter(item => item && item.name && this.getReturnableQuantity(receipt, item) > 0);
+        if (items.length === 0) {
+            alert('Everything on this bill has already been returned.');
+            return;
+        }
+
+        this.returnReceipt = receipt;
+        this.returnId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        document.getElementById('returnReceiptDate').textContent = `${receipt.date || 'N/A'} ${receipt.time || ''}`.trim();
+        document.getElementById('returnItems').innerHTML = items.map(item => {
+            const returnable = this.getReturnableQuantity(receipt, item);
+            return `
+                <div class="payment-entry">
+                    <div>
+                        <div class="payment-entry-amount">${this.escapeHtml(item.name)}</div>
+                        <div class="payment-entry-meta">Sold ${this.escapeHtml(String(item.quantity))} · can return ${returnable}</div>
+                    </div>
+                    <input type="number" class="allocation-input return-quantity-input" step="any" min="0" max="${returnable}" data-item-name="${this.escapeHtml(item.name)}" oninput="customersManager.updateReturnTotal()">
+                </div>
+            `;
+        }).join('');
+        document.getElementById('returnRefundMethod').value = this.getReceiptRemainingBalance(receipt) > 0 ? 'balance' : 'cash';
+        document.getElementById('returnReason').value = '';
+        document.getElementById('returnRecordedBy').value = localStorage.getItem(PAYMENT_RECORDED_BY_KEY) || '';
+        document.getElementById('returnConflict').style.display = 'none';
+
+        this.updateReturnTotal();
+        document.getElementById('returnModal').classList.add('active');
+    }
+
+    // The items of the return form: [{ name, quantity, returnable }] with a quantity above 0
+    getReturnItems() {
+        const receipt = this.returnReceipt;
+        return [...document.querySelectorAll('#returnItems .return-quantity-input')]
+            .map(input => {
+                const item = receipt.items.find(i => i.name === input.dataset.itemName);
+                return {
+                    item,
+                    name: item.name,
+                    quantity: Math.round((parseFloat(input.value) || 0) * 1000) / 1000,
+                    returnable: this.getReturnableQuantity(receipt, item)
+                };
+            })
+            .filter(returned => returned.quantity > 0);
+    }
+
+    updateReturnTotal() {
+        const total = this.getReturnItems()
+            .reduce((sum, returned) => sum + this.getReturnValue(this.returnReceipt, returned.item, returned.quantity), 0);
+        document.getElementById('returnTotal').textContent = `Credit note: ₹${this.formatCurrency(total)}`;
+    }
+
+    closeReturnModal() {
+        document.getElementById('returnModal').classList.remove('active');
+        this.returnReceipt = null;
+    }
+
+    // Issue the credit note: the server restocks the items and refunds against the balance or in cash
+    async saveReturn() {
+        const receipt = this.returnReceipt;
+        const items = this.getReturnItems();
+        if (!receipt) {
+            return;
+        }
+        if (items.length === 0) {
+            alert('Please enter how many of each item came back.');
+            return;
+        }
+        const tooMany = items.find(returned => returned.quantity > returned.returnable);
+        if (tooMany) {
+            alert(`Only ${tooMany.returnable} of ${tooMany.name} can be returned.`);
+            return;
+        }
+
+        const recordedBy = document.getElementById('returnRecordedBy').value.trim();
+        localStorage.setItem(PAYMENT_RECORDED_BY_KEY, recordedBy);
+        const customerName = this.currentCustomer;
+        const now = new Date();
+
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/save-return', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    id: this.returnId,
+                    customerName: customerName,
+                    receiptId: receipt.id,
+                    expectedVersion: receipt.version || 0,
+                    items: items.map(({ name, quantity }) => ({ name, quantity })),
+                    refundMethod: document.getElementById('returnRefundMethod').value,
+                    reason: document.getElementById('returnReason').value.trim(),
+                    recordedBy: recordedBy,
+                    date: now.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+                    time: now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true })
+                })
+            });
+
+            // Another device changed the bill: show its latest balance and let the user check again
+            if (response.status === 409) {
+                const conflict = await response.json();
+                this.applyReceiptLedgers(customerName, [conflict.current]);
+                const conflictBox = document.getElementById('returnConflict');
+                conflictBox.innerHTML = `
+                    <p><strong>This bill was changed on another device.</strong> Its latest balance has been loaded - check the return and save again.</p>
+                `;
+                conflictBox.style.display = 'block';
+                return;
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to save return: ${response.status}`);
+            }
+
+            if (result.creditNote) {
+                this.applyReceiptLedgers(customerName, [result.receipt]);
+                this.updateCustomersCacheWithCreditNote(customerName, result.creditNote);
+                // The credit note is the newest receipt (column 2)
+                this.receipts.push({ ...result.creditNote, _originalIndex: -1 });
+            }
+            if (result.advance) {
+                this.advanceCredit[customerName] = result.advance;
+                this.savePendingOrdersToCache();
+            }
+            this.closeReturnModal();
+            this.displayReceipts();
+        } catch (error) {
+            console.error('Error saving return:', error);
+            alert('Failed to save return: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Same as the bill page (script.js): a percentage is capped at 100%, an amount at the line
+    calculateDiscount(discount, amount) {
+        if (!discount || !(discount.value > 0) || !(amount > 0)) {
+            return 0;
+        }
+        const raw = discount.type === 'percent'
+            ? amount * Math.min(discount.value, 100) / 100
+            : Math.min(discount.value, amount);
+        return Math.round(raw * 100) / 100;
+    }
+
+    // Edit receipt modal: the receipt's items with their quantity and rate, plus products to add
+    showAmendModal(receiptId) {
+        const receipt = this.receipts.find(r => r.id === receiptId);
+        if (!receipt || !receiptId) {
+            this.alertMissingReceiptId();
+            return;
+        }
+
+        if (this.products.length === 0) {
+            this.loadProductsFromCache();
+        }
+        this.amendReceiptId = receiptId;
+        this.amendId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        // Old receipts may not have the purchase cost stored: take it from the products list
+        this.amendItems = (receipt.items || []).filter(item => item && item.name).map(item => {
+            const product = this.products.find(p => p.name === item.name);
+            const purchaseCost = item.purchaseCost !== undefined && item.purchaseCost !== null
+                ? item.purchaseCost
+                : (product && product.purchaseCost) || 0;
+            return { ...item, purchaseCost };
+        });
+
+        document.getElementById('amendReceiptDate').textContent = `${receipt.date || 'N/A'} ${receipt.time || ''}`.trim();
+        document.getElementById('amendProductList').innerHTML = this.products
+            .map(product => `<option value="${this.escapeHtml(product.name)}"></option>`)
+            .join('');
+        document.getElementById('amendProductInput').value = '';
+        document.getElementById('amendNote').value = '';
+        document.getElementById('amendEditedBy').value = localStorage.getItem(PAYMENT_RECORDED_BY_KEY) || '';
+        document.getElementById('amendConflict').style.display = 'none';
+
+        this.renderAmendItems();
+        document.getElementById('amendModal').classList.add('active');
+    }
+
+    renderAmendItems() {
+        const container = document.getElementById('amendItems');
+        if (this.amendItems.length === 0) {
+            container.innerHTML = '<p class="payment-entries-empty">No items - add a product below.</p>';
+        } else {
+            container.innerHTML = this.amendItems.map((item, index) => `
+                <div class="payment-entry amend-item">
+                    <div class="amend-item-name">
+                        <div class="payment-entry-amount">${this.escapeHtml(item.name)}</div>
+                        ${item.discount ? `<div class="payment-entry-meta">Discount ${item.discount.type === 'percent' ? `${this.escapeHtml(item.discount.value)}%` : `₹${this.formatCurrency(item.discount.value)}`}</div>` : ''}
+                    </div>
+                    <input type="number" class="allocation-input" step="any" min="0" value="${this.escapeHtml(item.quantity)}" title="Quantity" oninput="customersManager.updateAmendItem(${index}, 'quantity', this.value)">
+                    <input type="number" class="allocation-input" step="0.01" min="0" value="${this.escapeHtml(item.rate)}" title="Rate" oninput="customersManager.updateAmendItem(${index}, 'rate', this.value)">
+                    <button type="button" class="reverse-payment-btn" onclick="customersManager.removeAmendItem(${index})" title="Remove item">×</button>
+                </div>
+            `).join('');
+        }
+        this.updateAmendTotal();
+    }
+
+    updateAmendItem(index, field, value) {
+        if (!this.amendItems[index]) {
+            return;
+        }
+        this.amendItems[index][field] = parseFloat(value) || 0;
+        this.updateAmendTotal();
+    }
+
+    removeAmendItem(index) {
+        this.amendItems.splice(index, 1);
+        this.renderAmendItems();
+    }
+
+    // Add the product typed in the edit modal, or one more of it if the receipt already has it
+    addAmendItem() {
+        const input = document.getElementById('amendProductInput');
+        const name = input.value.trim().toUpperCase();
+        const product = this.products.find(p => String(p.name || '').trim().toUpperCase() === name);
+        if (!product) {
+            alert('Please choose a product from the list.');
+            return;
+        }
+
+        const existing = this.amendItems.find(item => String(item.name).trim().toUpperCase() === name);
+        if (existing) {
+            existing.quantity = (parseFloat(existing.quantity) || 0) + 1;
+        } else {
+            const item = {
+                name: product.name,
+                quantity: 1,
+                rate: parseFloat(product.rate) || 0,
+                purchaseCost: parseFloat(product.purchaseCost) || 0,
+                gstRate: product.gstRate || 0
+            };
+            if (product.hsn) {
+                item.hsn = product.hsn;
+            }
+            this.amendItems.push(item);
+        }
+        input.value = '';
+        this.renderAmendItems();
+    }
+
+    // The receipt's items and totals after the edit, worked out like a new bill (script.js
+    // showReceipt) but with the discounts and GST settings the bill was made with
+    // Returns { items, grandTotal, profitMargin } plus grossTotal, discountTotal, billDiscount
+    // and gst when the bill has them
+    getAmendedReceipt(receipt, items) {
+        const round = amount => Math.round(amount * 100) / 100;
+        let gross = 0;
+        let lineDiscounts = 0;
+        let totalProfitMargin = 0;
+        const receiptItems = items.map(item => {
+            const quantity = parseFloat(item.quantity) || 0;
+            const rate = parseFloat(item.rate) || 0;
+            const purchaseCost = parseFloat(item.purchaseCost) || 0;
+            const itemGross = rate * quantity;
+            const discountAmount = this.calculateDiscount(item.discount, itemGross);
+            gross += itemGross;
+            lineDiscounts += discountAmount;
+
+            const receiptItem = {
+                name: item.name,
+                quantity,
+                rate,
+                total: itemGross - discountAmount,
+                purchaseCost,
+                profitMargin: itemGross - discountAmount - purchaseCost * quantity
+            };
+            if (discountAmount > 0) {
+                receiptItem.discount = { ...item.discount, amount: discountAmount };
+            }
+            totalProfitMargin += receiptItem.profitMargin;
+            return { item, receiptItem };
+        });
+
+        gross = round(gross);
+        lineDiscounts = round(lineDiscounts);
+        const billDiscount = this.calculateDiscount(receipt.billDiscount, gross - lineDiscounts);
+        const discountTotal = round(lineDiscounts + billDiscount);
+        const net = round(gross - discountTotal);
+        totalProfitMargin -= billDiscount;
+
+        const amended = { items: receiptItems.map(({ receiptItem }) => receiptItem), grandTotal: net };
+        if (discountTotal > 0) {
+            amended.grossTotal = gross;
+            amended.discountTotal = discountTotal;
+            if (billDiscount > 0) {
+                amended.billDiscount = { ...receipt.billDiscount, amount: billDiscount };
+            }
+        }
+
+        // Tax invoice: taxed again with the bill's own GSTINs and price setting; tax included in
+        // the prices is not profit
+        if (receipt.gst) {
+            const linesTotal = amended.items.reduce((sum, receiptItem) => sum + receiptItem.total, 0);
+            const billGst = gstCalculator.calculate(amended.items.map((receiptItem, i) => ({
+                value: linesTotal > 0 ? receiptItem.total - billDiscount * receiptItem.total / linesTotal : 0,
+                gstRate: receiptItems[i].item.gstRate
+            })), receipt.gst.customerGstin, receipt.gst);
+            receiptItems.forEach(({ item, receiptItem }, i) => {
+                receiptItem.gstRate = parseFloat(item.gstRate) || 0;
+                if (item.hsn) {
+                    receiptItem.hsn = item.hsn;
+                }
+                receiptItem.taxableValue = billGst.lines[i].taxableValue;
+                if (billGst.gst.pricesIncludeTax) {
+                    receiptItem.profitMargin -= billGst.lines[i].tax;
+                    totalProfitMargin -= billGst.lines[i].tax;
+                }
+            });
+            amended.gst = billGst.gst;
+            if (!billGst.gst.pricesIncludeTax) {
+                amended.grandTotal = round(net + billGst.gst.totalTax);
+            }
+        }
+
+        amended.profitMargin = totalProfitMargin;
+        return amended;
+    }
+
+    // What the receipt has been paid so far (the new total can't go below it)
+    getReceiptPaid(receipt) {
+        return Math.round(((receipt.grandTotal || 0) - this.getReceiptRemainingBalance(receipt)) * 100) / 100;
+    }
+
+    updateAmendTotal() {
+        const receipt = this.receipts.find(r => r.id === this.amendReceiptId);
+        if (!receipt) {
+            return;
+        }
+        const amended = this.getAmendedReceipt(receipt, this.amendItems);
+        const paid = this.getReceiptPaid(receipt);
+        const totalText = [
+            `New total: ₹${this.formatCurrency(amended.grandTotal)} (was ₹${this.formatCurrency(receipt.grandTotal || 0)})`,
+            paid > 0 ? `Paid so far: ₹${this.formatCurrency(paid)}` : '',
+            amended.grandTotal < paid ? 'The new total is less than what has been paid - reverse a payment first.' : ''
+        ].filter(Boolean);
+        document.getElementById('amendTotal').innerHTML = totalText.map(line => `<div>${this.escapeHtml(line)}</div>`).join('');
+    }
+
+    closeAmendModal() {
+        document.getElementById('amendModal').classList.remove('active');
+        this.amendReceiptId = null;
+        this.amendItems = [];
+    }
+
+    // Put an amended receipt (as returned by the server) in the list and the customers cache
+    applyAmendedReceipt(customerName, receipt) {
+        const index = this.receipts.findIndex(r => r.id === receipt.id);
+        if (index !== -1) {
+            this.receipts[index] = { ...receipt, _originalIndex: this.receipts[index]._originalIndex };
+        }
+        // Fields the amendment dropped (a discount that no longer applies) are cleared in the cache too
+        const cleared = { grossTotal: undefined, discountTotal: undefined, billDiscount: undefined, gst: undefined };
+        this.updateCustomersCacheWithPayment(customerName, receipt.id, { ...cleared, ...receipt });
+        this.displayReceipts();
+    }
+
+    // Save the edited receipt: the server keeps the old version in its history and moves stock
+    async saveAmendedReceipt() {
+        const receipt = this.receipts.find(r => r.id === this.amendReceiptId);
+        if (!receipt) {
+            return;
+        }
+        const items = this.amendItems;
+        if (items.length === 0) {
+            alert('A receipt needs at least one item. Delete the receipt instead.');
+            return;
+        }
+        if (items.some(item => !(parseFloat(item.quantity) > 0))) {
+            alert('Every item needs a quantity above 0 - remove the items that were not sold.');
+            return;
+        }
+        const amended = this.getAmendedReceipt(receipt, items);
+        if (amended.grandTotal < this.getReceiptPaid(receipt)) {
+            alert('The new total is less than what has been paid. Reverse a payment first.');
+            return;
+        }
+
+        const editedBy = document.getElementById('amendEditedBy').value.trim();
+        localStorage.setItem(PAYMENT_RECORDED_BY_KEY, editedBy);
+        const customerName = this.currentCustomer;
+
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/amend-receipt', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    id: this.amendId,
+                    customerName: customerName,
+                    receiptId: receipt.id,
+                    expectedVersion: receipt.version || 0,
+                    receipt: amended,
+                    note: document.getElementById('amendNote').value.trim(),
+                    amendedBy: editedBy
+                })
+            });
+
+            // Another device changed the bill: load its latest version, keep the edits in the form
+            if (response.status === 409) {
+                const conflict = await response.json();
+                this.applyAmendedReceipt(customerName, conflict.current);
+                const conflictBox = document.getElementById('amendConflict');
+                conflictBox.innerHTML = `
+                    <p><strong>This bill was changed on another device.</strong> Its latest version has been loaded and your changes are still below - check them and save again.</p>
+                `;
+                conflictBox.style.display = 'block';
+                this.updateAmendTotal();
+                return;
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to save receipt: ${response.status}`);
+            }
+
+            this.applyAmendedReceipt(customerName, result.receipt);
+            this.closeAmendModal();
+        } catch (error) {
+            console.error('Error amending receipt:', error);
+            alert('Failed to save receipt: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // What changed between two versions of a receipt's items: "Added Rice 2 × ₹50.00",
+    // "Removed Soap", "Dal: quantity 2 → 3", "Oil: rate ₹120.00 → ₹115.00"
+    describeItemChanges(beforeItems, afterItems) {
+        const key = item => String(item.name || '').trim().toUpperCase();
+        const changes = [];
+        for (const item of afterItems) {
+            const old = beforeItems.find(i => key(i) === key(item));
+            if (!old) {
+                changes.push(`Added ${item.name} ${item.quantity} × ₹${this.formatCurrency(item.rate)}`);
+                continue;
+            }
+            if (parseFloat(old.quantity) !== parseFloat(item.quantity)) {
+                changes.push(`${item.name}: quantity ${old.quantity} → ${item.quantity}`);
+            }
+            if (parseFloat(old.rate) !== parseFloat(item.rate)) {
+                changes.push(`${item.name}: rate ₹${this.formatCurrency(old.rate)} → ₹${this.formatCurrency(item.rate)}`);
+            }
+        }
+        for (const old of beforeItems) {
+            if (!afterItems.some(item => key(item) === key(old))) {
+                changes.push(`Removed ${old.name}`);
+            }
+        }
+        return changes;
+    }
+
+    // Every edit of a receipt, newest first: who, when, why, and what changed
+    showReceiptHistory(receiptId) {
+        const receipt = this.receipts.find(r => r.id === receiptId);
+        const amendments = (receipt && receipt.amendments) || [];
+        if (amendments.length === 0) {
+            return;
+        }
+
+        // An amendment keeps the receipt from before it; after it is the next one's `before`
+        const entries = amendments.map((amendment, i) => {
+            const after = i + 1 < amendments.length ? amendments[i + 1].before : receipt;
+            const before = amendment.before || {};
+            const details = [
+                amendment.amendedAt ? new Date(amendment.amendedAt).toLocaleString('en-IN') : '',
+                amendment.amendedBy ? `by ${amendment.amendedBy}` : ''
+            ].filter(Boolean).join(' · ');
+            const changes = this.describeItemChanges(before.items || [], after.items || []);
+
+            return `
+                <div class="payment-entry">
+                    <div>
+                        <div class="payment-entry-amount">₹${this.formatCurrency(before.grandTotal || 0)} → ₹${this.formatCurrency(after.grandTotal || 0)}</div>
+                        <div class="payment-entry-meta">${this.escapeHtml(details)}</div>
+                        ${amendment.note ? `<div class="payment-entry-meta">${this.escapeHtml(amendment.note)}</div>` : ''}
+                        ${changes.map(change => `<div class="payment-entry-meta">${this.escapeHtml(change)}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        });
+
+        document.getElementById('receiptHistoryDate').textContent = `${receipt.date || 'N/A'} ${receipt.time || ''}`.trim();
+        document.getElementById('receiptHistoryEntries').innerHTML = entries.reverse().join('');
+        document.getElementById('receiptHistoryModal').classList.add('active');
+    }
+
+    closeReceiptHistoryModal() {
+        document.getElementById('receiptHistoryModal').classList.remove('active');
+    }
+
+    // Recycle bin: deleted receipts and customers that can still be restored
+    async showRecycleBin() {
+        const container = document.getElementById('recycleBinEntries');
+        container.innerHTML = '<div class="payment-entries-empty">Loading...</div>';
+        document.getElementById('recycleBinModal').classList.add('active');
+
+        try {
+            const response = await authManager.apiFetch('/api/recycle-bin');
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load recycle bin: ${response.status}`);
+            }
+
+            this.displayRecycleBin(result.entries || [], result.retentionDays);
+        } catch (error) {
+            console.error('Error loading recycle bin:', error);
+            container.innerHTML = `<div class="payment-entries-empty">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayRecycleBin(entries, retentionDays) {
+        const container = document.getElementById('recycleBinEntries');
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="payment-entries-empty">The recycle bin is empty.</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => {
+            const deletedAt = new Date(entry.deletedAt);
+            const purgedOn = new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+            let title;
+            let details;
+            if (entry.type === 'receipt') {
+                const receipt = entry.receipt || {};
+                const billDate = `${receipt.date || 'N/A'} ${receipt.time || ''}`.trim();
+                title = `Receipt ₹${this.formatCurrency(receipt.grandTotal || 0)} · ${entry.customerName}`;
+                details = `Bill of ${billDate}`;
+            } else {
+                const receipts = entry.receipts || [];
+                const unpaid = receipts.reduce((sum, receipt) => sum + Math.max(0, parseFloat(receipt.remainingBalance) || 0), 0);
+                title = `Customer ${entry.customerName}`;
+                details = `${receipts.length} receipt${receipts.length === 1 ? '' : 's'} · ₹${this.formatCurrency(unpaid)} unpaid`;
+            }
+
+            return `
+                <div class="payment-entry">
+                    <div>
+                        <div class="payment-entry-amount">${this.escapeHtml(title)}</div>
+                        <div class="payment-entry-meta">${this.escapeHtml(details)}</div>
+                        <div class="payment-entry-meta">Deleted ${this.escapeHtml(deletedAt.toLocaleString('en-IN'))} · deleted for good on ${this.escapeHtml(purgedOn.toLocaleDateString('en-IN'))}</div>
+                    </div>
+                    <button type="button" class="restore-deleted-btn" onclick="customersManager.restoreDeleted('${this.escapeHtml(entry.id)}')">Restore</button>
                 </div>
             `;
         }).join('');
     }
 
+    // Put a deleted receipt or customer back, then reload customers from the server
+    async restoreDeleted(binId) {
+        if (this.restoringBinId) {
+            return;
+        }
+        this.restoringBinId = binId;
+
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/restore-deleted', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ binId })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to restore: ${response.status}`);
+            }
+
+            await this.flushAndRefreshCache();
+            if (this.currentCustomer && result.entry && this.currentCustomer === result.entry.customerName) {
+                await this.loadReceipts(this.currentCustomer);
+            }
+            await this.showRecycleBin();
+        } catch (error) {
+            console.error('Error restoring from the recycle bin:', error);
+            alert(error.message || 'Failed to restore. Please try again.');
+        } finally {
+            this.hideLoading();
+            this.restoringBinId = null;
+        }
+    }
+
+    closeRecycleBinModal() {
+        document.getElementById('recycleBinModal').classList.remove('active');
+    }
+
+    // Put a new credit note in front of the customer's cached receipts, like a new receipt
+    updateCustomersCacheWithCreditNote(customerName, creditNote) {
+        try {
+            const cachedCsv = localStorage.getItem(CUSTOMERS_CACHE_KEY);
+            if (!cachedCsv) {
+                console.warn('No customers cache found to update');
+                return;
+            }
+            
+            Papa.parse(cachedCsv, {
+                header: true,
+                skipEmptyLines: true,
+                complete: (results) => {
+                    const customerRow = results.data.find(row => {
+                        const rowCustomerName = row.CUSTOMER || row.customer || row.Customer || '';
+                        return rowCustomerName && rowCustomerName.trim().toUpperCase() === customerName.toUpperCase();
+                    });
+                    if (!customerRow) {
+                        console.warn('Customer not found in cache for credit note');
+                        return;
+                    }
+                    
+                    const receiptColumns = results.meta.fields.filter(f => f.toUpperCase().startsWith('RECEIPT'));
+                    // The last column is full: add one so every receipt can move one column right
+                    if (receiptColumns.length === 0 || customerRow[receiptColumns[receiptColumns.length - 1]]) {
+                        let newField = 'RECEIPT';
+                        for (let i = receiptColumns.length; results.meta.fields.includes(newField); i++) {
+                            newField = `RECEIPT_${i}`;
+                        }
+                        results.meta.fields.push(newField);
+                        receiptColumns.push(newField);
+                    }
+                    for (let i = receiptColumns.length - 1; i > 0; i--) {
+                        customerRow[receiptColumns[i]] = customerRow[receiptColumns[i - 1]] || '';
+                    }
+                    customerRow[receiptColumns[0]] = JSON.stringify(creditNote);
+                    
+                    const updatedCsv = Papa.unparse(results.data, {
+                        header: true,
+                        columns: results.meta.fields
+                    });
+                    localStorage.setItem(CUSTOMERS_CACHE_KEY, updatedCsv);
+                    localStorage.setItem(CUSTOMERS_CACHE_TIMESTAMP_KEY, Date.now().toString());
+                    
+                    console.log('Updated customers cache with credit note');
+                },
+                error: (error) => {
+                    console.error('Error updating customers cache with credit note:', error);
+                }
+            });
+        } catch (error) {
+            console.error('Error updating customers cache with credit note:', error);
+        }
+    }
+
     selectReceipt(index) {
         // Get the receipt from the sorted display array (same sorting as displayReceipts)
         // Sort by creation order (latest first), regardless of payment status
@@ -2198,18 +3496,22 @@ class CustomersManager {
         });
         
         this.currentReceipt = sortedReceipts[index];
-        // Use the original column index stored in the receipt
-        this.currentReceiptIndex = this.currentReceipt._originalIndex !== undefined 
-            ? this.currentReceipt._originalIndex 
-            : this.receipts.indexOf(this.currentReceipt);
+        this.currentReceiptId = this.currentReceipt.id || null;
+        if (!this.currentReceiptId) {
+            this.alertMissingReceiptId();
+            return;
+        }
         this.showPaymentModal();
     }
+    
+    // Receipts saved before receipt IDs existed can't be changed until they are migrated
+    alertMissingReceiptId() {
+        alert('This receipt has no ID yet, so it cannot be changed. Run "npm run migrate-receipt-ids" on the server (see GOOGLE_SHEETS_SETUP.md), then reload this page.');
+    }
 
     showPaymentModal() {
         const modal = document.getElementById('paymentModal');
         const receiptSummary = document.getElementById('receiptSummary');
-        const cashPayment = document.getElementById('cashPayment');
-        const onlinePayment = document.getElementById('onlinePayment');
 
         // Display receipt summary
         const receipt = this.currentReceipt;
@@ -2245,89 +3547,456 @@ class CustomersManager {
             ` : ''}
         `;
 
-        // Set current payment values
-        cashPayment.value = receipt.payments?.cash || 0;
-        onlinePayment.value = receipt.payments?.online || 0;
+        this.renderPaymentEntries();
+
+        // Reset the new payment form
+        const amountInput = document.getElementById('paymentAmount');
+        amountInput.value = '';
+        amountInput.placeholder = remainingBalance > 0 ? `Remaining ₹${this.formatCurrency(remainingBalance)}` : 'Fully paid';
+        document.getElementById('paymentMethod').value = 'cash';
+        document.getElementById('paymentDate').value = this.getTodayDateValue();
+        document.getElementById('paymentNote').value = '';
+        document.getElementById('paymentRecordedBy').value = localStorage.getItem(PAYMENT_RECORDED_BY_KEY) || '';
+
+        document.getElementById('paymentConflict').style.display = 'none';
+        this.pendingPaymentChange = null;
 
         modal.classList.add('active');
     }
 
+    // Payment entries of a receipt (see lib/storage/ledger.mjs)
+    // Receipts paid before the ledger only have cash/online totals - show those as entries
+    getPaymentEntries(receipt) {
+        if (Array.isArray(receipt.paymentEntries)) {
+            return receipt.paymentEntries;
+        }
+        const payments = receipt.payments || {};
+        const legacyNote = 'Recorded before the payment ledger';
+        return [
+            { id: 'legacy-cash', amount: payments.cash || 0, method: 'cash', date: '', note: legacyNote, recordedBy: '' },
+            { id: 'legacy-online', amount: payments.online || 0, method: 'upi', date: '', note: legacyNote, recordedBy: '' }
+        ].filter(entry => entry.amount);
+    }
+
+    // Render the current receipt's payment entries, newest first
+    renderPaymentEntries() {
+        const container = document.getElementById('paymentEntries');
+        const entries = this.getPaymentEntries(this.currentReceipt);
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="payment-entries-empty">No payments recorded yet.</p>';
+            return;
+        }
+
+        const reversedIds = new Set(entries.filter(entry => entry.reverses).map(entry => entry.reverses));
+
+        container.innerHTML = [...entries].reverse().map(entry => {
+            const isReversal = Boolean(entry.reverses);
+            const isReversed = reversedIds.has(entry.id);
+            const details = [
+                entry.date ? this.formatPaymentDate(entry.date) : '',
+                isReversal ? 'Reversal' : (PAYMENT_METHOD_LABELS[entry.method] || entry.method),
+                entry.recordedBy ? `by ${entry.recordedBy}` : ''
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="payment-entry${isReversed ? ' reversed' : ''}${isReversal ? ' reversal' : ''}">
+                    <div>
+                        <div class="payment-entry-amount">${isReversal ? '−' : ''}₹${this.formatCurrency(Math.abs(entry.amount))}</div>
+                        <div class="payment-entry-meta">${this.escapeHtml(details)}</div>
+                        ${entry.note ? `<div class="payment-entry-meta">${this.escapeHtml(entry.note)}</div>` : ''}
+                    </div>
+                    ${!isReversal && !isReversed && entry.method !== 'credit-note' && entry.method !== 'advance' ? `
+                        <button type="button" class="reverse-payment-btn" onclick="customersManager.reversePaymentEntry('${this.escapeHtml(entry.id)}')">Reverse</button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Today's date as YYYY-MM-DD in local time (value of a date input)
+    getTodayDateValue() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    // YYYY-MM-DD -> DD/MM/YYYY, the date format used on receipts
+    formatPaymentDate(date) {
+        const [year, month, day] = String(date).split('-');
+        return day && month && year ? `${day}/${month}/${year}` : date;
+    }
+
+    // Another device saved a payment first: show the server's ledger and keep our change aside
+    handlePaymentConflict(current, change) {
+        this.applyPaymentResult(current);
+
+        this.showPaymentModal();
+        this.pendingPaymentChange = change;
+
+        let description;
+        if (change.reverseEntryId) {
+            description = 'reverse a payment';
+        } else {
+            const method = PAYMENT_METHOD_LABELS[change.payment.method] || change.payment.method;
+            description = `₹${this.formatCurrency(change.payment.amount)} ${method}`;
+        }
+
+        const conflictBox = document.getElementById('paymentConflict');
+        conflictBox.innerHTML = `
+            <p style="margin-bottom: 8px;"><strong>This receipt was changed on another device.</strong> The latest payments are shown below.</p>
+            <p style="margin-bottom: 12px; color: #666;">Your change: ${this.escapeHtml(description)}</p>
+            <button type="button" class="btn btn-secondary" onclick="customersManager.reapplyPaymentChange()">Re-apply my change</button>
+        `;
+        conflictBox.style.display = 'block';
+    }
+
+    // Re-apply the change kept aside after a conflict: a payment goes back into the form
+    // (the user checks it and adds it again), a reversal is sent again
+    reapplyPaymentChange() {
+        const change = this.pendingPaymentChange;
+        if (!change) {
+            return;
+        }
+        document.getElementById('paymentConflict').style.display = 'none';
+        this.pendingPaymentChange = null;
+
+        if (change.reverseEntryId) {
+            this.sendPaymentChange(change);
+            return;
+        }
+        document.getElementById('paymentAmount').value = change.payment.amount;
+        document.getElementById('paymentMethod').value = change.payment.method;
+        document.getElementById('paymentDate').value = change.payment.date;
+        document.getElementById('paymentNote').value = change.payment.note;
+    }
+
     closePaymentModal() {
         const modal = document.getElementById('paymentModal');
         modal.classList.remove('active');
     }
 
+    // Add a payment entry from the form
     async savePayment() {
-        const cashPayment = parseFloat(document.getElementById('cashPayment').value) || 0;
-        const onlinePayment = parseFloat(document.getElementById('onlinePayment').value) || 0;
-        const totalPaid = cashPayment + onlinePayment;
+        const amount = parseFloat(document.getElementById('paymentAmount').value) || 0;
+        const remainingBalance = this.currentReceipt.grandTotal -
+            ((this.currentReceipt.payments?.cash || 0) + (this.currentReceipt.payments?.online || 0));
+
+        if (amount <= 0) {
+            alert('Please enter the amount received.');
+            return;
+        }
+        if (amount > Math.round(remainingBalance * 100) / 100) {
+            alert(`Payment cannot exceed the remaining balance of ₹${this.formatCurrency(remainingBalance)}.`);
+            return;
+        }
+
+        await this.sendPaymentChange({
+            payment: {
+                amount: amount,
+                method: document.getElementById('paymentMethod').value,
+                date: document.getElementById('paymentDate').value,
+                note: document.getElementById('paymentNote').value.trim()
+            }
+        });
+    }
 
-        if (totalPaid > this.currentReceipt.grandTotal) {
-            alert('Total payment cannot exceed the grand total.');
+    // Reverse a payment entry (adds a negative entry; the original stays in the history)
+    async reversePaymentEntry(entryId) {
+        const note = prompt('Reverse this payment? Enter a reason (optional):', '');
+        if (note === null) {
             return;
         }
 
+        await this.sendPaymentChange({
+            reverseEntryId: entryId,
+            payment: {
+                date: this.getTodayDateValue(),
+                note: note.trim()
+            }
+        });
+    }
+
+    // Send a payment or reversal for the current receipt and show the updated ledger
+    async sendPaymentChange(change) {
+        const recordedBy = document.getElementById('paymentRecordedBy').value.trim();
+        localStorage.setItem(PAYMENT_RECORDED_BY_KEY, recordedBy);
+
         this.showLoading();
         try {
-            const response = await fetch('/api/update-receipt-payment', {
+            const response = await authManager.apiFetch('/api/update-receipt-payment', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     customerName: this.currentCustomer,
-                    receiptIndex: this.currentReceiptIndex !== undefined ? this.currentReceiptIndex : this.receipts.indexOf(this.currentReceipt),
-                    payments: {
-                        cash: cashPayment,
-                        online: onlinePayment
-                    }
+                    receiptId: this.currentReceiptId,
+                    expectedVersion: this.currentReceipt.version || 0,
+                    recordedBy: recordedBy,
+                    ...change
                 })
             });
 
-            if (!response.ok) {
-                throw new Error(`Failed to update payment: ${response.status}`);
+            if (response.status === 409) {
+                const conflict = await response.json();
+                this.handlePaymentConflict(conflict.current, change);
+                return;
             }
 
-            const result = await response.json();
-            if (result.success) {
-                // Update local receipt data
-                this.currentReceipt.payments = {
-                    cash: cashPayment,
-                    online: onlinePayment
-                };
-                this.currentReceipt.remainingBalance = this.currentReceipt.grandTotal - totalPaid;
-                
-                // Update the receipts array with the new payment data
-                const receiptIndex = this.receipts.findIndex(r => r._originalIndex === this.currentReceiptIndex);
-                if (receiptIndex !== -1) {
-                    this.receipts[receiptIndex].payments = this.currentReceipt.payments;
-                    this.receipts[receiptIndex].remainingBalance = this.currentReceipt.remainingBalance;
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to update payment: ${response.status}`);
+            }
+
+            this.applyPaymentResult(result);
+            this.showPaymentModal();
+        } catch (error) {
+            console.error('Error saving payment:', error);
+            alert('Failed to save payment: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // The ledger fields of a receipt from the server's ledger state
+    getLedgerFromResult(result) {
+        return {
+            paymentEntries: result.paymentEntries,
+            payments: result.payments || { cash: 0, online: 0 },
+            remainingBalance: result.remainingBalance,
+            version: result.version
+        };
+    }
+
+    // Copy the server's ledger state onto the current receipt, the list and the local cache
+    applyPaymentResult(result) {
+        const ledger = this.getLedgerFromResult(result);
+        Object.assign(this.currentReceipt, ledger);
+
+        const receipt = this.receipts.find(r => r.id === this.currentReceiptId);
+        if (receipt && receipt !== this.currentReceipt) {
+            Object.assign(receipt, ledger);
+        }
+
+        this.updateCustomersCacheWithPayment(this.currentCustomer, this.currentReceiptId, ledger);
+        this.displayReceipts();
+    }
+
+    // Account statement of the current customer (see statement.js)
+    showStatement() {
+        statementManager.open(this.currentCustomer, this.receipts, this.advanceCredit[this.currentCustomer]);
+    }
+
+    // Remaining balance of a receipt, rounded to paise
+    getReceiptRemainingBalance(receipt) {
+        const remaining = receipt.remainingBalance !== undefined
+            ? receipt.remainingBalance
+            : (receipt.grandTotal || 0) - ((receipt.payments?.cash || 0) + (receipt.payments?.online || 0));
+        return Math.round(remaining * 100) / 100;
+    }
+
+    // The current customer's unpaid receipts, oldest first (the order a lump sum pays them off)
+    getOpenReceipts() {
+        return this.receipts
+            .filter(receipt => this.getReceiptRemainingBalance(receipt) > 0)
+            .sort((a, b) => {
+                const dateA = this.parseDate(a.date);
+                const dateB = this.parseDate(b.date);
+                if (dateA !== dateB) {
+                    return dateA - dateB;
                 }
-                
-                // Update local cache with payment information
-                this.updateCustomersCacheWithPayment(
-                    this.currentCustomer,
-                    this.currentReceiptIndex,
-                    {
-                        cash: cashPayment,
-                        online: onlinePayment
-                    }
-                );
-                
-                // Refresh the receipts display to show updated payment info
+                const timeA = this.parseTime(a.time || '');
+                const timeB = this.parseTime(b.time || '');
+                if (timeA !== timeB) {
+                    return timeA - timeB;
+                }
+                const indexA = a._originalIndex !== undefined ? a._originalIndex : 999;
+                const indexB = b._originalIndex !== undefined ? b._originalIndex : 999;
+                return indexB - indexA; // Higher index (older column) comes first
+            });
+    }
+
+    // Lump-sum payment against the customer's account, split across their unpaid bills
+    showReceivePaymentModal() {
+        const openReceipts = this.getOpenReceipts();
+        if (openReceipts.some(receipt => !receipt.id)) {
+            this.alertMissingReceiptId();
+            return;
+        }
+
+        document.getElementById('receivePaymentCustomer').textContent = this.currentCustomer;
+        document.getElementById('receivePaymentAmount').value = '';
+        document.getElementById('receivePaymentMethod').value = 'cash';
+        document.getElementById('receivePaymentDate').value = this.getTodayDateValue();
+        document.getElementById('receivePaymentNote').value = '';
+        document.getElementById('receivePaymentRecordedBy').value = localStorage.getItem(PAYMENT_RECORDED_BY_KEY) || '';
+        document.getElementById('receivePaymentConflict').style.display = 'none';
+
+        this.renderPaymentAllocations();
+        document.getElementById('receivePaymentModal').classList.add('active');
+    }
+
+    // One allocation input per unpaid bill, filled oldest first from the amount received
+    renderPaymentAllocations() {
+        const container = document.getElementById('paymentAllocations');
+        const openReceipts = this.getOpenReceipts();
+
+        if (openReceipts.length === 0) {
+            container.innerHTML = '<p class="payment-entries-empty">No unpaid bills - the whole amount becomes advance credit.</p>';
+        } else {
+            container.innerHTML = openReceipts.map(receipt => `
+                <div class="payment-entry">
+                    <div>
+                        <div class="payment-entry-amount">${this.escapeHtml(receipt.date || 'N/A')} ${this.escapeHtml(receipt.time || '')}</div>
+                        <div class="payment-entry-meta">Remaining ₹${this.formatCurrency(this.getReceiptRemainingBalance(receipt))} of ₹${this.formatCurrency(receipt.grandTotal || 0)}</div>
+                    </div>
+                    <input type="number" class="allocation-input" step="0.01" min="0" data-receipt-id="${this.escapeHtml(receipt.id)}" oninput="customersManager.updatePaymentAllocationLeftover()">
+                </div>
+            `).join('');
+        }
+
+        this.allocateReceivedPayment();
+    }
+
+    // Split the amount received across the unpaid bills, oldest first
+    allocateReceivedPayment() {
+        let left = parseFloat(document.getElementById('receivePaymentAmount').value) || 0;
+        for (const input of document.querySelectorAll('#paymentAllocations .allocation-input')) {
+            const receipt = this.receipts.find(r => r.id === input.dataset.receiptId);
+            const share = Math.round(Math.min(left, this.getReceiptRemainingBalance(receipt)) * 100) / 100;
+            input.value = share > 0 ? share : '';
+            left -= Math.max(share, 0);
+        }
+        this.updatePaymentAllocationLeftover();
+    }
+
+    // The allocations of the form: [{ receiptId, amount, expectedVersion }] for every bill with a share
+    getPaymentAllocations() {
+        return [...document.querySelectorAll('#paymentAllocations .allocation-input')]
+            .map(input => {
+                const receipt = this.receipts.find(r => r.id === input.dataset.receiptId);
+                return {
+                    receiptId: receipt.id,
+                    amount: Math.round((parseFloat(input.value) || 0) * 100) / 100,
+                    expectedVersion: receipt.version || 0,
+                    remainingBalance: this.getReceiptRemainingBalance(receipt)
+                };
+            })
+            .filter(allocation => allocation.amount > 0);
+    }
+
+    // Show what is left over as advance credit (or how much too much is allocated)
+    updatePaymentAllocationLeftover() {
+        const amount = parseFloat(document.getElementById('receivePaymentAmount').value) || 0;
+        const allocated = this.getPaymentAllocations().reduce((sum, allocation) => sum + allocation.amount, 0);
+        const leftover = Math.round((amount - allocated) * 100) / 100;
+        const leftoverElement = document.getElementById('paymentAllocationLeftover');
+
+        if (leftover < 0) {
+            leftoverElement.textContent = `Allocated ₹${this.formatCurrency(-leftover)} more than the amount received`;
+            leftoverElement.style.color = '#dc3545';
+        } else {
+            leftoverElement.textContent = `Advance credit: ₹${this.formatCurrency(leftover)}`;
+            leftoverElement.style.color = leftover > 0 ? '#28a745' : '#666666';
+        }
+    }
+
+    closeReceivePaymentModal() {
+        document.getElementById('receivePaymentModal').classList.remove('active');
+    }
+
+    // Record the lump sum: one ledger entry per allocated bill, the rest as advance credit
+    async saveReceivedPayment() {
+        const amount = parseFloat(document.getElementById('receivePaymentAmount').value) || 0;
+        const allocations = this.getPaymentAllocations();
+        const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+
+        if (amount <= 0) {
+            alert('Please enter the amount received.');
+            return;
+        }
+        const overpaid = allocations.find(allocation => allocation.amount > allocation.remainingBalance);
+        if (overpaid) {
+            alert(`A bill cannot get more than its remaining balance of ₹${this.formatCurrency(overpaid.remainingBalance)}.`);
+            return;
+        }
+        if (Math.round(allocated * 100) > Math.round(amount * 100)) {
+            alert('The bills add up to more than the amount received.');
+            return;
+        }
+
+        const recordedBy = document.getElementById('receivePaymentRecordedBy').value.trim();
+        localStorage.setItem(PAYMENT_RECORDED_BY_KEY, recordedBy);
+        const customerName = this.currentCustomer;
+
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/update-receipt-payment', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    customerName: customerName,
+                    payment: {
+                        amount: amount,
+                        method: document.getElementById('receivePaymentMethod').value,
+                        date: document.getElementById('receivePaymentDate').value,
+                        note: document.getElementById('receivePaymentNote').value.trim()
+                    },
+                    recordedBy: recordedBy,
+                    allocations: allocations.map(({ receiptId, amount, expectedVersion }) => ({ receiptId, amount, expectedVersion }))
+                })
+            });
+
+            // Another device changed one of the bills: show the latest balances, keep the amount
+            if (response.status === 409) {
+                const conflict = await response.json();
+                this.applyReceiptLedgers(customerName, conflict.current.receipts);
+                this.renderPaymentAllocations();
+                const conflictBox = document.getElementById('receivePaymentConflict');
+                conflictBox.innerHTML = `
+                    <p><strong>Some of these bills were changed on another device.</strong> The latest balances are shown below and the amount has been split again - check it and save again.</p>
+                `;
+                conflictBox.style.display = 'block';
+                return;
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to record payment: ${response.status}`);
+            }
+
+            this.applyReceiptLedgers(customerName, result.receipts);
+            if (result.advance) {
+                this.advanceCredit[customerName] = result.advance;
+                this.savePendingOrdersToCache();
                 this.displayReceipts();
-                this.closePaymentModal();
-            } else {
-                throw new Error(result.error || 'Failed to save payment');
             }
+            this.closeReceivePaymentModal();
         } catch (error) {
-            console.error('Error saving payment:', error);
-            alert('Failed to save payment. Please try again.');
+            console.error('Error recording payment:', error);
+            alert('Failed to record payment: ' + error.message);
         } finally {
             this.hideLoading();
         }
     }
 
+    // Copy the server's ledger state of several receipts onto the list and the local cache
+    applyReceiptLedgers(customerName, states) {
+        for (const state of states || []) {
+            const ledger = this.getLedgerFromResult(state);
+            const receipt = this.receipts.find(r => r.id === state.receiptId);
+            if (receipt) {
+                Object.assign(receipt, ledger);
+            }
+            this.updateCustomersCacheWithPayment(customerName, state.receiptId, ledger);
+        }
+        this.displayReceipts();
+    }
+
     showCustomersView() {
         document.getElementById('customersView').style.display = 'block';
         document.getElementById('receiptsView').classList.remove('active');
@@ -2343,7 +4012,7 @@ class CustomersManager {
         }
         this.currentCustomer = null;
         this.currentReceipt = null;
-        this.currentReceiptIndex = null;
+        this.currentReceiptId = null;
         this.receipts = [];
     }
     
@@ -2414,8 +4083,10 @@ class CustomersManager {
             const availableNameWidth = nameWidth - serialPrefix.length;
             const name = cleanName.length > availableNameWidth ? cleanName.substring(0, availableNameWidth - 3) + '...' : cleanName;
             const qty = item.quantity.toString();
-            const rate = item.rate.toFixed(2);
-            const total = (item.rate * item.quantity).toFixed(2);
+            // Credit notes show what was refunded per unit (after the bill's discounts)
+            const itemRate = receipt.type === 'creditNote' && item.total !== undefined ? item.total / item.quantity : item.rate;
+            const rate = itemRate.toFixed(2);
+            const total = (itemRate * item.quantity).toFixed(2);
             
             // Format: Serial Number. Name (left), then Qty x Rate = Total (right aligned)
             const namePart = name.padEnd(availableNameWidth);
@@ -2423,7 +4094,18 @@ class CustomersManager {
             const ratePart = rate.padStart(rateWidth);
             const totalPart = total.padStart(totalWidth);
             
-            return `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const line = `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const itemLines = [line];
+            if (item.discount && item.discount.amount > 0) {
+                // Discount line under the item (rate and line total above are before the discount)
+                const discountLabel = `${' '.repeat(serialPrefix.length)}Less ${this.formatReceiptDiscount(item.discount)}`;
+                itemLines.push(`${discountLabel.padEnd(line.length - totalWidth)}${`-${item.discount.amount.toFixed(2)}`.padStart(totalWidth)}`);
+            }
+            if (receipt.gst) {
+                // HSN and GST % of tax invoice items (see gst.js)
+                itemLines.push(`${' '.repeat(serialPrefix.length)}${gstCalculator.itemLabel(item)}`);
+            }
+            return itemLines.join('\n');
         }).join('\n');
         
         // Format total with proper alignment
@@ -2437,9 +4119,39 @@ class CustomersManager {
         const totalLineWidth = serialPrefixWidth + nameWidth + 1 + 2 + 1 + 1 + 1 + rateWidth + 1 + 1 + 1 + totalWidth;
         const totalValue = totalValueStr.padStart(totalLineWidth - nameWidth);
         
+        // Gross and discounts above the total, for receipts that had any
+        const summaryLine = (label, amount) => `${label}${amount.padStart(Math.max(totalLineWidth - label.length, amount.length + 1))}`;
+        const discountLines = [];
+        if (receipt.discountTotal > 0) {
+            const lineDiscounts = validItems.reduce((sum, item) => sum + ((item.discount && item.discount.amount) || 0), 0);
+            discountLines.push(summaryLine('Gross', `₹${(receipt.grossTotal || 0).toFixed(2)}`));
+            if (lineDiscounts > 0) {
+                discountLines.push(summaryLine('Item discounts', `-₹${lineDiscounts.toFixed(2)}`));
+            }
+            if (receipt.billDiscount && receipt.billDiscount.amount > 0) {
+                discountLines.push(summaryLine(`Discount ${this.formatReceiptDiscount(receipt.billDiscount)}`, `-₹${receipt.billDiscount.amount.toFixed(2)}`));
+            }
+        }
+        const gstLines = receipt.gst
+            ? gstCalculator.summaryRows(receipt.gst).map(([label, amount]) => summaryLine(label, `₹${amount.toFixed(2)}`))
+            : [];
+        
+        // Credit notes (returned items) say which bill they are for and how the money went back
+        const isCreditNote = receipt.type === 'creditNote';
+        const refund = receipt.refund || {};
+        const creditNoteLines = isCreditNote ? [
+            '',
+            receipt.reason ? `Reason: ${receipt.reason}` : '',
+            refund.toBalance > 0 ? summaryLine('Taken off the bill', `₹${refund.toBalance.toFixed(2)}`) : '',
+            refund.toAdvance > 0 ? summaryLine('Kept as advance credit', `₹${refund.toAdvance.toFixed(2)}`) : '',
+            refund.cash > 0 ? summaryLine('Refunded in cash', `₹${refund.cash.toFixed(2)}`) : ''
+        ].filter((line, i) => i === 0 || line) : [];
+        
         // Build receipt content
         const receiptLines = [
             storeName,
+            ...(receipt.gst ? gstCalculator.headerLines(receipt.gst, isCreditNote ? 'CREDIT NOTE' : undefined) : []),
+            ...(isCreditNote ? [receipt.gst ? '' : 'CREDIT NOTE', `Against bill of ${receipt.originalDate || 'N/A'}`].filter(line => line) : []),
             customerName ? `Customer: ${customerName}` : '',
             '',
             `Date: ${dateStr}`,
@@ -2450,7 +4162,10 @@ class CustomersManager {
             '·'.repeat(separatorWidth),
             itemsText,
             '·'.repeat(separatorWidth),
+            ...discountLines,
+            ...gstLines,
             `${totalLabel}${totalValue}`,
+            ...creditNoteLines,
             '·'.repeat(separatorWidth),
             '',
             'Thank you for your purchase!'
@@ -2460,6 +4175,12 @@ class CustomersManager {
         modal.style.display = 'flex';
     }
     
+    // A receipt discount ({ type, value, amount, reason }) as "10%" or "₹50.00", with the reason
+    formatReceiptDiscount(discount) {
+        const value = discount.type === 'percent' ? `${discount.value}%` : `₹${parseFloat(discount.value).toFixed(2)}`;
+        return discount.reason ? `${value} (${discount.reason})` : value;
+    }
+    
     closeReceiptView() {
         const modal = document.getElementById('receiptViewModal');
         if (modal) {
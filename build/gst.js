@@ -0,0 +1,153 @@
+// GST (goods and services tax) for bills, receipt views and the monthly report
+// Products can have a GST % and an HSN code (optional products sheet columns). The store's GSTIN
+// and whether its prices include tax come from /api/store-settings (STORE_GSTIN, GST_PRICES);
+// without a store GSTIN bills are plain receipts with no tax.
+//
+// Tax is worked out per rate slab on each line's value after discounts (a bill discount is shared
+// across the lines in proportion to their value). A customer GSTIN from another state (its first
+// two digits are the state code) makes the bill inter-state: IGST instead of CGST + SGST.
+const GST_SETTINGS_CACHE_KEY = 'gstSettingsCache';
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+class GstCalculator {
+    constructor() {
+        this.settings = { gstin: '', pricesIncludeTax: true };
+    }
+
+    // Store GST settings, cached so bills can still be made offline
+    async loadSettings() {
+        try {
+            const cached = localStorage.getItem(GST_SETTINGS_CACHE_KEY);
+            if (cached) {
+                this.settings = JSON.parse(cached);
+            }
+        } catch (error) {
+            console.error('Error reading GST settings cache:', error);
+        }
+
+        try {
+            const response = await authManager.apiFetch('/api/store-settings');
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load store settings: ${response.status}`);
+            }
+            this.settings = result.gst;
+            localStorage.setItem(GST_SETTINGS_CACHE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Using cached GST settings:', error.message || error);
+        }
+    }
+
+    isEnabled() {
+        return Boolean(this.settings.gstin);
+    }
+
+    normalizeGstin(gstin) {
+        return String(gstin || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    isValidGstin(gstin) {
+        return GSTIN_PATTERN.test(this.normalizeGstin(gstin));
+    }
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // Tax for a bill, or null when GST is off
+    // lines: [{ value, gstRate }] - value is the line after all discounts, in bill prices
+    // Returns { gst, lines: [{ taxableValue, tax }] } with lines in the same order
+    // settings: { gstin, pricesIncludeTax } to use instead of the store's current ones (an
+    // amended bill is taxed the way it was first made)
+    calculate(lines, customerGstin, settings = this.settings) {
+        if (!settings.gstin) {
+            return null;
+        }
+
+        const { gstin, pricesIncludeTax } = settings;
+        const buyerGstin = this.isValidGstin(customerGstin) ? this.normalizeGstin(customerGstin) : '';
+        const interState = Boolean(buyerGstin) && buyerGstin.slice(0, 2) !== gstin.slice(0, 2);
+
+        const lineTaxes = lines.map(line => {
+            const rate = parseFloat(line.gstRate) || 0;
+            const taxableValue = pricesIncludeTax ? line.value * 100 / (100 + rate) : line.value;
+            return { rate, taxableValue, tax: taxableValue * rate / 100 };
+        });
+
+        const slabs = new Map();
+        lineTaxes.forEach(line => {
+            const slab = slabs.get(line.rate) || { rate: line.rate, taxableValue: 0, tax: 0 };
+            slab.taxableValue += line.taxableValue;
+            slab.tax += line.tax;
+            slabs.set(line.rate, slab);
+        });
+
+        // Each slab's tax is rounded once; CGST gets the odd paisa when it doesn't split evenly
+        const gstSlabs = [...slabs.values()]
+            .sort((a, b) => a.rate - b.rate)
+            .map(slab => {
+                const taxPaise = Math.round(slab.tax * 100);
+                const cgstPaise = interState ? 0 : Math.ceil(taxPaise / 2);
+                return {
+                    rate: slab.rate,
+                    taxableValue: this.round(slab.taxableValue),
+                    cgst: cgstPaise / 100,
+                    sgst: interState ? 0 : (taxPaise - cgstPaise) / 100,
+                    igst: interState ? taxPaise / 100 : 0
+                };
+            });
+
+        const gst = {
+            gstin,
+            customerGstin: buyerGstin,
+            pricesIncludeTax,
+            interState,
+            slabs: gstSlabs,
+            taxableValue: this.round(gstSlabs.reduce((sum, slab) => sum + slab.taxableValue, 0)),
+            totalTax: this.round(gstSlabs.reduce((sum, slab) => sum + slab.cgst + slab.sgst + slab.igst, 0))
+        };
+        return {
+            gst,
+            lines: lineTaxes.map(line => ({ taxableValue: this.round(line.taxableValue), tax: this.round(line.tax) }))
+        };
+    }
+
+    // Lines under the store name on a tax invoice (or a credit note for returned items)
+    headerLines(gst, title = 'TAX INVOICE') {
+        return [
+            title,
+            `GSTIN: ${gst.gstin}`,
+            gst.customerGstin ? `Customer GSTIN: ${gst.customerGstin}` : '',
+            gst.pricesIncludeTax ? 'Prices include GST' : ''
+        ].filter(line => line);
+    }
+
+    // "HSN 1006, GST 5%" under an item, or '' when it has neither
+    itemLabel(item) {
+        const parts = [];
+        if (item.hsn) {
+            parts.push(`HSN ${item.hsn}`);
+        }
+        if (item.gstRate !== undefined) {
+            parts.push(`GST ${item.gstRate}%`);
+        }
+        return parts.join(', ');
+    }
+
+    // [label, amount] rows for the tax breakdown above the total
+    summaryRows(gst) {
+        const rows = [['Taxable value', gst.taxableValue]];
+        gst.slabs.filter(slab => slab.rate > 0).forEach(slab => {
+            if (gst.interState) {
+                rows.push([`IGST @${slab.rate}% on ${slab.taxableValue.toFixed(2)}`, slab.igst]);
+            } else {
+                rows.push([`CGST @${slab.rate / 2}% on ${slab.taxableValue.toFixed(2)}`, slab.cgst]);
+                rows.push([`SGST @${slab.rate / 2}% on ${slab.taxableValue.toFixed(2)}`, slab.sgst]);
+            }
+        });
+        rows.push(['Total GST', gst.totalTax]);
+        return rows;
+    }
+}
+
+const gstCalculator = new GstCalculator();
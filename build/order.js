@@ -7,21 +7,38 @@ const CUSTOMERS_RECEIPTS = '/api/customers-receipts';
 // Cache keys
 const PRODUCTS_CACHE_KEY = 'storeProductsCache';
 const PRODUCTS_CACHE_TIMESTAMP_KEY = 'storeProductsCacheTimestamp';
-const PENDING_ORDER_CACHE_KEY = 'pendingOrderCache';
-const PENDING_ORDER_CACHE_TIMESTAMP_KEY = 'pendingOrderCacheTimestamp';
+const ORDERS_CACHE_KEY = 'customerOrdersCache';
+const ORDERS_CACHE_TIMESTAMP_KEY = 'customerOrdersCacheTimestamp';
 const RECEIPTS_CACHE_KEY = 'customerReceiptsCache';
 const RECEIPTS_CACHE_TIMESTAMP_KEY = 'customerReceiptsCacheTimestamp';
 const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
+const ORDER_STATUS_REFRESH_MS = 30 * 1000; // Live order status while an order is on its way
+
+// Order statuses (see lib/storage/orders.mjs) as the customer sees them
+const ORDER_STATUS_LABELS = {
+    'placed': 'Waiting for the store',
+    'accepted': 'Accepted',
+    'packed': 'Packed',
+    'ready': 'Ready for pickup',
+    'out-for-delivery': 'Out for delivery',
+    'completed': 'Completed',
+    'rejected': 'Declined by the store',
+    'cancelled': 'Cancelled'
+};
+const ACTIVE_ORDER_STATUSES = ['placed', 'accepted', 'packed', 'ready', 'out-for-delivery'];
 
 class OrderSystem {
     constructor() {
         this.products = [];
         this.cart = [];
         this.receipts = [];
-        this.pendingOrder = null;
+        this.orders = []; // This customer's orders, newest first (/api/orders)
+        this.cancellingOrderId = null;
         this.customerName = authManager.customerName || '';
         this.specialPrices = {}; // Special prices for this customer
+        this.advance = null; // Advance credit for this customer { balance, entries } (ADVANCE)
         this.cacheRefreshInterval = null;
+        this.orderStatusInterval = null;
         this.init();
     }
 
@@ -42,8 +59,8 @@ class OrderSystem {
         // Load customer receipts
         await this.loadCustomerReceipts();
         
-        // Load pending order
-        await this.loadPendingOrder();
+        // Load orders
+        await this.loadOrders();
         
         // Load special prices for this customer
         await this.loadSpecialPrices();
@@ -137,7 +154,7 @@ class OrderSystem {
     
     async loadCustomerReceiptsFromServer(silent = false) {
         try {
-            const response = await fetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
+            const response = await authManager.apiFetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
             if (!response.ok) {
                 throw new Error(`Failed to fetch receipts: ${response.status}`);
             }
@@ -265,7 +282,7 @@ class OrderSystem {
                     <div class="receipt-item-info">
                         <div class="receipt-item-date">${this.escapeHtml(receipt.date || 'N/A')} ${this.escapeHtml(receipt.time || '')}</div>
                         <div class="receipt-item-amount">
-                            ₹${this.formatCurrency(receipt.grandTotal || 0)}
+                            ${receipt.type === 'creditNote' ? 'Credit note ' : ''}₹${this.formatCurrency(receipt.grandTotal || 0)}
                             ${remainingBalance > 0 ? ` <span class="unpaid-part">| Unpaid: ₹${this.formatCurrency(remainingBalance)}</span>` : ''}
                         </div>
                     </div>
@@ -294,10 +311,10 @@ class OrderSystem {
         }
     }
     
-    // Check if pending order cache is stale
-    isPendingOrderCacheStale() {
+    // Check if orders cache is stale
+    isOrdersCacheStale() {
         try {
-            const cacheTimestamp = localStorage.getItem(PENDING_ORDER_CACHE_TIMESTAMP_KEY);
+            const cacheTimestamp = localStorage.getItem(ORDERS_CACHE_TIMESTAMP_KEY);
             if (!cacheTimestamp) return true;
             const cacheTime = parseInt(cacheTimestamp, 10);
             return (Date.now() - cacheTime) >= CACHE_DURATION_MS;
@@ -306,69 +323,71 @@ class OrderSystem {
         }
     }
     
-    // Load pending order from cache
-    loadPendingOrderFromCache() {
+    // Load orders (and advance credit) from cache
+    loadOrdersFromCache() {
         try {
-            const cachedData = localStorage.getItem(PENDING_ORDER_CACHE_KEY);
+            const cachedData = localStorage.getItem(ORDERS_CACHE_KEY);
             if (!cachedData) {
                 return false;
             }
             
             const parsed = JSON.parse(cachedData);
             // Check if cache is for current customer
-            if (parsed.customerName && parsed.customerName.toUpperCase() === this.customerName.toUpperCase()) {
-                // Set pending order (can be null if no pending order exists)
-                this.pendingOrder = parsed.order !== undefined ? parsed.order : null;
+            if (parsed.customerName && parsed.customerName.toUpperCase() === this.customerName.toUpperCase() &&
+                Array.isArray(parsed.orders)) {
+                this.orders = parsed.orders;
+                this.advance = parsed.advance || null;
                 return true;
             }
             // Cache exists but for different customer
             return false;
         } catch (error) {
-            console.error('Error loading pending order from cache:', error);
+            console.error('Error loading orders from cache:', error);
             return false;
         }
     }
     
-    // Save pending order to cache
-    savePendingOrderToCache() {
+    // Save orders to cache
+    saveOrdersToCache() {
         try {
             const cacheData = {
                 customerName: this.customerName,
-                order: this.pendingOrder
+                orders: this.orders,
+                advance: this.advance
             };
-            localStorage.setItem(PENDING_ORDER_CACHE_KEY, JSON.stringify(cacheData));
-            localStorage.setItem(PENDING_ORDER_CACHE_TIMESTAMP_KEY, Date.now().toString());
+            localStorage.setItem(ORDERS_CACHE_KEY, JSON.stringify(cacheData));
+            localStorage.setItem(ORDERS_CACHE_TIMESTAMP_KEY, Date.now().toString());
         } catch (error) {
-            console.error('Error saving pending order to cache:', error);
+            console.error('Error saving orders to cache:', error);
         }
     }
     
-    async loadPendingOrder(silent = false) {
+    async loadOrders(silent = false) {
         // Always try to load from cache first
-        const hasCache = this.loadPendingOrderFromCache();
+        const hasCache = this.loadOrdersFromCache();
         
         if (hasCache) {
             // Cache exists - check if it's stale
-            const isStale = this.isPendingOrderCacheStale();
+            const isStale = this.isOrdersCacheStale();
             
             if (!isStale) {
                 // Cache is fresh (less than 5 minutes old) - use it, don't fetch
-                this.displayPendingOrder();
+                this.displayOrders();
                 return; // Use cached data, don't fetch
             }
         }
         
         // Only fetch if cache is missing or stale
-        await this.loadPendingOrderFromServer(silent);
+        await this.loadOrdersFromServer(silent);
     }
     
     // Load special prices for this customer
     async loadSpecialPrices() {
-        // Special prices are loaded along with pending order in loadPendingOrderFromServer
+        // Special prices are loaded along with the orders in loadOrdersFromServer
         // This method is here for consistency and future use
         if (Object.keys(this.specialPrices).length === 0) {
             // If not loaded yet, trigger a load
-            await this.loadPendingOrderFromServer(true);
+            await this.loadOrdersFromServer(true);
         }
     }
     
@@ -381,28 +400,43 @@ class OrderSystem {
         return product.rate || 0;
     }
     
-    async loadPendingOrderFromServer(silent = false) {
+    // This customer's orders, newest first (customers only ever get their own)
+    async fetchOrders() {
+        const response = await authManager.apiFetch(`/api/orders?limit=50&t=${Date.now()}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `Failed to load orders: ${response.status}`);
+        }
+        return result.orders || [];
+    }
+    
+    async loadOrdersFromServer(silent = false) {
         try {
-            const response = await fetch(`/api/customer-orders?t=${Date.now()}`);
+            this.orders = await this.fetchOrders();
+        } catch (error) {
+            // Keep showing the orders we already have
+            console.error('Error loading orders:', error);
+        }
+        
+        try {
+            const response = await authManager.apiFetch(`/api/customer-orders?t=${Date.now()}`);
             if (!response.ok) {
-                console.warn('Failed to load pending order');
-                this.pendingOrder = null;
-                this.savePendingOrderToCache();
-                this.displayPendingOrder();
+                console.warn('Failed to load special prices');
+                this.saveOrdersToCache();
+                this.displayOrders();
                 return;
             }
             
             const csvText = await response.text();
-            this.pendingOrder = null;
+            this.advance = null;
             
             Papa.parse(csvText, {
                 header: false,
                 skipEmptyLines: true,
                 complete: (results) => {
                     if (!results.data || results.data.length < 2) {
-                        this.pendingOrder = null;
-                        this.savePendingOrderToCache();
-                        this.displayPendingOrder();
+                        this.saveOrdersToCache();
+                        this.displayOrders();
                         return;
                     }
                     
@@ -412,10 +446,9 @@ class OrderSystem {
                         if (row.length >= 3) {
                             // First column: customer name
                             // Second column: password
-                            // Third column: order JSON
                             // Fourth column: special prices JSON (optional)
+                            // Sixth column: advance credit JSON (optional)
                             const customerName = String(row[0] || '').trim();
-                            const orderJson = String(row[2] || '').trim();
                             const specialPricesJson = String(row[3] || '').trim();
                             
                             if (customerName && customerName.toUpperCase() === this.customerName.toUpperCase()) {
@@ -436,22 +469,13 @@ class OrderSystem {
                                     this.specialPrices = {};
                                 }
                                 
-                                // Load pending order
-                                if (orderJson) {
-                                    try {
-                                        let orderData = orderJson;
-                                        if (orderData.startsWith('"') && orderData.endsWith('"')) {
-                                            orderData = orderData.slice(1, -1);
-                                        }
-                                        orderData = orderData.replace(/""/g, '"');
-                                        const order = JSON.parse(orderData);
-                                        this.pendingOrder = order;
-                                    } catch (e) {
-                                        console.error('Error parsing pending order JSON:', e);
-                                        this.pendingOrder = null;
-                                    }
-                                } else {
-                                    this.pendingOrder = null;
+                                // Load advance credit (used by the statement)
+                                try {
+                                    const advanceJson = String(row[5] || '').trim();
+                                    this.advance = advanceJson ? JSON.parse(advanceJson) : null;
+                                } catch (e) {
+                                    console.error('Error parsing advance credit JSON:', e);
+                                    this.advance = null;
                                 }
                                 break;
                             }
@@ -459,80 +483,89 @@ class OrderSystem {
                     }
                     
                     // Save to cache
-                    this.savePendingOrderToCache();
-                    this.displayPendingOrder();
+                    this.saveOrdersToCache();
+                    this.displayOrders();
                 },
                 error: (error) => {
-                    console.error('Error parsing pending order CSV:', error);
-                    this.pendingOrder = null;
-                    this.savePendingOrderToCache();
-                    this.displayPendingOrder();
+                    console.error('Error parsing customer orders CSV:', error);
+                    this.saveOrdersToCache();
+                    this.displayOrders();
                 }
             });
         } catch (error) {
-            console.error('Error loading pending order:', error);
-            this.pendingOrder = null;
-            this.savePendingOrderToCache();
-            this.displayPendingOrder();
+            console.error('Error loading special prices:', error);
+            this.saveOrdersToCache();
+            this.displayOrders();
         }
     }
     
-    displayPendingOrder() {
+    isActiveOrder(order) {
+        return ACTIVE_ORDER_STATUSES.includes(order.status);
+    }
+    
+    // Orders still on their way first, then past ones (each newest first)
+    displayOrders() {
         const pendingOrderSection = document.getElementById('pendingOrderSection');
         const pendingOrderContent = document.getElementById('pendingOrderContent');
         
         if (!pendingOrderSection || !pendingOrderContent) return;
         
-        if (!this.pendingOrder) {
+        if (this.orders.length === 0) {
             pendingOrderSection.style.display = 'none';
             return;
         }
         
         pendingOrderSection.style.display = 'block';
         
-        const order = this.pendingOrder;
-        const dateStr = order.date || 'N/A';
-        const timeStr = order.time || 'N/A';
-        const grandTotal = order.grandTotal || 0;
-        
-        pendingOrderContent.innerHTML = `
+        const activeOrders = this.orders.filter(order => this.isActiveOrder(order));
+        const pastOrders = this.orders.filter(order => !this.isActiveOrder(order));
+        const orderItem = (order) => `
             <div class="pending-order-item">
                 <div class="pending-order-info">
                     <div class="pending-order-header">
                         <div>
-                            <div class="pending-order-date">${this.escapeHtml(dateStr)}</div>
-                            <div class="pending-order-time">${this.escapeHtml(timeStr)}</div>
+                            <div class="pending-order-date">${this.escapeHtml(order.date || 'N/A')}</div>
+                            <div class="pending-order-time">${this.escapeHtml(order.time || 'N/A')}</div>
                         </div>
-                        <div class="pending-order-amount">₹${this.formatCurrency(grandTotal)}</div>
+                        <div class="pending-order-amount">₹${this.formatCurrency(order.grandTotal || 0)}</div>
                     </div>
-                    <div class="pending-order-status">Pending Approval</div>
+                    <div class="pending-order-status order-status-${this.escapeHtml(order.status)}">${this.escapeHtml(ORDER_STATUS_LABELS[order.status] || order.status)}</div>
                 </div>
-                <button class="delete-pending-order-btn" onclick="orderSystem.showDeletePendingOrderModal()" title="Delete pending order">
+                ${order.status === 'placed' ? `
+                <button class="delete-pending-order-btn" onclick="orderSystem.showCancelOrderModal('${this.escapeHtml(order.id)}')" title="Cancel order">
                     ×
-                </button>
-                <button class="view-pending-order-btn" onclick="orderSystem.viewPendingOrder()" title="View pending order">
+                </button>` : ''}
+                <button class="view-pending-order-btn" onclick="orderSystem.viewOrder('${this.escapeHtml(order.id)}')" title="View order">
                     Check Order
                 </button>
             </div>
         `;
+        
+        pendingOrderContent.innerHTML = [
+            activeOrders.map(orderItem).join(''),
+            pastOrders.length > 0 ? '<div class="past-orders-heading">Past Orders</div>' : '',
+            pastOrders.map(orderItem).join('')
+        ].join('');
     }
     
-    showDeletePendingOrderModal() {
+    showCancelOrderModal(orderId) {
+        this.cancellingOrderId = orderId;
         const modal = document.getElementById('deletePendingOrderModal');
         if (modal) {
             modal.classList.add('active');
         }
     }
     
-    closeDeletePendingOrderModal() {
+    closeCancelOrderModal() {
         const modal = document.getElementById('deletePendingOrderModal');
         if (modal) {
             modal.classList.remove('active');
         }
     }
     
-    viewPendingOrder() {
-        if (!this.pendingOrder) {
+    viewOrder(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order) {
             return;
         }
         
@@ -540,15 +573,15 @@ class OrderSystem {
         const modal = document.getElementById('pendingOrderViewModal');
         
         if (!pendingOrderContent || !modal) {
-            console.error('Pending order modal elements not found');
+            console.error('Order modal elements not found');
             return;
         }
         
-        // Format pending order similar to receipt
-        const storeName = this.pendingOrder.storeName || "SHREEJI'S STORE";
+        // Format order similar to receipt
+        const storeName = order.storeName || "SHREEJI'S STORE";
         const customerName = this.customerName ? this.customerName.toUpperCase() : '';
-        const dateStr = this.pendingOrder.date || 'N/A';
-        const timeStr = this.pendingOrder.time || 'N/A';
+        const dateStr = order.date || 'N/A';
+        const timeStr = order.time || 'N/A';
         
         // Detect mobile screen
         const isMobile = window.innerWidth <= 768;
@@ -560,7 +593,7 @@ class OrderSystem {
         const separatorWidth = isMobile ? 35 : 50;
         
         // Format items for receipt
-        const items = this.pendingOrder.items || [];
+        const items = order.items || [];
         const validItems = items.filter((item) => {
             if (!item || !item.name || item.rate === undefined || item.quantity === undefined) {
                 return false;
@@ -596,13 +629,13 @@ class OrderSystem {
         const maxSerialNumber = validItems.length;
         const serialPrefixWidth = maxSerialNumber.toString().length + 2; // number + ". "
         const totalLabel = "Total".padEnd(nameWidth);
-        const grandTotal = this.pendingOrder.grandTotal || 0;
+        const grandTotal = order.grandTotal || 0;
         const totalValueStr = `₹${grandTotal.toFixed(2)}`;
         // Calculate remaining space: serialPrefixWidth + nameWidth + 1 (space) + 2 (qty) + 1 (space) + 1 (x) + 1 (space) + rateWidth + 1 (space) + 1 (=) + 1 (space) + totalWidth
         const totalLineWidth = serialPrefixWidth + nameWidth + 1 + 2 + 1 + 1 + 1 + rateWidth + 1 + 1 + 1 + totalWidth;
         const totalValue = totalValueStr.padStart(totalLineWidth - nameWidth);
         
-        // Build pending order content
+        // Build order content
         const orderLines = [
             storeName,
             customerName ? `Customer: ${customerName}` : '',
@@ -618,7 +651,7 @@ class OrderSystem {
             `${totalLabel}${totalValue}`,
             '·'.repeat(separatorWidth),
             '',
-            'Order Pending Approval'
+            `Order ${ORDER_STATUS_LABELS[order.status] || order.status}`
         ];
         
         pendingOrderContent.textContent = orderLines.join('\n');
@@ -637,7 +670,7 @@ class OrderSystem {
         const modal = document.getElementById('pendingOrderViewModal');
         
         if (!pendingOrderContent || !modal) {
-            alert('Pending order not found');
+            alert('Order not found');
             return;
         }
         
@@ -774,20 +807,20 @@ class OrderSystem {
                 if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
                     try {
                         await navigator.share({
-                            title: 'Pending Order',
-                            text: 'Pending Order from Shreeji\'s Store',
+                            title: 'Order',
+                            text: 'Order from Shreeji\'s Store',
                             files: [file]
                         });
                     } catch (shareError) {
                         if (shareError.name !== 'AbortError') {
                             console.error('Error sharing:', shareError);
                             // Fallback to download
-                            this.downloadPendingOrderImage(canvas);
+                            this.downloadOrdersImage(canvas);
                         }
                     }
                 } else {
                     // Fallback to download
-                    this.downloadPendingOrderImage(canvas);
+                    this.downloadOrdersImage(canvas);
                 }
                 
                 // Hide loading
@@ -801,8 +834,8 @@ class OrderSystem {
             }, 'image/jpeg', 0.95);
             
         } catch (error) {
-            console.error('Error sharing pending order:', error);
-            alert('Failed to share pending order. Please try again.');
+            console.error('Error sharing order:', error);
+            alert('Failed to share order. Please try again.');
             
             // Hide loading
             const loadingOverlay = document.getElementById('loadingOverlay');
@@ -816,48 +849,47 @@ class OrderSystem {
         }
     }
     
-    downloadPendingOrderImage(canvas) {
+    downloadOrdersImage(canvas) {
         const link = document.createElement('a');
         link.download = 'pending-order.jpg';
         link.href = canvas.toDataURL('image/jpeg', 0.95);
         link.click();
     }
     
-    async deletePendingOrder() {
-        if (!this.pendingOrder) {
+    // Customers can cancel an order until the store accepts it
+    async cancelOrder() {
+        const orderId = this.cancellingOrderId;
+        if (!orderId) {
             return;
         }
         
-        this.closeDeletePendingOrderModal();
+        this.closeCancelOrderModal();
         
         try {
-            const response = await fetch('/api/approve-order', {
+            const response = await authManager.apiFetch('/api/update-order-status', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     customerName: this.customerName,
-                    approved: false
+                    orderId,
+                    status: 'cancelled'
                 })
             });
             
-            if (!response.ok) {
-                throw new Error(`Failed to delete pending order: ${response.status}`);
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to cancel order: ${response.status}`);
             }
             
-            const result = await response.json();
-            if (result.success) {
-                this.pendingOrder = null;
-                // Update cache immediately
-                this.savePendingOrderToCache();
-                this.displayPendingOrder();
-            } else {
-                throw new Error(result.error || 'Failed to delete pending order');
-            }
+            this.orders = this.orders.map(order => order.id === orderId ? result.order : order);
+            // Update cache immediately
+            this.saveOrdersToCache();
+            this.displayOrders();
         } catch (error) {
-            console.error('Error deleting pending order:', error);
-            alert('Failed to delete pending order. Please try again.');
+            console.error('Error cancelling order:', error);
+            alert(`Failed to cancel order: ${error.message}`);
         }
     }
     
@@ -871,26 +903,57 @@ class OrderSystem {
         // Refresh both caches every 5 minutes - flush old cache and replace with fresh data
         this.cacheRefreshInterval = setInterval(() => {
             console.log('Periodic cache refresh triggered - flushing and replacing cache');
-            this.flushAndRefreshPendingOrderCache();
+            this.flushAndRefreshOrdersCache();
             this.flushAndRefreshReceiptsCache();
         }, CACHE_DURATION_MS);
+        
+        // Live status for orders still on their way
+        if (this.orderStatusInterval) {
+            clearInterval(this.orderStatusInterval);
+        }
+        this.orderStatusInterval = setInterval(() => {
+            if (document.visibilityState === 'visible' && this.orders.some(order => this.isActiveOrder(order))) {
+                this.refreshOrderStatuses();
+            }
+        }, ORDER_STATUS_REFRESH_MS);
+    }
+    
+    // Pick up status changes made by the store; an accepted order is a new receipt
+    async refreshOrderStatuses() {
+        try {
+            const orders = await this.fetchOrders();
+            const previous = new Map(this.orders.map(order => [order.id, order.status]));
+            const changed = orders.filter(order => previous.get(order.id) !== order.status);
+            if (changed.length === 0 && orders.length === this.orders.length) {
+                return;
+            }
+            
+            this.orders = orders;
+            this.saveOrdersToCache();
+            this.displayOrders();
+            if (changed.some(order => order.status === 'accepted')) {
+                this.flushAndRefreshReceiptsCache();
+            }
+        } catch (error) {
+            console.error('Error refreshing order status:', error);
+        }
     }
     
     // Flush old cache and replace with fresh data
-    async flushAndRefreshPendingOrderCache() {
+    async flushAndRefreshOrdersCache() {
         try {
             // Clear old cache
-            localStorage.removeItem(PENDING_ORDER_CACHE_KEY);
-            localStorage.removeItem(PENDING_ORDER_CACHE_TIMESTAMP_KEY);
+            localStorage.removeItem(ORDERS_CACHE_KEY);
+            localStorage.removeItem(ORDERS_CACHE_TIMESTAMP_KEY);
             
-            console.log('Pending order cache flushed, fetching fresh data...');
+            console.log('Orders cache flushed, fetching fresh data...');
             
             // Fetch fresh data and save to cache
-            await this.loadPendingOrderFromServer(true);
+            await this.loadOrdersFromServer(true);
             
-            console.log('Pending order cache refreshed with fresh data');
+            console.log('Orders cache refreshed with fresh data');
         } catch (error) {
-            console.error('Error flushing and refreshing pending order cache:', error);
+            console.error('Error flushing and refreshing orders cache:', error);
         }
     }
     
@@ -1004,6 +1067,7 @@ class OrderSystem {
                 const cacheBuster = `?t=${Date.now()}&v=${Math.random().toString(36).substring(7)}`;
                 Papa.parse(STORE_PRODUCTS_URL + cacheBuster, {
                     download: true,
+                    downloadRequestHeaders: authManager.getAuthHeaders(),
                     header: true,
                     skipEmptyLines: true,
                     transformHeader: (header) => header.trim().toUpperCase(),
@@ -1024,7 +1088,8 @@ class OrderSystem {
                                 name: String(row.PRODUCT || '').trim(),
                                 rate: parseFloat(row.RATE || 0),
                                 purchaseCost: parseFloat(row['PURCHASE COST'] || row.PURCHASECOST || row['PURCHASE_COST'] || 0),
-                                stock: parseFloat(row['STOCK INFO'] || row.STOCKINFO || row['STOCK_INFO'] || row.STOCK || row.QUANTITY || row.QTY || 0)
+                                stock: parseFloat(row['STOCK INFO'] || row.STOCKINFO || row['STOCK_INFO'] || row.STOCK || row.QUANTITY || row.QTY || 0),
+                                barcode: String(row.BARCODE || '').trim()
                             }));
                         
                         if (newProducts.length === 0) {
@@ -1073,9 +1138,25 @@ class OrderSystem {
         const customerNameBtn = document.getElementById('customerNameBtn');
         const printOrderBtn = document.getElementById('printOrder');
         const shareOrderBtn = document.getElementById('shareOrder');
+        const statementBtn = document.getElementById('statementBtn');
 
         if (searchInput) {
             searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
+            // A scanner typing into the search box ends the code with Enter
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && barcodeScanner.isBarcode(searchInput.value)
+                    && barcodeScanner.matchProduct(this.products, searchInput.value.trim())) {
+                    e.preventDefault();
+                    this.handleBarcode(searchInput.value.trim());
+                }
+            });
+        }
+
+        // Scans while no field has focus, and the camera button
+        barcodeScanner.listen(code => this.handleBarcode(code));
+        const scanBarcodeBtn = document.getElementById('scanBarcodeBtn');
+        if (scanBarcodeBtn) {
+            scanBarcodeBtn.addEventListener('click', () => barcodeScanner.openCamera());
         }
         
         if (placeOrderBtn) {
@@ -1094,6 +1175,13 @@ class OrderSystem {
             printOrderBtn.addEventListener('click', () => window.print());
         }
         
+        // Account statement (see statement.js)
+        if (statementBtn) {
+            statementBtn.addEventListener('click', () => {
+                statementManager.open(this.customerName, this.receipts, this.advance);
+            });
+        }
+        
         if (shareOrderBtn) {
             shareOrderBtn.addEventListener('click', () => this.shareOrder());
         }
@@ -1118,28 +1206,28 @@ class OrderSystem {
             closeReceiptView.addEventListener('click', () => this.closeReceiptView());
         }
         
-        // Delete pending order modal
+        // Cancel order modal
         const closeDeletePendingOrderModal = document.getElementById('closeDeletePendingOrderModal');
         const cancelDeletePendingOrderBtn = document.getElementById('cancelDeletePendingOrderBtn');
         const confirmDeletePendingOrderBtn = document.getElementById('confirmDeletePendingOrderBtn');
         
         if (closeDeletePendingOrderModal) {
-            closeDeletePendingOrderModal.addEventListener('click', () => this.closeDeletePendingOrderModal());
+            closeDeletePendingOrderModal.addEventListener('click', () => this.closeCancelOrderModal());
         }
         
         if (cancelDeletePendingOrderBtn) {
-            cancelDeletePendingOrderBtn.addEventListener('click', () => this.closeDeletePendingOrderModal());
+            cancelDeletePendingOrderBtn.addEventListener('click', () => this.closeCancelOrderModal());
         }
         
         if (confirmDeletePendingOrderBtn) {
-            confirmDeletePendingOrderBtn.addEventListener('click', () => this.deletePendingOrder());
+            confirmDeletePendingOrderBtn.addEventListener('click', () => this.cancelOrder());
         }
         
         const deletePendingOrderModal = document.getElementById('deletePendingOrderModal');
         if (deletePendingOrderModal) {
             deletePendingOrderModal.addEventListener('click', (e) => {
                 if (e.target.id === 'deletePendingOrderModal') {
-                    this.closeDeletePendingOrderModal();
+                    this.closeCancelOrderModal();
                 }
             });
         }
@@ -1162,7 +1250,7 @@ class OrderSystem {
             });
         }
         
-        // Pending order view modal
+        // Order view modal
         const printPendingOrderViewBtn = document.getElementById('printPendingOrderView');
         const sharePendingOrderViewBtn = document.getElementById('sharePendingOrderView');
         const closePendingOrderView = document.getElementById('closePendingOrderView');
@@ -1204,8 +1292,8 @@ class OrderSystem {
                 // Switch to customer info view
                 customerInfoView.classList.add('active');
                 cartView.classList.add('hidden');
-                // Load pending order (uses cache if available and fresh, otherwise fetches)
-                this.loadPendingOrder(true);
+                // Load orders (uses cache if available and fresh, otherwise fetches)
+                this.loadOrders(true);
                 // Reload receipts
                 this.loadCustomerReceipts();
             }
@@ -1362,7 +1450,8 @@ class OrderSystem {
         const existingItem = this.cart.find(item => item.name === product.name);
         
         if (existingItem) {
-            existingItem.quantity += quantity;
+            // Rounded to grams, weighed items can add up to fractions
+            existingItem.quantity = Math.round((existingItem.quantity + quantity) * 1000) / 1000;
             // Update rate in case special price changed
             existingItem.rate = effectivePrice;
         } else {
@@ -1378,6 +1467,19 @@ class OrderSystem {
         this.updateCartDisplay();
     }
     
+    // A scanned code (scanner, camera or typed into the search box) goes straight into the cart
+    handleBarcode(code) {
+        const match = barcodeScanner.matchProduct(this.products, code);
+        if (!match) {
+            alert(`No product found for barcode ${code}`);
+            return;
+        }
+
+        this.addToCartWithQuantity(match.product, match.quantity);
+        document.getElementById('productSearch').value = '';
+        this.clearSearchResults();
+    }
+    
     clearSearchResults() {
         const searchInput = document.getElementById('productSearch');
         const searchResultsDiv = document.getElementById('searchResults');
@@ -1589,8 +1691,8 @@ class OrderSystem {
         this.clearCart();
         // Reload receipts to show updated data
         this.loadCustomerReceipts();
-        // Reload pending order
-        this.loadPendingOrder();
+        // Reload orders
+        this.loadOrders();
     }
     
     async shareOrder() {
@@ -1800,52 +1902,42 @@ class OrderSystem {
         URL.revokeObjectURL(url);
     }
     
+    // Queue the order in the offline outbox (outbox.js), which sends it to Google Sheets
+    // in the background and keeps retrying until it gets through
     async saveOrderToSheets(orderData) {
         try {
-            const response = await fetch('/api/save-order', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(orderData),
-                cache: 'no-store'
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to save order: ${response.status} ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            if (result.success !== false) {
-                console.log('Order saved to Google Sheets:', result);
-                
-                // Update pending order cache immediately
-                // Create pending order object from orderData
-                this.pendingOrder = {
-                    date: orderData.date,
-                    time: orderData.time,
-                    customerName: orderData.customerName,
-                    items: orderData.items,
-                    grandTotal: orderData.grandTotal,
-                    profitMargin: orderData.profitMargin,
-                    storeName: orderData.storeName,
-                    payments: {
-                        cash: 0,
-                        online: 0
-                    },
-                    remainingBalance: orderData.grandTotal
-                };
-                
-                // Save to cache immediately
-                this.savePendingOrderToCache();
-                this.displayPendingOrder();
-            } else {
-                console.error('Google Sheets returned error:', result.error);
-            }
+            // The queued copy carries the order id (also used as the idempotency key)
+            const entry = await outboxManager.add('order', '/api/save-order', orderData);
+            orderData = entry.payload;
         } catch (error) {
-            console.error('Error saving order to Google Sheets:', error);
-        }
+            console.error('Error queueing order for sync:', error);
+        }
+        
+        // Show the order right away (same shape the server stores)
+        const placedAt = new Date().toISOString();
+        const order = {
+            id: orderData.id,
+            date: orderData.date,
+            time: orderData.time,
+            customerName: orderData.customerName,
+            items: orderData.items,
+            grandTotal: orderData.grandTotal,
+            profitMargin: orderData.profitMargin,
+            storeName: orderData.storeName,
+            payments: {
+                cash: 0,
+                online: 0
+            },
+            remainingBalance: orderData.grandTotal,
+            status: 'placed',
+            placedAt,
+            statusHistory: [{ status: 'placed', at: placedAt, by: 'customer' }]
+        };
+        this.orders = [order, ...this.orders.filter(o => o.id !== order.id)];
+        
+        // Save to cache immediately
+        this.saveOrdersToCache();
+        this.displayOrders();
     }
     
     viewReceipt(index) {
@@ -1915,8 +2007,10 @@ class OrderSystem {
             const availableNameWidth = nameWidth - serialPrefix.length;
             const name = cleanName.length > availableNameWidth ? cleanName.substring(0, availableNameWidth - 3) + '...' : cleanName;
             const qty = item.quantity.toString();
-            const rate = item.rate.toFixed(2);
-            const total = (item.rate * item.quantity).toFixed(2);
+            // Credit notes show what was refunded per unit (after the bill's discounts)
+            const itemRate = receipt.type === 'creditNote' && item.total !== undefined ? item.total / item.quantity : item.rate;
+            const rate = itemRate.toFixed(2);
+            const total = (itemRate * item.quantity).toFixed(2);
             
             // Format: Serial Number. Name (left), then Qty x Rate = Total (right aligned)
             const namePart = name.padEnd(availableNameWidth);
@@ -1924,7 +2018,18 @@ class OrderSystem {
             const ratePart = rate.padStart(rateWidth);
             const totalPart = total.padStart(totalWidth);
             
-            return `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const line = `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const itemLines = [line];
+            if (item.discount && item.discount.amount > 0) {
+                // Discount line under the item (rate and line total above are before the discount)
+                const discountLabel = `${' '.repeat(serialPrefix.length)}Less ${this.formatReceiptDiscount(item.discount)}`;
+                itemLines.push(`${discountLabel.padEnd(line.length - totalWidth)}${`-${item.discount.amount.toFixed(2)}`.padStart(totalWidth)}`);
+            }
+            if (receipt.gst) {
+                // HSN and GST % of tax invoice items (see gst.js)
+                itemLines.push(`${' '.repeat(serialPrefix.length)}${gstCalculator.itemLabel(item)}`);
+            }
+            return itemLines.join('\n');
         }).join('\n');
         
         // Format total with proper alignment
@@ -1938,9 +2043,39 @@ class OrderSystem {
         const totalLineWidth = serialPrefixWidth + nameWidth + 1 + 2 + 1 + 1 + 1 + rateWidth + 1 + 1 + 1 + totalWidth;
         const totalValue = totalValueStr.padStart(totalLineWidth - nameWidth);
         
+        // Gross and discounts above the total, for receipts that had any
+        const summaryLine = (label, amount) => `${label}${amount.padStart(Math.max(totalLineWidth - label.length, amount.length + 1))}`;
+        const discountLines = [];
+        if (receipt.discountTotal > 0) {
+            const lineDiscounts = validItems.reduce((sum, item) => sum + ((item.discount && item.discount.amount) || 0), 0);
+            discountLines.push(summaryLine('Gross', `₹${(receipt.grossTotal || 0).toFixed(2)}`));
+            if (lineDiscounts > 0) {
+                discountLines.push(summaryLine('Item discounts', `-₹${lineDiscounts.toFixed(2)}`));
+            }
+            if (receipt.billDiscount && receipt.billDiscount.amount > 0) {
+                discountLines.push(summaryLine(`Discount ${this.formatReceiptDiscount(receipt.billDiscount)}`, `-₹${receipt.billDiscount.amount.toFixed(2)}`));
+            }
+        }
+        const gstLines = receipt.gst
+            ? gstCalculator.summaryRows(receipt.gst).map(([label, amount]) => summaryLine(label, `₹${amount.toFixed(2)}`))
+            : [];
+        
+        // Credit notes (returned items) say which bill they are for and how the money went back
+        const isCreditNote = receipt.type === 'creditNote';
+        const refund = receipt.refund || {};
+        const creditNoteLines = isCreditNote ? [
+            '',
+            receipt.reason ? `Reason: ${receipt.reason}` : '',
+            refund.toBalance > 0 ? summaryLine('Taken off the bill', `₹${refund.toBalance.toFixed(2)}`) : '',
+            refund.toAdvance > 0 ? summaryLine('Kept as advance credit', `₹${refund.toAdvance.toFixed(2)}`) : '',
+            refund.cash > 0 ? summaryLine('Refunded in cash', `₹${refund.cash.toFixed(2)}`) : ''
+        ].filter((line, i) => i === 0 || line) : [];
+        
         // Build receipt content
         const receiptLines = [
             storeName,
+            ...(receipt.gst ? gstCalculator.headerLines(receipt.gst, isCreditNote ? 'CREDIT NOTE' : undefined) : []),
+            ...(isCreditNote ? [receipt.gst ? '' : 'CREDIT NOTE', `Against bill of ${receipt.originalDate || 'N/A'}`].filter(line => line) : []),
             customerName ? `Customer: ${customerName}` : '',
             '',
             `Date: ${dateStr}`,
@@ -1951,7 +2086,10 @@ class OrderSystem {
             '·'.repeat(separatorWidth),
             itemsText,
             '·'.repeat(separatorWidth),
+            ...discountLines,
+            ...gstLines,
             `${totalLabel}${totalValue}`,
+            ...creditNoteLines,
             '·'.repeat(separatorWidth),
             '',
             'Thank you for your purchase!'
@@ -1961,6 +2099,12 @@ class OrderSystem {
         modal.style.display = 'flex';
     }
     
+    // A receipt discount ({ type, value, amount, reason }) as "10%" or "₹50.00", with the reason
+    formatReceiptDiscount(discount) {
+        const value = discount.type === 'percent' ? `${discount.value}%` : `₹${parseFloat(discount.value).toFixed(2)}`;
+        return discount.reason ? `${value} (${discount.reason})` : value;
+    }
+    
     closeReceiptView() {
         const modal = document.getElementById('receiptViewModal');
         if (modal) {
@@ -0,0 +1,465 @@
+// Offline outbox for receipts and orders
+// Every save is written to IndexedDB first and then sent to the API in the background.
+// Failed sends are retried with exponential backoff (and as soon as the browser is back
+// online), so a checkout is never lost to a flaky mobile connection.
+// An "N unsynced bills" button in the page header opens the list of pending entries,
+// where the owner can retry or discard them.
+const OUTBOX_DB_NAME = 'posOutbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE_NAME = 'entries';
+const OUTBOX_REQUEST_TIMEOUT_MS = 30000; // 30 seconds (mobile networks can be slow)
+const OUTBOX_BASE_RETRY_MS = 5000; // First retry after 5 seconds, then doubling
+const OUTBOX_MAX_RETRY_MS = 10 * 60 * 1000; // Never wait more than 10 minutes
+const OUTBOX_LOCK_NAME = 'posOutboxSync'; // Stops two open tabs sending the same entry
+
+class OutboxManager {
+    constructor() {
+        this.dbPromise = null;
+        this.memoryEntries = null; // Fallback when IndexedDB is unavailable (e.g. private mode)
+        this.entries = []; // Entries for the current login, oldest first
+        this.syncing = false;
+        this.retryTimer = null;
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.sync());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.sync();
+            }
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupIndicator());
+        } else {
+            this.setupIndicator();
+        }
+
+        this.sync();
+    }
+
+    // ---- IndexedDB helpers ----
+
+    openDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Outbox: IndexedDB unavailable, keeping entries in memory only:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runRequest(mode, makeRequest) {
+        const db = await this.openDb();
+        if (!db) {
+            if (!this.memoryEntries) {
+                this.memoryEntries = new Map();
+            }
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(OUTBOX_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // memoryEntries also holds entries IndexedDB refused to store (see add), so both are read
+    async getAllEntries() {
+        const entries = (await this.runRequest('readonly', store => store.getAll())) || [];
+        const storedIds = new Set(entries.map(entry => entry.id));
+        const memoryOnly = this.memoryEntries
+            ? Array.from(this.memoryEntries.values()).filter(entry => !storedIds.has(entry.id))
+            : [];
+        return entries.concat(memoryOnly).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async putEntry(entry) {
+        const result = await this.runRequest('readwrite', store => store.put(entry));
+        if (this.memoryEntries) {
+            if (result === null) {
+                this.memoryEntries.set(entry.id, entry);
+            } else {
+                // Stored now, so the in-memory copy from a failed write is no longer needed
+                this.memoryEntries.delete(entry.id);
+            }
+        }
+    }
+
+    async deleteEntry(id) {
+        await this.runRequest('readwrite', store => store.delete(id));
+        if (this.memoryEntries) {
+            this.memoryEntries.delete(id);
+        }
+    }
+
+    generateId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // ---- Queueing and sending ----
+
+    // Queue a write and start sending it; resolves once it is safely stored locally
+    // type: 'receipt' or 'order', url: API route, payload: JSON body
+    // The entry id doubles as the receipt/order id and idempotency key, so a retry of a
+    // save that actually reached the server is not saved twice
+    async add(type, url, payload) {
+        const id = payload.id || this.generateId();
+        const entry = {
+            id: id,
+            type: type,
+            url: url,
+            payload: { ...payload, id: id },
+            authType: authManager.authType,
+            customerName: authManager.customerName,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            status: 'pending', // 'pending' (will be retried) or 'failed' (rejected by the server)
+            lastError: null
+        };
+
+        try {
+            await this.putEntry(entry);
+        } catch (error) {
+            console.error('Outbox: failed to store entry, sending without a local copy:', error);
+            if (!this.memoryEntries) {
+                this.memoryEntries = new Map();
+            }
+            this.memoryEntries.set(entry.id, entry);
+        }
+
+        await this.refresh();
+        this.sync();
+        return entry;
+    }
+
+    // Entries belong to the login that created them (a customer can't send the store's bills)
+    isOwnEntry(entry) {
+        return entry.authType === authManager.authType &&
+            (entry.authType !== 'customer' || entry.customerName === authManager.customerName);
+    }
+
+    async refresh() {
+        try {
+            const entries = await this.getAllEntries();
+            this.entries = entries.filter(entry => this.isOwnEntry(entry));
+        } catch (error) {
+            console.error('Outbox: failed to read entries:', error);
+        }
+        this.updateIndicator();
+        this.renderPanel();
+    }
+
+    async sync() {
+        if (this.syncing || !authManager.isAuthenticated()) {
+            await this.refresh();
+            return;
+        }
+
+        this.syncing = true;
+        try {
+            if (navigator.locks && navigator.locks.request) {
+                await navigator.locks.request(OUTBOX_LOCK_NAME, () => this.sendDueEntries());
+            } else {
+                await this.sendDueEntries();
+            }
+        } catch (error) {
+            console.error('Outbox: sync failed:', error);
+        } finally {
+            this.syncing = false;
+            await this.refresh();
+            this.scheduleRetry();
+        }
+    }
+
+    async sendDueEntries() {
+        await this.refresh();
+        if (!navigator.onLine) {
+            return;
+        }
+
+        for (const entry of this.entries) {
+            if (entry.status !== 'pending' || entry.nextAttemptAt > Date.now()) {
+                continue;
+            }
+
+            const sent = await this.sendEntry(entry);
+            if (!sent && entry.status === 'pending') {
+                // Probably offline or the server is down - later entries would fail too
+                break;
+            }
+        }
+    }
+
+    // Send one entry; returns true if it reached the server and was removed
+    async sendEntry(entry) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), OUTBOX_REQUEST_TIMEOUT_MS);
+
+        entry.attempts++;
+        try {
+            const response = await authManager.apiFetch(entry.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.id
+                },
+                body: JSON.stringify(entry.payload),
+                signal: controller.signal,
+                // Ensure request doesn't get cached on mobile
+                cache: 'no-store'
+            });
+            clearTimeout(timeoutId);
+
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok && result.success !== false) {
+                await this.deleteEntry(entry.id);
+                console.log(`Outbox: ${entry.type} synced`, result);
+                window.dispatchEvent(new CustomEvent('outbox:synced', { detail: { entry, result } }));
+                return true;
+            }
+
+            const error = result.error || `${response.status} ${response.statusText}`;
+            // Other 4xx errors mean the server rejected the data - retrying won't help
+            const retryable = response.ok || response.status >= 500 || [401, 408, 429].includes(response.status);
+            await this.recordFailure(entry, error, retryable);
+            return false;
+        } catch (error) {
+            clearTimeout(timeoutId);
+            const message = error.name === 'AbortError' ? 'Request timed out' : (error.message || 'Network error');
+            await this.recordFailure(entry, message, true);
+            return false;
+        }
+    }
+
+    async recordFailure(entry, error, retryable) {
+        console.warn(`Outbox: failed to send ${entry.type} (attempt ${entry.attempts}):`, error);
+        entry.lastError = error;
+        if (retryable) {
+            const delay = Math.min(OUTBOX_BASE_RETRY_MS * 2 ** (entry.attempts - 1), OUTBOX_MAX_RETRY_MS);
+            entry.nextAttemptAt = Date.now() + delay;
+        } else {
+            entry.status = 'failed';
+        }
+        await this.putEntry(entry);
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const pending = this.entries.filter(entry => entry.status === 'pending');
+        if (pending.length === 0) {
+            return;
+        }
+
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.sync(), Math.max(1000, nextAttemptAt - Date.now()));
+    }
+
+    async retryEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            return;
+        }
+        entry.status = 'pending';
+        entry.nextAttemptAt = 0;
+        await this.putEntry(entry);
+        await this.sync();
+    }
+
+    async discardEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            return;
+        }
+        if (!confirm(`Discard this unsynced ${entry.type} for ${this.describeEntry(entry)}? It will be lost.`)) {
+            return;
+        }
+        await this.deleteEntry(id);
+        await this.refresh();
+    }
+
+    // ---- Indicator and panel ----
+
+    setupIndicator() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .outbox-indicator {
+                display: none;
+                background-color: #ff9800;
+                color: #ffffff;
+                border: none;
+                border-radius: 16px;
+                padding: 6px 12px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                white-space: nowrap;
+            }
+            .outbox-indicator.has-failed { background-color: #dc3545; }
+            .outbox-indicator.floating { position: fixed; right: 16px; bottom: 16px; z-index: 1500; }
+            .outbox-panel {
+                display: none;
+                position: fixed;
+                inset: 0;
+                z-index: 2500;
+                background-color: rgba(0, 0, 0, 0.5);
+                align-items: center;
+                justify-content: center;
+            }
+            .outbox-panel.active { display: flex; }
+            .outbox-panel-content {
+                background: #ffffff;
+                border-radius: 12px;
+                padding: 20px;
+                width: calc(100% - 32px);
+                max-width: 560px;
+                max-height: 80vh;
+                overflow-y: auto;
+            }
+            .outbox-panel-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; }
+            .outbox-panel-header h2 { font-size: 18px; margin: 0; }
+            .outbox-panel-close { background: none; border: none; font-size: 28px; cursor: pointer; line-height: 1; }
+            .outbox-entry { border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px; margin-bottom: 10px; font-size: 14px; }
+            .outbox-entry-title { font-weight: 600; margin-bottom: 4px; }
+            .outbox-entry-meta { color: #666666; font-size: 12px; }
+            .outbox-entry-error { color: #dc3545; font-size: 12px; margin-top: 4px; }
+            .outbox-entry-actions { display: flex; gap: 8px; margin-top: 8px; }
+            .outbox-entry-actions button { flex: 1; padding: 8px; border-radius: 6px; font-weight: 600; cursor: pointer; border: 2px solid #000000; background: #ffffff; }
+            .outbox-entry-actions .outbox-discard { border-color: #dc3545; color: #dc3545; }
+        `;
+        document.head.appendChild(style);
+
+        this.indicator = document.createElement('button');
+        this.indicator.type = 'button';
+        this.indicator.className = 'outbox-indicator';
+        this.indicator.title = 'Saved on this device but not yet sent to the server';
+        this.indicator.addEventListener('click', () => this.openPanel());
+
+        const headerActions = document.querySelector('.header-actions');
+        if (headerActions) {
+            headerActions.insertBefore(this.indicator, headerActions.firstChild);
+        } else {
+            this.indicator.classList.add('floating');
+            document.body.appendChild(this.indicator);
+        }
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'outbox-panel';
+        this.panel.innerHTML = `
+            <div class="outbox-panel-content">
+                <div class="outbox-panel-header">
+                    <h2>Unsynced</h2>
+                    <button type="button" class="outbox-panel-close" title="Close">&times;</button>
+                </div>
+                <div class="outbox-entries"></div>
+            </div>
+        `;
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel || e.target.classList.contains('outbox-panel-close')) {
+                this.panel.classList.remove('active');
+            }
+        });
+        this.panel.querySelector('.outbox-entries').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) {
+                return;
+            }
+            if (button.classList.contains('outbox-discard')) {
+                this.discardEntry(button.dataset.id);
+            } else {
+                this.retryEntry(button.dataset.id);
+            }
+        });
+        document.body.appendChild(this.panel);
+
+        this.updateIndicator();
+    }
+
+    updateIndicator() {
+        if (!this.indicator) {
+            return;
+        }
+
+        const count = this.entries.length;
+        if (count === 0) {
+            this.indicator.style.display = 'none';
+            this.panel.classList.remove('active');
+            return;
+        }
+
+        const noun = this.entries.every(entry => entry.type === 'order') ? 'order' : 'bill';
+        this.indicator.textContent = `⚠ ${count} unsynced ${noun}${count === 1 ? '' : 's'}`;
+        this.indicator.classList.toggle('has-failed', this.entries.some(entry => entry.status === 'failed'));
+        this.indicator.style.display = 'inline-block';
+    }
+
+    openPanel() {
+        this.renderPanel();
+        this.panel.classList.add('active');
+    }
+
+    describeEntry(entry) {
+        const payload = entry.payload || {};
+        const customer = payload.customerName || 'Walk-in';
+        const total = parseFloat(payload.grandTotal);
+        return isNaN(total) ? customer : `${customer} (₹${total.toFixed(2)})`;
+    }
+
+    renderPanel() {
+        if (!this.panel) {
+            return;
+        }
+
+        const list = this.panel.querySelector('.outbox-entries');
+        list.innerHTML = this.entries.map(entry => {
+            const payload = entry.payload || {};
+            const state = entry.status === 'failed'
+                ? 'Rejected by the server - will not retry automatically'
+                : (entry.attempts === 0 ? 'Sending...' : `Retrying at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`);
+            return `
+                <div class="outbox-entry">
+                    <div class="outbox-entry-title">${entry.type === 'order' ? 'Order' : 'Bill'}: ${this.escapeHtml(this.describeEntry(entry))}</div>
+                    <div class="outbox-entry-meta">
+                        ${this.escapeHtml(`${payload.date || ''} ${payload.time || ''}`)} · ${(payload.items || []).length} items ·
+                        ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'} · ${this.escapeHtml(state)}
+                    </div>
+                    ${entry.lastError ? `<div class="outbox-entry-error">Last error: ${this.escapeHtml(entry.lastError)}</div>` : ''}
+                    <div class="outbox-entry-actions">
+                        <button type="button" data-id="${this.escapeHtml(entry.id)}">Retry now</button>
+                        <button type="button" class="outbox-discard" data-id="${this.escapeHtml(entry.id)}">Discard</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Create global outbox instance (needs authManager from auth.js)
+const outboxManager = new OutboxManager();
@@ -0,0 +1,377 @@
+// Products CSV (same proxy endpoint and cache as the billing page)
+const STORE_PRODUCTS_URL = '/api/products';
+const PRODUCTS_CACHE_KEY = 'storeProductsCache';
+const PRODUCTS_CACHE_TIMESTAMP_KEY = 'storeProductsCacheTimestamp';
+
+class PurchasesManager {
+    constructor() {
+        this.productNames = [];
+        // Id of the purchase being entered - kept until it is saved, so a retried save
+        // (e.g. after a timeout that actually reached the server) isn't counted twice
+        this.purchaseId = null;
+        this.reorderGroups = []; // Last reorder suggestions, to fill the form from
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        document.getElementById('purchaseDate').value = this.today();
+        this.addItemRow();
+        await this.loadProductNames();
+        await this.loadReorderSuggestions();
+        await this.loadPurchases();
+    }
+
+    setupEventListeners() {
+        document.getElementById('addPurchaseItemBtn').addEventListener('click', () => {
+            this.addItemRow();
+        });
+
+        document.getElementById('savePurchaseBtn').addEventListener('click', () => {
+            this.savePurchase();
+        });
+
+        document.getElementById('purchaseItems').addEventListener('input', () => {
+            this.updateTotals();
+        });
+
+        document.getElementById('purchaseItems').addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-item-btn')) {
+                e.target.closest('tr').remove();
+                this.updateTotals();
+            }
+        });
+
+        document.getElementById('refreshReorderBtn').addEventListener('click', () => {
+            this.loadReorderSuggestions();
+        });
+
+        document.getElementById('reorderDays').addEventListener('change', () => {
+            this.loadReorderSuggestions();
+        });
+
+        document.getElementById('reorderSuggestions').addEventListener('click', (e) => {
+            if (e.target.classList.contains('reorder-start-btn')) {
+                this.startPurchaseFromSuggestions(parseInt(e.target.dataset.group, 10));
+            }
+        });
+
+        document.getElementById('refreshPurchasesBtn').addEventListener('click', () => {
+            this.loadPurchases();
+        });
+
+        for (const id of ['historyProduct', 'historySupplier']) {
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.loadPurchases();
+                }
+            });
+        }
+    }
+
+    today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    // Product names for the item suggestions - from the billing page's cache, else the CSV
+    async loadProductNames() {
+        try {
+            const cachedData = localStorage.getItem(PRODUCTS_CACHE_KEY);
+            const cachedProducts = cachedData ? JSON.parse(cachedData) : [];
+            if (Array.isArray(cachedProducts) && cachedProducts.length > 0) {
+                this.productNames = cachedProducts.map(product => product.name);
+            } else {
+                const response = await authManager.apiFetch(STORE_PRODUCTS_URL);
+                const results = Papa.parse(await response.text(), {
+                    header: true,
+                    skipEmptyLines: true,
+                    transformHeader: (header) => header.trim().toUpperCase()
+                });
+                this.productNames = results.data
+                    .map(row => String(row.PRODUCT || row['PRODUCT NAME'] || row.ITEM || '').trim())
+                    .filter(name => name);
+            }
+        } catch (error) {
+            console.error('Error loading products:', error);
+        }
+
+        document.getElementById('purchaseProductNames').innerHTML = this.productNames
+            .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+            .join('');
+    }
+
+    addItemRow(item = {}) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="purchase-item-name" list="purchaseProductNames" placeholder="Product" autocomplete="off"></td>
+            <td><input type="number" class="purchase-item-quantity" min="0" step="any" placeholder="0"></td>
+            <td><input type="number" class="purchase-item-cost" min="0" step="0.01" placeholder="0.00"></td>
+            <td class="purchase-amount purchase-item-total">₹0.00</td>
+            <td><button type="button" class="remove-item-btn" title="Remove item">×</button></td>
+        `;
+        row.querySelector('.purchase-item-name').value = item.name || '';
+        row.querySelector('.purchase-item-quantity').value = item.quantity || '';
+        row.querySelector('.purchase-item-cost').value = item.unitCost || '';
+        document.getElementById('purchaseItems').appendChild(row);
+        row.querySelector('.purchase-item-name').focus();
+    }
+
+    getItems() {
+        return Array.from(document.querySelectorAll('#purchaseItems tr')).map(row => ({
+            name: row.querySelector('.purchase-item-name').value.trim(),
+            quantity: parseFloat(row.querySelector('.purchase-item-quantity').value) || 0,
+            unitCost: parseFloat(row.querySelector('.purchase-item-cost').value) || 0
+        }));
+    }
+
+    updateTotals() {
+        let total = 0;
+        document.querySelectorAll('#purchaseItems tr').forEach(row => {
+            const quantity = parseFloat(row.querySelector('.purchase-item-quantity').value) || 0;
+            const unitCost = parseFloat(row.querySelector('.purchase-item-cost').value) || 0;
+            total += quantity * unitCost;
+            row.querySelector('.purchase-item-total').textContent = `₹${this.formatCurrency(quantity * unitCost)}`;
+        });
+        document.getElementById('purchaseTotal').textContent = `₹${this.formatCurrency(total)}`;
+    }
+
+    async savePurchase() {
+        const supplier = document.getElementById('purchaseSupplier').value.trim();
+        // Rows left completely empty are ignored
+        const items = this.getItems().filter(item => item.name || item.quantity || item.unitCost);
+
+        if (!supplier) {
+            alert('Please enter the supplier.');
+            return;
+        }
+        if (items.length === 0) {
+            alert('Please add at least one item.');
+            return;
+        }
+        if (items.some(item => !item.name || item.quantity <= 0 || item.unitCost < 0)) {
+            alert('Every item needs a product, a quantity above 0 and a unit cost.');
+            return;
+        }
+        const unknown = this.productNames.length > 0 && items.find(item =>
+            !this.productNames.some(name => name.toUpperCase() === item.name.toUpperCase()));
+        if (unknown && !confirm(`"${unknown.name}" is not in the product list. Save anyway?`)) {
+            return;
+        }
+
+        if (!this.purchaseId) {
+            this.purchaseId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        }
+
+        this.showLoading();
+        try {
+            const response = await authManager.apiFetch('/api/save-purchase', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': this.purchaseId
+                },
+                body: JSON.stringify({
+                    id: this.purchaseId,
+                    supplier: supplier,
+                    invoiceNumber: document.getElementById('purchaseInvoice').value.trim(),
+                    date: document.getElementById('purchaseDate').value,
+                    items: items
+                })
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Failed to save purchase: ${response.status}`);
+            }
+
+            // Stock and purchase costs changed - make the billing page fetch products again
+            localStorage.removeItem(PRODUCTS_CACHE_KEY);
+            localStorage.removeItem(PRODUCTS_CACHE_TIMESTAMP_KEY);
+
+            this.purchaseId = null;
+            this.resetForm();
+            this.showMessage(result.message || 'Purchase saved successfully');
+            await this.loadReorderSuggestions();
+            await this.loadPurchases();
+        } catch (error) {
+            console.error('Error saving purchase:', error);
+            alert('Failed to save purchase: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    resetForm() {
+        document.getElementById('purchaseInvoice').value = '';
+        document.getElementById('purchaseItems').innerHTML = '';
+        this.addItemRow();
+        this.updateTotals();
+    }
+
+    showMessage(message) {
+        const container = document.getElementById('purchaseMessage');
+        container.innerHTML = `<div class="success-message">${this.escapeHtml(message)}</div>`;
+        setTimeout(() => {
+            container.innerHTML = '';
+        }, 5000);
+    }
+
+    // Low-stock products with suggested quantities, grouped by supplier
+    async loadReorderSuggestions() {
+        const container = document.getElementById('reorderSuggestions');
+
+        try {
+            const days = document.getElementById('reorderDays').value;
+            const response = await authManager.apiFetch(`/api/reorder-suggestions?days=${encodeURIComponent(days)}`);
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load reorder suggestions: ${response.status}`);
+            }
+
+            this.reorderGroups = result.suppliers || [];
+            this.displayReorderSuggestions(container, this.reorderGroups);
+        } catch (error) {
+            console.error('Error loading reorder suggestions:', error);
+            container.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayReorderSuggestions(container, groups) {
+        if (groups.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>Nothing needs reordering.</p></div>';
+            return;
+        }
+
+        container.innerHTML = groups.map((group, index) => {
+            const rows = group.items.map(item => `
+                <tr>
+                    <td class="${item.belowMinimum ? 'reorder-below-minimum' : ''}">${this.escapeHtml(item.name)}${item.belowMinimum ? ' ⚠' : ''}</td>
+                    <td class="purchase-amount ${item.belowMinimum ? 'reorder-below-minimum' : ''}">${this.escapeHtml(item.stock)}</td>
+                    <td class="purchase-amount">${this.escapeHtml(item.minStock || '-')}</td>
+                    <td class="purchase-amount">${this.escapeHtml(item.averageDailySales)}</td>
+                    <td class="purchase-amount">${item.daysLeft === null ? '-' : this.escapeHtml(item.daysLeft)}</td>
+                    <td class="purchase-amount"><strong>${this.escapeHtml(item.suggestedQuantity)}</strong></td>
+                    <td class="purchase-amount">₹${this.formatCurrency(item.estimatedCost)}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <div class="reorder-supplier">
+                    <div class="reorder-supplier-header">
+                        <span class="reorder-supplier-name">${this.escapeHtml(group.supplier || 'No supplier')}</span>
+                        <button class="btn btn-secondary reorder-start-btn" data-group="${index}" style="flex: none;">Receive these</button>
+                    </div>
+                    <table class="login-events-table purchase-items-table">
+                        <thead>
+                            <tr><th>Product</th><th class="purchase-amount">Stock</th><th class="purchase-amount">Min</th><th class="purchase-amount">Sold/Day</th><th class="purchase-amount">Days Left</th><th class="purchase-amount">Suggested</th><th class="purchase-amount">Est. Cost</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                        <tfoot>
+                            <tr><td colspan="6">Total</td><td class="purchase-amount">₹${this.formatCurrency(group.estimatedCost)}</td></tr>
+                        </tfoot>
+                    </table>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Fill the purchase form with a supplier's suggested items, to adjust and save once the stock arrives
+    startPurchaseFromSuggestions(index) {
+        const group = (this.reorderGroups || [])[index];
+        if (!group) {
+            return;
+        }
+
+        document.getElementById('purchaseSupplier').value = group.supplier;
+        document.getElementById('purchaseItems').innerHTML = '';
+        for (const item of group.items) {
+            this.addItemRow({ name: item.name, quantity: item.suggestedQuantity, unitCost: item.unitCost });
+        }
+        this.updateTotals();
+        this.purchaseId = null;
+        document.getElementById('purchaseSupplier').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Purchase history, newest first (optionally one product or one supplier)
+    async loadPurchases() {
+        const container = document.getElementById('purchaseHistory');
+
+        try {
+            const params = new URLSearchParams({ limit: '200' });
+            const product = document.getElementById('historyProduct').value.trim();
+            const supplier = document.getElementById('historySupplier').value.trim();
+            if (product) {
+                params.set('product', product);
+            }
+            if (supplier) {
+                params.set('supplier', supplier);
+            }
+
+            const response = await authManager.apiFetch(`/api/purchases?${params.toString()}`);
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load purchases: ${response.status}`);
+            }
+
+            this.displayPurchases(container, result.purchases || []);
+        } catch (error) {
+            console.error('Error loading purchases:', error);
+            container.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayPurchases(container, purchases) {
+        if (purchases.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No purchases recorded yet.</p></div>';
+            return;
+        }
+
+        const rows = purchases.map(purchase => `
+            <tr>
+                <td>${this.escapeHtml(purchase.date)}</td>
+                <td>${this.escapeHtml(purchase.supplier)}</td>
+                <td>${this.escapeHtml(purchase.invoiceNumber || '-')}</td>
+                <td>${this.escapeHtml(purchase.name)}</td>
+                <td class="purchase-amount">${this.escapeHtml(purchase.quantity)}</td>
+                <td class="purchase-amount">₹${this.formatCurrency(purchase.unitCost)}</td>
+                <td class="purchase-amount">₹${this.formatCurrency(purchase.total)}</td>
+                <td class="purchase-amount">₹${this.formatCurrency(purchase.costAfter)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="login-events-table purchase-items-table">
+                <thead>
+                    <tr><th>Date</th><th>Supplier</th><th>Invoice</th><th>Product</th><th class="purchase-amount">Qty</th><th class="purchase-amount">Unit Cost</th><th class="purchase-amount">Total</th><th class="purchase-amount">Avg Cost After</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+
+    formatCurrency(amount) {
+        return parseFloat(amount || 0).toFixed(2);
+    }
+
+    showLoading() {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        loadingOverlay.classList.add('active');
+    }
+
+    hideLoading() {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        loadingOverlay.classList.remove('active');
+    }
+}
+
+// Initialize the purchases manager
+const purchasesManager = new PurchasesManager();
@@ -7,6 +7,14 @@ const CUSTOMERS_CACHE_TIMESTAMP_KEY = 'customersCacheTimestamp';
 const PRODUCTS_CACHE_KEY = 'storeProductsCache'; // For calculating profit margin
 const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
 
+// Aging buckets for unpaid balances, by days since the receipt date
+const AGING_BUCKETS = [
+    { label: '0–30 days', maxDays: 30 },
+    { label: '31–60 days', maxDays: 60 },
+    { label: '61–90 days', maxDays: 90 },
+    { label: '90+ days', maxDays: Infinity }
+];
+
 class ReportManager {
     constructor() {
         this.allReceipts = [];
@@ -16,6 +24,8 @@ class ReportManager {
             value: null
         };
         this.products = []; // Store products for profit margin calculation
+        this.agingRows = []; // Aging report rows, kept for the CSV export
+        this.gstReceipts = []; // GST bills of the selected month, kept for the CSV export
         this.init();
     }
     
@@ -63,15 +73,19 @@ class ReportManager {
                 }
             }
             
-            // Calculate profit margin for this item
+            // Calculate profit margin for this item (after its discount, if any)
             const itemRate = parseFloat(item.rate) || 0;
             const itemQuantity = parseFloat(item.quantity) || 0;
-            const profitPerUnit = itemRate - purchaseCost;
-            const profitMargin = profitPerUnit * itemQuantity;
+            const itemDiscount = (item.discount && parseFloat(item.discount.amount)) || 0;
+            const profitMargin = itemRate * itemQuantity - itemDiscount - purchaseCost * itemQuantity;
             totalProfitMargin += profitMargin;
         });
         
-        return totalProfitMargin;
+        // The bill discount comes off the profit of the whole receipt, and so does GST
+        // collected inside the prices
+        const billDiscount = (receipt.billDiscount && parseFloat(receipt.billDiscount.amount)) || 0;
+        const includedTax = (receipt.gst && receipt.gst.pricesIncludeTax && parseFloat(receipt.gst.totalTax)) || 0;
+        return totalProfitMargin - billDiscount - includedTax;
     }
 
     async init() {
@@ -80,6 +94,8 @@ class ReportManager {
         this.loadProductsFromCache();
         await this.loadReceipts();
         // calculateAndDisplayStats() is called in loadReceipts() after data is loaded
+        await this.loadStockMovements();
+        await this.loadLoginEvents();
     }
 
     setupEventListeners() {
@@ -101,6 +117,51 @@ class ReportManager {
         clearFilterBtn.addEventListener('click', () => {
             this.clearFilter();
         });
+
+        const exportAgingBtn = document.getElementById('exportAgingBtn');
+        if (exportAgingBtn) {
+            exportAgingBtn.addEventListener('click', () => {
+                this.exportAgingCsv();
+            });
+        }
+
+        const gstMonth = document.getElementById('gstMonth');
+        const exportGstBtn = document.getElementById('exportGstBtn');
+        if (gstMonth) {
+            // This month by default
+            const today = new Date();
+            gstMonth.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+            gstMonth.addEventListener('change', () => {
+                this.displayGstSummary();
+            });
+        }
+        if (exportGstBtn) {
+            exportGstBtn.addEventListener('click', () => {
+                this.exportGstCsv();
+            });
+        }
+
+        const refreshStockMovementsBtn = document.getElementById('refreshStockMovementsBtn');
+        const stockMovementsProduct = document.getElementById('stockMovementsProduct');
+        if (refreshStockMovementsBtn) {
+            refreshStockMovementsBtn.addEventListener('click', () => {
+                this.loadStockMovements();
+            });
+        }
+        if (stockMovementsProduct) {
+            stockMovementsProduct.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.loadStockMovements();
+                }
+            });
+        }
+
+        const refreshLoginEventsBtn = document.getElementById('refreshLoginEventsBtn');
+        if (refreshLoginEventsBtn) {
+            refreshLoginEventsBtn.addEventListener('click', () => {
+                this.loadLoginEvents();
+            });
+        }
     }
 
     handleFilterTypeChange(filterType) {
@@ -240,7 +301,7 @@ class ReportManager {
                 // No cache available - fetch from server
                 console.log('No customers cache found, fetching from server...');
                 try {
-                    const response = await fetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
+                    const response = await authManager.apiFetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
                     if (!response.ok) {
                         throw new Error(`Failed to fetch receipts: ${response.status} ${response.statusText}`);
                     }
@@ -289,6 +350,7 @@ class ReportManager {
                             this.filteredReceipts = [];
                             this.hideLoading();
                             this.calculateAndDisplayStats();
+                            this.calculateAndDisplayAging();
                             return;
                         }
                         
@@ -306,6 +368,7 @@ class ReportManager {
                             this.filteredReceipts = [];
                             this.hideLoading();
                             this.calculateAndDisplayStats();
+                            this.calculateAndDisplayAging();
                             return;
                         }
                         
@@ -345,6 +408,9 @@ class ReportManager {
                                                 receipt.profitMargin = parseFloat(receipt.profitMargin) || 0;
                                             }
                                             
+                                            // Customer from the row (the aging report groups by it)
+                                            receipt._customerName = String(row[customerColumnIndex] || '').trim();
+                                            
                                             receipts.push(receipt);
                                         } catch (e) {
                                             console.error('Error parsing receipt JSON:', e);
@@ -360,6 +426,8 @@ class ReportManager {
                         this.filteredReceipts = [...receipts];
                         this.hideLoading();
                         this.calculateAndDisplayStats();
+                        this.calculateAndDisplayAging();
+                        this.displayGstSummary();
                     } catch (parseError) {
                         console.error('Error processing parsed data:', parseError);
                         this.hideLoading();
@@ -380,6 +448,9 @@ class ReportManager {
     }
 
     calculateAndDisplayStats() {
+        let totalGrossSales = 0;
+        let totalDiscounts = 0;
+        let totalReturns = 0;
         let totalSales = 0;
         let totalOutstanding = 0;
         let totalPaid = 0;
@@ -399,8 +470,21 @@ class ReportManager {
                 ? receipt.remainingBalance 
                 : (grandTotal - totalPayment);
 
+            // Receipts without discounts have no grossTotal - their gross is the total
+            // Credit notes (returned items) are negative sales: they count as returns, not gross
+            const discountTotal = parseFloat(receipt.discountTotal) || 0;
+            if (receipt.type === 'creditNote') {
+                totalReturns += grandTotal;
+                totalPaid -= (receipt.refund && receipt.refund.cash) || 0;
+            } else {
+                totalGrossSales += receipt.grossTotal !== undefined ? (parseFloat(receipt.grossTotal) || 0) : grandTotal;
+            }
+            totalDiscounts += discountTotal;
             totalSales += grandTotal;
-            totalPaid += totalPayment;
+            // Returns taken off a bill were not money received
+            totalPaid += totalPayment - (receipt.paymentEntries || [])
+                .filter(entry => entry.method === 'credit-note')
+                .reduce((sum, entry) => sum + entry.amount, 0);
             totalOutstanding += Math.max(0, remainingBalance);
             
             // Calculate profit margin - use stored value if available, otherwise calculate
@@ -413,6 +497,9 @@ class ReportManager {
             totalProfit += profitMargin;
         });
 
+        document.getElementById('totalGrossSales').textContent = `₹${this.formatCurrency(totalGrossSales)}`;
+        document.getElementById('totalDiscounts').textContent = `₹${this.formatCurrency(totalDiscounts)}`;
+        document.getElementById('totalReturns').textContent = `₹${this.formatCurrency(totalReturns)}`;
         document.getElementById('totalSales').textContent = `₹${this.formatCurrency(totalSales)}`;
         document.getElementById('totalOutstanding').textContent = `₹${this.formatCurrency(totalOutstanding)}`;
         document.getElementById('totalPaid').textContent = `₹${this.formatCurrency(totalPaid)}`;
@@ -429,6 +516,396 @@ class ReportManager {
         }
     }
 
+    // Unpaid balance of every customer split by how old the receipts are (as of today,
+    // across all receipts - the date filter above doesn't apply). Biggest balances first.
+    calculateAndDisplayAging() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const customers = new Map();
+
+        this.allReceipts.forEach(receipt => {
+            const grandTotal = receipt.grandTotal || 0;
+            const totalPayment = (receipt.payments?.cash || 0) + (receipt.payments?.online || 0);
+            const remainingBalance = receipt.remainingBalance !== undefined
+                ? receipt.remainingBalance
+                : (grandTotal - totalPayment);
+            if (!(remainingBalance > 0) || !receipt._customerName) {
+                return;
+            }
+
+            // Receipts without a readable date are counted as the oldest
+            const receiptDate = this.parseDateString(receipt.date);
+            const ageDays = receiptDate ? Math.max(0, Math.floor((today - receiptDate) / 86400000)) : Infinity;
+            const bucketIndex = AGING_BUCKETS.findIndex(bucket => ageDays <= bucket.maxDays);
+
+            const key = receipt._customerName.toUpperCase();
+            if (!customers.has(key)) {
+                customers.set(key, {
+                    customerName: receipt._customerName,
+                    buckets: AGING_BUCKETS.map(() => 0),
+                    total: 0,
+                    receiptCount: 0
+                });
+            }
+            const row = customers.get(key);
+            row.buckets[bucketIndex] += remainingBalance;
+            row.total += remainingBalance;
+            row.receiptCount++;
+        });
+
+        // Sort by exposure: total owed, then the amount in the oldest buckets
+        this.agingRows = [...customers.values()].sort((a, b) => {
+            if (b.total !== a.total) {
+                return b.total - a.total;
+            }
+            for (let i = AGING_BUCKETS.length - 1; i >= 0; i--) {
+                if (b.buckets[i] !== a.buckets[i]) {
+                    return b.buckets[i] - a.buckets[i];
+                }
+            }
+            return a.customerName.localeCompare(b.customerName);
+        });
+
+        this.displayAging();
+    }
+
+    displayAging() {
+        const container = document.getElementById('agingReport');
+        if (!container) {
+            return;
+        }
+
+        if (this.agingRows.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No unpaid balances.</p></div>';
+            return;
+        }
+
+        const totals = AGING_BUCKETS.map((bucket, i) => this.agingRows.reduce((sum, row) => sum + row.buckets[i], 0));
+        const grandTotal = totals.reduce((sum, amount) => sum + amount, 0);
+        const amountCell = amount => `<td class="aging-amount">${amount > 0 ? `₹${this.formatCurrency(amount)}` : '-'}</td>`;
+
+        // Customer names link to their receipts on the customers page
+        const rows = this.agingRows.map(row => `
+            <tr>
+                <td>
+                    <a href="customers.html?customer=${encodeURIComponent(row.customerName)}" class="aging-customer-link">${this.escapeHtml(row.customerName)}</a>
+                    <div class="aging-receipt-count">${row.receiptCount} unpaid receipt${row.receiptCount === 1 ? '' : 's'}</div>
+                </td>
+                ${row.buckets.map(amountCell).join('')}
+                <td class="aging-amount aging-total">₹${this.formatCurrency(row.total)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="aging-table">
+                <thead>
+                    <tr>
+                        <th>Customer</th>
+                        ${AGING_BUCKETS.map(bucket => `<th class="aging-amount">${bucket.label}</th>`).join('')}
+                        <th class="aging-amount">Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <td>Total</td>
+                        ${totals.map(amountCell).join('')}
+                        <td class="aging-amount aging-total">₹${this.formatCurrency(grandTotal)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    exportAgingCsv() {
+        const amount = value => value.toFixed(2);
+        const csv = Papa.unparse([
+            ['Customer', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total', 'Unpaid Receipts'],
+            ...this.agingRows.map(row => [
+                row.customerName,
+                ...row.buckets.map(amount),
+                amount(row.total),
+                row.receiptCount
+            ])
+        ]);
+
+        const today = new Date();
+        const dateStamp = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        link.download = `aging-report-${dateStamp}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // GST for the month picked in the GST Summary (receipts with a `gst` breakdown, see gst.js):
+    // tax by rate slab for B2B (customer GSTIN) and B2C bills, and taxable value by HSN code
+    displayGstSummary() {
+        const container = document.getElementById('gstSummary');
+        const month = document.getElementById('gstMonth')?.value;
+        if (!container || !month) {
+            return;
+        }
+
+        this.gstReceipts = this.allReceipts.filter(receipt => {
+            const receiptDate = this.parseDateString(receipt.date);
+            return receipt.gst && receiptDate
+                && `${receiptDate.getFullYear()}-${String(receiptDate.getMonth() + 1).padStart(2, '0')}` === month;
+        });
+
+        if (this.gstReceipts.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No GST bills in this month.</p></div>';
+            return;
+        }
+
+        const addTax = (row, slab) => {
+            row.taxableValue += slab.taxableValue || 0;
+            row.cgst += slab.cgst || 0;
+            row.sgst += slab.sgst || 0;
+            row.igst += slab.igst || 0;
+        };
+        const newRow = fields => ({ ...fields, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+
+        const slabRows = new Map();
+        const hsnRows = new Map();
+        const totals = newRow({});
+        let b2bCount = 0;
+        let creditNoteCount = 0;
+        this.gstReceipts.forEach(receipt => {
+            const type = receipt.gst.customerGstin ? 'B2B' : 'B2C';
+            // Credit notes have negative tax, so they take their returns off the month
+            if (receipt.type === 'creditNote') {
+                creditNoteCount++;
+            } else if (receipt.gst.customerGstin) {
+                b2bCount++;
+            }
+            (receipt.gst.slabs || []).forEach(slab => {
+                const key = `${type}|${slab.rate}`;
+                if (!slabRows.has(key)) {
+                    slabRows.set(key, newRow({ type, rate: slab.rate }));
+                }
+                addTax(slabRows.get(key), slab);
+                addTax(totals, slab);
+            });
+            (receipt.items || []).forEach(item => {
+                const hsn = item.hsn || '-';
+                const rate = parseFloat(item.gstRate) || 0;
+                const key = `${hsn}|${rate}`;
+                if (!hsnRows.has(key)) {
+                    hsnRows.set(key, { hsn, rate, quantity: 0, taxableValue: 0 });
+                }
+                const row = hsnRows.get(key);
+                row.quantity += parseFloat(item.quantity) || 0;
+                row.taxableValue += parseFloat(item.taxableValue) || 0;
+            });
+        });
+
+        const amountCell = amount => `<td class="aging-amount">₹${this.formatCurrency(amount)}</td>`;
+        const taxCells = row => [row.taxableValue, row.cgst, row.sgst, row.igst, row.cgst + row.sgst + row.igst].map(amountCell).join('');
+        const sortedSlabs = [...slabRows.values()].sort((a, b) => a.type.localeCompare(b.type) || a.rate - b.rate);
+        const sortedHsn = [...hsnRows.values()].sort((a, b) => a.hsn.localeCompare(b.hsn) || a.rate - b.rate);
+
+        container.innerHTML = `
+            <p class="aging-note">${this.gstReceipts.length - creditNoteCount} bill${this.gstReceipts.length - creditNoteCount === 1 ? '' : 's'} (${b2bCount} B2B)${creditNoteCount > 0 ? `, ${creditNoteCount} credit note${creditNoteCount === 1 ? '' : 's'}` : ''}</p>
+            <table class="aging-table">
+                <thead>
+                    <tr>
+                        <th>Type</th><th>Rate</th>
+                        <th class="aging-amount">Taxable Value</th><th class="aging-amount">CGST</th><th class="aging-amount">SGST</th>
+                        <th class="aging-amount">IGST</th><th class="aging-amount">Total Tax</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sortedSlabs.map(row => `<tr><td>${row.type}</td><td>${row.rate}%</td>${taxCells(row)}</tr>`).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td><td></td>${taxCells(totals)}</tr>
+                </tfoot>
+            </table>
+            <table class="aging-table" style="margin-top: 24px;">
+                <thead>
+                    <tr><th>HSN</th><th>Rate</th><th class="aging-amount">Quantity</th><th class="aging-amount">Taxable Value</th></tr>
+                </thead>
+                <tbody>
+                    ${sortedHsn.map(row => `
+                        <tr>
+                            <td>${this.escapeHtml(row.hsn)}</td>
+                            <td>${row.rate}%</td>
+                            <td class="aging-amount">${Math.round(row.quantity * 1000) / 1000}</td>
+                            ${amountCell(row.taxableValue)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // One row per bill and rate slab, as the accountant needs them for the GST return
+    exportGstCsv() {
+        if (this.gstReceipts.length === 0) {
+            alert('No GST bills in this month.');
+            return;
+        }
+
+        const amount = value => (value || 0).toFixed(2);
+        const rows = [];
+        this.gstReceipts.forEach(receipt => {
+            (receipt.gst.slabs || []).forEach(slab => {
+                rows.push([
+                    receipt.date,
+                    receipt.type === 'creditNote' ? 'Credit note' : 'Invoice',
+                    receipt.id || '',
+                    receipt._customerName || receipt.customerName || '',
+                    receipt.gst.customerGstin || '',
+                    receipt.gst.customerGstin ? 'B2B' : 'B2C',
+                    slab.rate,
+                    amount(slab.taxableValue),
+                    amount(slab.cgst),
+                    amount(slab.sgst),
+                    amount(slab.igst),
+                    amount(receipt.grandTotal)
+                ]);
+            });
+        });
+        const csv = Papa.unparse([
+            ['Date', 'Document', 'Receipt ID', 'Customer', 'Customer GSTIN', 'Type', 'GST %', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Bill Total'],
+            ...rows
+        ]);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        link.download = `gst-summary-${document.getElementById('gstMonth').value}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Latest stock changes (sales, approved orders, deleted receipts, returns, purchases)
+    async loadStockMovements() {
+        const container = document.getElementById('stockMovements');
+        if (!container) {
+            return;
+        }
+
+        try {
+            const product = document.getElementById('stockMovementsProduct').value.trim();
+            const params = new URLSearchParams({ limit: '200' });
+            if (product) {
+                params.set('product', product);
+            }
+
+            const response = await authManager.apiFetch(`/api/stock-movements?${params.toString()}`);
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load stock movements: ${response.status}`);
+            }
+
+            this.displayStockMovements(container, result.movements || []);
+        } catch (error) {
+            console.error('Error loading stock movements:', error);
+            container.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayStockMovements(container, movements) {
+        if (movements.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No stock movements recorded yet.</p></div>';
+            return;
+        }
+
+        const reasonLabels = {
+            sale: 'Sale',
+            order: 'Order approved',
+            'receipt-deleted': 'Receipt deleted',
+            'receipt-restored': 'Receipt restored',
+            return: 'Return',
+            purchase: 'Purchase received',
+            'amend-sale': 'Receipt edited',
+            'amend-return': 'Receipt edited'
+        };
+        const rows = movements.map(movement => `
+            <tr>
+                <td>${this.escapeHtml(new Date(movement.at).toLocaleString('en-IN'))}</td>
+                <td>${this.escapeHtml(movement.product)}</td>
+                <td class="${movement.change > 0 ? 'stock-change-in' : 'stock-change-out'}">${movement.change > 0 ? '+' : ''}${this.escapeHtml(movement.change)}</td>
+                <td>${this.escapeHtml(movement.stockAfter)}</td>
+                <td>${this.escapeHtml(reasonLabels[movement.reason] || movement.reason)}</td>
+                <td>${this.escapeHtml(movement.customerName || '-')}</td>
+                <td title="${this.escapeHtml(movement.receiptId)}">${this.escapeHtml(movement.receiptId ? movement.receiptId.slice(0, 8) : '-')}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="login-events-table">
+                <thead>
+                    <tr><th>Time</th><th>Product</th><th>Change</th><th>Stock After</th><th>Reason</th><th>Customer</th><th>Receipt</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Recent logins (successful, failed and blocked by brute-force protection)
+    async loadLoginEvents() {
+        const container = document.getElementById('loginEvents');
+        if (!container) {
+            return;
+        }
+
+        try {
+            const response = await authManager.apiFetch('/api/login-events?limit=100');
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Failed to load login events: ${response.status}`);
+            }
+
+            this.displayLoginEvents(container, result.events || []);
+        } catch (error) {
+            console.error('Error loading login events:', error);
+            container.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayLoginEvents(container, events) {
+        if (events.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No login activity recorded yet.</p></div>';
+            return;
+        }
+
+        const outcomeLabels = { success: 'Success', failure: 'Wrong password', blocked: 'Blocked (too many attempts)' };
+        const rows = events.map(event => {
+            const account = event.type === 'store' ? 'Store' : (event.customerName || '-');
+            return `
+                <tr>
+                    <td>${this.escapeHtml(new Date(event.at).toLocaleString('en-IN'))}</td>
+                    <td class="login-outcome-${this.escapeHtml(event.outcome)}">${this.escapeHtml(outcomeLabels[event.outcome] || event.outcome)}</td>
+                    <td>${this.escapeHtml(account)}</td>
+                    <td>${this.escapeHtml(event.ip || '-')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="login-events-table">
+                <thead>
+                    <tr><th>Time</th><th>Result</th><th>Account</th><th>IP</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+
     formatCurrency(amount) {
         return parseFloat(amount).toFixed(2);
     }
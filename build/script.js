@@ -21,6 +21,10 @@ class POSSystem {
         this.customers = [];
         this.specialPrices = {}; // Special prices for current customer
         this.currentCustomerName = ''; // Track current customer name
+        // Bill-level discount, applied after the line discounts: { type: 'percent' | 'amount', value, reason }
+        this.billDiscount = null;
+        this.discountTarget = null; // Cart index (or 'bill') the discount modal is editing
+        this.customerGstin = ''; // Current customer's GSTIN (Customer Orders GSTIN column), for tax invoices
         this.cacheRefreshInterval = null;
         this.cacheRefreshTimeout = null;
         this.init();
@@ -29,6 +33,9 @@ class POSSystem {
     async init() {
         this.setupEventListeners();
         
+        // Store GST settings (gst.js) - the cart total changes if prices exclude tax
+        gstCalculator.loadSettings().then(() => this.updateTotal());
+        
         // Load both products and customers from cache first, then fetch fresh data
         const hasProductsCache = this.loadProductsFromCache();
         const hasCustomersCache = this.loadCustomersFromCache();
@@ -264,7 +271,7 @@ class POSSystem {
             
             // Only fetch if cache is missing, stale, or this is a background refresh (silent=true)
             // Don't fetch if we have fresh cache (already returned above)
-            const response = await fetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
+            const response = await authManager.apiFetch(`${CUSTOMERS_RECEIPTS}?t=${Date.now()}`);
             if (!response.ok) {
                 console.warn('Failed to load customers for autocomplete');
                 // Try to use cache if fetch fails
@@ -393,12 +400,17 @@ class POSSystem {
                     
                     // Create receipt JSON
                     const receiptJson = JSON.stringify({
+                        id: receiptData.id,
                         storeName: receiptData.storeName,
                         customerName: receiptData.customerName,
                         date: receiptData.date,
                         time: receiptData.time,
                         items: receiptData.items,
                         grandTotal: receiptData.grandTotal,
+                        grossTotal: receiptData.grossTotal,
+                        discountTotal: receiptData.discountTotal,
+                        billDiscount: receiptData.billDiscount,
+                        gst: receiptData.gst,
                         profitMargin: receiptData.profitMargin || 0,
                         payments: {
                             cash: 0,
@@ -651,6 +663,13 @@ class POSSystem {
 
             searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
             searchInput.addEventListener('keydown', (e) => {
+                // A scanner typing into the search box ends the code with Enter
+                if (e.key === 'Enter' && barcodeScanner.isBarcode(searchInput.value)
+                    && barcodeScanner.matchProduct(this.products, searchInput.value.trim())) {
+                    e.preventDefault();
+                    this.handleBarcode(searchInput.value.trim());
+                    return;
+                }
                 if (e.key === 'Enter' && this.searchResults.length > 0) {
                     e.preventDefault();
                     const searchResultsDiv = document.getElementById('searchResults');
@@ -662,6 +681,13 @@ class POSSystem {
                 }
             });
 
+            // Scans while no field has focus, and the camera button
+            barcodeScanner.listen(code => this.handleBarcode(code));
+            const scanBarcodeBtn = document.getElementById('scanBarcodeBtn');
+            if (scanBarcodeBtn) {
+                scanBarcodeBtn.addEventListener('click', () => barcodeScanner.openCamera());
+            }
+
             checkoutBtn.addEventListener('click', () => this.showReceipt());
             clearCartBtn.addEventListener('click', () => this.clearCart());
             closeReceipt.addEventListener('click', () => this.closeReceipt());
@@ -694,6 +720,28 @@ class POSSystem {
                 });
             }
             
+            // Line and bill discounts
+            const billDiscountBtn = document.getElementById('billDiscountBtn');
+            const discountForm = document.getElementById('discountForm');
+            const discountModal = document.getElementById('discountModal');
+            if (billDiscountBtn) {
+                billDiscountBtn.addEventListener('click', () => this.showDiscountModal('bill'));
+            }
+            if (discountForm) {
+                discountForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.applyDiscount();
+                });
+                document.getElementById('closeDiscountModal').addEventListener('click', () => this.closeDiscountModal());
+                document.getElementById('cancelDiscountBtn').addEventListener('click', () => this.closeDiscountModal());
+                document.getElementById('removeDiscountBtn').addEventListener('click', () => this.removeDiscount());
+                discountModal.addEventListener('click', (e) => {
+                    if (e.target === discountModal) {
+                        this.closeDiscountModal();
+                    }
+                });
+            }
+            
             // Close manual product modal when clicking outside
             const manualProductModal = document.getElementById('manualProductModal');
             if (manualProductModal) {
@@ -782,6 +830,7 @@ class POSSystem {
                 // Use PapaParse to fetch and parse CSV (handles redirects automatically)
                 Papa.parse(urlWithCacheBuster, {
                 download: true,
+                downloadRequestHeaders: authManager.getAuthHeaders(),
                 header: true,
                 skipEmptyLines: true,
                 transformHeader: (header) => {
@@ -810,7 +859,10 @@ class POSSystem {
                             name: String(row.PRODUCT || '').trim(),
                             rate: parseFloat(row.RATE || 0),
                             purchaseCost: parseFloat(row['PURCHASE COST'] || row.PURCHASECOST || row['PURCHASE_COST'] || 0),
-                            stock: parseFloat(row['STOCK INFO'] || row.STOCKINFO || row['STOCK_INFO'] || row.STOCK || row.QUANTITY || row.QTY || 0)
+                            stock: parseFloat(row['STOCK INFO'] || row.STOCKINFO || row['STOCK_INFO'] || row.STOCK || row.QUANTITY || row.QTY || 0),
+                            barcode: String(row.BARCODE || '').trim(),
+                            gstRate: parseFloat(row['GST %'] || row.GST || row['GST RATE'] || row['GST_RATE'] || 0),
+                            hsn: String(row.HSN || row['HSN CODE'] || row['HSN_CODE'] || '').trim()
                         }));
                     
                     if (newProducts.length === 0) {
@@ -1064,7 +1116,8 @@ class POSSystem {
         const existingItem = this.cart.find(item => item.name === product.name);
         
         if (existingItem) {
-            existingItem.quantity += quantity;
+            // Rounded to grams, weighed items can add up to fractions
+            existingItem.quantity = Math.round((existingItem.quantity + quantity) * 1000) / 1000;
             // Update rate in case special price changed
             existingItem.rate = effectivePrice;
         } else {
@@ -1080,6 +1133,19 @@ class POSSystem {
         this.updateCartDisplay();
     }
     
+    // A scanned code (scanner, camera or typed into the search box) goes straight into the cart
+    handleBarcode(code) {
+        const match = barcodeScanner.matchProduct(this.products, code);
+        if (!match) {
+            alert(`No product found for barcode ${code}`);
+            return;
+        }
+
+        this.addToCartWithQuantity(match.product, match.quantity);
+        document.getElementById('productSearch').value = '';
+        this.clearSearchResults();
+    }
+    
     // Get effective price for a product (special price if available, otherwise regular price)
     getEffectivePrice(product) {
         const productName = product.name || '';
@@ -1094,13 +1160,15 @@ class POSSystem {
         if (!customerName || !customerName.trim()) {
             this.specialPrices = {};
             this.currentCustomerName = '';
+            this.customerGstin = '';
+            this.updateTotal();
             return;
         }
         
         this.currentCustomerName = customerName.trim();
         
         try {
-            const response = await fetch('/api/customer-orders');
+            const response = await authManager.apiFetch('/api/customer-orders');
             if (!response.ok) {
                 console.warn('Failed to load customer orders for special prices');
                 this.specialPrices = {};
@@ -1115,11 +1183,17 @@ class POSSystem {
                 complete: (results) => {
                     if (!results.data || results.data.length < 2) {
                         this.specialPrices = {};
+                        this.customerGstin = '';
                         this.updateCartPrices();
                         this.refreshSearchResults();
                         return;
                     }
                     
+                    // Customer GSTIN (column 7), for tax invoices
+                    const customerRow = results.data.slice(1).find(row => String(row[0] || '').trim().toUpperCase() === this.currentCustomerName.toUpperCase());
+                    this.customerGstin = customerRow ? String(customerRow[6] || '').trim() : '';
+                    this.updateTotal();
+                    
                     // First row is headers, skip it
                     for (let i = 1; i < results.data.length; i++) {
                         const row = results.data[i];
@@ -1297,24 +1371,39 @@ class POSSystem {
         if (this.cart.length === 0) {
             cartItemsDiv.innerHTML = '<p class="empty-cart">No items in cart</p>';
             clearCartBtn.disabled = true;
+            this.billDiscount = null;
         } else {
             cartItemsDiv.innerHTML = this.cart.map((item, index) => {
                 // Get current stock from products array if available, otherwise use stored stock
+                // (manually entered items that aren't in the products list have no stock tracked)
                 const product = this.products.find(p => p.name === item.name);
-                const stock = product ? (product.stock || 0) : (item.stock || 0);
+                const stock = product ? (product.stock || 0) : item.stock;
+                const hasStock = stock !== undefined;
                 const stockText = stock > 0 ? `Stock: ${stock}` : 'Out of stock';
                 const stockClass = stock > 0 ? 'cart-item-stock' : 'cart-item-stock out-of-stock';
+                // Selling more than is in stock is allowed (stock stops at 0), but warn the cashier
+                const overStockBadge = hasStock && item.quantity > stock
+                    ? `<span class="over-stock-badge" title="Only ${stock} in stock">⚠ ${item.quantity - stock} more than in stock</span>`
+                    : '';
+                const gross = item.rate * item.quantity;
+                const discountAmount = this.calculateDiscount(item.discount, gross);
+                const discountText = discountAmount > 0
+                    ? `Discount ${this.formatDiscount(item.discount)}: −₹${discountAmount.toFixed(2)}`
+                    : '+ Discount';
                 return `
                 <div class="cart-item" data-index="${index}">
                     <div class="cart-item-row">
                         <div class="cart-item-info">
                             <span class="cart-item-name">${item.name}</span>
                             <span class="cart-item-rate" onclick="pos.editRate(${index})" title="Click to edit rate">₹${item.rate.toFixed(2)} each</span>
-                            <span class="${stockClass}">${stockText}</span>
+                            ${hasStock ? `<span class="${stockClass}">${stockText}</span>` : ''}
+                            <span class="cart-item-discount${discountAmount > 0 ? ' active' : ''}" onclick="pos.showDiscountModal(${index})" title="Click to set a discount">${this.escapeHtml(discountText)}</span>
+                            ${overStockBadge}
                         </div>
                         <div class="cart-item-right">
                             <button class="remove-btn remove-btn-desktop" onclick="pos.removeFromCart(${index})" title="Remove">×</button>
-                            <span class="cart-item-total">₹${(item.rate * item.quantity).toFixed(2)}</span>
+                            ${discountAmount > 0 ? `<span class="cart-item-gross">₹${gross.toFixed(2)}</span>` : ''}
+                            <span class="cart-item-total">₹${(gross - discountAmount).toFixed(2)}</span>
                         </div>
                     </div>
                     <div class="cart-item-controls">
@@ -1345,8 +1434,174 @@ class POSSystem {
     }
 
     updateTotal() {
-        const grandTotal = this.cart.reduce((sum, item) => sum + (item.rate * item.quantity), 0);
-        document.getElementById('grandTotal').textContent = `₹${grandTotal.toFixed(2)}`;
+        const totals = this.getCartTotals();
+        const cartGst = this.getCartGst(totals);
+        document.getElementById('grandTotal').textContent = `₹${this.getPayableTotal(totals, cartGst).toFixed(2)}`;
+
+        const summary = document.getElementById('cartDiscountSummary');
+        if (summary) {
+            const parts = [];
+            if (totals.discountTotal > 0) {
+                parts.push(`Gross ₹${totals.gross.toFixed(2)}`);
+                if (totals.lineDiscounts > 0) {
+                    parts.push(`Item discounts −₹${totals.lineDiscounts.toFixed(2)}`);
+                }
+                if (totals.billDiscount > 0) {
+                    parts.push(`Bill discount ${this.formatDiscount(this.billDiscount)} −₹${totals.billDiscount.toFixed(2)}`);
+                }
+            }
+            if (cartGst && cartGst.gst.totalTax > 0) {
+                const tax = `${cartGst.gst.interState ? 'IGST' : 'GST'} ₹${cartGst.gst.totalTax.toFixed(2)}`;
+                parts.push(cartGst.gst.pricesIncludeTax ? `Incl. ${tax}` : `+ ${tax}`);
+            }
+            summary.textContent = parts.join(' · ');
+            summary.style.display = parts.length > 0 ? 'block' : 'none';
+        }
+
+        const billDiscountBtn = document.getElementById('billDiscountBtn');
+        if (billDiscountBtn) {
+            billDiscountBtn.disabled = this.cart.length === 0;
+            billDiscountBtn.textContent = this.billDiscount ? `Bill Discount (${this.formatDiscount(this.billDiscount, false)})` : 'Bill Discount';
+        }
+    }
+
+    // ---- Discounts ----
+    // A discount is { type: 'percent' | 'amount', value, reason }. Line discounts apply to the
+    // line's rate × quantity, the bill discount to the total after line discounts.
+    // The rate is never changed, so receipts and reports can show gross, discount and net.
+
+    // Amount taken off `amount` (a percent is capped at 100, a fixed amount at `amount`)
+    calculateDiscount(discount, amount) {
+        if (!discount || !(discount.value > 0) || !(amount > 0)) {
+            return 0;
+        }
+        const raw = discount.type === 'percent'
+            ? amount * Math.min(discount.value, 100) / 100
+            : Math.min(discount.value, amount);
+        return Math.round(raw * 100) / 100;
+    }
+
+    // "10%" or "₹50.00", with the reason in brackets
+    formatDiscount(discount, withReason = true) {
+        const value = discount.type === 'percent' ? `${discount.value}%` : `₹${parseFloat(discount.value).toFixed(2)}`;
+        return withReason && discount.reason ? `${value} (${discount.reason})` : value;
+    }
+
+    getCartTotals() {
+        let gross = 0;
+        let lineDiscounts = 0;
+        for (const item of this.cart) {
+            const itemGross = item.rate * item.quantity;
+            gross += itemGross;
+            lineDiscounts += this.calculateDiscount(item.discount, itemGross);
+        }
+        gross = Math.round(gross * 100) / 100;
+        lineDiscounts = Math.round(lineDiscounts * 100) / 100;
+        const billDiscount = this.calculateDiscount(this.billDiscount, gross - lineDiscounts);
+        const discountTotal = Math.round((lineDiscounts + billDiscount) * 100) / 100;
+        return {
+            gross,
+            lineDiscounts,
+            billDiscount,
+            discountTotal,
+            net: Math.round((gross - discountTotal) * 100) / 100
+        };
+    }
+
+    // ---- GST ----
+    // Tax for the cart (see gst.js), or null when the store has no GSTIN. Each line is taxed on
+    // its value after its own discount and its share of the bill discount.
+    getCartGst(totals) {
+        if (!gstCalculator.isEnabled()) {
+            return null;
+        }
+        const lineValues = this.cart.map(item => {
+            const gross = item.rate * item.quantity;
+            return gross - this.calculateDiscount(item.discount, gross);
+        });
+        const linesTotal = lineValues.reduce((sum, value) => sum + value, 0);
+        return gstCalculator.calculate(this.cart.map((item, i) => ({
+            value: linesTotal > 0 ? lineValues[i] - totals.billDiscount * lineValues[i] / linesTotal : 0,
+            gstRate: this.getProductGst(item).gstRate
+        })), this.customerGstin);
+    }
+
+    // GST % and HSN of a cart item's product (items added by hand have neither)
+    getProductGst(item) {
+        const product = this.products.find(p => p.name === item.name);
+        return { gstRate: (product && product.gstRate) || 0, hsn: (product && product.hsn) || '' };
+    }
+
+    // What the customer pays: tax is added on top when prices exclude it
+    getPayableTotal(totals, cartGst) {
+        if (!cartGst || cartGst.gst.pricesIncludeTax) {
+            return totals.net;
+        }
+        return Math.round((totals.net + cartGst.gst.totalTax) * 100) / 100;
+    }
+
+    // target: a cart index, or 'bill' for the bill-level discount
+    showDiscountModal(target) {
+        const modal = document.getElementById('discountModal');
+        const discount = target === 'bill' ? this.billDiscount : this.cart[target]?.discount;
+        if (!modal || (target !== 'bill' && !this.cart[target])) {
+            return;
+        }
+
+        this.discountTarget = target;
+        document.getElementById('discountModalTitle').textContent = target === 'bill'
+            ? 'Bill Discount'
+            : `Discount - ${this.cart[target].name}`;
+        document.getElementById('discountType').value = discount ? discount.type : 'percent';
+        document.getElementById('discountValue').value = discount ? discount.value : '';
+        document.getElementById('discountReason').value = discount ? discount.reason : '';
+        document.getElementById('removeDiscountBtn').style.display = discount ? 'block' : 'none';
+        modal.classList.add('active');
+        setTimeout(() => document.getElementById('discountValue').focus(), 100);
+    }
+
+    closeDiscountModal() {
+        const modal = document.getElementById('discountModal');
+        if (modal) {
+            modal.classList.remove('active');
+            document.getElementById('discountForm').reset();
+        }
+        this.discountTarget = null;
+    }
+
+    applyDiscount() {
+        const type = document.getElementById('discountType').value === 'amount' ? 'amount' : 'percent';
+        const value = parseFloat(document.getElementById('discountValue').value);
+        const reason = document.getElementById('discountReason').value.trim();
+
+        if (isNaN(value) || value <= 0) {
+            alert('Please enter a discount greater than 0');
+            return;
+        }
+        if (type === 'percent' && value > 100) {
+            alert('A percentage discount cannot be more than 100%');
+            return;
+        }
+
+        this.setDiscount({ type, value, reason });
+    }
+
+    removeDiscount() {
+        this.setDiscount(null);
+    }
+
+    setDiscount(discount) {
+        if (this.discountTarget === 'bill') {
+            this.billDiscount = discount;
+        } else if (this.cart[this.discountTarget]) {
+            if (discount) {
+                this.cart[this.discountTarget].discount = discount;
+            } else {
+                delete this.cart[this.discountTarget].discount;
+            }
+        }
+        this.closeDiscountModal();
+        this.updateCartDisplay();
     }
 
     clearCart() {
@@ -1359,6 +1614,7 @@ class POSSystem {
         // Clear special prices when cart is cleared
         this.specialPrices = {};
         this.currentCustomerName = '';
+        this.billDiscount = null;
         this.updateCartDisplay();
     }
 
@@ -1401,27 +1657,52 @@ class POSSystem {
         
         console.log(`Generating receipt with ${cartItems.length} items:`, cartItems.map(item => item.name));
         
-        // Calculate profit margin for each item and total
-        let totalProfitMargin = 0;
+        // Calculate profit margin for each item and total (after discounts)
+        // `total` is the line after its discount; the rate stays the undiscounted price
+        const totals = this.getCartTotals();
+        let totalProfitMargin = -totals.billDiscount;
         const receiptItems = cartItems.map(item => {
             // Get purchase cost from item (if manually added) or from products list
             const purchaseCost = item.purchaseCost !== undefined ? item.purchaseCost : 
                 (this.products.find(p => p.name === item.name)?.purchaseCost || 0);
-            const profitPerUnit = item.rate - purchaseCost;
-            const profitMargin = profitPerUnit * item.quantity;
+            const gross = item.rate * item.quantity;
+            const discountAmount = this.calculateDiscount(item.discount, gross);
+            const profitMargin = gross - discountAmount - purchaseCost * item.quantity;
             totalProfitMargin += profitMargin;
             
-            return {
+            const receiptItem = {
                 name: item.name,
                 quantity: item.quantity,
                 rate: item.rate,
-                total: item.rate * item.quantity,
+                total: gross - discountAmount,
                 purchaseCost: purchaseCost,
                 profitMargin: profitMargin
             };
+            if (discountAmount > 0) {
+                receiptItem.discount = { ...item.discount, amount: discountAmount };
+            }
+            return receiptItem;
         });
         
-        const grandTotal = cartItems.reduce((sum, item) => sum + (item.rate * item.quantity), 0);
+        // Tax invoice: every item gets its GST %, HSN and taxable value; tax included in the
+        // prices is not profit
+        const cartGst = this.getCartGst(totals);
+        if (cartGst) {
+            receiptItems.forEach((receiptItem, i) => {
+                const { gstRate, hsn } = this.getProductGst(cartItems[i]);
+                receiptItem.gstRate = gstRate;
+                if (hsn) {
+                    receiptItem.hsn = hsn;
+                }
+                receiptItem.taxableValue = cartGst.lines[i].taxableValue;
+                if (cartGst.gst.pricesIncludeTax) {
+                    receiptItem.profitMargin -= cartGst.lines[i].tax;
+                    totalProfitMargin -= cartGst.lines[i].tax;
+                }
+            });
+        }
+        
+        const grandTotal = this.getPayableTotal(totals, cartGst);
 
         // Detect mobile screen
         const isMobile = window.innerWidth <= 768;
@@ -1461,7 +1742,19 @@ class POSSystem {
             const ratePart = rate.padStart(rateWidth);
             const totalPart = total.padStart(totalWidth);
             
-            return `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const line = `${serialPrefix}${namePart} ${qtyPart} x ${ratePart} = ${totalPart}`;
+            const itemLines = [line];
+            const discountAmount = this.calculateDiscount(item.discount, item.rate * item.quantity);
+            if (discountAmount > 0) {
+                // Discount line under the item: "   Less 10% (reason)" ... "-12.00"
+                const discountLabel = `${' '.repeat(serialPrefix.length)}Less ${this.formatDiscount(item.discount)}`;
+                itemLines.push(`${discountLabel.padEnd(line.length - totalWidth)}${`-${discountAmount.toFixed(2)}`.padStart(totalWidth)}`);
+            }
+            if (cartGst) {
+                // "   HSN 1006, GST 5%"
+                itemLines.push(`${' '.repeat(serialPrefix.length)}${gstCalculator.itemLabel(this.getProductGst(item))}`);
+            }
+            return itemLines.join('\n');
         }).join('\n');
 
         // Store name left-aligned (same position as date/time)
@@ -1481,8 +1774,24 @@ class POSSystem {
         const totalLineWidth = serialPrefixWidth + nameWidth + 1 + 2 + 1 + 1 + 1 + rateWidth + 1 + 1 + 1 + totalWidth;
         const totalValue = totalValueStr.padStart(totalLineWidth - nameWidth);
 
-        // Verify all items were included in receipt
-        const receiptItemLines = itemsText.split('\n').filter(line => line.trim().length > 0);
+        // Gross and discounts above the total, when there are any
+        const summaryLine = (label, amount) => `${label}${amount.padStart(Math.max(totalLineWidth - label.length, amount.length + 1))}`;
+        const discountLines = [];
+        if (totals.discountTotal > 0) {
+            discountLines.push(summaryLine('Gross', `₹${totals.gross.toFixed(2)}`));
+            if (totals.lineDiscounts > 0) {
+                discountLines.push(summaryLine('Item discounts', `-₹${totals.lineDiscounts.toFixed(2)}`));
+            }
+            if (totals.billDiscount > 0) {
+                discountLines.push(summaryLine(`Discount ${this.formatDiscount(this.billDiscount)}`, `-₹${totals.billDiscount.toFixed(2)}`));
+            }
+        }
+        const gstLines = cartGst
+            ? gstCalculator.summaryRows(cartGst.gst).map(([label, amount]) => summaryLine(label, `₹${amount.toFixed(2)}`))
+            : [];
+
+        // Verify all items were included in receipt (discount lines are not items)
+        const receiptItemLines = itemsText.split('\n').filter(line => line.trim().length > 0 && !/^\s/.test(line));
         if (receiptItemLines.length !== cartItems.length) {
             console.error(`Mismatch: Cart has ${cartItems.length} items but receipt has ${receiptItemLines.length} lines`);
             console.log('Cart items:', cartItems.map(item => item.name));
@@ -1490,14 +1799,15 @@ class POSSystem {
         }
         
         // Verify total calculation
-        const calculatedTotal = cartItems.reduce((sum, item) => sum + (item.rate * item.quantity), 0);
-        if (Math.abs(calculatedTotal - grandTotal) > 0.01) {
-            console.warn(`Total mismatch: Calculated ${calculatedTotal} but grandTotal is ${grandTotal}`);
+        const calculatedTotal = receiptItems.reduce((sum, item) => sum + item.total, 0) - totals.billDiscount;
+        if (Math.abs(calculatedTotal - totals.net) > 0.01) {
+            console.warn(`Total mismatch: Calculated ${calculatedTotal} but net total is ${totals.net}`);
         }
 
         // Build receipt content without extra whitespace from template literal indentation
         const receiptLines = [
             storeName,
+            ...(cartGst ? gstCalculator.headerLines(cartGst.gst) : []),
             customerName ? `Customer: ${customerName}` : '',
             '',
             `Date: ${dateStr}`,
@@ -1508,6 +1818,8 @@ class POSSystem {
             '·'.repeat(separatorWidth),
             itemsText,
             '·'.repeat(separatorWidth),
+            ...discountLines,
+            ...gstLines,
             `${totalLabel}${totalValue}`,
             '·'.repeat(separatorWidth),
             '',
@@ -1518,8 +1830,7 @@ class POSSystem {
 
         modal.style.display = 'flex';
         
-        // Save receipt to Google Sheets
-        this.saveReceiptToSheets({
+        const receiptData = {
             storeName: storeName,
             customerName: customerName,
             date: dateStr,
@@ -1527,79 +1838,53 @@ class POSSystem {
             items: receiptItems,
             grandTotal: grandTotal,
             profitMargin: totalProfitMargin
-        });
+        };
+        if (totals.discountTotal > 0) {
+            receiptData.grossTotal = totals.gross;
+            receiptData.discountTotal = totals.discountTotal;
+            if (totals.billDiscount > 0) {
+                receiptData.billDiscount = { ...this.billDiscount, amount: totals.billDiscount };
+            }
+        }
+        if (cartGst) {
+            receiptData.gst = cartGst.gst;
+        }
+        
+        // Save receipt to Google Sheets
+        this.saveReceiptToSheets(receiptData);
     }
     
+    // Queue the receipt in the offline outbox (outbox.js), which sends it to Google Sheets
+    // in the background and keeps retrying until it gets through
     async saveReceiptToSheets(receiptData) {
         try {
-            console.log('Attempting to save receipt to Google Sheets...', receiptData);
-            
-            // Create abort controller for timeout (mobile networks can be slow/unreliable)
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => {
-                console.warn('Request timeout - aborting save receipt request');
-                controller.abort();
-            }, 30000); // 30 second timeout
-            
-            try {
-                const response = await fetch('/api/save-receipt', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(receiptData),
-                    signal: controller.signal,
-                    // Ensure request doesn't get cached on mobile
-                    cache: 'no-store'
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    console.error('Failed to save receipt - Response not OK:', response.status, errorText);
-                    throw new Error(`Failed to save receipt: ${response.status} ${response.statusText}`);
-                }
-                
-                const result = await response.json();
-                
-                // Check if the response indicates success
-                if (result.success !== false) {
-                    console.log('Receipt saved to Google Sheets:', result);
-                    // Update local cache with new receipt
-                    this.updateCustomersCacheWithReceipt(receiptData);
-                } else {
-                    console.error('Google Sheets returned error:', result.error);
-                    throw new Error(result.error || 'Failed to save receipt');
-                }
-            } catch (fetchError) {
-                clearTimeout(timeoutId);
-                
-                // Check if it's an abort error (timeout)
-                if (fetchError.name === 'AbortError') {
-                    console.error('Request timed out - this may be a mobile network issue');
-                }
-                
-                throw fetchError;
-            }
+            // The queued copy carries the receipt id (also used as the idempotency key)
+            const entry = await outboxManager.add('receipt', '/api/save-receipt', receiptData);
+            receiptData = entry.payload;
         } catch (error) {
-            console.error('Error saving receipt to Google Sheets:', error);
-            console.error('Error details:', {
-                name: error.name,
-                message: error.message,
-                stack: error.stack
-            });
-            
-            // On mobile, network errors are more common - log but don't block user
-            // The receipt is still displayed, so user can see it
-            // Try to update cache anyway so data isn't lost
-            try {
-                this.updateCustomersCacheWithReceipt(receiptData);
-                console.log('Receipt saved to local cache as fallback');
-            } catch (cacheError) {
-                console.error('Failed to save to cache as well:', cacheError);
+            console.error('Error queueing receipt for sync:', error);
+        }
+        
+        // Update local cache right away so the receipt shows up before it is synced
+        try {
+            this.updateCustomersCacheWithReceipt(receiptData);
+        } catch (cacheError) {
+            console.error('Failed to save receipt to cache:', cacheError);
+        }
+        
+        this.updateLocalStock(receiptData.items);
+    }
+    
+    // Take sold quantities off the cached stock, as the server does when the receipt is saved,
+    // so "Stock: N" is right before the products are fetched again
+    updateLocalStock(items) {
+        for (const item of items) {
+            const product = this.products.find(p => p.name.toUpperCase() === String(item.name || '').trim().toUpperCase());
+            if (product && item.quantity > 0) {
+                product.stock = Math.max(0, (product.stock || 0) - item.quantity);
             }
         }
+        this.saveProductsToCache(this.products);
     }
 
     closeReceipt() {
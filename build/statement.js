@@ -0,0 +1,411 @@
+// Customer account statement
+// Lists a customer's bills and payments for a date range with an opening balance, a running
+// balance and a closing balance. Used by the customers page (store) and the order page
+// (customer info), which both pass in the receipts they already have loaded.
+// Exports: a printable page (the browser's "Save as PDF" turns it into a PDF) and CSV.
+//
+// Money received as advance credit (ADVANCE column) counts on the day it was received;
+// the 'advance' ledger entries that later move it onto a bill are not counted again, and
+// neither is the credit a deleted bill gives back (an 'advance' entry in ADVANCE).
+// A credit note (returned items) is a credit on its own date; a cash refund for it is a debit.
+// Its 'credit-note' ledger and advance entries only move that credit around, so they are skipped.
+const STATEMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI',
+    card: 'Card',
+    bank: 'Bank transfer',
+    advance: 'Advance credit',
+    'credit-note': 'Credit note'
+};
+
+class StatementManager {
+    constructor() {
+        this.panel = null;
+        this.customerName = '';
+        this.receipts = [];
+        this.advance = null;
+        this.statement = null; // Last statement shown, used by the exports
+    }
+
+    // Show the statement of `customerName`; `advance` is their ADVANCE column ({ balance, entries }) or null
+    open(customerName, receipts, advance) {
+        this.setupPanel();
+        this.customerName = customerName || '';
+        this.receipts = receipts || [];
+        this.advance = advance || null;
+
+        // Default to this month so far
+        const today = this.toDateValue(new Date());
+        this.panel.querySelector('.statement-from').value = `${today.slice(0, 8)}01`;
+        this.panel.querySelector('.statement-to').value = today;
+        this.panel.querySelector('.statement-title').textContent = `Statement - ${this.customerName}`;
+
+        this.render();
+        this.panel.classList.add('active');
+    }
+
+    close() {
+        if (this.panel) {
+            this.panel.classList.remove('active');
+        }
+    }
+
+    // ---- Building the statement ----
+
+    // Every bill and payment of the customer, oldest first
+    // Each transaction: { date (YYYY-MM-DD), sortKey (order within a day), description, debit, credit }
+    getTransactions() {
+        const hasAdvanceEntries = Boolean(this.advance && Array.isArray(this.advance.entries));
+        const transactions = [];
+
+        this.receipts.forEach((receipt, index) => {
+            const billDate = this.parseReceiptDate(receipt.date);
+            const itemCount = (receipt.items || []).length;
+            if (receipt.type === 'creditNote') {
+                transactions.push(...this.creditNoteTransactions(receipt, billDate, index));
+                return;
+            }
+            transactions.push({
+                date: billDate,
+                sortKey: `0 ${this.parseTimeMinutes(receipt.time).toString().padStart(4, '0')} ${index}`,
+                description: `Bill${receipt.time ? ` (${receipt.time})` : ''} - ${itemCount} item${itemCount === 1 ? '' : 's'}`,
+                debit: receipt.grandTotal || 0,
+                credit: 0
+            });
+
+            for (const entry of this.getPaymentEntries(receipt)) {
+                // Advance credit was counted when it was received
+                if ((entry.method === 'advance' && hasAdvanceEntries) || entry.method === 'credit-note') {
+                    continue;
+                }
+                transactions.push(this.paymentTransaction(entry, entry.date || billDate, `for bill of ${receipt.date || 'N/A'}`));
+            }
+        });
+
+        if (hasAdvanceEntries) {
+            for (const entry of this.advance.entries) {
+                if (entry.amount > 0 && entry.method !== 'credit-note' && entry.method !== 'advance') {
+                    transactions.push(this.paymentTransaction(entry, entry.date, 'kept as advance credit'));
+                }
+            }
+        }
+
+        return transactions
+            .filter(transaction => transaction.date)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.sortKey.localeCompare(b.sortKey));
+    }
+
+    // The credit for returned items, and the cash paid back for them (if any)
+    creditNoteTransactions(creditNote, date, index) {
+        const amount = -(creditNote.grandTotal || 0);
+        const sortKey = `0 ${this.parseTimeMinutes(creditNote.time).toString().padStart(4, '0')} ${index}`;
+        const cash = (creditNote.refund && creditNote.refund.cash) || 0;
+        const transactions = [{
+            date,
+            sortKey,
+            description: [
+                `Credit note - returned items from bill of ${creditNote.originalDate || 'N/A'}`,
+                creditNote.reason
+            ].filter(Boolean).join(' · '),
+            debit: 0,
+            credit: amount
+        }];
+        if (cash > 0) {
+            transactions.push({ date, sortKey: `${sortKey} refund`, description: 'Refunded in cash', debit: cash, credit: 0 });
+        }
+        return transactions;
+    }
+
+    paymentTransaction(entry, date, detail) {
+        const method = STATEMENT_METHOD_LABELS[entry.method] || entry.method;
+        const isReversal = entry.amount < 0;
+        return {
+            date,
+            sortKey: `1 ${entry.recordedAt || ''}`,
+            description: [
+                isReversal ? `Payment reversed - ${method}` : `Payment - ${method}`,
+                detail,
+                entry.note
+            ].filter(Boolean).join(' · '),
+            debit: isReversal ? -entry.amount : 0,
+            credit: isReversal ? 0 : entry.amount
+        };
+    }
+
+    // Payment entries of a receipt (see lib/storage/ledger.mjs); receipts paid before the
+    // ledger only have cash/online totals
+    getPaymentEntries(receipt) {
+        if (Array.isArray(receipt.paymentEntries)) {
+            return receipt.paymentEntries;
+        }
+        const payments = receipt.payments || {};
+        return [
+            { amount: payments.cash || 0, method: 'cash', date: '', note: 'Recorded before the payment ledger' },
+            { amount: payments.online || 0, method: 'upi', date: '', note: 'Recorded before the payment ledger' }
+        ].filter(entry => entry.amount);
+    }
+
+    // { from, to, openingBalance, rows: [{ date, description, debit, credit, balance }], closingBalance }
+    // A positive balance is owed by the customer, a negative one is credit in their favour
+    buildStatement(from, to) {
+        let balance = 0;
+        let openingBalance = 0;
+        const rows = [];
+
+        for (const transaction of this.getTransactions()) {
+            if (to && transaction.date > to) {
+                break;
+            }
+            balance = this.roundAmount(balance + transaction.debit - transaction.credit);
+            if (from && transaction.date < from) {
+                openingBalance = balance;
+                continue;
+            }
+            rows.push({
+                date: transaction.date,
+                description: transaction.description,
+                debit: transaction.debit,
+                credit: transaction.credit,
+                balance
+            });
+        }
+
+        return { from, to, openingBalance, rows, closingBalance: balance };
+    }
+
+    // ---- Panel ----
+
+    render() {
+        const from = this.panel.querySelector('.statement-from').value;
+        const to = this.panel.querySelector('.statement-to').value;
+        const statement = this.buildStatement(from, to);
+        this.statement = statement;
+
+        this.panel.querySelector('.statement-body').innerHTML = `
+            <table class="statement-table">
+                <thead>
+                    <tr><th>Date</th><th>Details</th><th>Bill</th><th>Payment</th><th>Balance</th></tr>
+                </thead>
+                <tbody>
+                    <tr class="statement-total-row">
+                        <td>${this.escapeHtml(this.formatDate(from))}</td><td>Opening balance</td><td></td><td></td>
+                        <td>${this.formatBalance(statement.openingBalance)}</td>
+                    </tr>
+                    ${statement.rows.length === 0 ? `
+                        <tr><td colspan="5" class="statement-empty">No bills or payments in this period.</td></tr>
+                    ` : statement.rows.map(row => `
+                        <tr>
+                            <td>${this.escapeHtml(this.formatDate(row.date))}</td>
+                            <td>${this.escapeHtml(row.description)}</td>
+                            <td>${row.debit ? `₹${this.formatCurrency(row.debit)}` : ''}</td>
+                            <td>${row.credit ? `₹${this.formatCurrency(row.credit)}` : ''}</td>
+                            <td>${this.formatBalance(row.balance)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="statement-total-row">
+                        <td>${this.escapeHtml(this.formatDate(to))}</td><td>Closing balance</td><td></td><td></td>
+                        <td>${this.formatBalance(statement.closingBalance)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    setupPanel() {
+        if (this.panel) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .statement-panel {
+                display: none;
+                position: fixed;
+                inset: 0;
+                z-index: 2500;
+                background-color: rgba(0, 0, 0, 0.5);
+                align-items: center;
+                justify-content: center;
+            }
+            .statement-panel.active { display: flex; }
+            .statement-panel-content {
+                background: #ffffff;
+                border-radius: 12px;
+                padding: 20px;
+                width: calc(100% - 32px);
+                max-width: 760px;
+                max-height: 85vh;
+                overflow-y: auto;
+            }
+            .statement-panel-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; }
+            .statement-panel-header h2 { font-size: 18px; margin: 0; }
+            .statement-panel-close { background: none; border: none; font-size: 28px; cursor: pointer; line-height: 1; }
+            .statement-range { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px; font-size: 14px; }
+            .statement-range label { display: flex; flex-direction: column; gap: 4px; font-weight: 600; }
+            .statement-range input { padding: 8px; border: 2px solid #e0e0e0; border-radius: 6px; font-size: 14px; }
+            .statement-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            .statement-table th, .statement-table td { padding: 8px 6px; border-bottom: 1px solid #e0e0e0; text-align: left; vertical-align: top; }
+            .statement-table th:nth-child(n+3), .statement-table td:nth-child(n+3) { text-align: right; white-space: nowrap; }
+            .statement-total-row td { font-weight: 700; background-color: #f5f5f5; }
+            .statement-empty { color: #666666; text-align: center !important; }
+            .statement-actions { display: flex; gap: 8px; margin-top: 16px; }
+            .statement-actions button { flex: 1; padding: 10px; border-radius: 6px; font-weight: 600; cursor: pointer; border: 2px solid #000000; background: #ffffff; }
+        `;
+        document.head.appendChild(style);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'statement-panel';
+        this.panel.innerHTML = `
+            <div class="statement-panel-content">
+                <div class="statement-panel-header">
+                    <h2 class="statement-title">Statement</h2>
+                    <button type="button" class="statement-panel-close" title="Close">&times;</button>
+                </div>
+                <div class="statement-range">
+                    <label>From <input type="date" class="statement-from"></label>
+                    <label>To <input type="date" class="statement-to"></label>
+                </div>
+                <div class="statement-body"></div>
+                <div class="statement-actions">
+                    <button type="button" class="statement-print">Print / PDF</button>
+                    <button type="button" class="statement-csv">Download CSV</button>
+                </div>
+            </div>
+        `;
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel || e.target.classList.contains('statement-panel-close')) {
+                this.close();
+            }
+        });
+        this.panel.querySelector('.statement-from').addEventListener('change', () => this.render());
+        this.panel.querySelector('.statement-to').addEventListener('change', () => this.render());
+        this.panel.querySelector('.statement-print').addEventListener('click', () => this.print());
+        this.panel.querySelector('.statement-csv').addEventListener('click', () => this.downloadCsv());
+        document.body.appendChild(this.panel);
+    }
+
+    // ---- Exports ----
+
+    // Open the statement as a plain page and print it (choose "Save as PDF" for a PDF)
+    print() {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Please allow pop-ups for this site to print the statement.');
+            return;
+        }
+
+        const title = `Statement - ${this.customerName}`;
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${this.escapeHtml(title)}</title>
+                <style>
+                    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #000000; }
+                    h1 { font-size: 20px; margin: 0 0 4px; }
+                    p { margin: 0 0 16px; color: #444444; }
+                    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+                    th, td { padding: 6px; border-bottom: 1px solid #cccccc; text-align: left; vertical-align: top; }
+                    th:nth-child(n+3), td:nth-child(n+3) { text-align: right; white-space: nowrap; }
+                    .statement-total-row td { font-weight: 700; }
+                </style>
+            </head>
+            <body>
+                <h1>${this.escapeHtml(title)}</h1>
+                <p>${this.escapeHtml(this.formatDate(this.statement.from))} to ${this.escapeHtml(this.formatDate(this.statement.to))}</p>
+                ${this.panel.querySelector('.statement-body').innerHTML}
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    downloadCsv() {
+        const statement = this.statement;
+        const amount = value => (value ? value.toFixed(2) : '');
+        const csv = Papa.unparse([
+            ['Date', 'Details', 'Bill', 'Payment', 'Balance'],
+            [this.formatDate(statement.from), 'Opening balance', '', '', statement.openingBalance.toFixed(2)],
+            ...statement.rows.map(row => [
+                this.formatDate(row.date),
+                row.description,
+                amount(row.debit),
+                amount(row.credit),
+                row.balance.toFixed(2)
+            ]),
+            [this.formatDate(statement.to), 'Closing balance', '', '', statement.closingBalance.toFixed(2)]
+        ]);
+
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `statement-${this.customerName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${statement.from || 'start'}-to-${statement.to || 'today'}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // ---- Formatting ----
+
+    // DD/MM/YYYY (receipt date) -> YYYY-MM-DD
+    parseReceiptDate(dateStr) {
+        const parts = String(dateStr || '').split('/');
+        if (parts.length !== 3) {
+            return '';
+        }
+        return `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+    }
+
+    // "10:30 pm" -> minutes since midnight
+    parseTimeMinutes(timeStr) {
+        const match = String(timeStr || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+        if (!match) {
+            return 0;
+        }
+        let hours = parseInt(match[1], 10);
+        if (match[3]) {
+            hours = (hours % 12) + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+        }
+        return hours * 60 + parseInt(match[2], 10);
+    }
+
+    // Date as YYYY-MM-DD in local time (value of a date input)
+    toDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // YYYY-MM-DD -> DD/MM/YYYY, the date format used on receipts
+    formatDate(date) {
+        const [year, month, day] = String(date || '').split('-');
+        return day && month && year ? `${day}/${month}/${year}` : '';
+    }
+
+    formatBalance(balance) {
+        if (balance < 0) {
+            return `₹${this.formatCurrency(-balance)} credit`;
+        }
+        return `₹${this.formatCurrency(balance)}`;
+    }
+
+    formatCurrency(amount) {
+        return parseFloat(amount || 0).toFixed(2);
+    }
+
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Create global statement instance
+const statementManager = new StatementManager();
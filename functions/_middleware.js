@@ -5,12 +5,12 @@ export async function onRequest(context) {
     // Add CORS headers
     response.headers.set('Access-Control-Allow-Origin', '*');
     response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    response.headers.set('Access-Control-Allow-Headers', 'Content-Type');
+    response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
-    // Handle preflight requests
+    // Handle preflight requests (204 everywhere, same as the Express cors() middleware)
     if (context.request.method === 'OPTIONS') {
         return new Response(null, {
-            status: 200,
+            status: 204,
             headers: response.headers
         });
     }
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function to set, reset or revoke a customer's portal password
+// Route logic and permissions live in lib/api (shared with server.js)
+
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
+
+const route = getRoute('/api/customer-password');
+
+export const onRequestPost = toPagesFunction(route);
+
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function to list recent login events (store only)
+// Route logic and permissions live in lib/api (shared with server.js)
+
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
+
+const route = getRoute('/api/login-events');
+
+export const onRequestGet = toPagesFunction(route);
+
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function to list orders with their status
+// Route logic and permissions live in lib/api (shared with server.js)
+
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
+
+const route = getRoute('/api/orders');
+
+export const onRequestGet = toPagesFunction(route);
+
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -1,70 +1,12 @@
-// Cloudflare Pages Function to proxy CSV requests
+// Cloudflare Pages Function to proxy the products CSV
 // This keeps the Google Sheets URL hidden from client-side code
+// Route logic and permissions live in lib/api (shared with server.js)
 
-export async function onRequestGet(context) {
-    try {
-        // Get the STORE_PRODUCTS URL from environment variables
-        const storeProductsUrl = context.env.STORE_PRODUCTS;
-        
-        if (!storeProductsUrl) {
-            return new Response(
-                JSON.stringify({ error: 'STORE_PRODUCTS URL not configured' }),
-                {
-                    status: 500,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*'
-                    }
-                }
-            );
-        }
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
 
-        // Fetch CSV from Google Sheets (server-side, URL is hidden)
-        const response = await fetch(storeProductsUrl);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
-        }
+const route = getRoute('/api/products');
 
-        const csvText = await response.text();
-
-        // Return CSV with proper headers
-        // Use no-cache to prevent browser/CDN from serving stale data
-        // The client-side cache handles caching logic
-        return new Response(csvText, {
-            status: 200,
-            headers: {
-                'Content-Type': 'text/csv',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0',
-                'Pragma': 'no-cache',
-                'Expires': '0'
-            }
-        });
-    } catch (error) {
-        console.error('Error fetching products CSV:', error);
-        return new Response(
-            JSON.stringify({ error: error.message || 'Failed to fetch products' }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                }
-            }
-        );
-    }
-}
-
-// Handle OPTIONS for CORS preflight
-export async function onRequestOptions() {
-    return new Response(null, {
-        status: 200,
-        headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-        }
-    });
-}
+export const onRequestGet = toPagesFunction(route);
 
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function to list deleted receipts and customers (store only)
+// Route logic and permissions live in lib/api (shared with server.js)
+
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
+
+const route = getRoute('/api/recycle-bin');
+
+export const onRequestGet = toPagesFunction(route);
+
+export const onRequestOptions = toPreflightFunction(route.method);
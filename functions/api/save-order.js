@@ -1,121 +1,12 @@
-// Cloudflare Pages Function to save order to Google Sheets
+// Cloudflare Pages Function to save order
 // Different from receipt - goes to Customer Orders sheet
+// Route logic and permissions live in lib/api (shared with server.js)
 
-export async function onRequestPost(context) {
-    try {
-        const orderData = await context.request.json();
-        
-        console.log('Received order data:', JSON.stringify(orderData).substring(0, 200));
-        
-        // Get the SHEETS_WEBHOOK_URL from environment variables
-        const sheetsWebhookUrl = context.env.SHEETS_WEBHOOK_URL;
-        
-        if (!sheetsWebhookUrl) {
-            return new Response(
-                JSON.stringify({ success: false, error: 'SHEETS_WEBHOOK_URL not configured' }),
-                {
-                    status: 500,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*'
-                    }
-                }
-            );
-        }
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
 
-        console.log('Sending order to Google Sheets webhook...');
-        
-        // Create abort controller for timeout (mobile networks can be slow)
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => {
-            console.warn('Request timeout - aborting save order request');
-            controller.abort();
-        }, 25000); // 25 second timeout
-        
-        try {
-            const response = await fetch(sheetsWebhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (compatible; POS-System/1.0)'
-                },
-                body: JSON.stringify({
-                    action: 'saveOrder',
-                    ...orderData
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Google Sheets webhook returned error:', response.status, errorText);
-                throw new Error(`Failed to save order: ${response.status} ${response.statusText}`);
-            }
-
-            const result = await response.json();
-            console.log('Order saved successfully to Google Sheets:', result);
-            
-            return new Response(
-                JSON.stringify({ success: true, message: 'Order saved successfully', ...result }),
-                {
-                    status: 200,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*',
-                        'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
-                    }
-                }
-            );
-        } catch (fetchError) {
-            clearTimeout(timeoutId);
-            
-            if (fetchError.name === 'AbortError') {
-                console.error('Request to Google Sheets timed out');
-                return new Response(
-                    JSON.stringify({ success: false, error: 'Request timed out - please check your network connection' }),
-                    {
-                        status: 500,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Access-Control-Allow-Origin': '*'
-                        }
-                    }
-                );
-            }
-            
-            throw fetchError;
-        }
-    } catch (error) {
-        console.error('Error saving order to Google Sheets:', error);
-        console.error('Error stack:', error.stack);
-        return new Response(
-            JSON.stringify({ 
-                success: false,
-                error: error.message || 'Failed to save order' 
-            }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                }
-            }
-        );
-    }
-}
-
-// Handle OPTIONS for CORS preflight
-export async function onRequestOptions() {
-    return new Response(null, {
-        status: 204,
-        headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-        }
-    });
-}
+const route = getRoute('/api/save-order');
 
+export const onRequestPost = toPagesFunction(route);
 
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function to record stock received from a supplier (store only)
+// Route logic and permissions live in lib/api (shared with server.js)
+
+import { getRoute } from '../../lib/api/routes.mjs';
+import { toPagesFunction, toPreflightFunction } from '../../lib/api/cloudflare.mjs';
+
+const route = getRoute('/api/save-purchase');
+
+export const onRequestPost = toPagesFunction(route);
+
+export const onRequestOptions = toPreflightFunction(route.method);
@@ -0,0 +1,265 @@
+// Audit log for /api writes
+// dispatch.mjs records an entry after every successful call to a route with an `audit` action
+// (see routes.mjs). Storage only ever appends entries (storage.addAuditEntry); the store reads
+// them at /api/audit-log (audit.html).
+//
+// Entry: { id, at, role, actor, action, customerName, target, before, after }
+// - role: the session type ('store' or 'customer'); actor: the customer for customer sessions,
+//   otherwise the name typed with the change (Recorded By / Edited By), or 'Store'
+// - target: what was changed - a receipt, order or purchase id, or the customer setting
+// - before / after: only the values the action changed (null when there was nothing before,
+//   like a new receipt, or nothing after, like a deleted one). Passwords are never logged.
+
+import { roundAmount } from '../storage/ledger.mjs';
+
+export const AUDIT_ACTIONS = [
+    'save-receipt',
+    'update-receipt-payment',
+    'save-return',
+    'amend-receipt',
+    'delete-receipt',
+    'delete-customer',
+    'restore-deleted',
+    'save-order',
+    'update-special-prices',
+    // Older entries only: orders now go through update-order-status
+    'approve-order',
+    'update-order-status',
+    'customer-password',
+    'customer-gstin',
+    'save-purchase'
+];
+
+const MAX_ACTOR_LENGTH = 50;
+
+// "Rice 5kg × 2" per item
+function itemList(items) {
+    return (items || []).map(item => `${item.name} × ${item.quantity}`);
+}
+
+function receiptValues(receipt) {
+    if (!receipt) {
+        return null;
+    }
+    const values = {
+        date: receipt.date || '',
+        time: receipt.time || '',
+        items: itemList(receipt.items),
+        grandTotal: receipt.grandTotal || 0
+    };
+    if (receipt.remainingBalance !== undefined) {
+        values.remainingBalance = receipt.remainingBalance;
+    }
+    return values;
+}
+
+// Number of receipts, their total and what is still unpaid
+function receiptsSummary(receipts) {
+    return {
+        receipts: receipts.length,
+        total: roundAmount(receipts.reduce((sum, receipt) => sum + (parseFloat(receipt.grandTotal) || 0), 0)),
+        unpaid: roundAmount(receipts.reduce((sum, receipt) => sum + Math.max(0, parseFloat(receipt.remainingBalance) || 0), 0))
+    };
+}
+
+// Balance before a ledger change: the balance after it, plus what the change took off
+function balanceBefore(ledger, amount) {
+    return roundAmount((ledger.remainingBalance || 0) + amount);
+}
+
+function lastEntry(ledger) {
+    const entries = ledger.paymentEntries || [];
+    return entries[entries.length - 1] || { amount: 0 };
+}
+
+// One describer per action: ({ body, headers }, result) -> { customerName, target, before, after, actor }
+// `result` is the handler's JSON response (which includes what storage returned)
+const describers = {
+    'save-receipt': ({ body, headers }, result) => ({
+        customerName: body.customerName || 'Walk-in',
+        target: result.id || body.id || (headers && headers['idempotency-key']) || '',
+        before: null,
+        after: receiptValues(body)
+    }),
+
+    // A single payment or reversal, or a lump sum spread over several receipts
+    'update-receipt-payment': ({ body }, result) => {
+        if (result.receipts) {
+            return {
+                customerName: body.customerName,
+                target: result.receipts.map(ledger => ledger.receiptId).join(', '),
+                before: {
+                    receipts: result.receipts.map(ledger => ({
+                        receiptId: ledger.receiptId,
+                        remainingBalance: balanceBefore(ledger, lastEntry(ledger).amount)
+                    }))
+                },
+                after: {
+                    payment: { amount: (body.payment || {}).amount, method: (body.payment || {}).method },
+                    receipts: result.receipts.map(ledger => ({ receiptId: ledger.receiptId, remainingBalance: ledger.remainingBalance })),
+                    advance: result.advance ? result.advance.balance : undefined
+                },
+                actor: body.recordedBy
+            };
+        }
+        const entry = lastEntry(result);
+        return {
+            customerName: body.customerName,
+            target: body.receiptId,
+            before: { remainingBalance: balanceBefore(result, entry.amount) },
+            after: {
+                remainingBalance: result.remainingBalance,
+                [entry.reverses ? 'reversal' : 'payment']: { amount: entry.amount, method: entry.method, note: entry.note }
+            },
+            actor: body.recordedBy
+        };
+    },
+
+    'save-return': ({ body }, result) => {
+        const creditNote = result.creditNote || {};
+        const refund = creditNote.refund || {};
+        return {
+            customerName: body.customerName,
+            target: body.receiptId,
+            before: { remainingBalance: balanceBefore(result.receipt || {}, refund.toBalance || 0) },
+            after: {
+                creditNoteId: creditNote.id,
+                items: itemList(creditNote.items),
+                grandTotal: creditNote.grandTotal,
+                refund,
+                remainingBalance: (result.receipt || {}).remainingBalance
+            },
+            actor: body.recordedBy
+        };
+    },
+
+    'amend-receipt': ({ body }, result) => {
+        const receipt = result.receipt || {};
+        const amendments = receipt.amendments || [];
+        const amendment = amendments[amendments.length - 1] || {};
+        const before = amendment.before || {};
+        return {
+            customerName: body.customerName,
+            target: body.receiptId,
+            before: { items: itemList(before.items), grandTotal: before.grandTotal },
+            after: {
+                items: itemList(receipt.items),
+                grandTotal: receipt.grandTotal,
+                remainingBalance: receipt.remainingBalance,
+                note: amendment.note || undefined
+            },
+            actor: body.amendedBy
+        };
+    },
+
+    'delete-receipt': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: body.receiptId,
+        before: receiptValues(result.receipt),
+        after: null
+    }),
+
+    'delete-customer': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: body.customerName,
+        before: receiptsSummary(result.receipts || []),
+        after: null
+    }),
+
+    // A receipt or a customer put back from the recycle bin
+    'restore-deleted': (request, result) => {
+        const entry = result.entry || {};
+        const isReceipt = entry.type === 'receipt';
+        return {
+            customerName: entry.customerName,
+            target: isReceipt ? entry.receipt.id : entry.customerName,
+            before: null,
+            after: isReceipt ? receiptValues(entry.receipt) : receiptsSummary(entry.receipts || [])
+        };
+    },
+
+    'save-order': ({ body, headers }, result) => ({
+        customerName: body.customerName,
+        target: result.id || body.id || (headers && headers['idempotency-key']) || '',
+        before: null,
+        after: receiptValues(body)
+    }),
+
+    'update-special-prices': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: 'special prices',
+        before: result.previous || {},
+        after: body.specialPrices || {}
+    }),
+
+    // Accepting an order also records what became the receipt
+    'update-order-status': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: body.orderId,
+        before: { status: result.previousStatus },
+        after: body.status === 'accepted'
+            ? { status: body.status, ...receiptValues(result.order) }
+            : { status: body.status }
+    }),
+
+    'customer-password': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: 'portal password',
+        before: { hasPassword: Boolean(result.hadPassword) },
+        after: { hasPassword: body.action !== 'revoke', action: body.action }
+    }),
+
+    'customer-gstin': ({ body }, result) => ({
+        customerName: body.customerName,
+        target: 'GSTIN',
+        before: { gstin: result.previous || '' },
+        after: { gstin: result.gstin || '' }
+    }),
+
+    'save-purchase': ({ body }, result) => ({
+        customerName: '',
+        target: result.id || '',
+        before: null,
+        after: {
+            supplier: body.supplier,
+            invoiceNumber: body.invoiceNumber || '',
+            items: (result.items || []).map(item => `${item.name} × ${item.quantity} @ ${item.unitCost}`)
+        }
+    })
+};
+
+// Append an audit entry for a write that went through (errors, conflicts and repeated saves
+// changed nothing, so they are skipped). A failure here is logged but never fails the request -
+// the change itself is already saved.
+export async function recordAudit(route, request, response) {
+    if (response.status >= 400) {
+        return;
+    }
+
+    try {
+        const result = JSON.parse(response.body || '{}');
+        if (result.success === false || result.duplicate) {
+            return;
+        }
+
+        const { session, storage } = request;
+        const described = describers[route.audit](request, result);
+        const actor = session.type === 'customer'
+            ? session.customerName
+            : String(described.actor || '').trim().slice(0, MAX_ACTOR_LENGTH) || 'Store';
+
+        await storage.addAuditEntry({
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            role: session.type,
+            actor,
+            action: route.audit,
+            customerName: described.customerName || '',
+            target: described.target || '',
+            before: described.before,
+            after: described.after
+        });
+    } catch (error) {
+        console.error(`Error writing audit entry for ${route.audit}:`, error);
+    }
+}
@@ -0,0 +1,54 @@
+// Cloudflare Pages Functions adapter for the shared API handlers
+
+import { CORS_HEADERS, jsonResponse, preflightResponse } from './http.mjs';
+import { dispatch } from './dispatch.mjs';
+import { createStorage } from '../storage/index.mjs';
+import { createLoginStore } from '../login-store/index.mjs';
+
+function toResponse(response) {
+    return new Response(response.status === 204 ? null : response.body, {
+        status: response.status,
+        headers: { ...CORS_HEADERS, ...response.headers }
+    });
+}
+
+// Wrap a route from routes.mjs as a Pages Function (onRequestGet / onRequestPost)
+export function toPagesFunction(route) {
+    return async (context) => {
+        const { request, env } = context;
+
+        try {
+            let body = {};
+            if (request.method === 'POST') {
+                try {
+                    body = await request.json();
+                } catch (parseError) {
+                    return toResponse(jsonResponse({ success: false, error: 'Invalid JSON body' }, 400));
+                }
+            }
+
+            const url = new URL(request.url);
+            const response = await dispatch(route, {
+                method: request.method,
+                query: Object.fromEntries(url.searchParams),
+                body: body || {},
+                headers: Object.fromEntries(request.headers),
+                ip: request.headers.get('CF-Connecting-IP') || '',
+                env,
+                storage: createStorage(env),
+                loginStore: createLoginStore(env),
+                // Keeps the audit write running after the response is sent (see dispatch.mjs)
+                waitUntil: promise => context.waitUntil(promise)
+            });
+            return toResponse(response);
+        } catch (error) {
+            console.error(`Unhandled error in ${request.method} ${request.url}:`, error);
+            return toResponse(jsonResponse({ success: false, error: error.message || 'Internal server error' }, 500));
+        }
+    };
+}
+
+// Handle OPTIONS for CORS preflight
+export function toPreflightFunction(...methods) {
+    return async () => toResponse(preflightResponse(methods));
+}
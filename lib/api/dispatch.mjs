@@ -0,0 +1,42 @@
+// Runs a route's handler for both adapters
+// Every route requires a valid session token unless it is marked public (login),
+// and the session type must be listed in the route's `roles` (see routes.mjs)
+// Routes with an `audit` action get an audit log entry once they succeed (see audit.mjs).
+// The entry is written after the response is returned, not before: on Sheets it is a
+// second webhook call. Adapters that can keep work alive past the response pass
+// `request.waitUntil` (Cloudflare); without it (Express) the write just runs on its own.
+
+import { jsonResponse, forbiddenResponse } from './http.mjs';
+import { verifySessionToken, getBearerToken } from './session.mjs';
+import { recordAudit } from './audit.mjs';
+
+export async function dispatch(route, request) {
+    if (route.public) {
+        return route.handler(request);
+    }
+
+    let session;
+    try {
+        session = await verifySessionToken(request.env, getBearerToken(request.headers));
+    } catch (error) {
+        return jsonResponse({ success: false, error: error.message || 'Failed to verify session' }, 500);
+    }
+
+    if (!session) {
+        return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+    }
+
+    if (!route.roles || !route.roles.includes(session.type)) {
+        return forbiddenResponse();
+    }
+
+    const response = await route.handler({ ...request, session });
+    if (route.audit) {
+        // recordAudit logs its own errors and never rejects
+        const audit = recordAudit(route, { ...request, session }, response);
+        if (request.waitUntil) {
+            request.waitUntil(audit);
+        }
+    }
+    return response;
+}
@@ -0,0 +1,39 @@
+// Express adapter for the shared API handlers (used by server.js)
+
+import { CORS_HEADERS, jsonResponse } from './http.mjs';
+import { dispatch } from './dispatch.mjs';
+
+function sendResponse(res, response) {
+    res.status(response.status)
+        .set({ ...CORS_HEADERS, ...response.headers })
+        .send(response.body);
+}
+
+// Wrap a route from routes.mjs as an Express route handler
+export function toExpressHandler(route, { env, storage, loginStore }) {
+    return async (req, res) => {
+        try {
+            const response = await dispatch(route, {
+                method: req.method,
+                query: req.query,
+                body: req.body || {},
+                headers: req.headers,
+                ip: req.ip,
+                env,
+                storage,
+                loginStore
+            });
+            sendResponse(res, response);
+        } catch (error) {
+            console.error(`Unhandled error in ${req.method} ${req.path}:`, error);
+            sendResponse(res, jsonResponse({ success: false, error: error.message || 'Internal server error' }, 500));
+        }
+    };
+}
+
+// Register every route from lib/api/routes.mjs on the app
+export function registerRoutes(app, routes, context) {
+    for (const route of routes) {
+        app[route.method.toLowerCase()](route.path, toExpressHandler(route, context));
+    }
+}
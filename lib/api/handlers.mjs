@@ -0,0 +1,880 @@
+// Shared API route handlers (runtime-agnostic)
+// Each handler receives an API request and returns a response from ./http.mjs:
+//   { method, query, body, headers, ip, env, storage, loginStore }
+// - query: URL query parameters, body: parsed JSON body (POST only)
+// - headers: request headers with lower-case names
+// - env: environment variables, storage: adapter from lib/storage
+// - loginStore: login attempt counters and events from lib/login-store
+// - session: verified session token payload (not set on public routes)
+// - waitUntil: keeps a promise alive after the response (Cloudflare only, used by dispatch.mjs)
+// Wired up by lib/api/express.mjs (server.js) and lib/api/cloudflare.mjs (functions/api)
+
+import { jsonResponse, csvResponse, forbiddenResponse, tooManyAttemptsResponse, conflictResponse } from './http.mjs';
+import { parseCsv, toCsv } from '../storage/csv.mjs';
+import { createSessionToken } from './session.mjs';
+import { hashPassword, checkPassword, isPasswordHash, generatePassword, getLookupKey, getStoredLookupKey, mayMatchLookupKey } from './passwords.mjs';
+import { getLoginRetryAfter, waitForAccountBackoff, recordLoginFailure, recordLoginEvent } from './login-throttle.mjs';
+import { PAYMENT_METHODS, roundAmount } from '../storage/ledger.mjs';
+import { buildReorderSuggestions } from './reorder.mjs';
+import { buildCreditNote, REFUND_METHODS } from './returns.mjs';
+import { AUDIT_ACTIONS } from './audit.mjs';
+import { ORDER_STATUSES } from '../storage/orders.mjs';
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PAYMENT_NOTE_LENGTH = 200;
+const MAX_RECORDED_BY_LENGTH = 50;
+const MAX_SUPPLIER_LENGTH = 100;
+const MAX_INVOICE_NUMBER_LENGTH = 50;
+const MAX_RETURN_REASON_LENGTH = 200;
+const MAX_AMEND_NOTE_LENGTH = 200;
+const DEFAULT_RECYCLE_BIN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 2-digit state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+function isCustomerSession(session) {
+    return Boolean(session && session.type === 'customer');
+}
+
+// Customer names are matched case-insensitively, like the order page does
+function isSameCustomer(a, b) {
+    return String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+}
+
+// Keep the header row and only the given customer's row (CUSTOMER is column 1)
+function filterCsvToCustomer(csvText, customerName) {
+    const [headerRow = [], ...rows] = parseCsv(csvText);
+    return toCsv([headerRow, ...rows.filter(row => isSameCustomer(row[0], customerName))]);
+}
+
+// Never send password hashes to the browser: PASSWORD (column 2) becomes HAS_PASSWORD (YES or empty)
+function redactPasswordColumn(csvText) {
+    const [headerRow = [], ...rows] = parseCsv(csvText);
+    const redact = (row, value) => [row[0] ?? '', value, ...row.slice(2)];
+    return toCsv([
+        redact(headerRow, 'HAS_PASSWORD'),
+        ...rows.map(row => redact(row, String(row[1] || '').trim() ? 'YES' : ''))
+    ]);
+}
+
+// Deleted receipts and customers are kept in the recycle bin for RECYCLE_BIN_DAYS (default 30)
+function getRecycleBinDays(env) {
+    const days = parseInt(env.RECYCLE_BIN_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RECYCLE_BIN_DAYS;
+}
+
+// Recycle bin entries deleted before this ISO timestamp are purged
+function getRecycleBinCutoff(env) {
+    return new Date(Date.now() - getRecycleBinDays(env) * DAY_MS).toISOString();
+}
+
+// Where a delete puts what it removed (see restoreDeleted)
+function recycleBinEntry(env) {
+    return {
+        binId: crypto.randomUUID(),
+        deletedAt: new Date().toISOString(),
+        purgeBefore: getRecycleBinCutoff(env)
+    };
+}
+
+// Retried saves send the same client-generated id (Idempotency-Key header, or `id` in the body)
+// Storage stores it as the receipt/order id and skips ids it has already saved
+function withIdempotencyKey(body, headers) {
+    const id = String((headers && headers['idempotency-key']) || body.id || '').trim();
+    return id ? { ...body, id } : body;
+}
+
+// Optimistic concurrency: receipts and special prices carry a version that every write bumps
+// Writes send the version they were based on; storage rejects a stale one with `conflict: true`
+function isVersion(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function versionedResponse(result) {
+    return result.conflict ? conflictResponse(result) : jsonResponse(result);
+}
+
+// Save receipt data (a repeated idempotency key returns success with duplicate: true)
+export async function saveReceipt({ body, headers, storage }) {
+    try {
+        console.log('Received receipt data:', JSON.stringify(body).substring(0, 200));
+
+        const result = await storage.saveReceipt(withIdempotencyKey(body, headers));
+        console.log('Receipt saved successfully:', result);
+        const message = result.duplicate ? 'Receipt was already saved' : 'Receipt saved successfully';
+        return jsonResponse({ success: true, message, ...result });
+    } catch (error) {
+        console.error('Error saving receipt:', error);
+        console.error('Error stack:', error.stack);
+        return jsonResponse({ success: false, error: error.message || 'Failed to save receipt' }, 500);
+    }
+}
+
+// Products CSV (keeps the Google Sheets URL hidden from client-side code)
+export async function getProducts({ storage }) {
+    try {
+        const csvText = await storage.getProductsCsv();
+        return csvResponse(csvText);
+    } catch (error) {
+        console.error('Error fetching products CSV:', error);
+        return jsonResponse({ error: error.message || 'Failed to fetch products' }, 500);
+    }
+}
+
+// Customers receipts CSV (customers only get their own row)
+export async function getCustomersReceipts({ session, storage }) {
+    try {
+        const csvText = await storage.getCustomersReceiptsCsv();
+        console.log('Customers CSV fetched successfully, length:', csvText.length);
+
+        if (isCustomerSession(session)) {
+            return csvResponse(filterCsvToCustomer(csvText, session.customerName));
+        }
+        return csvResponse(csvText);
+    } catch (error) {
+        console.error('Error fetching customers CSV:', error);
+        return jsonResponse({ error: error.message || 'Failed to fetch customers' }, 500);
+    }
+}
+
+// Receipts for a single customer (customers can only ask for their own)
+export async function getReceipts({ query, session, storage }) {
+    try {
+        const customerName = query.customer;
+
+        if (!customerName) {
+            return jsonResponse({ error: 'Customer name is required' }, 400);
+        }
+
+        if (isCustomerSession(session) && !isSameCustomer(customerName, session.customerName)) {
+            return forbiddenResponse();
+        }
+
+        // Use the exact name from the session for customers (storage matches names exactly)
+        const data = await storage.getReceipts(isCustomerSession(session) ? session.customerName : customerName);
+        return jsonResponse(data);
+    } catch (error) {
+        console.error('Error fetching receipts:', error);
+        return jsonResponse({ error: error.message || 'Failed to fetch receipts' }, 500);
+    }
+}
+
+// Build a payment ledger entry (see lib/storage/ledger.mjs) from the request body:
+// { payment: { amount, method, date, note }, recordedBy } - a reversal only needs date and note
+function buildPaymentEntry(body, isReversal) {
+    const payment = body.payment || {};
+    const entry = {
+        id: crypto.randomUUID(),
+        date: /^\d{4}-\d{2}-\d{2}$/.test(payment.date || '') ? payment.date : new Date().toISOString().slice(0, 10),
+        note: String(payment.note || '').trim().slice(0, MAX_PAYMENT_NOTE_LENGTH),
+        recordedBy: String(body.recordedBy || '').trim().slice(0, MAX_RECORDED_BY_LENGTH) || 'Store',
+        recordedAt: new Date().toISOString()
+    };
+    if (isReversal) {
+        return { entry };
+    }
+
+    const amount = roundAmount(parseFloat(payment.amount));
+    if (!(amount > 0)) {
+        return { error: 'Payment amount must be more than 0' };
+    }
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+        return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+    return { entry: { id: entry.id, amount, method: payment.method, ...entry } };
+}
+
+// Lump-sum payment against a customer's account: body.allocations lists
+// [{ receiptId, amount, expectedVersion }] (the client spreads it oldest bill first, and the
+// user can change it); whatever is not allocated is kept as advance credit
+async function receiveCustomerPayment({ body, storage }) {
+    const { customerName, allocations } = body;
+
+    if (!customerName || !body.payment || !Array.isArray(allocations)) {
+        return jsonResponse({ error: 'Missing required fields' }, 400);
+    }
+
+    const { entry, error } = buildPaymentEntry(body, false);
+    if (error) {
+        return jsonResponse({ success: false, error }, 400);
+    }
+
+    const receiptIds = new Set();
+    let allocated = 0;
+    for (const allocation of allocations) {
+        const amount = roundAmount(parseFloat(allocation.amount));
+        if (!allocation.receiptId || receiptIds.has(allocation.receiptId) || !(amount > 0) || !isVersion(allocation.expectedVersion)) {
+            return jsonResponse({ success: false, error: 'Invalid payment allocation' }, 400);
+        }
+        receiptIds.add(allocation.receiptId);
+        allocated = roundAmount(allocated + amount);
+    }
+    if (allocated > entry.amount) {
+        return jsonResponse({ success: false, error: 'Allocated more than the amount received' }, 400);
+    }
+
+    // Every entry of this payment shares the id of the payment as a whole
+    const paymentGroupId = entry.id;
+    const groupEntry = amount => ({ ...entry, id: crypto.randomUUID(), amount, paymentGroupId });
+    const advance = roundAmount(entry.amount - allocated);
+
+    const result = await storage.receivePayment({
+        customerName,
+        allocations: allocations.map(allocation => ({
+            receiptId: allocation.receiptId,
+            expectedVersion: allocation.expectedVersion,
+            entry: groupEntry(roundAmount(parseFloat(allocation.amount)))
+        })),
+        advanceEntry: advance > 0 ? groupEntry(advance) : null
+    });
+    return versionedResponse(result);
+}
+
+// Add a payment to a receipt's ledger, or reverse one (body.reverseEntryId)
+// Without receiptId, body.allocations records a lump-sum payment (see receiveCustomerPayment)
+// Receipts are addressed by their permanent id - column positions shift as receipts are added or deleted
+// expectedVersion is the receipt version the client last saw; a stale one gets a 409 with the current values
+export async function updateReceiptPayment({ body, storage }) {
+    try {
+        if (!body.receiptId && body.allocations) {
+            return await receiveCustomerPayment({ body, storage });
+        }
+
+        const { customerName, receiptId, expectedVersion, reverseEntryId } = body;
+
+        if (!customerName || !receiptId || !isVersion(expectedVersion) || (!body.payment && !reverseEntryId)) {
+            return jsonResponse({ error: 'Missing required fields' }, 400);
+        }
+
+        const { entry, error } = buildPaymentEntry(body, Boolean(reverseEntryId));
+        if (error) {
+            return jsonResponse({ success: false, error }, 400);
+        }
+
+        const result = await storage.updatePayment({ customerName, receiptId, expectedVersion, entry, reverseEntryId });
+        return versionedResponse(result);
+    } catch (error) {
+        console.error('Error updating receipt payment:', error);
+        return jsonResponse({ error: error.message || 'Failed to update payment' }, 500);
+    }
+}
+
+// Return items from a receipt with a credit note (see lib/api/returns.mjs)
+// body: { id, customerName, receiptId, expectedVersion, items: [{ name, quantity }],
+//   refundMethod: 'balance' | 'cash', reason, recordedBy, date, time }
+// Storage keeps the credit note next to the receipt, records the refund and restocks the items
+// A stale expectedVersion gets a 409; a repeated idempotency key returns success with duplicate: true
+export async function saveReturn({ body, headers, storage }) {
+    try {
+        const { id = crypto.randomUUID(), customerName, receiptId, expectedVersion, items, refundMethod } = withIdempotencyKey(body, headers);
+
+        if (!customerName || !receiptId || !isVersion(expectedVersion) || !Array.isArray(items)) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+        if (!REFUND_METHODS.includes(refundMethod)) {
+            return jsonResponse({ success: false, error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` }, 400);
+        }
+
+        // Only a shortcut for retries that come after the first save finished: without it,
+        // buildCreditNote would reject the retry because its items are already returned.
+        // Two requests at the same time can both get past it; saveCreditNote checks the id
+        // again while it holds the storage write lock (the file adapter's write queue, or LockService
+        // in the Apps Script) and saves it once.
+        const { receipts = [] } = await storage.getReceipts(customerName);
+        if (receipts.some(r => r.id === id)) {
+            return jsonResponse({ success: true, duplicate: true, message: 'Return was already saved' });
+        }
+        const receipt = receipts.find(r => r.id === receiptId);
+        if (!receipt || receipt.type === 'creditNote') {
+            return jsonResponse({ success: false, error: 'Receipt not found' }, 400);
+        }
+
+        const now = new Date();
+        const built = buildCreditNote({
+            receipt,
+            creditNotes: receipts.filter(r => r.type === 'creditNote' && r.originalReceiptId === receiptId),
+            items,
+            refundMethod,
+            reason: String(body.reason || '').trim().slice(0, MAX_RETURN_REASON_LENGTH),
+            id,
+            date: String(body.date || '').trim() || now.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+            time: String(body.time || '').trim() || now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true }),
+            recordedBy: String(body.recordedBy || '').trim().slice(0, MAX_RECORDED_BY_LENGTH) || 'Store'
+        });
+        if (built.error) {
+            return jsonResponse({ success: false, error: built.error }, 400);
+        }
+
+        const result = await storage.saveCreditNote({ customerName, receiptId, expectedVersion, ...built });
+        if (!result.success && !result.conflict) {
+            return jsonResponse(result, 400);
+        }
+        return versionedResponse(result.duplicate ? { ...result, message: 'Return was already saved' } : result);
+    } catch (error) {
+        console.error('Error saving return:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to save return' }, 500);
+    }
+}
+
+// Amend a saved receipt: body.receipt has the edited items and the totals the client worked out
+// for them ({ items, grandTotal, profitMargin, grossTotal, discountTotal, billDiscount, gst }, the
+// same fields showReceipt saves). The receipt keeps its id, date, time and payments; storage adds
+// the version it replaces to receipt.amendments with who changed it, when and why (body.note).
+// A stale expectedVersion gets a 409 with the current receipt; a repeated idempotency key (the
+// amendment id) returns success with duplicate: true
+export async function amendReceipt({ body, headers, storage }) {
+    try {
+        const { id = crypto.randomUUID(), customerName, receiptId, expectedVersion } = withIdempotencyKey(body, headers);
+        const receipt = body.receipt || {};
+
+        if (!customerName || !receiptId || !isVersion(expectedVersion) || !Array.isArray(receipt.items)) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+        if (receipt.items.length === 0) {
+            return jsonResponse({ success: false, error: 'A receipt needs at least one item' }, 400);
+        }
+        const invalidItem = receipt.items.find(item => !String(item.name || '').trim()
+            || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.rate) >= 0));
+        if (invalidItem) {
+            return jsonResponse({ success: false, error: 'Each item needs a name, a quantity above 0 and a rate' }, 400);
+        }
+        const grandTotal = roundAmount(parseFloat(receipt.grandTotal));
+        const profitMargin = roundAmount(parseFloat(receipt.profitMargin) || 0);
+        if (!(grandTotal >= 0)) {
+            return jsonResponse({ success: false, error: 'Invalid receipt total' }, 400);
+        }
+
+        const changes = { items: receipt.items, grandTotal, profitMargin };
+        if (receipt.discountTotal > 0) {
+            changes.grossTotal = roundAmount(parseFloat(receipt.grossTotal) || 0);
+            changes.discountTotal = roundAmount(parseFloat(receipt.discountTotal));
+            if (receipt.billDiscount) {
+                changes.billDiscount = receipt.billDiscount;
+            }
+        }
+        if (receipt.gst) {
+            changes.gst = receipt.gst;
+        }
+
+        const result = await storage.amendReceipt({
+            customerName,
+            receiptId,
+            expectedVersion,
+            changes,
+            amendment: {
+                id,
+                amendedAt: new Date().toISOString(),
+                amendedBy: String(body.amendedBy || '').trim().slice(0, MAX_RECORDED_BY_LENGTH) || 'Store',
+                note: String(body.note || '').trim().slice(0, MAX_AMEND_NOTE_LENGTH)
+            }
+        });
+        if (!result.success && !result.conflict) {
+            return jsonResponse(result, 400);
+        }
+        return versionedResponse(result);
+    } catch (error) {
+        console.error('Error amending receipt:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to amend receipt' }, 500);
+    }
+}
+
+// Delete a receipt (it goes to the recycle bin)
+export async function deleteReceipt({ body, env, storage }) {
+    try {
+        const { customerName, receiptId } = body;
+
+        if (!customerName || !receiptId) {
+            return jsonResponse({ error: 'Missing required fields' }, 400);
+        }
+
+        const result = await storage.deleteReceipt({ customerName, receiptId, ...recycleBinEntry(env) });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error deleting receipt:', error);
+        return jsonResponse({ error: error.message || 'Failed to delete receipt' }, 500);
+    }
+}
+
+// Delete a customer and all their receipts (they go to the recycle bin)
+export async function deleteCustomer({ body, env, storage }) {
+    try {
+        const { customerName } = body;
+
+        if (!customerName) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+
+        const result = await storage.deleteCustomer({ customerName, ...recycleBinEntry(env) });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error deleting customer:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to delete customer' }, 500);
+    }
+}
+
+// Deleted receipts and customers that can still be restored, newest first
+export async function getRecycleBin({ env, storage }) {
+    try {
+        const result = await storage.getRecycleBin({ purgeBefore: getRecycleBinCutoff(env) });
+        return jsonResponse({ ...result, retentionDays: getRecycleBinDays(env) });
+    } catch (error) {
+        console.error('Error fetching recycle bin:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch recycle bin' }, 500);
+    }
+}
+
+// Put a deleted receipt or customer back, with the same ids and payments
+export async function restoreDeleted({ body, env, storage }) {
+    try {
+        const binId = String(body.binId || '').trim();
+
+        if (!binId) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+
+        const result = await storage.restoreDeleted({ binId, purgeBefore: getRecycleBinCutoff(env) });
+        return jsonResponse(result, result.success ? 200 : 400);
+    } catch (error) {
+        console.error('Error restoring from the recycle bin:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to restore' }, 500);
+    }
+}
+
+// Customer orders CSV (customers only get their own row, nobody gets the password column)
+export async function getCustomerOrders({ session, storage }) {
+    try {
+        const csvText = redactPasswordColumn(await storage.getCustomerOrdersCsv());
+        console.log('Customer orders CSV fetched successfully, length:', csvText.length);
+
+        if (isCustomerSession(session)) {
+            return csvResponse(filterCsvToCustomer(csvText, session.customerName));
+        }
+        return csvResponse(csvText);
+    } catch (error) {
+        console.error('Error fetching customer orders CSV:', error);
+        return jsonResponse({ error: error.message || 'Failed to fetch customer orders' }, 500);
+    }
+}
+
+// Hash a plain-text customer password after a successful login
+// Failures are only logged - the login itself still succeeds
+// Replace a plain-text password, or a hash without a current lookup key, with a fresh hash
+async function rehashPassword(storage, env, customerName, password) {
+    try {
+        const result = await storage.setCustomerPassword({ customerName, passwordHash: await hashPassword(password, env.SESSION_SECRET) });
+        if (result.success === false) {
+            console.error('Failed to re-hash password for', customerName, ':', result.error);
+        }
+    } catch (error) {
+        console.error('Failed to re-hash password for', customerName, ':', error);
+    }
+}
+
+// The customer whose portal password this is ({ customerName, storedPassword, lookupKey } or null)
+// Rows whose lookup key rules the password out are skipped without running PBKDF2
+async function findCustomerByPassword(storage, env, password, { exceptCustomer = null } = {}) {
+    const lookupKey = await getLookupKey(password, env.SESSION_SECRET);
+    const rows = parseCsv(await storage.getCustomerOrdersCsv()).slice(1); // Skip header row
+
+    for (const columns of rows) {
+        const customerName = (columns[0] || '').trim();
+        const storedPassword = (columns[1] || '').trim();
+
+        if (!storedPassword || customerName === exceptCustomer) {
+            continue;
+        }
+
+        const matches = isPasswordHash(storedPassword)
+            ? mayMatchLookupKey(storedPassword, lookupKey) && await checkPassword(password, storedPassword)
+            : storedPassword === password;
+        if (matches) {
+            return { customerName, storedPassword, lookupKey };
+        }
+    }
+    return null;
+}
+
+// Verify password (store password from PASSWORD, or a customer password from Customer Orders)
+// Returns a signed session token that every other route requires
+// Repeated failures are throttled per IP (HTTP 429) and per account (a short delay), see
+// login-throttle.mjs; failures from other IPs never stop a correct password from logging in
+export async function verifyPassword({ body, headers, ip, env, storage, loginStore }) {
+    try {
+        const { password } = body;
+
+        if (!password) {
+            return jsonResponse({ success: false, error: 'Password is required' }, 400);
+        }
+
+        const storePassword = env.PASSWORD;
+
+        if (!storePassword) {
+            console.error('PASSWORD not configured in environment');
+            return jsonResponse({ success: false, error: 'Password verification not configured' }, 500);
+        }
+
+        const loginEvent = { ip: ip || '', userAgent: (headers && headers['user-agent']) || '' };
+
+        // Don't even check the password while this IP is backing off
+        const retryAfter = await getLoginRetryAfter(loginStore, ip);
+        if (retryAfter > 0) {
+            await recordLoginEvent(loginStore, { ...loginEvent, outcome: 'blocked' });
+            return tooManyAttemptsResponse(retryAfter);
+        }
+        await waitForAccountBackoff(loginStore);
+
+        // Check if it's the store password
+        if (password === storePassword) {
+            await recordLoginEvent(loginStore, { ...loginEvent, outcome: 'success', type: 'store' });
+            const session = await createSessionToken(env, { type: 'store' });
+            return jsonResponse({ success: true, type: 'store', ...session });
+        }
+
+        // Check if it's a customer portal password (CUSTOMER | PASSWORD | ...)
+        let matchedCustomer = null;
+        try {
+            const match = await findCustomerByPassword(storage, env, password.trim());
+            if (match) {
+                matchedCustomer = match.customerName;
+                // Plain-text password typed into the sheet by hand, or a hash from before lookup keys
+                // (or from another SESSION_SECRET): store a fresh hash so later logins find it cheaply
+                if (!isPasswordHash(match.storedPassword) || getStoredLookupKey(match.storedPassword) !== match.lookupKey) {
+                    await rehashPassword(storage, env, match.customerName, password.trim());
+                }
+            }
+        } catch (error) {
+            console.error('Error checking customer passwords:', error);
+            // Continue to return incorrect password
+        }
+
+        if (matchedCustomer) {
+            await recordLoginEvent(loginStore, { ...loginEvent, outcome: 'success', type: 'customer', customerName: matchedCustomer });
+            const session = await createSessionToken(env, { type: 'customer', customerName: matchedCustomer });
+            return jsonResponse({ success: true, type: 'customer', customerName: matchedCustomer, ...session });
+        }
+
+        // Password not found
+        const lockedFor = await recordLoginFailure(loginStore, ip);
+        await recordLoginEvent(loginStore, { ...loginEvent, outcome: 'failure' });
+        if (lockedFor >= 60) {
+            // This failure triggered a long wait - say so now rather than on the next attempt
+            return tooManyAttemptsResponse(lockedFor);
+        }
+        return jsonResponse({ success: false, error: 'Incorrect password' }, 401);
+    } catch (error) {
+        console.error('Error verifying password:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to verify password' }, 500);
+    }
+}
+
+// Set, reset or revoke a customer's portal password (store only)
+// - set: use body.password
+// - reset: generate a new password and return it once so the store can pass it on
+// - revoke: clear the password so the customer can no longer log in
+//   (sessions already issued stay valid until they expire)
+export async function setCustomerPassword({ body, env, storage }) {
+    try {
+        const { customerName, action } = body;
+
+        if (!customerName || !['set', 'reset', 'revoke'].includes(action)) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+
+        let password = null;
+        if (action === 'set') {
+            password = String(body.password || '').trim();
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                return jsonResponse({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }, 400);
+            }
+            // Login is password-only, so two accounts can't share one password
+            if (password === env.PASSWORD || await findCustomerByPassword(storage, env, password, { exceptCustomer: customerName })) {
+                return jsonResponse({ success: false, error: 'This password is already in use - choose a different one' }, 400);
+            }
+        } else if (action === 'reset') {
+            password = generatePassword();
+        }
+
+        const passwordHash = password ? await hashPassword(password, env.SESSION_SECRET) : '';
+        const result = await storage.setCustomerPassword({ customerName, passwordHash });
+
+        if (result.success === false) {
+            return jsonResponse(result);
+        }
+        return jsonResponse(action === 'reset' ? { ...result, success: true, password } : { ...result, success: true });
+    } catch (error) {
+        console.error('Error setting customer password:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to update customer password' }, 500);
+    }
+}
+
+// Set or clear a customer's GSTIN (store only), printed on their tax invoices
+export async function setCustomerGstin({ body, storage }) {
+    try {
+        const customerName = body.customerName;
+        const gstin = String(body.gstin || '').replace(/\s+/g, '').toUpperCase();
+
+        if (!customerName) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+        if (gstin && !GSTIN_PATTERN.test(gstin)) {
+            return jsonResponse({ success: false, error: 'GSTIN must be 15 characters, e.g. 24ABCDE1234F1Z5' }, 400);
+        }
+
+        const result = await storage.setCustomerGstin({ customerName, gstin });
+        if (result.success === false) {
+            return jsonResponse(result);
+        }
+        return jsonResponse({ ...result, success: true, gstin });
+    } catch (error) {
+        console.error('Error setting customer GSTIN:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to update customer GSTIN' }, 500);
+    }
+}
+
+// Store settings the pages need (store only)
+// GST: STORE_GSTIN turns on tax invoices; GST_PRICES is "inclusive" (default) or "exclusive"
+export async function getStoreSettings({ env }) {
+    const gstin = String(env.STORE_GSTIN || '').replace(/\s+/g, '').toUpperCase();
+    if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        console.error('STORE_GSTIN is not a valid GSTIN - bills are made without GST');
+    }
+    return jsonResponse({
+        success: true,
+        gst: {
+            gstin: GSTIN_PATTERN.test(gstin) ? gstin : '',
+            pricesIncludeTax: String(env.GST_PRICES || 'inclusive').trim().toLowerCase() !== 'exclusive'
+        }
+    });
+}
+
+// Recent login events (newest first) so the owner can review login activity
+export async function getLoginEvents({ query, loginStore }) {
+    try {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500);
+        const events = await loginStore.listEvents(limit);
+        return jsonResponse({ success: true, events });
+    } catch (error) {
+        console.error('Error fetching login events:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch login events' }, 500);
+    }
+}
+
+// Stock movement log (sales, approved orders, deleted receipts, returns), newest first
+// ?product= limits it to one product
+export async function getStockMovements({ query, storage }) {
+    try {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 200, 1), 1000);
+        const product = String(query.product || '').trim();
+        const result = await storage.getStockMovements({ product, limit });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error fetching stock movements:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch stock movements' }, 500);
+    }
+}
+
+// Record stock received from a supplier (purchase entry)
+// body: { supplier, invoiceNumber, date (YYYY-MM-DD), items: [{ name, quantity, unitCost }] }
+// Storage raises each product's stock and sets its PURCHASE COST to the weighted average
+// A repeated idempotency key returns success with duplicate: true
+export async function savePurchase({ body, headers, storage }) {
+    try {
+        const supplier = String(body.supplier || '').trim().slice(0, MAX_SUPPLIER_LENGTH);
+        if (!supplier) {
+            return jsonResponse({ success: false, error: 'Supplier is required' }, 400);
+        }
+        if (!Array.isArray(body.items) || body.items.length === 0) {
+            return jsonResponse({ success: false, error: 'Add at least one item' }, 400);
+        }
+
+        const items = [];
+        for (const item of body.items) {
+            const name = String(item.name || '').trim();
+            const quantity = parseFloat(item.quantity);
+            const unitCost = roundAmount(parseFloat(item.unitCost));
+            if (!name || !(quantity > 0) || !(unitCost >= 0)) {
+                return jsonResponse({ success: false, error: 'Each item needs a product, a quantity above 0 and a unit cost' }, 400);
+            }
+            items.push({ name, quantity, unitCost });
+        }
+
+        const result = await storage.savePurchase(withIdempotencyKey({
+            supplier,
+            invoiceNumber: String(body.invoiceNumber || '').trim().slice(0, MAX_INVOICE_NUMBER_LENGTH),
+            date: /^\d{4}-\d{2}-\d{2}$/.test(body.date || '') ? body.date : new Date().toISOString().slice(0, 10),
+            items
+        }, headers));
+        if (!result.success) {
+            return jsonResponse(result, 400);
+        }
+        const message = result.duplicate ? 'Purchase was already saved' : 'Purchase saved successfully';
+        return jsonResponse({ success: true, message, ...result });
+    } catch (error) {
+        console.error('Error saving purchase:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to save purchase' }, 500);
+    }
+}
+
+// Purchase history, one row per item, newest first (?product= or ?supplier= to narrow it)
+export async function getPurchases({ query, storage }) {
+    try {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 200, 1), 1000);
+        const result = await storage.getPurchases({
+            product: String(query.product || '').trim(),
+            supplier: String(query.supplier || '').trim(),
+            limit
+        });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error fetching purchases:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch purchases' }, 500);
+    }
+}
+
+// Audit log of API writes (see audit.mjs), newest first
+// ?customer=, ?action= and ?from= / ?to= (ISO timestamps, `to` exclusive) narrow it
+export async function getAuditLog({ query, storage }) {
+    try {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 200, 1), 1000);
+        const action = String(query.action || '').trim();
+        const from = String(query.from || '').trim();
+        const to = String(query.to || '').trim();
+
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return jsonResponse({ success: false, error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` }, 400);
+        }
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return jsonResponse({ success: false, error: 'Invalid date range' }, 400);
+        }
+
+        const result = await storage.getAuditLog({
+            customerName: String(query.customer || '').trim(),
+            action,
+            from: from ? new Date(from).toISOString() : '',
+            to: to ? new Date(to).toISOString() : '',
+            limit
+        });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch audit log' }, 500);
+    }
+}
+
+// Low-stock products with suggested order quantities, grouped by supplier
+// ?days= is the sales window the daily average is taken over (default 30)
+export async function getReorderSuggestions({ query, storage }) {
+    try {
+        const days = Math.min(Math.max(parseInt(query.days, 10) || 30, 1), 365);
+        const [productsCsv, receiptsCsv, purchaseHistory] = await Promise.all([
+            storage.getProductsCsv(),
+            storage.getCustomersReceiptsCsv(),
+            storage.getPurchases({ product: '', supplier: '', limit: 1000 })
+        ]);
+        const suppliers = buildReorderSuggestions({
+            productsCsv,
+            receiptsCsv,
+            purchases: purchaseHistory.purchases || [],
+            days
+        });
+        return jsonResponse({ success: true, days, suppliers });
+    } catch (error) {
+        console.error('Error building reorder suggestions:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to build reorder suggestions' }, 500);
+    }
+}
+
+// Place an order (different from receipt - it becomes one once the store accepts it)
+// Customers can only place an order under their own name, stored as spelled in their session
+// A repeated idempotency key returns success with duplicate: true
+export async function saveOrder({ body, headers, session, storage }) {
+    try {
+        console.log('Received order data:', JSON.stringify(body).substring(0, 200));
+
+        if (isCustomerSession(session) && !isSameCustomer(body.customerName, session.customerName)) {
+            return forbiddenResponse();
+        }
+
+        const result = await storage.saveOrder({
+            ...withIdempotencyKey(body, headers),
+            customerName: isCustomerSession(session) ? session.customerName : body.customerName,
+            placedAt: new Date().toISOString(),
+            placedBy: session.type
+        });
+        console.log('Order saved successfully:', result);
+        const message = result.duplicate ? 'Order was already saved' : 'Order saved successfully';
+        return jsonResponse({ success: true, message, ...result });
+    } catch (error) {
+        console.error('Error saving order:', error);
+        console.error('Error stack:', error.stack);
+        return jsonResponse({ success: false, error: error.message || 'Failed to save order' }, 500);
+    }
+}
+
+// Update special prices for a customer
+export async function updateSpecialPrices({ body, storage }) {
+    try {
+        const { customerName, specialPrices, expectedVersion } = body;
+
+        if (!customerName) {
+            return jsonResponse({ success: false, error: 'Customer name is required' }, 400);
+        }
+        if (!isVersion(expectedVersion)) {
+            return jsonResponse({ success: false, error: 'expectedVersion is required' }, 400);
+        }
+
+        const result = await storage.updateSpecialPrices({ customerName, specialPrices, expectedVersion });
+        return versionedResponse(result);
+    } catch (error) {
+        console.error('Error updating special prices:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to update special prices' }, 500);
+    }
+}
+
+// Orders with their status (see lib/storage/orders.mjs), newest first
+// ?customer= narrows it to one customer (customers only ever get their own), ?active=1 to the order queue
+export async function getOrders({ query, session, storage }) {
+    try {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500);
+        const result = await storage.getOrders({
+            customerName: isCustomerSession(session) ? session.customerName : String(query.customer || '').trim(),
+            active: query.active === '1' || query.active === 'true',
+            limit
+        });
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to fetch orders' }, 500);
+    }
+}
+
+// Move an order along its lifecycle: { customerName, orderId, status }
+// Customers can only cancel their own orders
+export async function updateOrderStatus({ body, session, storage }) {
+    try {
+        const { customerName, orderId, status } = body;
+
+        if (!customerName || !orderId || !status) {
+            return jsonResponse({ success: false, error: 'Missing required fields' }, 400);
+        }
+        if (!ORDER_STATUSES.includes(status)) {
+            return jsonResponse({ success: false, error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` }, 400);
+        }
+
+        if (isCustomerSession(session) && (status !== 'cancelled' || !isSameCustomer(customerName, session.customerName))) {
+            return forbiddenResponse();
+        }
+
+        const result = await storage.updateOrderStatus({
+            customerName,
+            orderId,
+            status,
+            by: session.type,
+            at: new Date().toISOString()
+        });
+        return jsonResponse(result, result.success === false ? 400 : 200);
+    } catch (error) {
+        console.error('Error updating order status:', error);
+        return jsonResponse({ success: false, error: error.message || 'Failed to update order status' }, 500);
+    }
+}
@@ -0,0 +1,71 @@
+// Response helpers for the shared API handlers
+// Handlers return plain { status, headers, body } objects (body is always a string)
+// and the Express / Cloudflare adapters turn them into real responses
+
+export const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key'
+};
+
+// Use no-cache to prevent browser/CDN from serving stale data
+// The client-side cache handles caching logic
+export const NO_CACHE_HEADERS = {
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+};
+
+export function jsonResponse(data, status = 200) {
+    return {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...NO_CACHE_HEADERS
+        },
+        body: JSON.stringify(data)
+    };
+}
+
+export function csvResponse(csvText) {
+    return {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/csv; charset=utf-8',
+            ...NO_CACHE_HEADERS
+        },
+        body: csvText
+    };
+}
+
+export function forbiddenResponse() {
+    return jsonResponse({ success: false, error: 'Not allowed for this account' }, 403);
+}
+
+// Write based on a stale version; `result` carries the error and the current server values
+export function conflictResponse(result) {
+    return jsonResponse({ success: false, conflict: true, ...result }, 409);
+}
+
+// Too many login attempts; retryAfter is in seconds
+export function tooManyAttemptsResponse(retryAfter) {
+    const wait = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+    const response = jsonResponse({
+        success: false,
+        error: `Too many login attempts. Please try again in ${wait}.`,
+        retryAfter
+    }, 429);
+    response.headers['Retry-After'] = String(retryAfter);
+    return response;
+}
+
+// CORS preflight response; `methods` lists what the route accepts
+export function preflightResponse(methods) {
+    return {
+        status: 204,
+        headers: {
+            ...CORS_HEADERS,
+            'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', ')
+        },
+        body: ''
+    };
+}
@@ -0,0 +1,97 @@
+// Brute-force protection for /api/verify-password
+// Failed logins are counted per client IP and per account. Login is password-only,
+// so a failed guess can't be tied to one account: the account counter is shared by
+// every store and customer login and has much higher limits than the IP counter.
+// Only the IP counter answers 429; the account counter delays every attempt instead
+// (at most ACCOUNT_MAX_DELAY_MS, see waitForAccountBackoff), so failures from other IPs
+// slow a correct password down but never turn it away. The delay slows a guesser that
+// waits for each answer; requests sent in parallel each wait on their own, so against
+// those only the per-IP limit holds.
+//
+// After `freeAttempts` failures each further failure doubles the wait before the
+// next attempt (1s, 2s, 4s, ... up to MAX_BACKOFF_MS); at `lockoutAfter` failures the
+// counter is locked for LOCKOUT_MS. Counters are forgotten FAILURE_WINDOW_MS after the
+// last failure. A successful login doesn't reset them - otherwise a customer could mix
+// their own password in between guesses and never reach the backoff.
+// Counters and login events live in a store from lib/login-store.
+
+const IP_POLICY = { freeAttempts: 3, lockoutAfter: 10 };
+const ACCOUNT_POLICY = { freeAttempts: 20, lockoutAfter: 100 };
+
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000; // 5 minutes
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const ACCOUNT_MAX_DELAY_MS = 2000;
+
+const ACCOUNT_KEY = 'account:password-login';
+
+function ipKey(ip) {
+    return `ip:${ip || 'unknown'}`;
+}
+
+function counters(ip) {
+    return [
+        { key: ipKey(ip), policy: IP_POLICY },
+        { key: ACCOUNT_KEY, policy: ACCOUNT_POLICY }
+    ];
+}
+
+function waitAfterFailures(failures, policy) {
+    if (failures >= policy.lockoutAfter) {
+        return LOCKOUT_MS;
+    }
+    if (failures <= policy.freeAttempts) {
+        return 0;
+    }
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - policy.freeAttempts - 1), MAX_BACKOFF_MS);
+}
+
+// Seconds until this IP may try again (0 = allowed now)
+export async function getLoginRetryAfter(loginStore, ip) {
+    const record = await loginStore.getCounter(ipKey(ip));
+    const blockedUntil = record ? record.blockedUntil : 0;
+    return Math.max(0, Math.ceil((blockedUntil - Date.now()) / 1000));
+}
+
+// While the account counter is backing off, hold the attempt back before the password
+// is checked (so an early disconnect tells a guesser nothing)
+export async function waitForAccountBackoff(loginStore) {
+    const record = await loginStore.getCounter(ACCOUNT_KEY);
+    const wait = Math.min((record ? record.blockedUntil : 0) - Date.now(), ACCOUNT_MAX_DELAY_MS);
+    if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+// Count a failed attempt; returns seconds until this IP may try again
+export async function recordLoginFailure(loginStore, ip) {
+    const now = Date.now();
+    let blockedUntil = 0;
+
+    for (const { key, policy } of counters(ip)) {
+        const record = await loginStore.getCounter(key);
+        const failures = (record ? record.failures : 0) + 1;
+        const recordBlockedUntil = now + waitAfterFailures(failures, policy);
+
+        await loginStore.putCounter(
+            key,
+            { failures, blockedUntil: recordBlockedUntil },
+            Math.max(FAILURE_WINDOW_MS, recordBlockedUntil - now) / 1000
+        );
+        if (policy === IP_POLICY) {
+            blockedUntil = recordBlockedUntil;
+        }
+    }
+
+    return Math.max(0, Math.ceil((blockedUntil - now) / 1000));
+}
+
+// Login events are for the owner to review; failing to record one never blocks a login
+export async function recordLoginEvent(loginStore, event) {
+    try {
+        await loginStore.addEvent({ at: new Date().toISOString(), ...event });
+    } catch (error) {
+        console.error('Failed to record login event:', error);
+    }
+}
@@ -0,0 +1,108 @@
+// Customer portal password hashing
+// Stored format (Customer Orders PASSWORD column): pbkdf2$<iterations>$<salt hex>$<hash hex>$<lookup>
+// PBKDF2-SHA256 via Web Crypto, which is available in both Node.js and Cloudflare Workers
+// The iteration count is stored per hash and can be raised later without a migration
+//
+// Login is password-only, so a login has to find the customer whose hash matches. The
+// lookup key (see getLookupKey) is a cheap check that rules out almost every row, so a
+// login runs PBKDF2 about once instead of once per customer. Hashes without a lookup key,
+// or with one made under another SESSION_SECRET, are always checked in full.
+
+const HASH_PREFIX = 'pbkdf2';
+const DEFAULT_ITERATIONS = 20000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+// Readable characters for generated passwords (no 0/O, 1/l/I)
+const PASSWORD_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GENERATED_PASSWORD_LENGTH = 10;
+
+// 4 hex characters each: which secret made the key, and a 16-bit HMAC of the password.
+// Short on purpose - with the sheet and the secret it only narrows a password down to 1 in 65536
+const LOOKUP_PART_LENGTH = 4;
+
+const encoder = new TextEncoder();
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+async function deriveHash(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+// Constant-time comparison so a mismatch doesn't leak how many bytes matched
+function bytesEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+}
+
+export function isPasswordHash(stored) {
+    return String(stored || '').startsWith(`${HASH_PREFIX}$`);
+}
+
+// Lookup key for a password under this secret ('' without a secret)
+export async function getLookupKey(password, secret) {
+    if (!secret) {
+        return '';
+    }
+    const secretId = await crypto.subtle.digest('SHA-256', encoder.encode(secret));
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const tag = await crypto.subtle.sign('HMAC', key, encoder.encode(password));
+    return toHex(new Uint8Array(secretId)).slice(0, LOOKUP_PART_LENGTH) + toHex(new Uint8Array(tag)).slice(0, LOOKUP_PART_LENGTH);
+}
+
+export function getStoredLookupKey(stored) {
+    return String(stored || '').split('$')[4] || '';
+}
+
+// False only when the stored lookup key was made under the same secret and doesn't match,
+// i.e. checkPassword would certainly fail
+export function mayMatchLookupKey(stored, lookupKey) {
+    const storedKey = getStoredLookupKey(stored);
+    if (!storedKey || !lookupKey || storedKey.slice(0, LOOKUP_PART_LENGTH) !== lookupKey.slice(0, LOOKUP_PART_LENGTH)) {
+        return true;
+    }
+    return storedKey === lookupKey;
+}
+
+// secret is SESSION_SECRET, used for the lookup key
+export async function hashPassword(password, secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await deriveHash(password, salt, DEFAULT_ITERATIONS);
+    const lookupKey = await getLookupKey(password, secret);
+    return `${HASH_PREFIX}$${DEFAULT_ITERATIONS}$${toHex(salt)}$${toHex(hash)}` + (lookupKey ? `$${lookupKey}` : '');
+}
+
+// Check a password against a stored hash (false for empty or malformed values)
+export async function checkPassword(password, stored) {
+    const [prefix, iterations, salt, hash] = String(stored || '').split('$');
+    if (prefix !== HASH_PREFIX || !iterations || !salt || !hash) {
+        return false;
+    }
+
+    const derived = await deriveHash(password, fromHex(salt), parseInt(iterations, 10));
+    return bytesEqual(derived, fromHex(hash));
+}
+
+// Random password for the store's "reset" action
+export function generatePassword() {
+    const bytes = crypto.getRandomValues(new Uint8Array(GENERATED_PASSWORD_LENGTH));
+    return Array.from(bytes, byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]).join('');
+}
@@ -0,0 +1,138 @@
+// Reorder suggestions for /api/reorder-suggestions
+// Built from the products sheet (STOCK INFO, optional MIN STOCK and SUPPLIER columns),
+// the receipt items sold in the last `days` days and the purchase history.
+//
+// A product is listed when its stock is below its minimum, or won't last another `days`
+// days at its average daily sales. The suggested quantity brings it back to
+// minimum + `days` days of sales. Products are grouped by supplier: the SUPPLIER column,
+// else whoever it was last bought from.
+
+import { parseCsv } from '../storage/csv.mjs';
+import { roundAmount } from '../storage/ledger.mjs';
+
+const PRODUCT_NAME_HEADERS = ['PRODUCT', 'PRODUCT NAME', 'ITEM'];
+const STOCK_HEADERS = ['STOCK INFO', 'STOCK', 'QUANTITY', 'QTY'];
+const PURCHASE_COST_HEADERS = ['PURCHASE COST', 'PURCHASE_COST', 'PURCHASECOST'];
+const MIN_STOCK_HEADERS = ['MIN STOCK', 'MIN_STOCK', 'MINSTOCK', 'REORDER LEVEL', 'REORDER_LEVEL'];
+const SUPPLIER_HEADERS = ['SUPPLIER'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeName(name) {
+    return String(name || '').trim().toUpperCase();
+}
+
+function findColumn(headers, candidates) {
+    return headers.findIndex(header => candidates.includes(header));
+}
+
+// Receipts are dated DD/MM/YYYY
+function parseReceiptDate(dateStr) {
+    const parts = String(dateStr || '').split('/');
+    if (parts.length !== 3) {
+        return null;
+    }
+    const date = new Date(parseInt(parts[2], 10), parseInt(parts[1], 10) - 1, parseInt(parts[0], 10));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Units sold per product (uppercase name) on receipts dated within the last `days` days
+function unitsSoldSince(receiptsCsv, days, today) {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime() - (days - 1) * DAY_MS;
+    const sold = new Map();
+
+    for (const row of parseCsv(receiptsCsv).slice(1)) {
+        for (const cell of row.slice(1)) {
+            if (!String(cell || '').trim()) {
+                continue;
+            }
+            let receipt;
+            try {
+                receipt = JSON.parse(cell);
+            } catch (error) {
+                continue;
+            }
+            const date = parseReceiptDate(receipt.date);
+            if (!date || date.getTime() < start || date.getTime() > today.getTime()) {
+                continue;
+            }
+            for (const item of receipt.items || []) {
+                const name = normalizeName(item.name);
+                sold.set(name, (sold.get(name) || 0) + (parseFloat(item.quantity) || 0));
+            }
+        }
+    }
+    return sold;
+}
+
+// purchases: history rows from storage.getPurchases(), newest first
+export function buildReorderSuggestions({ productsCsv, receiptsCsv, purchases, days, today = new Date() }) {
+    const [headerRow = [], ...rows] = parseCsv(productsCsv);
+    const headers = headerRow.map(header => header.trim().toUpperCase());
+    const nameCol = findColumn(headers, PRODUCT_NAME_HEADERS);
+    const stockCol = findColumn(headers, STOCK_HEADERS);
+    const costCol = findColumn(headers, PURCHASE_COST_HEADERS);
+    const minStockCol = findColumn(headers, MIN_STOCK_HEADERS);
+    const supplierCol = findColumn(headers, SUPPLIER_HEADERS);
+
+    if (nameCol === -1 || stockCol === -1) {
+        throw new Error('Products need PRODUCT and STOCK INFO columns');
+    }
+
+    const sold = unitsSoldSince(receiptsCsv, days, today);
+    const lastSupplier = new Map();
+    for (const purchase of purchases) {
+        const name = normalizeName(purchase.name);
+        if (!lastSupplier.has(name)) {
+            lastSupplier.set(name, purchase.supplier);
+        }
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+        const name = String(row[nameCol] || '').trim();
+        if (!name) {
+            continue;
+        }
+
+        // A blank STOCK INFO cell means stock isn't tracked for this product, not that it's out
+        const stock = parseFloat(row[stockCol]);
+        if (!Number.isFinite(stock)) {
+            continue;
+        }
+        const minStock = minStockCol === -1 ? 0 : (parseFloat(row[minStockCol]) || 0);
+        const averageDailySales = (sold.get(normalizeName(name)) || 0) / days;
+        const belowMinimum = stock < minStock;
+        const suggestedQuantity = Math.max(0, Math.ceil(minStock + averageDailySales * days - stock));
+        if (!belowMinimum && suggestedQuantity === 0) {
+            continue;
+        }
+
+        const supplier = (supplierCol !== -1 && String(row[supplierCol] || '').trim()) || lastSupplier.get(normalizeName(name)) || '';
+        const unitCost = costCol === -1 ? 0 : (parseFloat(row[costCol]) || 0);
+        if (!groups.has(supplier)) {
+            groups.set(supplier, { supplier, items: [], estimatedCost: 0 });
+        }
+        const group = groups.get(supplier);
+        group.items.push({
+            name,
+            stock,
+            minStock,
+            belowMinimum,
+            averageDailySales: roundAmount(averageDailySales),
+            daysLeft: averageDailySales > 0 ? Math.floor(stock / averageDailySales) : null,
+            suggestedQuantity,
+            unitCost,
+            estimatedCost: roundAmount(suggestedQuantity * unitCost)
+        });
+        group.estimatedCost = roundAmount(group.estimatedCost + suggestedQuantity * unitCost);
+    }
+
+    // Named suppliers alphabetically, products without one last; most urgent products first
+    return [...groups.values()]
+        .sort((a, b) => (a.supplier ? 0 : 1) - (b.supplier ? 0 : 1) || a.supplier.localeCompare(b.supplier))
+        .map(group => ({
+            ...group,
+            items: group.items.sort((a, b) => (b.belowMinimum - a.belowMinimum) || ((a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity)))
+        }));
+}
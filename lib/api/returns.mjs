@@ -0,0 +1,179 @@
+// Credit notes for /api/save-return
+// A credit note records items a customer brought back from one receipt. It is kept in the
+// customer's row like a receipt ({ type: 'creditNote', originalReceiptId, ... }) with negative
+// quantities and totals, so sales, profit, GST and units sold all go down by the return.
+//
+// Returned items are valued at what the customer paid for them: the line total after its
+// discount, scaled by grandTotal ÷ sum of line totals (which takes in a bill discount and
+// GST added on top of the prices). The refund either goes against the receipt's remaining
+// balance (anything beyond that becomes advance credit) or is paid out in cash.
+
+import { getRemainingBalance, roundAmount } from '../storage/ledger.mjs';
+
+export const REFUND_METHODS = ['balance', 'cash'];
+
+function normalizeName(name) {
+    return String(name || '').trim().toUpperCase();
+}
+
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1000) / 1000;
+}
+
+// Quantities already returned from the receipt, per item name
+function returnedQuantities(creditNotes) {
+    const returned = new Map();
+    for (const creditNote of creditNotes) {
+        for (const item of creditNote.items || []) {
+            const name = normalizeName(item.name);
+            returned.set(name, roundQuantity((returned.get(name) || 0) - (parseFloat(item.quantity) || 0)));
+        }
+    }
+    return returned;
+}
+
+// GST taken back, per rate slab of the returned items
+// items: [{ gstRate, taxableValue }] with positive taxable values
+function creditNoteGst(gst, items) {
+    const slabs = new Map();
+    for (const item of items) {
+        const rate = parseFloat(item.gstRate) || 0;
+        const slab = slabs.get(rate) || { rate, taxableValue: 0, tax: 0 };
+        slab.taxableValue += item.taxableValue;
+        slab.tax += item.taxableValue * rate / 100;
+        slabs.set(rate, slab);
+    }
+
+    // Rounded like the bill (CGST gets the odd paisa), then made negative
+    const gstSlabs = [...slabs.values()].sort((a, b) => a.rate - b.rate).map(slab => {
+        const taxPaise = Math.round(slab.tax * 100);
+        const cgstPaise = gst.interState ? 0 : Math.ceil(taxPaise / 2);
+        return {
+            rate: slab.rate,
+            taxableValue: -roundAmount(slab.taxableValue),
+            cgst: -cgstPaise / 100,
+            sgst: gst.interState ? 0 : -(taxPaise - cgstPaise) / 100,
+            igst: gst.interState ? -taxPaise / 100 : 0
+        };
+    });
+
+    return {
+        gstin: gst.gstin,
+        customerGstin: gst.customerGstin,
+        pricesIncludeTax: gst.pricesIncludeTax,
+        interState: gst.interState,
+        slabs: gstSlabs,
+        taxableValue: roundAmount(gstSlabs.reduce((sum, slab) => sum + slab.taxableValue, 0)),
+        totalTax: roundAmount(gstSlabs.reduce((sum, slab) => sum + slab.cgst + slab.sgst + slab.igst, 0))
+    };
+}
+
+// receipt: the original receipt; creditNotes: credit notes already issued against it
+// items: [{ name, quantity }] being returned
+// Returns { creditNote, balanceEntry, advanceEntry } or { error }
+export function buildCreditNote({ receipt, creditNotes, items, refundMethod, reason, id, date, time, recordedBy }) {
+    const receiptItems = receipt.items || [];
+    const lineTotal = item => (item.total !== undefined ? parseFloat(item.total) : item.rate * item.quantity) || 0;
+    const itemsTotal = receiptItems.reduce((sum, item) => sum + lineTotal(item), 0);
+    const factor = itemsTotal > 0 ? (receipt.grandTotal || 0) / itemsTotal : 0;
+    const returned = returnedQuantities(creditNotes);
+
+    const creditItems = [];
+    let amount = 0;
+    let profit = 0;
+    for (const requested of items) {
+        const quantity = roundQuantity(parseFloat(requested.quantity));
+        const original = receiptItems.find(item => normalizeName(item.name) === normalizeName(requested.name));
+        if (!original || !(quantity > 0)) {
+            return { error: `Invalid return item: ${requested.name}` };
+        }
+        const returnable = roundQuantity(parseFloat(original.quantity) - (returned.get(normalizeName(original.name)) || 0));
+        if (quantity > returnable) {
+            return { error: `Only ${Math.max(0, returnable)} of ${original.name} can be returned` };
+        }
+        returned.set(normalizeName(original.name), roundQuantity((returned.get(normalizeName(original.name)) || 0) + quantity));
+
+        const share = quantity / parseFloat(original.quantity);
+        const value = roundAmount(lineTotal(original) * share * factor);
+        const purchaseCost = parseFloat(original.purchaseCost) || 0;
+        const creditItem = {
+            name: original.name,
+            quantity: -quantity,
+            rate: original.rate,
+            total: -value,
+            purchaseCost
+        };
+        // Tax is not profit: with GST the profit is on the taxable value
+        let itemProfit = value - purchaseCost * quantity;
+        if (original.taxableValue !== undefined) {
+            const taxableValue = roundAmount(parseFloat(original.taxableValue) * share);
+            creditItem.gstRate = original.gstRate;
+            if (original.hsn) {
+                creditItem.hsn = original.hsn;
+            }
+            creditItem.taxableValue = -taxableValue;
+            itemProfit = taxableValue - purchaseCost * quantity;
+        }
+        creditItem.profitMargin = -roundAmount(itemProfit);
+
+        creditItems.push(creditItem);
+        amount = roundAmount(amount + value);
+        profit += itemProfit;
+    }
+
+    if (creditItems.length === 0) {
+        return { error: 'Choose at least one item to return' };
+    }
+
+    const toBalance = refundMethod === 'balance' ? roundAmount(Math.min(amount, Math.max(0, getRemainingBalance(receipt)))) : 0;
+    const toAdvance = refundMethod === 'balance' ? roundAmount(amount - toBalance) : 0;
+    const recordedAt = new Date().toISOString();
+    const entry = entryAmount => ({
+        id: crypto.randomUUID(),
+        amount: entryAmount,
+        method: 'credit-note',
+        date: recordedAt.slice(0, 10),
+        note: 'Credit note for returned items',
+        recordedBy,
+        recordedAt,
+        creditNoteId: id
+    });
+
+    const creditNote = {
+        id,
+        type: 'creditNote',
+        originalReceiptId: receipt.id,
+        originalDate: receipt.date || '',
+        date,
+        time,
+        customerName: receipt.customerName,
+        items: creditItems,
+        grandTotal: -amount,
+        profitMargin: -roundAmount(profit),
+        storeName: receipt.storeName || '',
+        reason,
+        refund: {
+            method: refundMethod,
+            toBalance,
+            toAdvance,
+            cash: refundMethod === 'cash' ? amount : 0
+        },
+        payments: {
+            cash: 0,
+            online: 0
+        },
+        remainingBalance: 0
+    };
+    if (receipt.gst) {
+        creditNote.gst = creditNoteGst(receipt.gst, creditItems.map(item => ({
+            gstRate: item.gstRate,
+            taxableValue: -(item.taxableValue || 0)
+        })));
+    }
+
+    return {
+        creditNote,
+        balanceEntry: toBalance > 0 ? entry(toBalance) : null,
+        advanceEntry: toAdvance > 0 ? entry(toAdvance) : null
+    };
+}
@@ -0,0 +1,84 @@
+// API route table shared by server.js and functions/api/*.js
+// Cloudflare Pages routes by file name, so each entry has a matching functions/api/<name>.js
+// Routes need a session token (see dispatch.mjs) unless marked `public`
+//
+// Permission matrix: `roles` lists the session types allowed to call a route (others get 403).
+// Customer sessions are further limited by the handlers to their own data:
+// - customers-receipts / customer-orders: only their own row
+// - receipts: only ?customer=<their name>
+// - save-order: only their own order
+// - orders: only their own orders
+// - update-order-status: only cancelling their own orders
+// No route returns customer password hashes (customer-orders replaces them with HAS_PASSWORD)
+//
+// `audit`: the action name recorded in the audit log when the route changes something (see audit.mjs)
+
+import {
+    saveReceipt,
+    getProducts,
+    getCustomersReceipts,
+    getReceipts,
+    updateReceiptPayment,
+    saveReturn,
+    amendReceipt,
+    deleteReceipt,
+    deleteCustomer,
+    getRecycleBin,
+    restoreDeleted,
+    getCustomerOrders,
+    verifyPassword,
+    saveOrder,
+    getOrders,
+    updateOrderStatus,
+    updateSpecialPrices,
+    setCustomerPassword,
+    setCustomerGstin,
+    getStoreSettings,
+    getLoginEvents,
+    getStockMovements,
+    savePurchase,
+    getPurchases,
+    getReorderSuggestions,
+    getAuditLog
+} from './handlers.mjs';
+
+const STORE = ['store'];
+const STORE_AND_CUSTOMER = ['store', 'customer'];
+
+export const routes = [
+    { path: '/api/save-receipt', method: 'POST', handler: saveReceipt, roles: STORE, audit: 'save-receipt' },
+    { path: '/api/products', method: 'GET', handler: getProducts, roles: STORE_AND_CUSTOMER },
+    { path: '/api/customers-receipts', method: 'GET', handler: getCustomersReceipts, roles: STORE_AND_CUSTOMER },
+    { path: '/api/receipts', method: 'GET', handler: getReceipts, roles: STORE_AND_CUSTOMER },
+    { path: '/api/update-receipt-payment', method: 'POST', handler: updateReceiptPayment, roles: STORE, audit: 'update-receipt-payment' },
+    { path: '/api/save-return', method: 'POST', handler: saveReturn, roles: STORE, audit: 'save-return' },
+    { path: '/api/amend-receipt', method: 'POST', handler: amendReceipt, roles: STORE, audit: 'amend-receipt' },
+    { path: '/api/delete-receipt', method: 'POST', handler: deleteReceipt, roles: STORE, audit: 'delete-receipt' },
+    { path: '/api/delete-customer', method: 'POST', handler: deleteCustomer, roles: STORE, audit: 'delete-customer' },
+    { path: '/api/recycle-bin', method: 'GET', handler: getRecycleBin, roles: STORE },
+    { path: '/api/restore-deleted', method: 'POST', handler: restoreDeleted, roles: STORE, audit: 'restore-deleted' },
+    { path: '/api/customer-orders', method: 'GET', handler: getCustomerOrders, roles: STORE_AND_CUSTOMER },
+    { path: '/api/verify-password', method: 'POST', handler: verifyPassword, public: true },
+    { path: '/api/save-order', method: 'POST', handler: saveOrder, roles: STORE_AND_CUSTOMER, audit: 'save-order' },
+    { path: '/api/orders', method: 'GET', handler: getOrders, roles: STORE_AND_CUSTOMER },
+    { path: '/api/update-order-status', method: 'POST', handler: updateOrderStatus, roles: STORE_AND_CUSTOMER, audit: 'update-order-status' },
+    { path: '/api/update-special-prices', method: 'POST', handler: updateSpecialPrices, roles: STORE, audit: 'update-special-prices' },
+    { path: '/api/customer-password', method: 'POST', handler: setCustomerPassword, roles: STORE, audit: 'customer-password' },
+    { path: '/api/customer-gstin', method: 'POST', handler: setCustomerGstin, roles: STORE, audit: 'customer-gstin' },
+    { path: '/api/store-settings', method: 'GET', handler: getStoreSettings, roles: STORE },
+    { path: '/api/login-events', method: 'GET', handler: getLoginEvents, roles: STORE },
+    { path: '/api/stock-movements', method: 'GET', handler: getStockMovements, roles: STORE },
+    { path: '/api/save-purchase', method: 'POST', handler: savePurchase, roles: STORE, audit: 'save-purchase' },
+    { path: '/api/purchases', method: 'GET', handler: getPurchases, roles: STORE },
+    { path: '/api/reorder-suggestions', method: 'GET', handler: getReorderSuggestions, roles: STORE },
+    { path: '/api/audit-log', method: 'GET', handler: getAuditLog, roles: STORE }
+];
+
+// Look up a route by path (used by the Cloudflare Pages Functions)
+export function getRoute(path) {
+    const route = routes.find(r => r.path === path);
+    if (!route) {
+        throw new Error(`Unknown API route: ${path}`);
+    }
+    return route;
+}
@@ -0,0 +1,88 @@
+// Signed session tokens
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+// Payload: { type: 'store' | 'customer', customerName, exp } (exp in ms since epoch)
+// Uses Web Crypto, which is available in both Node.js and Cloudflare Workers
+
+const SESSION_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function getSigningKey(env) {
+    const secret = env.SESSION_SECRET;
+    if (!secret) {
+        console.error('SESSION_SECRET not configured in environment');
+        throw new Error('SESSION_SECRET not configured');
+    }
+
+    return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Create a token for a successful login
+export async function createSessionToken(env, { type, customerName = null }) {
+    const expires = Date.now() + SESSION_DURATION_MS;
+    const payload = toBase64Url(encoder.encode(JSON.stringify({ type, customerName, exp: expires })));
+
+    const key = await getSigningKey(env);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+
+    return { token: `${payload}.${toBase64Url(new Uint8Array(signature))}`, expires };
+}
+
+// Return the session payload, or null if the token is malformed, forged or expired
+export async function verifySessionToken(env, token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    try {
+        const key = await getSigningKey(env);
+        const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(payload));
+        if (!valid) {
+            return null;
+        }
+
+        const session = JSON.parse(decoder.decode(fromBase64Url(payload)));
+        if (!session.exp || session.exp <= Date.now()) {
+            return null;
+        }
+        return session;
+    } catch (error) {
+        if (error.message === 'SESSION_SECRET not configured') {
+            throw error;
+        }
+        return null;
+    }
+}
+
+// Read the token from an "Authorization: Bearer <token>" header
+export function getBearerToken(headers) {
+    const authorization = headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
@@ -0,0 +1,89 @@
+// JSON-file login attempt store (Node.js only)
+// Keeps counters and login events across server restarts.
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_LOGIN_STORE_FILE = 'data/login-store.json';
+const MAX_EVENTS = 1000;
+
+function emptyData() {
+    return { counters: {}, events: [] };
+}
+
+export function createFileLoginStore(env) {
+    const storeFile = path.resolve(env.LOGIN_STORE_FILE || DEFAULT_LOGIN_STORE_FILE);
+
+    // Writes are serialized so concurrent logins never overwrite each other
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        try {
+            const contents = await readFile(storeFile, 'utf8');
+            return { ...emptyData(), ...JSON.parse(contents) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return emptyData();
+            }
+            throw error;
+        }
+    }
+
+    async function save(data) {
+        await mkdir(path.dirname(storeFile), { recursive: true });
+        // Write to a temp file first so a crash never leaves half-written JSON
+        const tempFile = storeFile + '.tmp';
+        await writeFile(tempFile, JSON.stringify(data, null, 2));
+        await rename(tempFile, storeFile);
+    }
+
+    function update(apply) {
+        const run = writeQueue.then(async () => {
+            const data = await load();
+            apply(data);
+            await save(data);
+        });
+        writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        name: 'file',
+
+        async getCounter(key) {
+            const data = await load();
+            const entry = data.counters[key];
+            return entry && entry.expiresAt > Date.now() ? entry.record : null;
+        },
+
+        putCounter(key, record, ttlSeconds) {
+            return update(data => {
+                // Drop expired counters while we're here so the file doesn't grow forever
+                for (const [counterKey, entry] of Object.entries(data.counters)) {
+                    if (entry.expiresAt <= Date.now()) {
+                        delete data.counters[counterKey];
+                    }
+                }
+                data.counters[key] = { record, expiresAt: Date.now() + ttlSeconds * 1000 };
+            });
+        },
+
+        deleteCounter(key) {
+            return update(data => {
+                delete data.counters[key];
+            });
+        },
+
+        addEvent(event) {
+            return update(data => {
+                data.events.unshift(event);
+                data.events.length = Math.min(data.events.length, MAX_EVENTS);
+            });
+        },
+
+        async listEvents(limit) {
+            const data = await load();
+            return data.events.slice(0, limit);
+        }
+    };
+}
@@ -0,0 +1,31 @@
+// Login attempt store selection (counters and login events for lib/api/login-throttle.mjs)
+// LOGIN_STORE picks the adapter: "memory", "file" or "kv".
+// Default: "kv" when the LOGIN_STORE_KV binding exists (Cloudflare), otherwise "memory".
+// The file adapter needs the Node.js filesystem, so only server.js registers it.
+//
+// Adapter interface (all async):
+//   getCounter(key) -> record or null, putCounter(key, record, ttlSeconds), deleteCounter(key)
+//   addEvent(event), listEvents(limit) -> events, newest first
+
+import { createMemoryLoginStore } from './memory.mjs';
+import { createKvLoginStore } from './kv.mjs';
+
+const adapters = {
+    memory: createMemoryLoginStore,
+    kv: createKvLoginStore
+};
+
+export function registerLoginStore(name, factory) {
+    adapters[name] = factory;
+}
+
+export function createLoginStore(env) {
+    const backend = String(env.LOGIN_STORE || (env.LOGIN_STORE_KV ? 'kv' : 'memory')).trim().toLowerCase();
+    const factory = adapters[backend];
+
+    if (!factory) {
+        throw new Error(`Unknown LOGIN_STORE "${backend}" (available: ${Object.keys(adapters).join(', ')})`);
+    }
+
+    return factory(env);
+}
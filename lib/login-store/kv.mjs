@@ -0,0 +1,51 @@
+// Cloudflare Workers KV login attempt store
+// Needs a KV namespace bound as LOGIN_STORE_KV (Pages → Settings → Functions → KV namespace bindings).
+// KV is eventually consistent, so a burst of guesses spread over several locations
+// can get a few extra attempts through before the counters catch up.
+
+const COUNTER_PREFIX = 'counter:';
+const EVENT_PREFIX = 'event:';
+const EVENT_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const MIN_KV_TTL_SECONDS = 60; // KV rejects shorter expirations
+const MAX_TIMESTAMP = 9999999999999;
+
+export function createKvLoginStore(env) {
+    const namespace = env.LOGIN_STORE_KV;
+    if (!namespace) {
+        throw new Error('LOGIN_STORE_KV binding not configured');
+    }
+
+    return {
+        name: 'kv',
+
+        async getCounter(key) {
+            return namespace.get(COUNTER_PREFIX + key, 'json');
+        },
+
+        async putCounter(key, record, ttlSeconds) {
+            await namespace.put(COUNTER_PREFIX + key, JSON.stringify(record), {
+                expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(ttlSeconds))
+            });
+        },
+
+        async deleteCounter(key) {
+            await namespace.delete(COUNTER_PREFIX + key);
+        },
+
+        // Keys sort by inverted timestamp so list() returns the newest events first;
+        // the event itself is kept in the key's metadata so listing needs no extra reads
+        async addEvent(event) {
+            const sortKey = String(MAX_TIMESTAMP - Date.now()).padStart(13, '0');
+            const suffix = Math.random().toString(36).slice(2, 8);
+            await namespace.put(`${EVENT_PREFIX}${sortKey}:${suffix}`, '', {
+                expirationTtl: EVENT_TTL_SECONDS,
+                metadata: event
+            });
+        },
+
+        async listEvents(limit) {
+            const { keys } = await namespace.list({ prefix: EVENT_PREFIX, limit });
+            return keys.map(key => key.metadata).filter(Boolean);
+        }
+    };
+}
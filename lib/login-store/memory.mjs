@@ -0,0 +1,51 @@
+// In-memory login attempt store
+// Shared by every request in the process (or Cloudflare isolate) and lost on restart.
+// On Cloudflare each isolate has its own copy, so use the KV adapter there when possible.
+
+const MAX_EVENTS = 500;
+
+let sharedStore = null;
+
+export function createMemoryLoginStore() {
+    if (sharedStore) {
+        return sharedStore;
+    }
+
+    const counters = new Map(); // key -> { record, expiresAt }
+    const events = []; // newest first
+
+    sharedStore = {
+        name: 'memory',
+
+        async getCounter(key) {
+            const entry = counters.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                counters.delete(key);
+                return null;
+            }
+            return entry.record;
+        },
+
+        async putCounter(key, record, ttlSeconds) {
+            counters.set(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+
+        async deleteCounter(key) {
+            counters.delete(key);
+        },
+
+        async addEvent(event) {
+            events.unshift(event);
+            events.length = Math.min(events.length, MAX_EVENTS);
+        },
+
+        async listEvents(limit) {
+            return events.slice(0, limit);
+        }
+    };
+
+    return sharedStore;
+}
@@ -0,0 +1,75 @@
+// CSV helpers shared by the storage adapters
+// Mirrors the layout Google Sheets produces when a sheet is published as CSV
+
+// Parse CSV text into an array of rows (arrays of strings)
+// Handles quoted values containing commas, newlines and escaped quotes ("")
+export function parseCsv(csvText) {
+    const rows = [];
+    let row = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < csvText.length; i++) {
+        const char = csvText[i];
+
+        if (inQuotes) {
+            if (char === '"' && csvText[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(current);
+            current = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csvText[i + 1] === '\n') {
+                i++;
+            }
+            row.push(current);
+            rows.push(row);
+            row = [];
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    // Add last row (if the text doesn't end with a newline)
+    if (current !== '' || row.length > 0) {
+        row.push(current);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+// Convert an array of rows into CSV text (rows are padded to the same width)
+export function toCsv(rows) {
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    return rows.map(r => {
+        const padded = [...r];
+        while (padded.length < width) {
+            padded.push('');
+        }
+        return padded.map(escapeCsvValue).join(',');
+    }).join('\r\n');
+}
+
+// Detect an HTML page returned instead of CSV (sheet not published correctly)
+export function isHtmlResponse(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('<!DOCTYPE') || trimmed.startsWith('<html');
+}
@@ -0,0 +1,977 @@
+// Local JSON-file storage adapter (Node.js only)
+// Keeps products, receipts and orders in a single JSON file so the POS keeps
+// working without internet. Every write is also queued in `pendingSync` so it
+// can be replayed to Google Sheets later (see scripts/sync-storage.mjs).
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { parseCsv, toCsv } from './csv.mjs';
+import {
+    roundAmount,
+    getLedgerState,
+    getRemainingBalance,
+    recordPaymentEntry,
+    addAdvanceEntry,
+    refundAdvanceFromReceipt,
+    retakeAdvanceForReceipt,
+    applyAdvanceToReceipt
+} from './ledger.mjs';
+import { ACTIVE_ORDER_STATUSES, getOrderStatusError, orderToReceipt } from './orders.mjs';
+
+const DEFAULT_STORAGE_FILE = 'data/pos-data.json';
+const DEFAULT_PRODUCT_HEADERS = ['PRODUCT', 'RATE', 'PURCHASE COST', 'STOCK INFO'];
+const PRODUCT_NAME_HEADERS = ['PRODUCT', 'PRODUCT NAME', 'ITEM'];
+const STOCK_HEADERS = ['STOCK INFO', 'STOCK', 'QUANTITY', 'QTY'];
+const PURCHASE_COST_HEADERS = ['PURCHASE COST', 'PURCHASE_COST', 'PURCHASECOST'];
+
+// Why stock changed, and which way: -1 takes the quantity out, +1 puts it back
+const STOCK_MOVEMENT_REASONS = {
+    sale: -1, // Receipt saved
+    order: -1, // Customer order approved into a receipt
+    'receipt-deleted': 1,
+    'receipt-restored': -1, // Deleted receipt restored from the recycle bin
+    return: 1,
+    purchase: 1, // Stock received from a supplier
+    'amend-sale': -1, // Receipt amended to more of an item
+    'amend-return': 1 // Receipt amended to less of an item
+};
+
+// Receipt fields an amendment can change; their old values are kept in receipt.amendments
+const AMENDED_FIELDS = ['items', 'grandTotal', 'profitMargin', 'grossTotal', 'discountTotal', 'billDiscount', 'gst'];
+
+function emptyData() {
+    return {
+        products: [],
+        customers: [],
+        orders: [],
+        stockMovements: [],
+        purchases: [],
+        auditLog: [],
+        recycleBin: [],
+        orderHistory: [],
+        pendingSync: []
+    };
+}
+
+function findHeader(headers, candidates) {
+    return headers.find(header => candidates.includes(String(header).trim().toUpperCase()));
+}
+
+function productHeaders(products) {
+    const headers = [];
+    for (const product of products) {
+        for (const key of Object.keys(product)) {
+            if (!headers.includes(key)) {
+                headers.push(key);
+            }
+        }
+    }
+    return headers.length > 0 ? headers : DEFAULT_PRODUCT_HEADERS;
+}
+
+// Build a receipt object the same way the Apps Script does
+// `id` is the receipt's permanent ID (the client's idempotency key when it sent one)
+function buildReceipt(data, customerName) {
+    const grandTotal = data.grandTotal || 0;
+    return {
+        id: data.id,
+        date: data.date || '',
+        time: data.time || '',
+        customerName: customerName,
+        items: data.items || [],
+        grandTotal: grandTotal,
+        profitMargin: data.profitMargin || 0,
+        storeName: data.storeName || '',
+        payments: {
+            cash: 0,
+            online: 0
+        },
+        remainingBalance: grandTotal,
+        // Discounted bills also keep the total before discounts
+        ...(data.discountTotal > 0 ? {
+            grossTotal: data.grossTotal || 0,
+            discountTotal: data.discountTotal,
+            ...(data.billDiscount ? { billDiscount: data.billDiscount } : {})
+        } : {}),
+        // Tax invoices keep their GST breakdown (see build/gst.js)
+        ...(data.gst ? { gst: data.gst } : {})
+    };
+}
+
+// Change STOCK INFO for the items of a receipt, like updateStockQuantities() in the Apps Script
+// `movement`: { reason, receiptId, customerName } - see STOCK_MOVEMENT_REASONS
+// (for purchases receiptId is the purchase id and customerName the supplier)
+// Sales take stock out (never below zero), deletions and returns put it back.
+// Every change is added to data.stockMovements.
+function updateStockQuantities(data, items, movement) {
+    const headers = productHeaders(data.products);
+    const nameKey = findHeader(headers, PRODUCT_NAME_HEADERS);
+    const stockKey = findHeader(headers, STOCK_HEADERS);
+    const direction = STOCK_MOVEMENT_REASONS[movement.reason];
+
+    if (!nameKey || !stockKey) {
+        return;
+    }
+
+    for (const item of items) {
+        const itemName = String(item.name || '').trim().toUpperCase();
+        const quantity = parseFloat(item.quantity || 0);
+
+        if (!itemName || quantity <= 0) {
+            continue;
+        }
+
+        const product = findProduct(data, nameKey, itemName);
+        if (!product) {
+            console.warn('Product not found in local storage:', item.name);
+            continue;
+        }
+
+        const currentStock = parseFloat(product[stockKey] || 0);
+        product[stockKey] = Math.max(0, currentStock + direction * quantity);
+
+        data.stockMovements.push({
+            at: new Date().toISOString(),
+            product: product[nameKey],
+            change: direction * quantity,
+            stockAfter: product[stockKey],
+            reason: movement.reason,
+            receiptId: movement.receiptId || '',
+            customerName: movement.customerName || ''
+        });
+    }
+}
+
+function findProduct(data, nameKey, name) {
+    const productName = String(name || '').trim().toUpperCase();
+    return data.products.find(p => String(p[nameKey] || '').trim().toUpperCase() === productName);
+}
+
+// Weighted-average purchase cost after receiving `quantity` at `unitCost`
+// (stock at or below zero has no cost left to average with)
+function averagePurchaseCost(stock, cost, quantity, unitCost) {
+    if (stock <= 0) {
+        return unitCost;
+    }
+    return roundAmount((stock * cost + quantity * unitCost) / (stock + quantity));
+}
+
+// Quantity each item went up (positive) or down (negative) by between two versions of a receipt
+// Returns { more: [{ name, quantity }], less: [{ name, quantity }] }
+function amendedQuantities(oldItems, newItems) {
+    const changes = new Map();
+    const add = (items, sign) => items.forEach(item => {
+        const key = String(item.name || '').trim().toUpperCase();
+        const change = changes.get(key) || { name: item.name, quantity: 0 };
+        change.quantity += sign * (parseFloat(item.quantity) || 0);
+        changes.set(key, change);
+    });
+    add(oldItems, -1);
+    add(newItems, 1);
+
+    const more = [];
+    const less = [];
+    for (const change of changes.values()) {
+        const quantity = Math.round(Math.abs(change.quantity) * 1000) / 1000;
+        if (quantity > 0) {
+            (change.quantity > 0 ? more : less).push({ name: change.name, quantity });
+        }
+    }
+    return { more, less };
+}
+
+// Recycle bin entries deleted before `purgeBefore` (an ISO timestamp) are removed for good
+function purgeRecycleBin(data, purgeBefore) {
+    if (purgeBefore) {
+        data.recycleBin = data.recycleBin.filter(entry => entry.deletedAt >= purgeBefore);
+    }
+}
+
+// Optimistic concurrency: a write based on an older version is rejected
+// (expectedVersion is missing only in writes queued before versions existed)
+function isStale(currentVersion, expectedVersion) {
+    return expectedVersion !== undefined && expectedVersion !== (currentVersion || 0);
+}
+
+export function createFileStorage(env) {
+    const storageFile = path.resolve(env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+
+    // Writes are serialized so concurrent requests never overwrite each other
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        try {
+            const contents = await readFile(storageFile, 'utf8');
+            return { ...emptyData(), ...JSON.parse(contents) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return emptyData();
+            }
+            throw error;
+        }
+    }
+
+    async function save(data) {
+        await mkdir(path.dirname(storageFile), { recursive: true });
+        // Write to a temp file first so a crash never leaves half-written JSON
+        const tempFile = storageFile + '.tmp';
+        await writeFile(tempFile, JSON.stringify(data, null, 2));
+        await rename(tempFile, storageFile);
+    }
+
+    function enqueue(task) {
+        const run = writeQueue.then(task);
+        writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Run a mutation against the stored data; `operation` and `args` are queued
+    // for syncing when the mutation succeeds
+    function mutate(operation, args, apply) {
+        return enqueue(async () => {
+            const data = await load();
+            const result = apply(data);
+            // A repeated save (same idempotency key) changed nothing, so there is nothing to sync
+            if (result.success && !result.duplicate) {
+                data.pendingSync.push({ operation, args, recordedAt: new Date().toISOString() });
+            }
+            await save(data);
+            return result;
+        });
+    }
+
+    function findCustomer(data, customerName) {
+        return data.customers.find(c => c.name === customerName);
+    }
+
+    function findOrderRow(data, customerName) {
+        return data.orders.find(o => o.customerName === customerName);
+    }
+
+    function findOrCreateOrderRow(data, customerName) {
+        let orderRow = findOrderRow(data, customerName);
+        if (!orderRow) {
+            orderRow = { customerName, password: '', order: null, specialPrices: null };
+            data.orders.push(orderRow);
+        }
+        return orderRow;
+    }
+
+    // A new bill is paid from the customer's advance credit first
+    function applyAdvance(data, customerName, receipt) {
+        const orderRow = findOrderRow(data, customerName);
+        const advance = orderRow && applyAdvanceToReceipt(receipt, orderRow.advance);
+        if (advance) {
+            orderRow.advance = advance;
+        }
+    }
+
+    // Idempotency: a retried save carries the same client-generated id as the original
+    function hasReceiptId(customer, id) {
+        return Boolean(id && customer && customer.receipts.some(r => r.id === id));
+    }
+
+    return {
+        name: 'file',
+
+        async getProductsCsv() {
+            const data = await load();
+            const headers = productHeaders(data.products);
+            const rows = data.products.map(product => headers.map(header => product[header] ?? ''));
+            return toCsv([headers, ...rows]);
+        },
+
+        async getCustomersReceiptsCsv() {
+            const data = await load();
+            const receiptColumns = Math.max(1, ...data.customers.map(c => c.receipts.length));
+            const headers = ['CUSTOMER', ...Array(receiptColumns).fill('RECEIPT')];
+            const rows = data.customers.map(c => [c.name, ...c.receipts.map(r => JSON.stringify(r))]);
+            return toCsv([headers, ...rows]);
+        },
+
+        async getCustomerOrdersCsv() {
+            const data = await load();
+            const headers = ['CUSTOMER', 'PASSWORD', 'ORDER', 'SPECIAL_PRICES', 'PRICES_VERSION', 'ADVANCE', 'GSTIN'];
+            const rows = data.orders.map(o => [
+                o.customerName,
+                o.password || '',
+                o.order ? JSON.stringify(o.order) : '',
+                o.specialPrices ? JSON.stringify(o.specialPrices) : '',
+                o.specialPricesVersion || '',
+                o.advance ? JSON.stringify(o.advance) : '',
+                o.gstin || ''
+            ]);
+            return toCsv([headers, ...rows]);
+        },
+
+        // Stock movement log, newest first (optionally only one product)
+        async getStockMovements({ product, limit }) {
+            const data = await load();
+            const productName = String(product || '').trim().toUpperCase();
+            const movements = data.stockMovements
+                .filter(m => !productName || String(m.product).trim().toUpperCase() === productName)
+                .slice(-limit)
+                .reverse();
+            return { success: true, movements };
+        },
+
+        // Audit log (see lib/api/audit.mjs), newest first; `from` / `to` are ISO timestamps
+        async getAuditLog({ customerName, action, from, to, limit }) {
+            const data = await load();
+            const customer = String(customerName || '').trim().toUpperCase();
+            const entries = data.auditLog
+                .filter(entry => !customer || String(entry.customerName).trim().toUpperCase() === customer)
+                .filter(entry => !action || entry.action === action)
+                .filter(entry => (!from || entry.at >= from) && (!to || entry.at < to))
+                .slice(-limit)
+                .reverse();
+            return { success: true, entries };
+        },
+
+        // Entries are only ever added, never changed or removed
+        addAuditEntry(entry) {
+            return mutate('addAuditEntry', entry, data => {
+                data.auditLog.push(entry);
+                return { success: true };
+            });
+        },
+
+        async getReceipts(customerName) {
+            const data = await load();
+            const customer = findCustomer(data, customerName);
+            return { success: true, receipts: customer ? customer.receipts : [] };
+        },
+
+        saveReceipt(args) {
+            // Give the receipt its id before queuing, so Google Sheets gets the same id when synced
+            const receiptData = { ...args, id: args.id || randomUUID() };
+            return mutate('saveReceipt', receiptData, data => {
+                const customerName = receiptData.customerName || 'Walk-in';
+                const receipt = buildReceipt(receiptData, customerName);
+
+                let customer = findCustomer(data, customerName);
+                if (hasReceiptId(customer, receipt.id)) {
+                    return { success: true, duplicate: true };
+                }
+                if (!customer) {
+                    customer = { name: customerName, receipts: [] };
+                    data.customers.push(customer);
+                }
+                // Latest receipt always goes first
+                applyAdvance(data, customerName, receipt);
+                customer.receipts.unshift(receipt);
+
+                updateStockQuantities(data, receipt.items, { reason: 'sale', receiptId: receipt.id, customerName });
+                return { success: true };
+            });
+        },
+
+        // Stock received from a supplier: raises stock and averages each product's purchase cost
+        savePurchase(args) {
+            const purchaseData = { ...args, id: args.id || randomUUID() };
+            return mutate('savePurchase', purchaseData, data => {
+                if (data.purchases.some(p => p.id === purchaseData.id)) {
+                    return { success: true, duplicate: true };
+                }
+
+                const headers = productHeaders(data.products);
+                const nameKey = findHeader(headers, PRODUCT_NAME_HEADERS);
+                const stockKey = findHeader(headers, STOCK_HEADERS);
+                const costKey = findHeader(headers, PURCHASE_COST_HEADERS);
+                if (!nameKey || !stockKey || !costKey) {
+                    return { success: false, error: 'Products need PRODUCT, STOCK INFO and PURCHASE COST columns' };
+                }
+
+                const missing = purchaseData.items.find(item => !findProduct(data, nameKey, item.name));
+                if (missing) {
+                    return { success: false, error: `Product not found: ${missing.name}` };
+                }
+
+                const items = purchaseData.items.map(item => {
+                    const product = findProduct(data, nameKey, item.name);
+                    const cost = averagePurchaseCost(
+                        parseFloat(product[stockKey] || 0),
+                        parseFloat(product[costKey] || 0),
+                        item.quantity,
+                        item.unitCost
+                    );
+                    product[costKey] = cost;
+                    return {
+                        name: product[nameKey],
+                        quantity: item.quantity,
+                        unitCost: item.unitCost,
+                        total: roundAmount(item.quantity * item.unitCost),
+                        costAfter: cost
+                    };
+                });
+
+                updateStockQuantities(data, items, {
+                    reason: 'purchase',
+                    receiptId: purchaseData.id,
+                    customerName: purchaseData.supplier
+                });
+
+                data.purchases.push({
+                    id: purchaseData.id,
+                    date: purchaseData.date,
+                    supplier: purchaseData.supplier,
+                    invoiceNumber: purchaseData.invoiceNumber,
+                    items,
+                    total: roundAmount(items.reduce((sum, item) => sum + item.total, 0)),
+                    recordedAt: new Date().toISOString()
+                });
+                return { success: true, id: purchaseData.id, items };
+            });
+        },
+
+        // Purchase history, one row per item, newest first (optionally one product or supplier)
+        async getPurchases({ product, supplier, limit }) {
+            const data = await load();
+            const productName = String(product || '').trim().toUpperCase();
+            const supplierName = String(supplier || '').trim().toUpperCase();
+            const rows = [];
+            for (const purchase of [...data.purchases].reverse()) {
+                if (supplierName && String(purchase.supplier).trim().toUpperCase() !== supplierName) {
+                    continue;
+                }
+                for (const item of purchase.items) {
+                    if (!productName || String(item.name).trim().toUpperCase() === productName) {
+                        rows.push({
+                            purchaseId: purchase.id,
+                            date: purchase.date,
+                            supplier: purchase.supplier,
+                            invoiceNumber: purchase.invoiceNumber,
+                            ...item
+                        });
+                    }
+                }
+            }
+            return { success: true, purchases: rows.slice(0, limit) };
+        },
+
+        updatePayment(args) {
+            const { customerName, receiptId, expectedVersion, entry, reverseEntryId } = args;
+            return mutate('updatePayment', args, data => {
+                const customer = findCustomer(data, customerName);
+                if (!customer) {
+                    return { success: false, error: 'Customer not found' };
+                }
+
+                const receipt = customer.receipts.find(r => r.id === receiptId);
+                if (!receipt) {
+                    return { success: false, error: 'Receipt not found' };
+                }
+                if (isStale(receipt.version, expectedVersion)) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        error: 'This receipt was changed on another device',
+                        current: getLedgerState(receipt)
+                    };
+                }
+
+                const error = recordPaymentEntry(receipt, entry, reverseEntryId);
+                if (error) {
+                    return { success: false, error };
+                }
+                receipt.version = (receipt.version || 0) + 1;
+                return { success: true, ...getLedgerState(receipt) };
+            });
+        },
+
+        // Lump-sum payment: one entry per allocated receipt, the rest (advanceEntry) becomes
+        // advance credit. All receipts are checked first so it is applied to all of them or none.
+        receivePayment(args) {
+            const { customerName, allocations, advanceEntry } = args;
+            return mutate('receivePayment', args, data => {
+                const customer = findCustomer(data, customerName);
+                const receipts = [];
+                for (const allocation of allocations) {
+                    const receipt = customer && customer.receipts.find(r => r.id === allocation.receiptId);
+                    if (!receipt) {
+                        return { success: false, error: 'Receipt not found' };
+                    }
+                    receipts.push(receipt);
+                }
+
+                if (allocations.some((allocation, i) => isStale(receipts[i].version, allocation.expectedVersion))) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        error: 'Some bills were changed on another device',
+                        current: { receipts: receipts.map(getLedgerState) }
+                    };
+                }
+                if (allocations.some((allocation, i) => allocation.entry.amount > getRemainingBalance(receipts[i]))) {
+                    return { success: false, error: 'Payment is more than the remaining balance' };
+                }
+
+                allocations.forEach((allocation, i) => {
+                    recordPaymentEntry(receipts[i], allocation.entry);
+                    receipts[i].version = (receipts[i].version || 0) + 1;
+                });
+
+                let advance = null;
+                if (advanceEntry) {
+                    const orderRow = findOrCreateOrderRow(data, customerName);
+                    orderRow.advance = addAdvanceEntry(orderRow.advance, advanceEntry);
+                    advance = orderRow.advance;
+                }
+                return { success: true, receipts: receipts.map(getLedgerState), advance };
+            });
+        },
+
+        // Credit note for returned items (see lib/api/returns.mjs): goes in front of the customer's
+        // receipts like a new receipt, balanceEntry is recorded on the original receipt, advanceEntry
+        // becomes advance credit and the returned items go back into stock
+        saveCreditNote(args) {
+            const { customerName, receiptId, expectedVersion, creditNote, balanceEntry, advanceEntry } = args;
+            return mutate('saveCreditNote', args, data => {
+                const customer = findCustomer(data, customerName);
+                if (hasReceiptId(customer, creditNote.id)) {
+                    return { success: true, duplicate: true };
+                }
+
+                const receipt = customer && customer.receipts.find(r => r.id === receiptId);
+                if (!receipt) {
+                    return { success: false, error: 'Receipt not found' };
+                }
+                if (isStale(receipt.version, expectedVersion)) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        error: 'This receipt was changed on another device',
+                        current: getLedgerState(receipt)
+                    };
+                }
+
+                if (balanceEntry) {
+                    const error = recordPaymentEntry(receipt, balanceEntry);
+                    if (error) {
+                        return { success: false, error };
+                    }
+                }
+                receipt.version = (receipt.version || 0) + 1;
+
+                let advance = null;
+                if (advanceEntry) {
+                    const orderRow = findOrCreateOrderRow(data, customerName);
+                    orderRow.advance = addAdvanceEntry(orderRow.advance, advanceEntry);
+                    advance = orderRow.advance;
+                }
+
+                customer.receipts.unshift(creditNote);
+                updateStockQuantities(data, creditNote.items.map(item => ({ name: item.name, quantity: -item.quantity })), {
+                    reason: 'return',
+                    receiptId: creditNote.id,
+                    customerName
+                });
+                return { success: true, creditNote, receipt: getLedgerState(receipt), advance };
+            });
+        },
+
+        // Amended receipt (see amendReceipt in lib/api/handlers.mjs): the old values of
+        // AMENDED_FIELDS go into receipt.amendments, payments stay and stock follows the change
+        // in quantities
+        amendReceipt(args) {
+            const { customerName, receiptId, expectedVersion, changes, amendment } = args;
+            return mutate('amendReceipt', args, data => {
+                const customer = findCustomer(data, customerName);
+                const receipt = customer && customer.receipts.find(r => r.id === receiptId);
+                if (!receipt) {
+                    return { success: false, error: 'Receipt not found' };
+                }
+                if ((receipt.amendments || []).some(a => a.id === amendment.id)) {
+                    return { success: true, duplicate: true, receipt };
+                }
+                if (isStale(receipt.version, expectedVersion)) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        error: 'This receipt was changed on another device',
+                        current: receipt
+                    };
+                }
+                // Returns are valued from the receipt's items, so those can't change afterwards
+                if (receipt.type === 'creditNote') {
+                    return { success: false, error: "Credit notes can't be edited" };
+                }
+                if (customer.receipts.some(r => r.originalReceiptId === receiptId)) {
+                    return { success: false, error: "Receipts with returned items can't be edited" };
+                }
+
+                const paid = roundAmount((receipt.grandTotal || 0) - getRemainingBalance(receipt));
+                if (changes.grandTotal < paid) {
+                    return { success: false, error: 'The new total is less than what has been paid - reverse a payment first' };
+                }
+
+                const before = {};
+                for (const field of AMENDED_FIELDS) {
+                    if (receipt[field] !== undefined) {
+                        before[field] = receipt[field];
+                    }
+                    if (changes[field] !== undefined) {
+                        receipt[field] = changes[field];
+                    } else {
+                        delete receipt[field];
+                    }
+                }
+                receipt.amendments = [...(receipt.amendments || []), { ...amendment, before }];
+                receipt.remainingBalance = getRemainingBalance(receipt);
+                receipt.version = (receipt.version || 0) + 1;
+
+                const { more, less } = amendedQuantities(before.items || [], receipt.items);
+                updateStockQuantities(data, more, { reason: 'amend-sale', receiptId, customerName });
+                updateStockQuantities(data, less, { reason: 'amend-return', receiptId, customerName });
+                return { success: true, receipt };
+            });
+        },
+
+        // Deleted receipts go to the recycle bin (see restoreDeleted) with their place: receipts are
+        // newest first, so it is kept as how many older receipts there were
+        deleteReceipt(args) {
+            const { customerName, receiptId, binId, deletedAt, purgeBefore } = args;
+            return mutate('deleteReceipt', args, data => {
+                const customer = findCustomer(data, customerName);
+                if (!customer) {
+                    return { success: false, error: 'Customer not found' };
+                }
+
+                const index = customer.receipts.findIndex(r => r.id === receiptId);
+                if (index === -1) {
+                    return { success: false, error: 'Receipt not found' };
+                }
+                // Deleting either side of a return would put its items back into stock twice
+                if (customer.receipts[index].type === 'creditNote') {
+                    return { success: false, error: "Credit notes can't be deleted" };
+                }
+                if (customer.receipts.some(r => r.originalReceiptId === receiptId)) {
+                    return { success: false, error: "Receipts with returned items can't be deleted" };
+                }
+
+                // The items of a deleted receipt go back into stock, and the advance credit it used to the customer
+                const [receipt] = customer.receipts.splice(index, 1);
+                updateStockQuantities(data, receipt.items || [], { reason: 'receipt-deleted', receiptId, customerName });
+                const orderRow = findOrderRow(data, customerName);
+                const advance = refundAdvanceFromReceipt(receipt, orderRow && orderRow.advance);
+                if (advance) {
+                    findOrCreateOrderRow(data, customerName).advance = advance;
+                }
+                purgeRecycleBin(data, purgeBefore);
+                data.recycleBin.push({
+                    id: binId,
+                    type: 'receipt',
+                    customerName,
+                    deletedAt,
+                    olderReceipts: customer.receipts.length - index,
+                    receipt
+                });
+                return { success: true, receipt, advance };
+            });
+        },
+
+        // A deleted customer goes to the recycle bin with all their receipts (stock is left as it is)
+        deleteCustomer(args) {
+            const { customerName, binId, deletedAt, purgeBefore } = args;
+            return mutate('deleteCustomer', args, data => {
+                const index = data.customers.findIndex(c => c.name === customerName);
+                if (index === -1) {
+                    return { success: false, error: 'Customer not found' };
+                }
+
+                // The deleted receipts are returned for the audit log
+                const [customer] = data.customers.splice(index, 1);
+                purgeRecycleBin(data, purgeBefore);
+                data.recycleBin.push({ id: binId, type: 'customer', customerName, deletedAt, position: index, receipts: customer.receipts });
+                return { success: true, receipts: customer.receipts };
+            });
+        },
+
+        // Recycle bin, newest first (entries deleted before `purgeBefore` are already gone)
+        async getRecycleBin({ purgeBefore }) {
+            const data = await load();
+            const entries = data.recycleBin
+                .filter(entry => !purgeBefore || entry.deletedAt >= purgeBefore)
+                .reverse();
+            return { success: true, entries };
+        },
+
+        // Put a recycle bin entry back where it was, with its ids and payments as they were
+        // (a receipt takes the advance credit it was paid with again, see retakeAdvanceForReceipt)
+        // A receipt whose customer is gone brings the customer back; a customer whose name was
+        // used again since keeps the new receipts, followed by the restored (older) ones
+        restoreDeleted(args) {
+            const { binId, purgeBefore } = args;
+            return mutate('restoreDeleted', args, data => {
+                purgeRecycleBin(data, purgeBefore);
+                const index = data.recycleBin.findIndex(entry => entry.id === binId);
+                if (index === -1) {
+                    return { success: false, error: 'Not in the recycle bin - it was already restored or has been purged' };
+                }
+
+                const [entry] = data.recycleBin.splice(index, 1);
+                let customer = findCustomer(data, entry.customerName);
+                if (entry.type === 'receipt') {
+                    if (!customer) {
+                        customer = { name: entry.customerName, receipts: [] };
+                        data.customers.push(customer);
+                    }
+                    const orderRow = findOrderRow(data, entry.customerName);
+                    const advance = retakeAdvanceForReceipt(entry.receipt, orderRow && orderRow.advance);
+                    if (advance) {
+                        findOrCreateOrderRow(data, entry.customerName).advance = advance;
+                    }
+                    const place = Math.max(0, customer.receipts.length - entry.olderReceipts);
+                    customer.receipts.splice(place, 0, entry.receipt);
+                    updateStockQuantities(data, entry.receipt.items || [], {
+                        reason: 'receipt-restored',
+                        receiptId: entry.receipt.id,
+                        customerName: entry.customerName
+                    });
+                } else if (customer) {
+                    customer.receipts = [...customer.receipts, ...entry.receipts];
+                } else {
+                    data.customers.splice(Math.min(entry.position, data.customers.length), 0, {
+                        name: entry.customerName,
+                        receipts: entry.receipts
+                    });
+                }
+                return { success: true, entry };
+            });
+        },
+
+        // A new order (see lib/storage/orders.mjs); `placedAt` and `placedBy` come from the handler
+        saveOrder(args) {
+            const orderData = { ...args, id: args.id || randomUUID() };
+            return mutate('saveOrder', orderData, data => {
+                const customerName = orderData.customerName || '';
+                // Any status - a retried save of an accepted order is already a receipt too
+                if (data.orderHistory.some(o => o.id === orderData.id)) {
+                    return { success: true, duplicate: true };
+                }
+                const placedAt = orderData.placedAt || new Date().toISOString();
+                data.orderHistory.push({
+                    ...buildReceipt(orderData, customerName),
+                    status: 'placed',
+                    placedAt,
+                    statusHistory: [{ status: 'placed', at: placedAt, by: orderData.placedBy || 'customer' }]
+                });
+                return { success: true };
+            });
+        },
+
+        // Orders newest first; customerName (case-insensitive) and active (see ACTIVE_ORDER_STATUSES) narrow it
+        async getOrders({ customerName, active, limit }) {
+            const data = await load();
+            const customer = String(customerName || '').trim().toUpperCase();
+            const orders = data.orderHistory
+                .filter(order => !customer || String(order.customerName).trim().toUpperCase() === customer)
+                .filter(order => !active || ACTIVE_ORDER_STATUSES.includes(order.status))
+                .slice(-limit)
+                .reverse();
+            return { success: true, orders };
+        },
+
+        // Move an order to its next status; accepting it adds it to the customer's receipts and
+        // takes its items out of stock. Setting the status it already has changes nothing.
+        updateOrderStatus(args) {
+            const { customerName, orderId, status, by, at } = args;
+            return mutate('updateOrderStatus', args, data => {
+                const order = data.orderHistory.find(o => o.id === orderId);
+                if (!order || String(order.customerName).trim().toUpperCase() !== String(customerName).trim().toUpperCase()) {
+                    return { success: false, error: 'Order not found' };
+                }
+                if (order.status === status) {
+                    return { success: true, duplicate: true, order };
+                }
+                const error = getOrderStatusError(order, status);
+                if (error) {
+                    return { success: false, error };
+                }
+
+                if (status === 'accepted') {
+                    let customer = findCustomer(data, order.customerName);
+                    if (!customer) {
+                        customer = { name: order.customerName, receipts: [] };
+                        data.customers.push(customer);
+                    }
+                    const receipt = orderToReceipt(order);
+                    applyAdvance(data, order.customerName, receipt);
+                    customer.receipts.unshift(receipt);
+                    updateStockQuantities(data, receipt.items || [], {
+                        reason: 'order',
+                        receiptId: receipt.id,
+                        customerName: order.customerName
+                    });
+                }
+
+                const previousStatus = order.status;
+                order.status = status;
+                order.statusHistory = [...(order.statusHistory || []), { status, at, by }];
+                return { success: true, order, previousStatus };
+            });
+        },
+
+        updateSpecialPrices(args) {
+            const { customerName, expectedVersion } = args;
+            const specialPrices = args.specialPrices || {};
+            return mutate('updateSpecialPrices', { customerName, specialPrices, expectedVersion }, data => {
+                if (!customerName) {
+                    return { success: false, error: 'Customer name is required' };
+                }
+
+                let orderRow = findOrderRow(data, customerName);
+                if (orderRow && isStale(orderRow.specialPricesVersion, expectedVersion)) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        error: 'These special prices were changed on another device',
+                        current: {
+                            specialPrices: orderRow.specialPrices || {},
+                            version: orderRow.specialPricesVersion || 0
+                        }
+                    };
+                }
+
+                orderRow = findOrCreateOrderRow(data, customerName);
+                const previous = orderRow.specialPrices || {};
+                orderRow.specialPrices = specialPrices;
+                orderRow.specialPricesVersion = (orderRow.specialPricesVersion || 0) + 1;
+                return { success: true, version: orderRow.specialPricesVersion, previous };
+            });
+        },
+
+        setCustomerPassword(args) {
+            const { customerName } = args;
+            const passwordHash = args.passwordHash || '';
+            return mutate('setCustomerPassword', { customerName, passwordHash }, data => {
+                if (!customerName) {
+                    return { success: false, error: 'Customer name is required' };
+                }
+
+                const orderRow = findOrderRow(data, customerName);
+                const hadPassword = Boolean(orderRow && orderRow.password);
+                if (orderRow) {
+                    orderRow.password = passwordHash;
+                } else {
+                    data.orders.push({ customerName, password: passwordHash, order: null, specialPrices: null });
+                }
+                return { success: true, hadPassword };
+            });
+        },
+
+        setCustomerGstin(args) {
+            const { customerName } = args;
+            const gstin = args.gstin || '';
+            return mutate('setCustomerGstin', { customerName, gstin }, data => {
+                if (!customerName) {
+                    return { success: false, error: 'Customer name is required' };
+                }
+
+                const orderRow = gstin ? findOrCreateOrderRow(data, customerName) : findOrderRow(data, customerName);
+                const previous = (orderRow && orderRow.gstin) || '';
+                if (orderRow) {
+                    orderRow.gstin = gstin;
+                }
+                return { success: true, previous };
+            });
+        },
+
+        // Give receipts and pending orders saved before receipt IDs existed a permanent id
+        // Local only: Google Sheets is migrated by its own Apps Script (see scripts/migrate-receipt-ids.mjs)
+        migrateReceiptIds() {
+            return enqueue(async () => {
+                const data = await load();
+                const receipts = [
+                    ...data.customers.flatMap(c => c.receipts),
+                    ...data.orders.map(o => o.order).filter(Boolean)
+                ];
+
+                let migrated = 0;
+                for (const receipt of receipts) {
+                    if (!receipt.id) {
+                        receipt.id = randomUUID();
+                        migrated++;
+                    }
+                }
+
+                if (migrated > 0) {
+                    await save(data);
+                }
+                return { success: true, migrated };
+            });
+        },
+
+        // Writes recorded while offline, oldest first
+        async getPendingSync() {
+            const data = await load();
+            return data.pendingSync;
+        },
+
+        // Drop the first `count` pending writes once they reached Google Sheets
+        // Those Google Sheets rejected (`keepIndexes`, positions among the first `count`) stay queued
+        clearPendingSync(count, keepIndexes = []) {
+            return enqueue(async () => {
+                const data = await load();
+                const rejected = data.pendingSync.slice(0, count).filter((entry, index) => keepIndexes.includes(index));
+                data.pendingSync.splice(0, count, ...rejected);
+                await save(data);
+            });
+        },
+
+        // Replace local products, receipts and orders with the published Sheets CSVs
+        // orders: every order from the Orders sheet, newest first (left alone when not given)
+        importSnapshot({ productsCsv, customersReceiptsCsv, customerOrdersCsv, orders }) {
+            return enqueue(async () => {
+                const data = await load();
+
+                const [productHeaderRow = [], ...productRows] = parseCsv(productsCsv);
+                const headers = productHeaderRow.map(header => header.trim().toUpperCase());
+                data.products = productRows.map(values => {
+                    const product = {};
+                    headers.forEach((header, i) => {
+                        product[header] = (values[i] || '').trim();
+                    });
+                    return product;
+                });
+
+                data.customers = parseCsv(customersReceiptsCsv).slice(1).map(values => ({
+                    name: values[0].trim(),
+                    receipts: values.slice(1).filter(cell => cell.trim()).map(cell => JSON.parse(cell))
+                })).filter(c => c.name);
+
+                data.orders = parseCsv(customerOrdersCsv).slice(1).map(values => ({
+                    customerName: (values[0] || '').trim(),
+                    password: (values[1] || '').trim(),
+                    order: values[2] && values[2].trim() ? JSON.parse(values[2]) : null,
+                    specialPrices: values[3] && values[3].trim() ? JSON.parse(values[3]) : null,
+                    specialPricesVersion: parseInt(values[4], 10) || 0,
+                    advance: values[5] && values[5].trim() ? JSON.parse(values[5]) : null,
+                    gstin: (values[6] || '').trim()
+                })).filter(o => o.customerName);
+
+                if (Array.isArray(orders)) {
+                    data.orderHistory = [...orders].reverse();
+                }
+
+                // Orders still pending in the old ORDER column become placed orders
+                const importedAt = new Date().toISOString();
+                for (const orderRow of data.orders.filter(o => o.order)) {
+                    if (!data.orderHistory.some(o => o.id === orderRow.order.id)) {
+                        data.orderHistory.push({
+                            ...orderRow.order,
+                            id: orderRow.order.id || randomUUID(),
+                            status: 'placed',
+                            placedAt: importedAt,
+                            statusHistory: [{ status: 'placed', at: importedAt, by: 'customer' }]
+                        });
+                    }
+                    orderRow.order = null;
+                }
+
+                await save(data);
+            });
+        }
+    };
+}
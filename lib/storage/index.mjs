@@ -0,0 +1,25 @@
+// Storage backend selection
+// STORAGE_BACKEND picks the adapter: "sheets" (default) or "file".
+// The file adapter needs the Node.js filesystem, so only server.js registers it;
+// Cloudflare Pages Functions always run with the Sheets adapter.
+
+import { createSheetsStorage } from './sheets.mjs';
+
+const adapters = {
+    sheets: createSheetsStorage
+};
+
+export function registerStorageAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+export function createStorage(env) {
+    const backend = String(env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+    const factory = adapters[backend];
+
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (available: ${Object.keys(adapters).join(', ')})`);
+    }
+
+    return factory(env);
+}
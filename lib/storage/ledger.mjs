@@ -0,0 +1,218 @@
+// Per-receipt payment ledger
+// receipt.paymentEntries: [{ id, amount, method, date, note, recordedBy, recordedAt, reverses }]
+// - method: one of PAYMENT_METHODS, date: YYYY-MM-DD the money was received
+// - A reversal is a negative entry whose `reverses` is the id of the entry it cancels;
+//   entries are never edited or removed
+// - Entries from a lump-sum payment share a `paymentGroupId`; entries paid out of the
+//   customer's advance credit use the method 'advance'
+// - Returned items taken off the bill use the method 'credit-note' and carry the credit
+//   note's id (`creditNoteId`, see lib/api/returns.mjs)
+// receipt.payments ({ cash, online } totals) and receipt.remainingBalance are derived from
+// the list, so pages that only read the totals keep working.
+//
+// Advance credit: money received beyond a customer's open bills, kept per customer as
+// { balance, entries } - positive entries were received, negative ones were applied to a bill
+// (receiptId). The next bill for that customer is paid from it first. Deleting a bill gives
+// the credit it was paid with back, and restoring it takes that credit again.
+//
+// The Apps Script has the same helpers (see GOOGLE_SHEETS_SETUP.md).
+
+// Methods a payment can be recorded with ('advance' and 'credit-note' are only used by the
+// entries described above)
+export const PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank'];
+
+export function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function legacyEntry(key, method, amount) {
+    return {
+        id: `legacy-${key}`,
+        amount: roundAmount(amount),
+        method,
+        date: '',
+        note: 'Recorded before the payment ledger',
+        recordedBy: '',
+        recordedAt: ''
+    };
+}
+
+// Receipts paid before the ledger only have cash/online totals - those become its first entries
+export function getPaymentEntries(receipt) {
+    if (Array.isArray(receipt.paymentEntries)) {
+        return receipt.paymentEntries;
+    }
+
+    const payments = receipt.payments || {};
+    const entries = [];
+    if (payments.cash) {
+        entries.push(legacyEntry('cash', 'cash', payments.cash));
+    }
+    if (payments.online) {
+        entries.push(legacyEntry('online', 'upi', payments.online));
+    }
+    return entries;
+}
+
+function applyPaymentEntries(receipt, entries) {
+    const payments = { cash: 0, online: 0 };
+    for (const entry of entries) {
+        const key = entry.method === 'cash' ? 'cash' : 'online';
+        payments[key] = roundAmount(payments[key] + entry.amount);
+    }
+
+    receipt.paymentEntries = entries;
+    receipt.payments = payments;
+    receipt.remainingBalance = roundAmount((receipt.grandTotal || 0) - payments.cash - payments.online);
+}
+
+export function getRemainingBalance(receipt) {
+    const paid = getPaymentEntries(receipt).reduce((sum, e) => sum + e.amount, 0);
+    return roundAmount((receipt.grandTotal || 0) - paid);
+}
+
+// What the client needs to refresh a receipt after a payment change (or a conflict)
+export function getLedgerState(receipt) {
+    const paymentEntries = getPaymentEntries(receipt);
+    return {
+        receiptId: receipt.id,
+        paymentEntries,
+        payments: receipt.payments || { cash: 0, online: 0 },
+        remainingBalance: receipt.remainingBalance !== undefined ? receipt.remainingBalance : getRemainingBalance(receipt),
+        version: receipt.version || 0
+    };
+}
+
+// Add a payment entry, or a reversal of `reverseEntryId` (its amount and method are copied
+// from the original). Returns an error message, or null once the receipt is updated.
+export function recordPaymentEntry(receipt, entry, reverseEntryId) {
+    const entries = getPaymentEntries(receipt);
+
+    if (reverseEntryId) {
+        const original = entries.find(e => e.id === reverseEntryId);
+        if (!original || original.reverses) {
+            return 'Payment entry not found';
+        }
+        if (entries.some(e => e.reverses === reverseEntryId)) {
+            return 'Payment entry is already reversed';
+        }
+        // The credit note stays, so the credit it gave stays too
+        if (original.method === 'credit-note') {
+            return "Credit note entries can't be reversed";
+        }
+        // Reversing would take the money off the bill without giving the advance credit back
+        if (original.method === 'advance') {
+            return "Advance entries can't be reversed";
+        }
+        applyPaymentEntries(receipt, [...entries, {
+            ...entry,
+            amount: -original.amount,
+            method: original.method,
+            reverses: original.id
+        }]);
+        return null;
+    }
+
+    if (entry.amount > getRemainingBalance(receipt)) {
+        return 'Payment is more than the remaining balance';
+    }
+
+    applyPaymentEntries(receipt, [...entries, entry]);
+    return null;
+}
+
+export function addAdvanceEntry(advance, entry) {
+    const entries = [...((advance && advance.entries) || []), entry];
+    return {
+        balance: roundAmount(entries.reduce((sum, e) => sum + e.amount, 0)),
+        entries
+    };
+}
+
+// Pay a new bill from the customer's advance credit, as far as it goes
+// Returns the updated advance, or null when there was nothing to apply
+export function applyAdvanceToReceipt(receipt, advance) {
+    const amount = roundAmount(Math.min((advance && advance.balance) || 0, getRemainingBalance(receipt)));
+    if (!(amount > 0)) {
+        return null;
+    }
+
+    const recordedAt = new Date().toISOString();
+    const details = { date: recordedAt.slice(0, 10), recordedBy: '', recordedAt };
+    recordPaymentEntry(receipt, {
+        id: crypto.randomUUID(),
+        amount,
+        method: 'advance',
+        note: 'Paid from advance credit',
+        ...details
+    });
+    return addAdvanceEntry(advance, {
+        id: crypto.randomUUID(),
+        amount: -amount,
+        method: 'advance',
+        note: 'Applied to bill',
+        ...details,
+        receiptId: receipt.id
+    });
+}
+
+// Advance credit a receipt was paid with (its 'advance' entries, net of reversals)
+export function getAdvancePaid(receipt) {
+    const entries = getPaymentEntries(receipt).filter(e => e.method === 'advance');
+    return roundAmount(entries.reduce((sum, e) => sum + e.amount, 0));
+}
+
+// A deleted receipt gives the advance credit it was paid with back to the customer
+// Returns the updated advance, or null when it used none
+export function refundAdvanceFromReceipt(receipt, advance) {
+    const amount = getAdvancePaid(receipt);
+    if (!(amount > 0)) {
+        return null;
+    }
+
+    const recordedAt = new Date().toISOString();
+    return addAdvanceEntry(advance, {
+        id: crypto.randomUUID(),
+        amount,
+        method: 'advance',
+        date: recordedAt.slice(0, 10),
+        note: 'Bill deleted',
+        recordedBy: '',
+        recordedAt,
+        receiptId: receipt.id
+    });
+}
+
+// A restored receipt takes that credit again, as far as it goes. Credit spent while the
+// receipt was deleted is taken off its payments with a negative 'advance' entry (a new
+// receipt version), so the bill shows it as owing again.
+// Returns the updated advance, or null when the receipt used none
+export function retakeAdvanceForReceipt(receipt, advance) {
+    const paid = getAdvancePaid(receipt);
+    if (!(paid > 0)) {
+        return null;
+    }
+
+    const amount = roundAmount(Math.min(paid, Math.max((advance && advance.balance) || 0, 0)));
+    const recordedAt = new Date().toISOString();
+    const details = { method: 'advance', date: recordedAt.slice(0, 10), recordedBy: '', recordedAt };
+    if (amount < paid) {
+        applyPaymentEntries(receipt, [...getPaymentEntries(receipt), {
+            id: crypto.randomUUID(),
+            amount: roundAmount(amount - paid),
+            ...details,
+            note: 'Advance credit was used elsewhere while this bill was deleted'
+        }]);
+        receipt.version = (receipt.version || 0) + 1;
+    }
+    if (!(amount > 0)) {
+        return advance || { balance: 0, entries: [] };
+    }
+    return addAdvanceEntry(advance, {
+        id: crypto.randomUUID(),
+        amount: -amount,
+        ...details,
+        note: 'Bill restored',
+        receiptId: receipt.id
+    });
+}
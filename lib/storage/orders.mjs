@@ -0,0 +1,43 @@
+// Customer order lifecycle
+// Every order is its own record: the order in receipt format plus
+//   status, placedAt and statusHistory: [{ status, at, by }] (oldest first, `by` is 'store' or 'customer')
+// - placed: waiting for the store, which accepts or rejects it (the customer can still cancel it)
+// - accepted: the order became a receipt with the same id and its items came out of stock;
+//   packed, ready (for pickup) / out-for-delivery and completed only track getting it to the customer
+// - completed, rejected and cancelled are final
+//
+// The Apps Script has the same table (see GOOGLE_SHEETS_SETUP.md).
+
+export const ORDER_STATUSES = ['placed', 'accepted', 'packed', 'ready', 'out-for-delivery', 'completed', 'rejected', 'cancelled'];
+
+// Orders still on their way, for the store's order queue
+export const ACTIVE_ORDER_STATUSES = ['placed', 'accepted', 'packed', 'ready', 'out-for-delivery'];
+
+// Statuses an order can move to from each status (stages can be skipped, never gone back to)
+const ORDER_TRANSITIONS = {
+    placed: ['accepted', 'rejected', 'cancelled'],
+    accepted: ['packed', 'ready', 'out-for-delivery', 'completed'],
+    packed: ['ready', 'out-for-delivery', 'completed'],
+    ready: ['completed'],
+    'out-for-delivery': ['completed'],
+    completed: [],
+    rejected: [],
+    cancelled: []
+};
+
+// Why `order` can't move to `status`, or '' when it can
+export function getOrderStatusError(order, status) {
+    if ((ORDER_TRANSITIONS[order.status] || []).includes(status)) {
+        return '';
+    }
+    if ((ORDER_TRANSITIONS[order.status] || []).length === 0) {
+        return `This order is already ${order.status}`;
+    }
+    return `This order is ${order.status} and can't be marked ${status}`;
+}
+
+// The receipt an accepted order becomes: the order without its status fields
+export function orderToReceipt(order) {
+    const { status, placedAt, statusHistory, ...receipt } = order;
+    return receipt;
+}
@@ -0,0 +1,270 @@
+// Google Sheets storage adapter
+// Forwards writes to the Apps Script webhook (SHEETS_WEBHOOK_URL) and reads the
+// published CSVs (STORE_PRODUCTS, CUSTOMERS_RECEIPTS, CUSTOMERS_ORDERS)
+
+import { isHtmlResponse } from './csv.mjs';
+
+const WEBHOOK_TIMEOUT_MS = 25000; // Mobile networks and Apps Script can be slow
+const USER_AGENT = 'Mozilla/5.0 (compatible; POS-System/1.0)';
+
+function requireSetting(env, name) {
+    const value = env[name];
+    if (!value) {
+        console.error(`${name} not configured in environment`);
+        throw new Error(`${name} not configured`);
+    }
+    return value;
+}
+
+export function createSheetsStorage(env) {
+    // POST an action payload to the Apps Script webhook and return its JSON result
+    async function postToWebhook(payload, description) {
+        const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(sheetsWebhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Google Sheets webhook returned error:', response.status, errorText);
+                throw new Error(`Failed to ${description}: ${response.status} ${response.statusText}`);
+            }
+
+            return await response.json();
+        } catch (fetchError) {
+            if (fetchError.name === 'AbortError') {
+                console.error('Request to Google Sheets timed out');
+                throw new Error('Request timed out - please check your network connection');
+            }
+            throw fetchError;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Fetch a published sheet as CSV (server-side, URL is hidden)
+    async function fetchCsv(settingName, description) {
+        const csvUrl = requireSetting(env, settingName);
+
+        const response = await fetch(csvUrl, {
+            headers: {
+                'Accept': 'text/csv',
+                'User-Agent': USER_AGENT
+            },
+            redirect: 'follow'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${description} CSV: ${response.status} ${response.statusText}`);
+        }
+
+        const csvText = await response.text();
+
+        // Verify it's actually CSV, not HTML
+        if (isHtmlResponse(csvText)) {
+            console.error('Received HTML instead of CSV. The Google Sheets URL may not be published correctly.');
+            throw new Error('Received HTML instead of CSV. Please ensure the Google Sheet is published as CSV and the URL is correct.');
+        }
+
+        return csvText;
+    }
+
+    return {
+        name: 'sheets',
+
+        getProductsCsv() {
+            return fetchCsv('STORE_PRODUCTS', 'products');
+        },
+
+        getCustomersReceiptsCsv() {
+            return fetchCsv('CUSTOMERS_RECEIPTS', 'customers');
+        },
+
+        getCustomerOrdersCsv() {
+            return fetchCsv('CUSTOMERS_ORDERS', 'customer orders');
+        },
+
+        async getReceipts(customerName) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const getReceiptsUrl = sheetsWebhookUrl.replace('/exec', '') + '?action=getReceipts&customer=' + encodeURIComponent(customerName);
+
+            const response = await fetch(getReceiptsUrl);
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch receipts: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        // Stock movement log kept by the Apps Script ("Stock Movements" sheet), newest first
+        async getStockMovements({ product, limit }) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const params = new URLSearchParams({ action: 'getStockMovements', limit: String(limit) });
+            if (product) {
+                params.set('product', product);
+            }
+
+            const response = await fetch(sheetsWebhookUrl.replace('/exec', '') + '?' + params.toString());
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch stock movements: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        // Purchase history kept by the Apps Script ("Purchases" sheet), one row per item, newest first
+        async getPurchases({ product, supplier, limit }) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const params = new URLSearchParams({ action: 'getPurchases', limit: String(limit) });
+            if (product) {
+                params.set('product', product);
+            }
+            if (supplier) {
+                params.set('supplier', supplier);
+            }
+
+            const response = await fetch(sheetsWebhookUrl.replace('/exec', '') + '?' + params.toString());
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch purchases: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        // Audit log kept by the Apps Script ("Audit Log" sheet), newest first
+        async getAuditLog({ customerName, action, from, to, limit }) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const params = new URLSearchParams({ action: 'getAuditLog', limit: String(limit) });
+            const filters = { customer: customerName, auditAction: action, from, to };
+            for (const [name, value] of Object.entries(filters)) {
+                if (value) {
+                    params.set(name, value);
+                }
+            }
+
+            const response = await fetch(sheetsWebhookUrl.replace('/exec', '') + '?' + params.toString());
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch audit log: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        addAuditEntry(entry) {
+            return postToWebhook({ action: 'addAuditEntry', entry }, 'write audit entry');
+        },
+
+        saveReceipt(receiptData) {
+            // The webhook treats a payload without an action as a receipt
+            return postToWebhook(receiptData, 'save receipt');
+        },
+
+        updatePayment({ customerName, receiptId, expectedVersion, entry, reverseEntryId }) {
+            return postToWebhook({ action: 'updatePayment', customerName, receiptId, expectedVersion, entry, reverseEntryId }, 'update payment');
+        },
+
+        receivePayment({ customerName, allocations, advanceEntry }) {
+            return postToWebhook({ action: 'receivePayment', customerName, allocations, advanceEntry }, 'receive payment');
+        },
+
+        saveCreditNote({ customerName, receiptId, expectedVersion, creditNote, balanceEntry, advanceEntry }) {
+            return postToWebhook({ action: 'saveCreditNote', customerName, receiptId, expectedVersion, creditNote, balanceEntry, advanceEntry }, 'save credit note');
+        },
+
+        amendReceipt({ customerName, receiptId, expectedVersion, changes, amendment }) {
+            return postToWebhook({ action: 'amendReceipt', customerName, receiptId, expectedVersion, changes, amendment }, 'amend receipt');
+        },
+
+        // Deletes go to the "Recycle Bin" sheet as entry `binId`; entries deleted before
+        // `purgeBefore` are removed for good on the way
+        deleteReceipt({ customerName, receiptId, binId, deletedAt, purgeBefore }) {
+            return postToWebhook({ action: 'deleteReceipt', customerName, receiptId, binId, deletedAt, purgeBefore }, 'delete receipt');
+        },
+
+        deleteCustomer({ customerName, binId, deletedAt, purgeBefore }) {
+            return postToWebhook({ action: 'deleteCustomer', customerName, binId, deletedAt, purgeBefore }, 'delete customer');
+        },
+
+        async getRecycleBin({ purgeBefore }) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const params = new URLSearchParams({ action: 'getRecycleBin', purgeBefore: purgeBefore || '' });
+
+            const response = await fetch(sheetsWebhookUrl.replace('/exec', '') + '?' + params.toString());
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch recycle bin: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        restoreDeleted({ binId, purgeBefore }) {
+            return postToWebhook({ action: 'restoreDeleted', binId, purgeBefore }, 'restore from the recycle bin');
+        },
+
+        savePurchase(purchaseData) {
+            return postToWebhook({ action: 'savePurchase', ...purchaseData }, 'save purchase');
+        },
+
+        saveOrder(orderData) {
+            return postToWebhook({ action: 'saveOrder', ...orderData }, 'save order');
+        },
+
+        async getOrders({ customerName, active, limit }) {
+            const sheetsWebhookUrl = requireSetting(env, 'SHEETS_WEBHOOK_URL');
+            const params = new URLSearchParams({ action: 'getOrders', limit: String(limit) });
+            if (customerName) {
+                params.set('customer', customerName);
+            }
+            if (active) {
+                params.set('active', '1');
+            }
+
+            const response = await fetch(sheetsWebhookUrl.replace('/exec', '') + '?' + params.toString());
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch orders: ${response.status} ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        updateOrderStatus({ customerName, orderId, status, by, at }) {
+            return postToWebhook({ action: 'updateOrderStatus', customerName, orderId, status, by, at }, `mark order ${status}`);
+        },
+
+        updateSpecialPrices({ customerName, specialPrices, expectedVersion }) {
+            return postToWebhook({ action: 'updateSpecialPrices', customerName, specialPrices: specialPrices || {}, expectedVersion }, 'update special prices');
+        },
+
+        // passwordHash is already hashed by lib/api/passwords.mjs; an empty string revokes access
+        setCustomerPassword({ customerName, passwordHash }) {
+            return postToWebhook({ action: 'setCustomerPassword', customerName, passwordHash: passwordHash || '' }, 'update customer password');
+        },
+
+        // An empty gstin clears it
+        setCustomerGstin({ customerName, gstin }) {
+            return postToWebhook({ action: 'setCustomerGstin', customerName, gstin: gstin || '' }, 'update customer GSTIN');
+        },
+
+        // One-time: give receipts saved before receipt IDs existed a permanent id
+        migrateReceiptIds() {
+            return postToWebhook({ action: 'migrateReceiptIds' }, 'migrate receipt IDs');
+        }
+    };
+}
@@ -0,0 +1,30 @@
+// One-time migration: give every receipt saved before receipt IDs existed a permanent id
+// Payments and deletes address receipts by id, so run this once after upgrading.
+// Migrates the backend selected by STORAGE_BACKEND (Google Sheets or the local file);
+// safe to run again - receipts that already have an id are left alone.
+//
+// Usage: npm run migrate-receipt-ids
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import { createStorage, registerStorageAdapter } from '../lib/storage/index.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+dotenv.config({ path: path.join(rootDir, 'build', '.env') });
+
+registerStorageAdapter('file', createFileStorage);
+const storage = createStorage(process.env);
+
+try {
+    console.log(`Migrating receipt IDs (${storage.name} storage)...`);
+    const result = await storage.migrateReceiptIds();
+    if (!result || result.success === false) {
+        throw new Error((result && result.error) || 'Migration failed');
+    }
+    console.log(`✅ Gave ${result.migrated} receipt(s) an ID`);
+} catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+}
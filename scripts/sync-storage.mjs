@@ -0,0 +1,81 @@
+// Sync the local JSON-file storage with Google Sheets
+// 1. Replays writes recorded while offline to the Apps Script webhook (oldest first)
+// 2. Pulls fresh products, receipts and orders from the published CSVs - only when there was
+//    nothing to push: Google republishes the CSVs a few minutes after a change, so a pull right
+//    after a push would overwrite the local file with data that is missing the pushed writes
+//
+// Usage: npm run sync            (push pending writes; pull if there were none)
+//        npm run sync -- --push  (only push pending writes)
+// After a push, run `npm run sync` again a few minutes later to pull.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import { createSheetsStorage } from '../lib/storage/sheets.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+dotenv.config({ path: path.join(rootDir, 'build', '.env') });
+
+const sheets = createSheetsStorage(process.env);
+const local = createFileStorage(process.env);
+const pushOnly = process.argv.includes('--push');
+const MAX_PULLED_ORDERS = 100000;
+
+async function pushPendingWrites() {
+    const pending = await local.getPendingSync();
+    console.log(`Pushing ${pending.length} pending write(s) to Google Sheets...`);
+
+    let sent = 0;
+    const rejected = []; // positions in `pending`
+    try {
+        for (const entry of pending) {
+            const result = await sheets[entry.operation](entry.args);
+            if (result && result.success === false) {
+                // Rejected by the Apps Script (e.g. a version conflict or customer already deleted) - keep it queued
+                console.error(`❌ Rejected ${entry.operation} from ${entry.recordedAt}: ${result.error}`);
+                rejected.push(sent);
+            }
+            sent++;
+        }
+    } finally {
+        // Only drop what Google Sheets accepted, so a failure can be retried
+        await local.clearPendingSync(sent, rejected);
+    }
+
+    console.log(`✅ Pushed ${sent - rejected.length} write(s)`);
+    return { pushed: sent - rejected.length, rejected: rejected.length };
+}
+
+async function pullSnapshot() {
+    console.log('Pulling products, receipts and orders from Google Sheets...');
+
+    const [productsCsv, customersReceiptsCsv, customerOrdersCsv, orderHistory] = await Promise.all([
+        sheets.getProductsCsv(),
+        sheets.getCustomersReceiptsCsv(),
+        sheets.getCustomerOrdersCsv(),
+        sheets.getOrders({ customerName: '', active: false, limit: MAX_PULLED_ORDERS })
+    ]);
+
+    // An Apps Script without the Orders sheet yet answers with an error - keep the local orders then
+    const orders = orderHistory.success === false ? undefined : orderHistory.orders;
+    await local.importSnapshot({ productsCsv, customersReceiptsCsv, customerOrdersCsv, orders });
+    console.log('✅ Local storage refreshed');
+}
+
+try {
+    const { pushed, rejected } = await pushPendingWrites();
+    if (rejected > 0) {
+        console.error(`❌ ${rejected} write(s) were rejected and are still in pendingSync - not pulling, so they aren't overwritten.`);
+        console.error('   Make the change in Google Sheets by hand (or remove the entry from the storage file), then sync again.');
+        process.exitCode = 1;
+    } else if (pushed > 0 && !pushOnly) {
+        console.log('Not pulling yet: the published CSVs take a few minutes to show the writes just pushed.');
+        console.log('Run `npm run sync` again in about 5 minutes to refresh local storage.');
+    } else if (!pushOnly) {
+        await pullSnapshot();
+    }
+} catch (error) {
+    console.error('❌ Sync failed:', error.message);
+    process.exitCode = 1;
+}
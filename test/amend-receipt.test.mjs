@@ -0,0 +1,120 @@
+// Amending saved receipts through /api/amend-receipt, stored by the file adapter
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+import { parseCsv } from '../lib/storage/csv.mjs';
+
+let tempDir;
+let env;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-amend-'));
+    env = { SESSION_SECRET: 'amend-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+    await storage.importSnapshot({
+        productsCsv: 'PRODUCT,RATE,STOCK INFO\nRice,50,10\n',
+        customersReceiptsCsv: 'CUSTOMER\n',
+        customerOrdersCsv: 'CUSTOMER,PASSWORD\n'
+    });
+    await storage.saveReceipt({
+        id: 'r1',
+        customerName: 'ANN',
+        date: '01/04/2026',
+        time: '10:00 am',
+        items: [{ name: 'Rice', quantity: 2, rate: 50, total: 100 }],
+        grandTotal: 100
+    });
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+async function call(routePath, body) {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute(routePath);
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query: {},
+        body: { customerName: 'ANN', receiptId: 'r1', ...body },
+        headers: { authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+function amend(quantity, { id = `amend-${quantity}`, expectedVersion = 0 } = {}) {
+    return call('/api/amend-receipt', {
+        id,
+        expectedVersion,
+        amendedBy: 'Ravi',
+        note: 'Wrong quantity',
+        receipt: { items: [{ name: 'Rice', quantity, rate: 50, total: quantity * 50 }], grandTotal: quantity * 50 }
+    });
+}
+
+async function getRiceStock() {
+    const [headers, ...rows] = parseCsv(await storage.getProductsCsv());
+    return parseFloat(rows.find(row => row[0] === 'Rice')[headers.indexOf('STOCK INFO')]);
+}
+
+test('an amended receipt keeps its id and the version it replaced', async () => {
+    assert.equal(await getRiceStock(), 8);
+
+    const { status, body } = await amend(3);
+    assert.equal(status, 200);
+    assert.equal(body.receipt.id, 'r1');
+    assert.equal(body.receipt.grandTotal, 150);
+    assert.equal(body.receipt.remainingBalance, 150);
+    assert.equal(body.receipt.version, 1);
+
+    const [amendment] = body.receipt.amendments;
+    assert.deepEqual([amendment.amendedBy, amendment.note], ['Ravi', 'Wrong quantity']);
+    assert.equal(amendment.before.grandTotal, 100);
+    assert.equal(amendment.before.items[0].quantity, 2);
+
+    // Stock follows the change in quantity
+    assert.equal(await getRiceStock(), 7);
+});
+
+test('a retried amendment is applied once, and a stale one gets a conflict', async () => {
+    await amend(3);
+    const retry = await amend(3);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.receipt.amendments.length, 1);
+
+    const stale = await amend(4, { expectedVersion: 0 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.current.grandTotal, 150);
+});
+
+test("the total can't go below what was paid", async () => {
+    await call('/api/update-receipt-payment', { expectedVersion: 0, payment: { amount: 80, method: 'cash' } });
+
+    const { status, body } = await amend(1, { expectedVersion: 1 });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'The new total is less than what has been paid - reverse a payment first');
+});
+
+test("receipts with returned items can't be amended", async () => {
+    await call('/api/save-return', { id: 'cn-1', expectedVersion: 0, refundMethod: 'cash', items: [{ name: 'Rice', quantity: 1 }] });
+
+    const { status, body } = await amend(3, { expectedVersion: 1 });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Receipts with returned items can't be edited");
+});
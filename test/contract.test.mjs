@@ -0,0 +1,274 @@
+// Contract tests: every route in lib/api/routes.mjs runs through both the Express adapter
+// (server.js) and the Cloudflare Pages Function in functions/api, against a mocked Apps Script
+// webhook and published CSVs. Both must answer alike and send the webhook the same calls.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { routes } from '../lib/api/routes.mjs';
+import { registerRoutes } from '../lib/api/express.mjs';
+import { createStorage } from '../lib/storage/index.mjs';
+import { createLoginStore } from '../lib/login-store/index.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+
+const WEBHOOK_URL = 'https://script.google.com/macros/s/contract-test/exec';
+
+const env = {
+    STORAGE_BACKEND: 'sheets',
+    PASSWORD: 'store-secret',
+    SESSION_SECRET: 'contract-test-session-secret',
+    SHEETS_WEBHOOK_URL: WEBHOOK_URL,
+    STORE_PRODUCTS: 'https://sheets.test/products.csv',
+    CUSTOMERS_RECEIPTS: 'https://sheets.test/customers-receipts.csv',
+    CUSTOMERS_ORDERS: 'https://sheets.test/customer-orders.csv',
+    STORE_GSTIN: '24ABCDE1234F1Z5'
+};
+
+const RECEIPT = {
+    id: 'r1',
+    date: '01/04/2026',
+    time: '10:00 am',
+    items: [{ name: 'Rice', quantity: 2, rate: 50, total: 100 }],
+    grandTotal: 100,
+    remainingBalance: 100,
+    paymentEntries: [],
+    version: 1
+};
+
+const CSV_FILES = {
+    [env.STORE_PRODUCTS]: 'PRODUCT,RATE,PURCHASE COST,STOCK INFO\nRice,50,40,10\nSugar,45,38,2\n',
+    [env.CUSTOMERS_RECEIPTS]: `CUSTOMER,RECEIPT 1\nJOHN,"${JSON.stringify(RECEIPT).replace(/"/g, '""')}"\nMARY,\n`,
+    [env.CUSTOMERS_ORDERS]: 'CUSTOMER,PASSWORD,ORDER,SPECIAL PRICES,VERSION,GSTIN\nJOHN,john-secret,,"{""Rice"":45}",1,\nMARY,,,,0,\n'
+};
+
+// Canned Apps Script answers by action (anything else gets { success: true })
+const WEBHOOK_RESULTS = {
+    getReceipts: { success: true, receipts: [RECEIPT] },
+    updatePayment: { success: true, receiptId: 'r1', remainingBalance: 50, version: 2 },
+    saveCreditNote: { success: true, receiptId: 'r1', version: 2 },
+    amendReceipt: { success: true, receiptId: 'r1', version: 2 },
+    getRecycleBin: { success: true, entries: [] },
+    restoreDeleted: { success: true, type: 'receipt', customerName: 'JOHN' },
+    getOrders: { success: true, orders: [] },
+    updateOrderStatus: { success: true, previousStatus: 'placed', order: { id: 'o1', status: 'accepted' } },
+    updateSpecialPrices: { success: true, version: 2 },
+    getStockMovements: { success: true, movements: [] },
+    getPurchases: { success: true, purchases: [] },
+    getAuditLog: { success: true, entries: [] }
+};
+
+// Each route at least once: [path, method, session ('store', 'customer' or none), body or query, expected status]
+const CASES = [
+    ['/api/save-receipt', 'POST', 'store', { id: 'r2', customerName: 'JOHN', items: RECEIPT.items, grandTotal: 100 }, 200],
+    ['/api/save-receipt', 'POST', 'customer', { customerName: 'JOHN' }, 403],
+    ['/api/save-receipt', 'POST', null, { customerName: 'JOHN' }, 401],
+    ['/api/products', 'GET', 'store', {}, 200],
+    ['/api/customers-receipts', 'GET', 'customer', {}, 200],
+    ['/api/receipts', 'GET', 'store', { customer: 'JOHN' }, 200],
+    ['/api/receipts', 'GET', 'customer', { customer: 'MARY' }, 403],
+    ['/api/receipts', 'GET', 'store', {}, 400],
+    ['/api/update-receipt-payment', 'POST', 'store', { customerName: 'JOHN', receiptId: 'r1', expectedVersion: 1, payment: { amount: 50, method: 'cash', date: '2026-04-02' } }, 200],
+    ['/api/update-receipt-payment', 'POST', 'store', { customerName: 'JOHN', receiptId: 'r1', expectedVersion: 1, payment: { amount: 0, method: 'cash' } }, 400],
+    ['/api/save-return', 'POST', 'store', { id: 'cn1', customerName: 'JOHN', receiptId: 'r1', expectedVersion: 1, items: [{ name: 'Rice', quantity: 1 }], refundMethod: 'balance', date: '02/04/2026', time: '11:00 am' }, 200],
+    ['/api/amend-receipt', 'POST', 'store', { id: 'a1', customerName: 'JOHN', receiptId: 'r1', expectedVersion: 1, receipt: { items: [{ name: 'Rice', quantity: 1, rate: 50 }], grandTotal: 50 } }, 200],
+    ['/api/delete-receipt', 'POST', 'store', { customerName: 'JOHN', receiptId: 'r1' }, 200],
+    ['/api/delete-receipt', 'POST', 'store', {}, 400],
+    ['/api/delete-customer', 'POST', 'store', { customerName: 'MARY' }, 200],
+    ['/api/recycle-bin', 'GET', 'store', {}, 200],
+    ['/api/restore-deleted', 'POST', 'store', { binId: 'b1' }, 200],
+    ['/api/customer-orders', 'GET', 'store', {}, 200],
+    ['/api/customer-orders', 'GET', 'customer', {}, 200],
+    ['/api/verify-password', 'POST', null, { password: 'store-secret' }, 200],
+    ['/api/verify-password', 'POST', null, { password: 'john-secret' }, 200],
+    ['/api/verify-password', 'POST', null, { password: 'wrong' }, 401],
+    ['/api/verify-password', 'POST', null, {}, 400],
+    ['/api/save-order', 'POST', 'customer', { id: 'o1', customerName: 'JOHN', items: [{ name: 'Rice', quantity: 1 }] }, 200],
+    ['/api/save-order', 'POST', 'customer', { id: 'o2', customerName: 'MARY', items: [] }, 403],
+    ['/api/orders', 'GET', 'customer', {}, 200],
+    ['/api/orders', 'GET', 'store', { active: '1' }, 200],
+    ['/api/update-order-status', 'POST', 'store', { customerName: 'JOHN', orderId: 'o1', status: 'accepted' }, 200],
+    ['/api/update-order-status', 'POST', 'customer', { customerName: 'JOHN', orderId: 'o1', status: 'accepted' }, 403],
+    ['/api/update-special-prices', 'POST', 'store', { customerName: 'JOHN', specialPrices: { Rice: 44 }, expectedVersion: 1 }, 200],
+    ['/api/customer-password', 'POST', 'store', { customerName: 'MARY', action: 'reset' }, 200],
+    ['/api/customer-password', 'POST', 'store', { customerName: 'MARY', action: 'set', password: 'x' }, 400],
+    ['/api/customer-gstin', 'POST', 'store', { customerName: 'JOHN', gstin: '24abcde1234f1z5' }, 200],
+    ['/api/customer-gstin', 'POST', 'store', { customerName: 'JOHN', gstin: 'NOT-A-GSTIN' }, 400],
+    ['/api/store-settings', 'GET', 'store', {}, 200],
+    ['/api/store-settings', 'GET', 'customer', {}, 403],
+    ['/api/login-events', 'GET', 'store', { limit: '5' }, 200],
+    ['/api/stock-movements', 'GET', 'store', { product: 'Rice' }, 200],
+    ['/api/save-purchase', 'POST', 'store', { id: 'p1', supplier: 'ACME', date: '2026-04-01', items: [{ name: 'Rice', quantity: 5, unitCost: 40 }] }, 200],
+    ['/api/save-purchase', 'POST', 'store', { supplier: 'ACME', items: [] }, 400],
+    ['/api/purchases', 'GET', 'store', { supplier: 'ACME' }, 200],
+    ['/api/reorder-suggestions', 'GET', 'store', { days: '7' }, 200],
+    ['/api/audit-log', 'GET', 'store', { action: 'save-receipt' }, 200],
+    ['/api/audit-log', 'GET', 'store', { action: 'nope' }, 400]
+];
+
+// Login events pile up across both runs, so only their status is compared
+const STATUS_ONLY_PATHS = ['/api/login-events'];
+
+// Generated ids, timestamps, tokens and password hashes differ from run to run
+const VOLATILE_KEYS = ['token', 'expires', 'password', 'passwordHash'];
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g;
+const ISO_TIME_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+function normalize(value) {
+    if (typeof value === 'string') {
+        return value.replace(UUID_PATTERN, '<uuid>').replace(ISO_TIME_PATTERN, '<time>');
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, VOLATILE_KEYS.includes(key) ? '<volatile>' : normalize(item)]));
+    }
+    return value;
+}
+
+function parseBody(text, contentType) {
+    return contentType.startsWith('application/json') ? normalize(JSON.parse(text)) : normalize(text);
+}
+
+let webhookCalls = [];
+// Work a Pages Function handed to context.waitUntil (the audit write), awaited before comparing
+let pendingWork = [];
+const realFetch = globalThis.fetch;
+
+// Stand-in for the Apps Script webhook and the published CSVs; anything else (the Express server) is real
+async function mockFetch(input, init = {}) {
+    const url = String(input instanceof Request ? input.url : input);
+    if (CSV_FILES[url] !== undefined) {
+        webhookCalls.push({ csv: url });
+        return new Response(CSV_FILES[url], { headers: { 'Content-Type': 'text/csv' } });
+    }
+    if (url.startsWith(WEBHOOK_URL.replace('/exec', ''))) {
+        const payload = init.method === 'POST'
+            ? JSON.parse(init.body)
+            : Object.fromEntries(new URL(url).searchParams);
+        webhookCalls.push({ method: init.method || 'GET', payload: normalize(payload) });
+        const result = WEBHOOK_RESULTS[payload.action] || { success: true };
+        return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+    }
+    return realFetch(input, init);
+}
+
+let server;
+let expressBaseUrl;
+const tokens = {};
+
+before(async () => {
+    globalThis.fetch = mockFetch;
+
+    const app = express();
+    app.use(express.json());
+    registerRoutes(app, routes, { env, storage: createStorage(env), loginStore: createLoginStore(env) });
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    expressBaseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    tokens.store = (await createSessionToken(env, { type: 'store' })).token;
+    tokens.customer = (await createSessionToken(env, { type: 'customer', customerName: 'JOHN' })).token;
+});
+
+after(async () => {
+    globalThis.fetch = realFetch;
+    await new Promise(resolve => server.close(resolve));
+});
+
+function buildRequest(baseUrl, path, method, sessionType, data) {
+    const url = new URL(path, baseUrl);
+    const headers = { 'User-Agent': 'contract-test' };
+    if (sessionType) {
+        headers.Authorization = `Bearer ${tokens[sessionType]}`;
+    }
+    if (method === 'GET') {
+        Object.entries(data).forEach(([key, value]) => url.searchParams.set(key, value));
+        return { url: url.toString(), init: { method, headers } };
+    }
+    headers['Content-Type'] = 'application/json';
+    return { url: url.toString(), init: { method, headers, body: JSON.stringify(data) } };
+}
+
+// Capture what one adapter answered and which webhook calls it made
+async function capture(send) {
+    webhookCalls = [];
+    pendingWork = [];
+    const response = await send();
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.text();
+    await Promise.all(pendingWork);
+    return {
+        status: response.status,
+        // Express adds "; charset=utf-8" to JSON responses - only the media type has to match
+        contentType: contentType.split(';')[0],
+        corsOrigin: response.headers.get('access-control-allow-origin'),
+        body: text ? parseBody(text, contentType) : null,
+        webhookCalls
+    };
+}
+
+async function loadPagesFunctions(path) {
+    return import(`../functions/api/${path.replace('/api/', '')}.js`);
+}
+
+async function callPagesFunction(path, method, sessionType, data) {
+    const { url, init } = buildRequest('https://pos.test', path, method, sessionType, data);
+    const functions = await loadPagesFunctions(path);
+    const handler = functions[method === 'GET' ? 'onRequestGet' : 'onRequestPost'];
+    assert.equal(typeof handler, 'function', `functions/api has no ${method} handler for ${path}`);
+    return handler({ request: new Request(url, init), env, waitUntil: promise => pendingWork.push(promise) });
+}
+
+function callExpress(path, method, sessionType, data) {
+    const { url, init } = buildRequest(expressBaseUrl, path, method, sessionType, data);
+    return realFetch(url, init);
+}
+
+test('every route has a contract case', () => {
+    const covered = new Set(CASES.map(([path, method]) => `${method} ${path}`));
+    const missing = routes.map(route => `${route.method} ${route.path}`).filter(key => !covered.has(key));
+    assert.deepEqual(missing, []);
+});
+
+for (const [path, method, sessionType, data, expectedStatus] of CASES) {
+    const label = `${method} ${path} as ${sessionType || 'anonymous'} -> ${expectedStatus}`;
+
+    test(`Express and Pages Functions agree: ${label}`, async () => {
+        const viaExpress = await capture(() => callExpress(path, method, sessionType, data));
+        const viaPages = await capture(() => callPagesFunction(path, method, sessionType, data));
+
+        assert.equal(viaExpress.status, expectedStatus, `Express: ${JSON.stringify(viaExpress.body)}`);
+        assert.equal(viaPages.status, expectedStatus, `Pages Functions: ${JSON.stringify(viaPages.body)}`);
+        assert.equal(viaPages.contentType, viaExpress.contentType);
+        assert.equal(viaPages.corsOrigin, viaExpress.corsOrigin);
+        if (!STATUS_ONLY_PATHS.includes(path)) {
+            assert.deepEqual(viaPages.body, viaExpress.body);
+            assert.deepEqual(viaPages.webhookCalls, viaExpress.webhookCalls);
+        }
+    });
+}
+
+test('every Pages Function answers the CORS preflight for its method', async () => {
+    for (const route of routes) {
+        const functions = await loadPagesFunctions(route.path);
+        const response = await functions.onRequestOptions({ request: new Request(`https://pos.test${route.path}`, { method: 'OPTIONS' }), env });
+        assert.equal(response.status, 204, route.path);
+        assert.match(response.headers.get('access-control-allow-methods') || '', new RegExp(route.method), route.path);
+    }
+});
+
+test('a malformed JSON body gets a 400 from both adapters', async () => {
+    const send = () => ({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens.store}` },
+        body: '{not json'
+    });
+    const viaExpress = await realFetch(`${expressBaseUrl}/api/save-receipt`, send());
+    const functions = await loadPagesFunctions('/api/save-receipt');
+    const viaPages = await functions.onRequestPost({ request: new Request('https://pos.test/api/save-receipt', send()), env });
+    assert.equal(viaPages.status, 400);
+    assert.equal(viaExpress.status, viaPages.status);
+});
@@ -0,0 +1,91 @@
+// Customer portal passwords: /api/customer-password and customer logins (lib/api/passwords.mjs)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { hashPassword } from '../lib/api/passwords.mjs';
+import { parseCsv } from '../lib/storage/csv.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+import { createMemoryLoginStore } from '../lib/login-store/memory.mjs';
+
+let tempDir;
+let env;
+let storage;
+const loginStore = createMemoryLoginStore();
+
+before(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-passwords-'));
+    env = { PASSWORD: 'store-secret', SESSION_SECRET: 'passwords-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+});
+
+after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+async function call(routePath, body, ip = '127.0.0.1') {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute(routePath);
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query: {},
+        body,
+        headers: { authorization: `Bearer ${token}` },
+        ip,
+        env,
+        storage,
+        loginStore,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+function setPassword(customerName, password) {
+    return call('/api/customer-password', { customerName, action: 'set', password });
+}
+
+async function getStoredPassword(customerName) {
+    const rows = parseCsv(await storage.getCustomerOrdersCsv()).slice(1);
+    return rows.find(columns => columns[0] === customerName)[1];
+}
+
+test('a customer logs in with the password the store set', async () => {
+    assert.equal((await setPassword('ANN', 'ann-pass')).status, 200);
+    assert.equal((await setPassword('BOB', 'bob-pass')).status, 200);
+
+    const login = await call('/api/verify-password', { password: 'bob-pass' }, '10.0.0.1');
+    assert.equal(login.status, 200);
+    assert.equal(login.body.customerName, 'BOB');
+});
+
+test("a password already used by another customer or the store can't be set", async () => {
+    await setPassword('CARL', 'carl-pass');
+
+    const taken = await setPassword('DAN', 'carl-pass');
+    assert.equal(taken.status, 400);
+    assert.equal(taken.body.error, 'This password is already in use - choose a different one');
+    assert.equal((await setPassword('DAN', 'store-secret')).status, 400);
+
+    // Setting the same password again for its own customer is fine
+    assert.equal((await setPassword('CARL', 'carl-pass')).status, 200);
+});
+
+test('a hash without a lookup key still logs in and is re-hashed with one', async () => {
+    const oldHash = await hashPassword('eve-pass');
+    await storage.setCustomerPassword({ customerName: 'EVE', passwordHash: oldHash });
+
+    const login = await call('/api/verify-password', { password: 'eve-pass' }, '10.0.0.2');
+    assert.equal(login.body.customerName, 'EVE');
+
+    const stored = await getStoredPassword('EVE');
+    assert.notEqual(stored, oldHash);
+    assert.equal(stored.split('$').length, 5);
+});
@@ -0,0 +1,126 @@
+// Local JSON-file storage (lib/storage/file.mjs)
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createFileStorage } from '../lib/storage/file.mjs';
+import { parseCsv } from '../lib/storage/csv.mjs';
+
+let tempDir;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-file-storage-'));
+    storage = createFileStorage({ STORAGE_FILE: path.join(tempDir, 'pos-data.json') });
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+function saveBill(id, grandTotal) {
+    return storage.saveReceipt({
+        id,
+        customerName: 'ANN',
+        date: '01/04/2026',
+        time: '10:00 am',
+        items: [{ name: 'Rice', quantity: 1, rate: grandTotal, total: grandTotal }],
+        grandTotal
+    });
+}
+
+async function getAdvanceBalance() {
+    const row = parseCsv(await storage.getCustomerOrdersCsv()).find(values => values[0] === 'ANN');
+    return row && row[5] ? JSON.parse(row[5]).balance : 0;
+}
+
+async function getRemainingBalance(receiptId) {
+    const { receipts } = await storage.getReceipts('ANN');
+    return receipts.find(r => r.id === receiptId).remainingBalance;
+}
+
+// ANN pays 30 in advance, and her next bill of 100 is paid from it
+async function saveBillPaidFromAdvance() {
+    await storage.receivePayment({
+        customerName: 'ANN',
+        allocations: [],
+        advanceEntry: { id: 'advance-1', amount: 30, method: 'cash', date: '2026-04-01', note: '', recordedBy: 'Store', recordedAt: '2026-04-01T09:00:00.000Z' }
+    });
+    await saveBill('r1', 100);
+    assert.equal(await getRemainingBalance('r1'), 70);
+    assert.equal(await getAdvanceBalance(), 0);
+}
+
+function deleteBill(receiptId) {
+    return storage.deleteReceipt({ customerName: 'ANN', receiptId, binId: `bin-${receiptId}`, deletedAt: new Date().toISOString(), purgeBefore: '' });
+}
+
+test('writes Google Sheets rejected stay in pendingSync', async () => {
+    for (const name of ['ANN', 'BOB', 'CAT', 'DAN']) {
+        await storage.setCustomerGstin({ customerName: name, gstin: '' });
+    }
+
+    // The first three were sent and the second one was rejected; DAN was never sent
+    await storage.clearPendingSync(3, [1]);
+
+    const pending = await storage.getPendingSync();
+    assert.deepEqual(pending.map(entry => entry.args.customerName), ['BOB', 'DAN']);
+});
+
+test('an exported snapshot imports back unchanged, GSTIN included', async () => {
+    await storage.importSnapshot({
+        productsCsv: 'PRODUCT,RATE,PURCHASE COST,STOCK INFO\nRice,50,40,10\n',
+        customersReceiptsCsv: 'CUSTOMER\n',
+        customerOrdersCsv: 'CUSTOMER\n'
+    });
+    await storage.saveReceipt({
+        id: 'r1',
+        customerName: 'ANN',
+        date: '01/04/2026',
+        time: '10:00 am',
+        items: [{ name: 'Rice', quantity: 2, rate: 50, total: 100 }],
+        grandTotal: 100
+    });
+    await storage.updateSpecialPrices({ customerName: 'ANN', specialPrices: { Rice: 45 }, expectedVersion: 0 });
+    await storage.setCustomerPassword({ customerName: 'ANN', passwordHash: 'pbkdf2$100000$salt$hash' });
+    await storage.setCustomerGstin({ customerName: 'ANN', gstin: '24ABCDE1234F1Z5' });
+
+    const snapshot = {
+        productsCsv: await storage.getProductsCsv(),
+        customersReceiptsCsv: await storage.getCustomersReceiptsCsv(),
+        customerOrdersCsv: await storage.getCustomerOrdersCsv()
+    };
+    assert.match(snapshot.customerOrdersCsv, /24ABCDE1234F1Z5/);
+
+    const copy = createFileStorage({ STORAGE_FILE: path.join(tempDir, 'copy.json') });
+    await copy.importSnapshot(snapshot);
+    assert.equal(await copy.getProductsCsv(), snapshot.productsCsv);
+    assert.equal(await copy.getCustomersReceiptsCsv(), snapshot.customersReceiptsCsv);
+    assert.equal(await copy.getCustomerOrdersCsv(), snapshot.customerOrdersCsv);
+});
+
+test('deleting a bill gives back the advance credit it was paid with, restoring takes it again', async () => {
+    await saveBillPaidFromAdvance();
+
+    await deleteBill('r1');
+    assert.equal(await getAdvanceBalance(), 30);
+
+    assert.equal((await storage.restoreDeleted({ binId: 'bin-r1', purgeBefore: '' })).success, true);
+    assert.equal(await getAdvanceBalance(), 0);
+    assert.equal(await getRemainingBalance('r1'), 70);
+});
+
+test('a restored bill owes the advance credit spent while it was deleted', async () => {
+    await saveBillPaidFromAdvance();
+    await deleteBill('r1');
+
+    // The credit given back pays 20 of a new bill, leaving 10
+    await saveBill('r2', 20);
+    assert.equal(await getAdvanceBalance(), 10);
+
+    await storage.restoreDeleted({ binId: 'bin-r1', purgeBefore: '' });
+    assert.equal(await getAdvanceBalance(), 0);
+    assert.equal(await getRemainingBalance('r1'), 90);
+});
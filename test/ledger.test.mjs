@@ -0,0 +1,108 @@
+// Per-receipt payment ledger and advance credit (lib/storage/ledger.mjs)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    recordPaymentEntry,
+    addAdvanceEntry,
+    applyAdvanceToReceipt,
+    getAdvancePaid,
+    refundAdvanceFromReceipt,
+    retakeAdvanceForReceipt,
+    getRemainingBalance
+} from '../lib/storage/ledger.mjs';
+
+function payment(id, amount, method = 'cash') {
+    return { id, amount, method, date: '2026-04-01', note: '', recordedBy: 'Store', recordedAt: '2026-04-01T10:00:00.000Z' };
+}
+
+test('a payment updates the totals and the remaining balance', () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    assert.equal(recordPaymentEntry(receipt, payment('p1', 30)), null);
+    assert.equal(recordPaymentEntry(receipt, payment('p2', 20, 'upi')), null);
+
+    assert.deepEqual(receipt.payments, { cash: 30, online: 20 });
+    assert.equal(receipt.remainingBalance, 50);
+});
+
+test('a payment above the remaining balance is rejected', () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    recordPaymentEntry(receipt, payment('p1', 80));
+
+    assert.equal(recordPaymentEntry(receipt, payment('p2', 20.01)), 'Payment is more than the remaining balance');
+    assert.equal(receipt.paymentEntries.length, 1);
+    assert.equal(recordPaymentEntry(receipt, payment('p2', 20)), null);
+    assert.equal(receipt.remainingBalance, 0);
+});
+
+test('a reversal cancels the original entry once, keeping both in the history', () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    recordPaymentEntry(receipt, payment('p1', 40, 'card'));
+
+    assert.equal(recordPaymentEntry(receipt, payment('rev1', 0), 'p1'), null);
+    const reversal = receipt.paymentEntries[1];
+    assert.deepEqual([reversal.amount, reversal.method, reversal.reverses], [-40, 'card', 'p1']);
+    assert.equal(receipt.remainingBalance, 100);
+
+    assert.equal(recordPaymentEntry(receipt, payment('rev2', 0), 'p1'), 'Payment entry is already reversed');
+    assert.equal(recordPaymentEntry(receipt, payment('rev3', 0), 'rev1'), 'Payment entry not found');
+    assert.equal(receipt.paymentEntries.length, 2);
+});
+
+test('cash and online totals from before the ledger become its first entries', () => {
+    const receipt = { id: 'r1', grandTotal: 100, payments: { cash: 30, online: 20 } };
+    recordPaymentEntry(receipt, payment('p1', 10));
+
+    assert.deepEqual(receipt.paymentEntries.map(e => [e.id, e.method, e.amount]), [
+        ['legacy-cash', 'cash', 30],
+        ['legacy-online', 'upi', 20],
+        ['p1', 'cash', 10]
+    ]);
+    assert.equal(receipt.remainingBalance, 40);
+});
+
+test("entries paid from advance credit can't be reversed", () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    applyAdvanceToReceipt(receipt, addAdvanceEntry(null, payment('a1', 60)));
+    const advanceEntry = receipt.paymentEntries[0];
+
+    assert.equal(recordPaymentEntry(receipt, payment('rev', 0), advanceEntry.id), "Advance entries can't be reversed");
+    assert.equal(getRemainingBalance(receipt), 40);
+});
+
+test('advance credit pays a new bill, comes back when it is deleted and is taken again on restore', () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    let advance = addAdvanceEntry(null, payment('a1', 60));
+
+    advance = applyAdvanceToReceipt(receipt, advance);
+    assert.equal(advance.balance, 0);
+    assert.equal(getAdvancePaid(receipt), 60);
+    assert.equal(getRemainingBalance(receipt), 40);
+
+    advance = refundAdvanceFromReceipt(receipt, advance);
+    assert.equal(advance.balance, 60);
+
+    advance = retakeAdvanceForReceipt(receipt, advance);
+    assert.equal(advance.balance, 0);
+    assert.equal(getRemainingBalance(receipt), 40);
+});
+
+test('a bill restored after its credit was spent elsewhere owes the difference', () => {
+    const receipt = { id: 'r1', grandTotal: 100, version: 2 };
+    let advance = applyAdvanceToReceipt(receipt, addAdvanceEntry(null, payment('a1', 60)));
+    advance = refundAdvanceFromReceipt(receipt, advance);
+    advance = addAdvanceEntry(advance, { ...payment('spent', -45, 'advance'), receiptId: 'r2' });
+
+    advance = retakeAdvanceForReceipt(receipt, advance);
+    assert.equal(advance.balance, 0);
+    assert.equal(getAdvancePaid(receipt), 15);
+    assert.equal(getRemainingBalance(receipt), 85);
+    assert.equal(receipt.version, 3);
+});
+
+test('nothing is applied when there is no advance credit', () => {
+    const receipt = { id: 'r1', grandTotal: 100 };
+    assert.equal(applyAdvanceToReceipt(receipt, null), null);
+    assert.equal(refundAdvanceFromReceipt(receipt, null), null);
+    assert.equal(getRemainingBalance(receipt), 100);
+});
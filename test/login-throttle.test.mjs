@@ -0,0 +1,72 @@
+// Login throttling in /api/verify-password (lib/api/login-throttle.mjs)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyPassword } from '../lib/api/handlers.mjs';
+
+const env = { PASSWORD: 'store-secret', SESSION_SECRET: 'login-throttle-test-secret' };
+const storage = { getCustomerOrdersCsv: async () => 'CUSTOMER,PASSWORD\n' };
+
+// A fresh store per test (the memory login store is shared by the whole process)
+function createTestLoginStore() {
+    const counters = new Map();
+    return {
+        async getCounter(key) {
+            return counters.get(key) || null;
+        },
+        async putCounter(key, record) {
+            counters.set(key, record);
+        },
+        async deleteCounter(key) {
+            counters.delete(key);
+        },
+        async addEvent() {},
+        async listEvents() {
+            return [];
+        }
+    };
+}
+
+let loginStore;
+
+beforeEach(() => {
+    loginStore = createTestLoginStore();
+});
+
+function login(password, ip) {
+    return verifyPassword({ body: { password }, headers: {}, ip, env, storage, loginStore });
+}
+
+test('correct password still logs in while the account counter is locked', async () => {
+    // As if 100 failures came from other IPs (counter key from login-throttle.mjs)
+    await loginStore.putCounter('account:password-login', { failures: 100, blockedUntil: Date.now() + 15 * 60 * 1000 });
+
+    const started = Date.now();
+    const response = await login('store-secret', '10.0.1.1');
+    assert.equal(response.status, 200);
+    assert.equal(JSON.parse(response.body).type, 'store');
+    // ...but only after the account backoff delay
+    assert.ok(Date.now() - started >= 1900);
+});
+
+test("a successful login doesn't reset the IP counter", async () => {
+    for (let i = 0; i < 3; i++) {
+        await login('wrong-guess', '10.0.0.1');
+    }
+    assert.equal((await login('store-secret', '10.0.0.1')).status, 200);
+
+    // The 4th failure starts the backoff, as if the successful login never happened
+    assert.equal((await login('wrong-guess', '10.0.0.1')).status, 401);
+    assert.equal((await login('store-secret', '10.0.0.1')).status, 429);
+});
+
+test('an IP that keeps failing is locked out, even with the right password', async () => {
+    for (let i = 0; i < 10; i++) {
+        await login('wrong-guess', '10.0.0.1');
+    }
+    const response = await login('store-secret', '10.0.0.1');
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers['Retry-After']) > 0);
+
+    assert.equal((await login('store-secret', '10.0.0.2')).status, 200);
+});
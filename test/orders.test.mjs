@@ -0,0 +1,63 @@
+// Orders through the shared handlers, stored by the file adapter (lib/storage/file.mjs)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+
+let tempDir;
+let env;
+let storage;
+
+before(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-orders-'));
+    env = { SESSION_SECRET: 'orders-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+});
+
+after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+async function call(routePath, session, { body = {}, query = {} } = {}) {
+    const { token } = await createSessionToken(env, session);
+    const route = getRoute(routePath);
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query,
+        body,
+        headers: { authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('a customer order is saved under the name in the session', async () => {
+    const session = { type: 'customer', customerName: 'BOB' };
+    const saved = await call('/api/save-order', session, {
+        body: { id: 'order-1', customerName: 'bob', items: [{ name: 'Rice', quantity: 1, rate: 50, total: 50 }], grandTotal: 50 }
+    });
+    assert.equal(saved.status, 200);
+
+    const { body } = await call('/api/orders', { type: 'store' }, { query: { customer: 'BOB' } });
+    assert.deepEqual(body.orders.map(order => [order.id, order.customerName]), [['order-1', 'BOB']]);
+});
+
+test('a customer cannot place an order under another name', async () => {
+    const saved = await call('/api/save-order', { type: 'customer', customerName: 'BOB' }, {
+        body: { id: 'order-2', customerName: 'ALICE', items: [] }
+    });
+    assert.equal(saved.status, 403);
+});
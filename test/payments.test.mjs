@@ -0,0 +1,100 @@
+// Lump-sum payments through /api/update-receipt-payment, stored by the file adapter
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+
+let tempDir;
+let env;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-payments-'));
+    env = { SESSION_SECRET: 'payments-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+    await saveBill('r1', 100);
+    await saveBill('r2', 50);
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+function saveBill(id, grandTotal) {
+    return storage.saveReceipt({
+        id,
+        customerName: 'ANN',
+        date: '01/04/2026',
+        time: '10:00 am',
+        items: [{ name: 'Rice', quantity: 1, rate: grandTotal, total: grandTotal }],
+        grandTotal
+    });
+}
+
+async function receivePayment(amount, allocations) {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute('/api/update-receipt-payment');
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query: {},
+        body: { customerName: 'ANN', payment: { amount, method: 'cash', date: '2026-04-02' }, allocations },
+        headers: { authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('a lump sum pays the allocated bills and keeps the rest as advance credit', async () => {
+    const { status, body } = await receivePayment(200, [
+        { receiptId: 'r1', amount: 100, expectedVersion: 0 },
+        { receiptId: 'r2', amount: 50, expectedVersion: 0 }
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.receipts.map(r => [r.receiptId, r.remainingBalance]), [['r1', 0], ['r2', 0]]);
+    assert.equal(body.advance.balance, 50);
+
+    // Every entry of the payment shares one paymentGroupId
+    const groupIds = new Set([...body.receipts.flatMap(r => r.paymentEntries), ...body.advance.entries].map(e => e.paymentGroupId));
+    assert.equal(groupIds.size, 1);
+});
+
+test('allocating more than was received is rejected', async () => {
+    const { status, body } = await receivePayment(100, [
+        { receiptId: 'r1', amount: 100, expectedVersion: 0 },
+        { receiptId: 'r2', amount: 10, expectedVersion: 0 }
+    ]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Allocated more than the amount received');
+});
+
+test('a lump sum is applied to all its bills or none', async () => {
+    const { body } = await receivePayment(170, [
+        { receiptId: 'r1', amount: 100, expectedVersion: 0 },
+        { receiptId: 'r2', amount: 70, expectedVersion: 0 }
+    ]);
+    assert.equal(body.error, 'Payment is more than the remaining balance');
+
+    const { receipts } = await storage.getReceipts('ANN');
+    assert.deepEqual(receipts.map(r => [r.id, r.remainingBalance]).sort(), [['r1', 100], ['r2', 50]]);
+});
+
+test('a stale bill version gets a conflict', async () => {
+    await receivePayment(10, [{ receiptId: 'r1', amount: 10, expectedVersion: 0 }]);
+
+    const { status, body } = await receivePayment(10, [{ receiptId: 'r1', amount: 10, expectedVersion: 0 }]);
+    assert.equal(status, 409);
+    assert.equal(body.current.receipts[0].remainingBalance, 90);
+});
@@ -0,0 +1,109 @@
+// Stock receiving through /api/save-purchase and /api/purchases, stored by the file adapter
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+import { parseCsv } from '../lib/storage/csv.mjs';
+
+let tempDir;
+let env;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-purchases-'));
+    env = { SESSION_SECRET: 'purchases-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+    await storage.importSnapshot({
+        productsCsv: 'PRODUCT,RATE,STOCK INFO,PURCHASE COST\nRice,50,10,40\nSugar,45,0,0\n',
+        customersReceiptsCsv: 'CUSTOMER\n',
+        customerOrdersCsv: 'CUSTOMER,PASSWORD\n'
+    });
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+async function call(routePath, { body = {}, query = {}, headers = {} } = {}) {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute(routePath);
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query,
+        body,
+        headers: { ...headers, authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+function savePurchase(id, supplier, items) {
+    return call('/api/save-purchase', {
+        body: { supplier, invoiceNumber: `INV-${id}`, date: '2026-04-01', items },
+        headers: { 'idempotency-key': id }
+    });
+}
+
+async function getProduct(name) {
+    const [headers, ...rows] = parseCsv(await storage.getProductsCsv());
+    const row = rows.find(values => values[0] === name);
+    return { stock: parseFloat(row[headers.indexOf('STOCK INFO')]), cost: parseFloat(row[headers.indexOf('PURCHASE COST')]) };
+}
+
+test('a purchase adds stock and averages the purchase cost', async () => {
+    const { status, body } = await savePurchase('p1', 'Mehta Traders', [
+        { name: 'rice', quantity: 10, unitCost: 50 },
+        { name: 'Sugar', quantity: 5, unitCost: 36 }
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(item => [item.name, item.total, item.costAfter]), [['Rice', 500, 45], ['Sugar', 180, 36]]);
+
+    // 10 at 40 and 10 at 50; Sugar had no stock, so it simply takes the new cost
+    assert.deepEqual(await getProduct('Rice'), { stock: 20, cost: 45 });
+    assert.deepEqual(await getProduct('Sugar'), { stock: 5, cost: 36 });
+});
+
+test('a retried purchase is saved once', async () => {
+    await savePurchase('p1', 'Mehta Traders', [{ name: 'Rice', quantity: 10, unitCost: 50 }]);
+    const retry = await savePurchase('p1', 'Mehta Traders', [{ name: 'Rice', quantity: 10, unitCost: 50 }]);
+
+    assert.equal(retry.body.duplicate, true);
+    assert.equal((await getProduct('Rice')).stock, 20);
+});
+
+test('a purchase of an unknown product changes nothing', async () => {
+    const { status, body } = await savePurchase('p1', 'Mehta Traders', [
+        { name: 'Rice', quantity: 10, unitCost: 50 },
+        { name: 'Salt', quantity: 5, unitCost: 10 }
+    ]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Product not found: Salt');
+    assert.equal((await getProduct('Rice')).stock, 10);
+});
+
+test('the purchase history is newest first and can be narrowed to a supplier or product', async () => {
+    await savePurchase('p1', 'Mehta Traders', [{ name: 'Rice', quantity: 10, unitCost: 50 }]);
+    await savePurchase('p2', 'Shah & Sons', [{ name: 'Rice', quantity: 5, unitCost: 42 }, { name: 'Sugar', quantity: 5, unitCost: 36 }]);
+
+    const all = await call('/api/purchases');
+    assert.deepEqual(all.body.purchases.map(row => [row.purchaseId, row.name]), [['p2', 'Rice'], ['p2', 'Sugar'], ['p1', 'Rice']]);
+
+    const bySupplier = await call('/api/purchases', { query: { supplier: 'mehta traders' } });
+    assert.deepEqual(bySupplier.body.purchases.map(row => row.purchaseId), ['p1']);
+
+    const byProduct = await call('/api/purchases', { query: { product: 'Sugar' } });
+    assert.deepEqual(byProduct.body.purchases.map(row => [row.supplier, row.invoiceNumber]), [['Shah & Sons', 'INV-p2']]);
+});
@@ -0,0 +1,124 @@
+// Recycle bin through /api/delete-receipt, /api/delete-customer and /api/restore-deleted (file adapter)
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+import { parseCsv } from '../lib/storage/csv.mjs';
+
+let tempDir;
+let env;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-recycle-bin-'));
+    env = { SESSION_SECRET: 'recycle-bin-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+
+    // ANN has 30 in advance credit, which pays part of her second bill
+    await saveBill('r1', 50);
+    await storage.receivePayment({
+        customerName: 'ANN',
+        allocations: [],
+        advanceEntry: { id: 'advance-1', amount: 30, method: 'cash', date: '2026-04-01', note: '', recordedBy: 'Store', recordedAt: '2026-04-01T09:00:00.000Z' }
+    });
+    await saveBill('r2', 100);
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+function saveBill(id, grandTotal) {
+    return storage.saveReceipt({
+        id,
+        customerName: 'ANN',
+        date: '01/04/2026',
+        time: '10:00 am',
+        items: [{ name: 'Rice', quantity: 1, rate: grandTotal, total: grandTotal }],
+        grandTotal
+    });
+}
+
+async function call(routePath, body = {}, query = {}) {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute(routePath);
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query,
+        body,
+        headers: { authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+async function getBinId() {
+    const { body } = await call('/api/recycle-bin');
+    return body.entries[0].id;
+}
+
+async function getReceiptIds() {
+    const { receipts = [] } = await storage.getReceipts('ANN');
+    return receipts.map(r => r.id);
+}
+
+async function getAdvanceBalance() {
+    const row = parseCsv(await storage.getCustomerOrdersCsv()).find(values => values[0] === 'ANN');
+    return row && row[5] ? JSON.parse(row[5]).balance : 0;
+}
+
+test('a deleted receipt gives its advance credit back, and a restored one goes back in its place', async () => {
+    const deleted = await call('/api/delete-receipt', { customerName: 'ANN', receiptId: 'r2' });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.advance.balance, 30);
+    assert.deepEqual(await getReceiptIds(), ['r1']);
+
+    const { body } = await call('/api/recycle-bin');
+    assert.equal(body.retentionDays, 30);
+    assert.deepEqual(body.entries.map(entry => [entry.type, entry.receipt.id]), [['receipt', 'r2']]);
+
+    const restored = await call('/api/restore-deleted', { binId: body.entries[0].id });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(await getReceiptIds(), ['r2', 'r1']);
+    assert.equal(await getAdvanceBalance(), 0);
+});
+
+test('a recycle bin entry can only be restored once', async () => {
+    await call('/api/delete-receipt', { customerName: 'ANN', receiptId: 'r1' });
+    const binId = await getBinId();
+    await call('/api/restore-deleted', { binId });
+
+    const again = await call('/api/restore-deleted', { binId });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, 'Not in the recycle bin - it was already restored or has been purged');
+    assert.deepEqual(await getReceiptIds(), ['r2', 'r1']);
+});
+
+test('a deleted customer comes back with all their receipts', async () => {
+    await call('/api/delete-customer', { customerName: 'ANN' });
+    assert.deepEqual(await getReceiptIds(), []);
+
+    await call('/api/restore-deleted', { binId: await getBinId() });
+    assert.deepEqual(await getReceiptIds(), ['r2', 'r1']);
+});
+
+test('entries older than RECYCLE_BIN_DAYS are purged', async () => {
+    await storage.deleteReceipt({ customerName: 'ANN', receiptId: 'r1', binId: 'old', deletedAt: '2020-01-01T00:00:00.000Z', purgeBefore: '' });
+
+    const { body } = await call('/api/recycle-bin');
+    assert.deepEqual(body.entries, []);
+    assert.equal((await call('/api/restore-deleted', { binId: 'old' })).status, 400);
+});
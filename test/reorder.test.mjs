@@ -0,0 +1,63 @@
+// Reorder suggestions (lib/api/reorder.mjs)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReorderSuggestions } from '../lib/api/reorder.mjs';
+import { toCsv } from '../lib/storage/csv.mjs';
+
+const today = new Date(2026, 3, 30);
+
+const productsCsv = toCsv([
+    ['PRODUCT', 'RATE', 'STOCK INFO', 'PURCHASE COST', 'MIN STOCK', 'SUPPLIER'],
+    ['Rice', '50', '4', '40', '10', 'Mehta Traders'],
+    ['Sugar', '45', '', '38', '10', ''],
+    ['Salt', '20', '100', '15', '5', '']
+]);
+
+const receiptsCsv = toCsv([
+    ['CUSTOMER', 'RECEIPT 1'],
+    ['ANN', JSON.stringify({ date: '29/04/2026', items: [{ name: 'Rice', quantity: 30 }, { name: 'Sugar', quantity: 30 }] })]
+]);
+
+test('products below their minimum are suggested, grouped by supplier', () => {
+    const groups = buildReorderSuggestions({ productsCsv, receiptsCsv, purchases: [], days: 30, today });
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].supplier, 'Mehta Traders');
+    const [rice] = groups[0].items;
+    assert.equal(rice.name, 'Rice');
+    assert.equal(rice.belowMinimum, true);
+    // 10 minimum + 30 sold in 30 days - 4 in stock
+    assert.equal(rice.suggestedQuantity, 36);
+    assert.equal(rice.estimatedCost, 1440);
+});
+
+test('products with an empty STOCK INFO cell are not suggested', () => {
+    const groups = buildReorderSuggestions({ productsCsv, receiptsCsv, purchases: [], days: 30, today });
+    const names = groups.flatMap(group => group.items.map(item => item.name));
+    assert.ok(!names.includes('Sugar'));
+});
+
+test('without a SUPPLIER, a product is grouped under whoever it was last bought from', () => {
+    const purchases = [
+        { name: 'Salt', supplier: 'Shah & Sons' },
+        { name: 'Salt', supplier: 'Mehta Traders' }
+    ];
+    const saltCsv = toCsv([['PRODUCT', 'STOCK INFO', 'MIN STOCK'], ['Salt', '2', '5']]);
+    const groups = buildReorderSuggestions({ productsCsv: saltCsv, receiptsCsv, purchases, days: 30, today });
+
+    assert.deepEqual(groups.map(group => group.supplier), ['Shah & Sons']);
+});
+
+test('a product whose stock will run out within the window is suggested, soonest first', () => {
+    const csv = toCsv([['PRODUCT', 'STOCK INFO'], ['Rice', '20'], ['Oil', '5'], ['Salt', '100']]);
+    const sales = toCsv([
+        ['CUSTOMER', 'RECEIPT 1', 'RECEIPT 2'],
+        ['ANN', JSON.stringify({ date: '29/04/2026', items: [{ name: 'Rice', quantity: 30 }, { name: 'Oil', quantity: 30 }] }),
+            // Sold before the window, so not counted
+            JSON.stringify({ date: '01/01/2026', items: [{ name: 'Salt', quantity: 500 }] })]
+    ]);
+    const [group] = buildReorderSuggestions({ productsCsv: csv, receiptsCsv: sales, purchases: [], days: 30, today });
+
+    assert.deepEqual(group.items.map(item => [item.name, item.daysLeft, item.suggestedQuantity]), [['Oil', 5, 25], ['Rice', 20, 10]]);
+});
@@ -0,0 +1,146 @@
+// Returns and credit notes (lib/api/returns.mjs, /api/save-return with the file adapter)
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { buildCreditNote } from '../lib/api/returns.mjs';
+import { getRoute } from '../lib/api/routes.mjs';
+import { dispatch } from '../lib/api/dispatch.mjs';
+import { createSessionToken } from '../lib/api/session.mjs';
+import { createFileStorage } from '../lib/storage/file.mjs';
+
+// 10% bill discount: 2 Rice at 50 and 1 Oil at 100 come to 180
+const receipt = {
+    id: 'r1',
+    customerName: 'ANN',
+    date: '01/04/2026',
+    time: '10:00 am',
+    items: [
+        { name: 'Rice', quantity: 2, rate: 50, total: 100, purchaseCost: 40 },
+        { name: 'Oil', quantity: 1, rate: 100, total: 100, purchaseCost: 80 }
+    ],
+    grandTotal: 180
+};
+
+function build(items, { creditNotes = [], refundMethod = 'balance', bill = receipt } = {}) {
+    return buildCreditNote({
+        receipt: bill,
+        creditNotes,
+        items,
+        refundMethod,
+        reason: 'Damaged',
+        id: `cn-${creditNotes.length + 1}`,
+        date: '02/04/2026',
+        time: '11:00 am',
+        recordedBy: 'Store'
+    });
+}
+
+test('returned items are valued at what was paid for them, after the bill discount', () => {
+    const { creditNote, balanceEntry, advanceEntry } = build([{ name: 'rice', quantity: 1 }]);
+
+    assert.deepEqual(creditNote.items.map(item => [item.name, item.quantity, item.total]), [['Rice', -1, -45]]);
+    assert.equal(creditNote.grandTotal, -45);
+    // 45 paid, 40 cost
+    assert.equal(creditNote.profitMargin, -5);
+    assert.equal(balanceEntry.amount, 45);
+    assert.equal(balanceEntry.method, 'credit-note');
+    assert.equal(advanceEntry, null);
+});
+
+test("items can't be returned twice or beyond what was bought", () => {
+    const { creditNote } = build([{ name: 'Rice', quantity: 2 }]);
+
+    assert.deepEqual(build([{ name: 'Rice', quantity: 1 }], { creditNotes: [creditNote] }), { error: 'Only 0 of Rice can be returned' });
+    assert.deepEqual(build([{ name: 'Oil', quantity: 2 }]), { error: 'Only 1 of Oil can be returned' });
+    assert.deepEqual(build([{ name: 'Sugar', quantity: 1 }]), { error: 'Invalid return item: Sugar' });
+    assert.deepEqual(build([]), { error: 'Choose at least one item to return' });
+});
+
+test('a refund beyond the remaining balance becomes advance credit; a cash refund touches neither', () => {
+    const paid = { ...receipt, paymentEntries: [{ id: 'p1', amount: 150, method: 'cash' }] };
+
+    const toBalance = build([{ name: 'Oil', quantity: 1 }], { bill: paid });
+    assert.deepEqual([toBalance.balanceEntry.amount, toBalance.advanceEntry.amount], [30, 60]);
+    assert.deepEqual(toBalance.creditNote.refund, { method: 'balance', toBalance: 30, toAdvance: 60, cash: 0 });
+
+    const inCash = build([{ name: 'Oil', quantity: 1 }], { bill: paid, refundMethod: 'cash' });
+    assert.equal(inCash.balanceEntry, null);
+    assert.equal(inCash.advanceEntry, null);
+    assert.equal(inCash.creditNote.refund.cash, 90);
+});
+
+// ---- /api/save-return ----
+
+let tempDir;
+let env;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await mkdtemp(path.join(tmpdir(), 'pos-returns-'));
+    env = { SESSION_SECRET: 'returns-test-secret', STORAGE_FILE: path.join(tempDir, 'pos-data.json') };
+    storage = createFileStorage(env);
+    await storage.saveReceipt(receipt);
+});
+
+afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+async function saveReturn(body) {
+    const { token } = await createSessionToken(env, { type: 'store' });
+    const route = getRoute('/api/save-return');
+    const pending = [];
+    const response = await dispatch(route, {
+        method: route.method,
+        query: {},
+        body: { customerName: 'ANN', receiptId: 'r1', refundMethod: 'balance', ...body },
+        headers: { authorization: `Bearer ${token}` },
+        ip: '127.0.0.1',
+        env,
+        storage,
+        loginStore: null,
+        // Wait for the audit entry too, so the temp dir isn't removed while it is written
+        waitUntil: promise => pending.push(promise)
+    });
+    await Promise.all(pending);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('a saved return takes the credit off the bill and sits next to it', async () => {
+    const { status, body } = await saveReturn({ id: 'cn-1', expectedVersion: 0, items: [{ name: 'Oil', quantity: 1 }] });
+    assert.equal(status, 200);
+    assert.equal(body.receipt.remainingBalance, 90);
+
+    const { receipts } = await storage.getReceipts('ANN');
+    assert.deepEqual(receipts.map(r => [r.id, r.type || 'receipt']), [['cn-1', 'creditNote'], ['r1', 'receipt']]);
+});
+
+test('a retried return is saved once', async () => {
+    const body = { id: 'cn-1', expectedVersion: 0, items: [{ name: 'Oil', quantity: 1 }] };
+    await saveReturn(body);
+
+    const retry = await saveReturn(body);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+
+    // Sent twice at the same time, both pass the handler's shortcut; storage saves it once
+    const both = await Promise.all([
+        saveReturn({ id: 'cn-2', expectedVersion: 1, items: [{ name: 'Rice', quantity: 1 }] }),
+        saveReturn({ id: 'cn-2', expectedVersion: 1, items: [{ name: 'Rice', quantity: 1 }] })
+    ]);
+    assert.deepEqual(both.map(response => response.status), [200, 200]);
+
+    const { receipts } = await storage.getReceipts('ANN');
+    assert.equal(receipts.filter(r => r.type === 'creditNote').length, 2);
+    assert.equal(receipts.find(r => r.id === 'r1').remainingBalance, 45);
+});
+
+test('a return against a stale receipt version gets a conflict', async () => {
+    await saveReturn({ id: 'cn-1', expectedVersion: 0, items: [{ name: 'Oil', quantity: 1 }] });
+
+    const { status } = await saveReturn({ id: 'cn-2', expectedVersion: 0, items: [{ name: 'Rice', quantity: 1 }] });
+    assert.equal(status, 409);
+});
@@ -0,0 +1,86 @@
+// Customer account statement (build/statement.js, a browser script - run here in a VM context)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+const source = await readFile(new URL('../build/statement.js', import.meta.url), 'utf8');
+
+// The script ends by creating the global statementManager; hand back a fresh one per test.
+// Its arrays belong to the VM context, so results are copied with Array.from before deepEqual.
+function createStatement(receipts, advance = null) {
+    const manager = vm.runInNewContext(`${source}\nstatementManager;`, {});
+    manager.receipts = receipts;
+    manager.advance = advance;
+    return manager;
+}
+
+function entry(id, amount, method, date, extra = {}) {
+    return { id, amount, method, date, note: '', recordedBy: 'Store', recordedAt: `${date}T10:00:00.000Z`, ...extra };
+}
+
+const bill = {
+    id: 'r1',
+    date: '05/04/2026',
+    time: '10:00 am',
+    items: [{ name: 'Rice' }],
+    grandTotal: 100,
+    paymentEntries: [
+        entry('p1', 60, 'advance', '2026-04-05'),
+        entry('p2', 10, 'cash', '2026-04-06')
+    ]
+};
+
+const advance = {
+    balance: 0,
+    entries: [
+        entry('a1', 60, 'upi', '2026-04-01'),
+        entry('a2', -60, 'advance', '2026-04-05', { receiptId: 'r1' })
+    ]
+};
+
+test('the statement has a running balance, and advance credit counts once, when received', () => {
+    const statement = createStatement([bill], advance).buildStatement('', '');
+
+    assert.deepEqual(Array.from(statement.rows, row => [row.date, row.debit, row.credit, row.balance]), [
+        ['2026-04-01', 0, 60, -60],
+        ['2026-04-05', 100, 0, 40],
+        ['2026-04-06', 0, 10, 30]
+    ]);
+    assert.equal(statement.closingBalance, 30);
+});
+
+test('transactions before the start date make up the opening balance', () => {
+    const statement = createStatement([bill], advance).buildStatement('2026-04-06', '2026-04-30');
+
+    assert.equal(statement.openingBalance, 40);
+    assert.equal(statement.rows.length, 1);
+    assert.equal(statement.closingBalance, 30);
+});
+
+test("credit given back by a deleted bill isn't counted as a payment", () => {
+    const withRefund = {
+        balance: 60,
+        entries: [...advance.entries, entry('a3', 60, 'advance', '2026-04-07', { receiptId: 'r9', note: 'Bill deleted' })]
+    };
+    const statement = createStatement([bill], withRefund).buildStatement('', '');
+    assert.equal(statement.closingBalance, 30);
+});
+
+test('a credit note is a credit, and its cash refund a debit', () => {
+    const creditNote = {
+        id: 'cn1',
+        type: 'creditNote',
+        date: '08/04/2026',
+        time: '11:00 am',
+        originalReceiptId: 'r1',
+        originalDate: '05/04/2026',
+        grandTotal: -20,
+        refund: { balance: 0, cash: 20 }
+    };
+    const statement = createStatement([creditNote, bill], advance).buildStatement('2026-04-08', '');
+
+    assert.deepEqual(Array.from(statement.rows, row => [row.debit, row.credit]), [[0, 20], [20, 0]]);
+    assert.equal(statement.closingBalance, 30);
+});